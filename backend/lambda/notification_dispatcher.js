@@ -0,0 +1,456 @@
+/**
+ * Notification Dispatcher Lambda Handler
+ *
+ * Consumes the task-notifications SNS topic and delivers each notification to its
+ * recipient by email. The recipient's address comes from the Users table, the email
+ * body comes from a template chosen by metadata.action, and delivery goes through a
+ * pluggable transport selected with NOTIFICATION_TRANSPORT:
+ * - ses: Amazon SES (default in AWS)
+ * - smtp: plain SMTP, for local stand-ins such as MailHog or `python -m aiosmtpd -n`
+ * - console: logs the email instead of sending it
+ *
+ * Running locally against an SMTP stand-in listening on localhost:1025:
+ *   NOTIFICATION_TRANSPORT=smtp SMTP_PORT=1025 DYNAMODB_USERS_TABLE=Users \
+ *     node -e "require('./notification_dispatcher').handler(require('./event.json'))"
+ *
+ * `npm test` runs test/notification_dispatcher.test.js, which starts its own SMTP stand-in.
+ */
+
+// AWS SDK v3 imports for DynamoDB operations
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient, GetCommand } = require('@aws-sdk/lib-dynamodb');
+
+// Node core module used by the SMTP transport
+const net = require('net');
+
+// Initialize DynamoDB client with region configuration
+const dynamoDbClient = new DynamoDBClient({
+  region: process.env.AWS_REGION || 'eu-west-1'
+});
+// Create document client for easier JSON operations
+const dynamodb = DynamoDBDocumentClient.from(dynamoDbClient);
+
+// Sender address used when NOTIFICATION_FROM_ADDRESS is not configured
+const DEFAULT_FROM_ADDRESS = 'notifications@taskmanager.local';
+// How long the SMTP transport waits for each server reply
+const SMTP_TIMEOUT_MS = 10000;
+
+/**
+ * Centralized error logging function with structured output
+ *
+ * @param {string} operation - The operation that failed
+ * @param {Error} error - The error object
+ * @param {Object} context - Additional context information
+ */
+function logError(operation, error, context = {}) {
+  console.error(`[${operation}] Error:`, {
+    message: error.message,
+    errorType: error.errorType || error.name,
+    stack: error.stack,
+    context,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Centralized success logging function with structured output
+ *
+ * @param {string} operation - The operation that succeeded
+ * @param {*} result - The operation result
+ * @param {Object} context - Additional context information
+ */
+function logSuccess(operation, result, context = {}) {
+  console.log(`[${operation}] Success:`, {
+    result: typeof result === 'object' ? JSON.stringify(result, null, 2) : result,
+    context,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// =============================================================================
+// TEMPLATES
+// =============================================================================
+
+/**
+ * Builds the closing lines shared by every email
+ * Links back to the app when APP_URL is configured
+ *
+ * @param {Object} metadata - Notification metadata
+ * @returns {string} - Footer text
+ */
+function footer(metadata) {
+  const lines = ['', '--', 'TaskManager'];
+  if (process.env.APP_URL) {
+    const path = metadata.teamId ? `/tasks/${metadata.teamId}` : '/';
+    lines.push(`${process.env.APP_URL.replace(/\/$/, '')}${path}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Email templates keyed by metadata.action
+ * Each template receives the notification and recipient and returns { subject, text }.
+ * Actions without a template fall back to defaultTemplate
+ */
+const templates = {
+  team_created: ({ message, metadata }) => ({
+    subject: `Your team "${metadata.teamName}" is ready`,
+    text: message
+  }),
+  team_invitation: ({ message, metadata }) => ({
+    subject: `You've been added to ${metadata.teamName}`,
+    text: message
+  }),
+  team_member_removed: ({ message, metadata }) => ({
+    subject: `You've been removed from ${metadata.teamName}`,
+    text: message
+  }),
+  member_role_changed: ({ message, metadata }) => ({
+    subject: `Your role in ${metadata.teamName} is now ${metadata.newRole}`,
+    text: `${message}\n\nPrevious role: ${metadata.previousRole}`
+  }),
+  team_deleted: ({ message, metadata }) => ({
+    subject: `${metadata.teamName} has been deleted`,
+    text: message
+  }),
+  task_assigned: ({ message, metadata }) => ({
+    subject: `New task: ${metadata.taskTitle}`,
+    text: [
+      message,
+      '',
+      `Team: ${metadata.teamName}`,
+      `Priority: ${metadata.priority || 'Medium'}`,
+      `Deadline: ${metadata.deadline || 'None'}`
+    ].join('\n')
+  }),
+  task_reassigned: ({ message, metadata }) => ({
+    subject: metadata.taskTitle
+      ? `Task reassigned to you: ${metadata.taskTitle}`
+      : `Tasks in ${metadata.teamName} reassigned to you`,
+    text: message
+  }),
+  task_status_updated: ({ message, metadata }) => ({
+    subject: `${metadata.taskTitle}: ${metadata.oldStatus} → ${metadata.newStatus}`,
+    text: message
+  }),
+  task_deleted: ({ message, metadata }) => ({
+    subject: `Task deleted: ${metadata.taskTitle}`,
+    text: message
+  }),
+  task_deadline_reminder: ({ message, metadata }) => ({
+    subject: metadata.overdue
+      ? `Overdue: ${metadata.taskTitle}`
+      : `Due soon: ${metadata.taskTitle}`,
+    text: [
+      message,
+      '',
+      `Team: ${metadata.teamName}`,
+      `Deadline: ${metadata.deadline}`,
+      `Status: ${metadata.status}`
+    ].join('\n')
+  }),
+  task_overdue_escalation: ({ message, metadata }) => ({
+    subject: `Overdue task in ${metadata.teamName}: ${metadata.taskTitle}`,
+    text: [
+      message,
+      '',
+      `Deadline: ${metadata.deadline}`,
+      `Assigned to: ${metadata.assignedTo || 'Nobody'}`
+    ].join('\n')
+  }),
+  comment_mention: ({ message, metadata }) => ({
+    subject: `You were mentioned on "${metadata.taskTitle}"`,
+    text: [
+      message,
+      '',
+      `Team: ${metadata.teamName}`
+    ].join('\n')
+  }),
+  notification_digest: ({ message, metadata }) => ({
+    subject: `Your TaskManager digest (${metadata.count} notifications)`,
+    text: `Here is what happened while your notifications were held back:\n\n${message}`
+  })
+};
+
+/**
+ * Fallback template for actions without a dedicated template
+ * Uses the SNS subject and message as-is
+ */
+function defaultTemplate({ subject, message }) {
+  return {
+    subject: subject || 'TaskManager notification',
+    text: message
+  };
+}
+
+/**
+ * Renders the email for a notification
+ *
+ * @param {Object} notification - Parsed notification (subject, message, metadata, recipientId)
+ * @param {Object} recipient - Recipient's user record
+ * @returns {Object} - { subject, text }
+ */
+function renderEmail(notification, recipient) {
+  const template = templates[notification.metadata?.action] || defaultTemplate;
+  const { subject, text } = template({ ...notification, metadata: notification.metadata || {}, recipient });
+  const greeting = `Hi ${recipient.name || recipient.email},`;
+
+  return {
+    subject,
+    text: `${greeting}\n\n${text}\n${footer(notification.metadata || {})}`
+  };
+}
+
+// =============================================================================
+// TRANSPORTS
+// =============================================================================
+
+/**
+ * Creates a transport that sends through Amazon SES
+ * The SES client is only loaded when this transport is used
+ *
+ * @returns {Object} - Transport with a send({ from, to, subject, text }) method
+ */
+function createSesTransport() {
+  const { SESClient, SendEmailCommand } = require('@aws-sdk/client-ses');
+  const sesClient = new SESClient({
+    region: process.env.AWS_REGION || 'eu-west-1'
+  });
+
+  return {
+    name: 'ses',
+    async send({ from, to, subject, text }) {
+      await sesClient.send(new SendEmailCommand({
+        Source: from,
+        Destination: { ToAddresses: [to] },
+        Message: {
+          Subject: { Data: subject, Charset: 'UTF-8' },
+          Body: { Text: { Data: text, Charset: 'UTF-8' } }
+        }
+      }));
+    }
+  };
+}
+
+/**
+ * Encodes a header value as an RFC 2047 encoded-word when it contains non-ASCII characters
+ *
+ * @param {string} value - Header value
+ * @returns {string} - Value safe to place in a mail header
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Creates a transport that speaks plain SMTP (no TLS, no auth)
+ * Meant for local SMTP stand-ins during development; use SES in AWS
+ *
+ * @param {Object} options - host and port of the SMTP server
+ * @returns {Object} - Transport with a send({ from, to, subject, text }) method
+ */
+function createSmtpTransport({ host = 'localhost', port = 1025 } = {}) {
+  return {
+    name: 'smtp',
+    send({ from, to, subject, text }) {
+      return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host, port });
+        let buffer = '';
+        let pendingReply = null;
+
+        // Collects complete replies; multi-line replies use "250-" for every line but the last
+        socket.setEncoding('utf8');
+        socket.setTimeout(SMTP_TIMEOUT_MS, () => socket.destroy(new Error('SMTP server timed out')));
+        const deliverReply = () => {
+          const match = buffer.match(/(^|\r\n)(\d{3}) [^\r\n]*\r\n$/);
+          if (match && pendingReply) {
+            const reply = { code: Number(match[2]), text: buffer.trim() };
+            buffer = '';
+            const resolveReply = pendingReply;
+            pendingReply = null;
+            resolveReply(reply);
+          }
+        };
+        socket.on('data', chunk => {
+          buffer += chunk;
+          deliverReply();
+        });
+        socket.on('error', reject);
+
+        const readReply = () => new Promise(resolveReply => {
+          pendingReply = resolveReply;
+          deliverReply();  // The reply may already be buffered
+        });
+        const command = async (line, expectedCode) => {
+          const replyPromise = readReply();
+          if (line !== null) {
+            socket.write(`${line}\r\n`);
+          }
+          const reply = await replyPromise;
+          if (reply.code !== expectedCode) {
+            throw new Error(`SMTP ${line ? line.split(' ')[0] : 'greeting'} failed: ${reply.text}`);
+          }
+          return reply;
+        };
+
+        const body = text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');  // Dot-stuffing per RFC 5321
+        const message = [
+          `From: ${from}`,
+          `To: ${to}`,
+          `Subject: ${encodeHeader(subject)}`,
+          `Date: ${new Date().toUTCString()}`,
+          'MIME-Version: 1.0',
+          'Content-Type: text/plain; charset=utf-8',
+          'Content-Transfer-Encoding: 8bit',
+          '',
+          body,
+          '.'
+        ].join('\r\n');
+
+        (async () => {
+          await command(null, 220);
+          await command('EHLO taskmanager.local', 250);
+          await command(`MAIL FROM:<${from}>`, 250);
+          await command(`RCPT TO:<${to}>`, 250);
+          await command('DATA', 354);
+          await command(message, 250);
+          await command('QUIT', 221);
+          socket.end();
+        })().then(resolve, error => {
+          socket.destroy();
+          reject(error);
+        });
+      });
+    }
+  };
+}
+
+/**
+ * Creates a transport that only logs emails
+ * Useful when no mail server is available
+ *
+ * @returns {Object} - Transport with a send({ from, to, subject, text }) method
+ */
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send(email) {
+      console.log('[CONSOLE_TRANSPORT] Email:', email);
+    }
+  };
+}
+
+/**
+ * Transport factories keyed by NOTIFICATION_TRANSPORT
+ */
+const transports = {
+  ses: createSesTransport,
+  smtp: () => createSmtpTransport({
+    host: process.env.SMTP_HOST,
+    port: process.env.SMTP_PORT ? Number(process.env.SMTP_PORT) : undefined
+  }),
+  console: createConsoleTransport
+};
+
+// =============================================================================
+// DISPATCHER
+// =============================================================================
+
+/**
+ * Loads a user record from the Users table
+ *
+ * @param {string} userId - The user to load
+ * @returns {Object|null} - User record, or null if the user is unknown
+ */
+async function loadUserFromTable(userId) {
+  const result = await dynamodb.send(new GetCommand({
+    TableName: process.env.DYNAMODB_USERS_TABLE,
+    Key: { userId }
+  }));
+  return result.Item || null;
+}
+
+/**
+ * Creates a dispatcher that delivers SNS records through the given transport
+ * Dependencies are injected so the dispatcher can run against any transport or user source
+ *
+ * @param {Object} options - transport, loadUser(userId) and fromAddress
+ * @returns {Function} - dispatch(snsRecord) resolving to 'sent' or 'skipped'
+ */
+function createDispatcher({ transport, loadUser = loadUserFromTable, fromAddress = DEFAULT_FROM_ADDRESS }) {
+  return async function dispatch(record) {
+    const notification = {
+      ...JSON.parse(record.Sns.Message),
+      subject: record.Sns.Subject
+    };
+    const { recipientId, metadata = {} } = notification;
+
+    if (!recipientId) {
+      console.warn('[DISPATCH] Skipping notification without recipientId:', record.Sns.MessageId);
+      return 'skipped';
+    }
+
+    // Users who never signed in since the Users table was introduced have no address yet
+    const recipient = await loadUser(recipientId);
+    if (!recipient?.email) {
+      console.warn('[DISPATCH] Skipping notification for unknown recipient:', { recipientId, action: metadata.action });
+      return 'skipped';
+    }
+
+    const email = renderEmail(notification, recipient);
+    await transport.send({ from: fromAddress, to: recipient.email, ...email });
+
+    logSuccess('DISPATCH', 'Notification delivered', {
+      recipientId,
+      action: metadata.action,
+      transport: transport.name
+    });
+    return 'sent';
+  };
+}
+
+// Default dispatcher, created on first use from environment configuration
+let defaultDispatch = null;
+
+/**
+ * SNS-triggered Lambda entry point
+ * A failed delivery is rethrown so Lambda's async retry policy can try again
+ *
+ * @param {Object} event - SNS event with one or more records
+ * @returns {Object} - Counts of sent and skipped notifications
+ */
+exports.handler = async (event) => {
+  console.log('[DISPATCH] Starting notification dispatch:', { records: event.Records?.length || 0 });
+
+  if (!defaultDispatch) {
+    const transportName = process.env.NOTIFICATION_TRANSPORT || 'ses';
+    const createTransport = transports[transportName];
+    if (!createTransport) {
+      throw new Error(`Unknown NOTIFICATION_TRANSPORT: ${transportName}`);
+    }
+    defaultDispatch = createDispatcher({
+      transport: createTransport(),
+      fromAddress: process.env.NOTIFICATION_FROM_ADDRESS || DEFAULT_FROM_ADDRESS
+    });
+  }
+
+  const counts = { sent: 0, skipped: 0 };
+  for (const record of event.Records || []) {
+    try {
+      counts[await defaultDispatch(record)]++;
+    } catch (error) {
+      logError('DISPATCH', error, { messageId: record.Sns?.MessageId });
+      throw error;
+    }
+  }
+
+  return counts;
+};
+
+exports.createDispatcher = createDispatcher;
+exports.renderEmail = renderEmail;
+exports.templates = templates;
+exports.transports = transports;
+exports.createSmtpTransport = createSmtpTransport;
@@ -0,0 +1,343 @@
+/**
+ * Recurring Task Rules
+ *
+ * Schedule rules for recurring tasks and the planning of each task's next instance.
+ * Everything here is pure: results depend only on the arguments, and "now" is always
+ * passed in, so the generator behaves the same under a fixed clock. The task handler
+ * owns the writes (createTask, updateTask and the generateRecurringTasks schedule job).
+ *
+ * A rule is given either as fields or as an RRULE subset:
+ * - daily:   { frequency: 'daily', interval: 2 }                        every other day
+ * - weekly:  { frequency: 'weekly', weekdays: ['MO', 'TH'] }            Mondays and Thursdays
+ * - monthly: { frequency: 'monthly', monthDay: 31 }                     last day of short months
+ * - RRULE:   { rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=FR;COUNT=6' }
+ * Supported RRULE parts are FREQ (DAILY, WEEKLY, MONTHLY), INTERVAL, BYDAY (plain weekdays,
+ * weekly only), BYMONTHDAY (one day 1-31, monthly only), UNTIL and COUNT. Unlike RFC 5545,
+ * a month without the requested day uses its last day instead of being skipped.
+ *
+ * Dates are whole UTC days in YYYY-MM-DD form, like task deadlines.
+ *
+ * Planning an instance against a fixed clock:
+ *   node -e "const r = require('./recurrence'); console.log(r.planNextInstance(require('./task.json'), new Date('2026-01-15T09:00:00Z')))"
+ */
+
+// Frequencies a rule can have
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+// Weekday codes in getUTCDay() order
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+// Weekday codes in week order - weeks start on Monday
+const WEEK_ORDER = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+// RRULE parts the parser understands
+const RRULE_PARTS = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'UNTIL', 'COUNT'];
+
+const MAX_INTERVAL = 365;
+const MAX_COUNT = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Raised for rules that cannot be used; the message is safe to show to users
+ */
+class RecurrenceRuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RecurrenceRuleError';
+  }
+}
+
+/**
+ * Turns a date or timestamp into midnight UTC of its day
+ *
+ * @param {string|Date} value - YYYY-MM-DD date, ISO timestamp or Date
+ * @returns {Date|null} - null when the value is not a date
+ */
+function toDay(value) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * Parses an RRULE integer part
+ */
+function parseRruleInteger(value, part) {
+  if (!/^\d+$/.test(value)) {
+    throw new RecurrenceRuleError(`RRULE ${part} must be a whole number`);
+  }
+  return Number(value);
+}
+
+/**
+ * Parses the RRULE subset into the same fields a rule can be given as
+ * Range checks are left to normalizeRecurrence so both forms get the same messages
+ *
+ * @param {string} rrule - e.g. 'FREQ=WEEKLY;BYDAY=MO,WE', with or without the 'RRULE:' prefix
+ * @returns {Object} - { frequency, interval, weekdays, monthDay, until, count }
+ */
+function parseRrule(rrule) {
+  const parts = {};
+  for (const part of rrule.replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [name, value, ...extra] = part.split('=');
+    const key = name.trim().toUpperCase();
+    if (!value || extra.length > 0) {
+      throw new RecurrenceRuleError(`Invalid RRULE part: ${part}`);
+    }
+    if (!RRULE_PARTS.includes(key)) {
+      throw new RecurrenceRuleError(`Unsupported RRULE part ${key}. Supported parts: ${RRULE_PARTS.join(', ')}`);
+    }
+    if (parts[key] !== undefined) {
+      throw new RecurrenceRuleError(`RRULE ${key} is given more than once`);
+    }
+    parts[key] = value.trim().toUpperCase();
+  }
+
+  if (!parts.FREQ) {
+    throw new RecurrenceRuleError('RRULE must include FREQ');
+  }
+
+  let until;
+  if (parts.UNTIL) {
+    const match = /^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/.exec(parts.UNTIL);
+    if (!match) {
+      throw new RecurrenceRuleError('RRULE UNTIL must be a date such as 20261231');
+    }
+    until = `${match[1]}-${match[2]}-${match[3]}`;
+  }
+
+  return {
+    frequency: parts.FREQ.toLowerCase(),
+    interval: parts.INTERVAL !== undefined ? parseRruleInteger(parts.INTERVAL, 'INTERVAL') : undefined,
+    weekdays: parts.BYDAY ? parts.BYDAY.split(',') : undefined,
+    monthDay: parts.BYMONTHDAY !== undefined ? parseRruleInteger(parts.BYMONTHDAY, 'BYMONTHDAY') : undefined,
+    until,
+    count: parts.COUNT !== undefined ? parseRruleInteger(parts.COUNT, 'COUNT') : undefined
+  };
+}
+
+/**
+ * Validates a submitted rule and returns it in stored form
+ * Weekly rules without weekdays repeat on the first due date's weekday, and monthly rules
+ * without a day repeat on its day of the month, so the stored rule never depends on a task
+ *
+ * @param {Object} input - { frequency, interval, weekdays, monthDay, until, count } or { rrule }
+ * @param {string} firstDueDate - Due date of the first instance (YYYY-MM-DD)
+ * @returns {Object} - { frequency, interval, weekdays, monthDay, until, count, rrule }
+ * @throws {RecurrenceRuleError} - If the rule is invalid or unsupported
+ */
+function normalizeRecurrence(input, firstDueDate) {
+  if (!input || typeof input !== 'object') {
+    throw new RecurrenceRuleError('Recurrence must be an object');
+  }
+  const anchor = toDay(firstDueDate);
+  if (!anchor) {
+    throw new RecurrenceRuleError('Recurring tasks need a valid first due date');
+  }
+
+  const rrule = input.rrule ? String(input.rrule).trim() : null;
+  if (rrule && input.frequency) {
+    throw new RecurrenceRuleError('Give either a frequency or an RRULE, not both');
+  }
+  const fields = rrule ? parseRrule(rrule) : input;
+
+  const frequency = String(fields.frequency || '').toLowerCase();
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new RecurrenceRuleError(`Invalid frequency. Must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+
+  const interval = fields.interval ?? 1;
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    throw new RecurrenceRuleError(`Interval must be a whole number between 1 and ${MAX_INTERVAL}`);
+  }
+
+  let weekdays = null;
+  if (fields.weekdays && fields.weekdays.length > 0) {
+    if (frequency !== 'weekly') {
+      throw new RecurrenceRuleError('Weekdays can only be given for weekly rules');
+    }
+    const codes = fields.weekdays.map(code => String(code).trim().toUpperCase());
+    const unknown = codes.filter(code => !WEEK_ORDER.includes(code));
+    if (unknown.length > 0) {
+      throw new RecurrenceRuleError(`Unknown weekday ${unknown.join(', ')}. Use ${WEEK_ORDER.join(', ')}`);
+    }
+    weekdays = WEEK_ORDER.filter(code => codes.includes(code));
+  } else if (frequency === 'weekly') {
+    weekdays = [WEEKDAY_CODES[anchor.getUTCDay()]];
+  }
+
+  let monthDay = null;
+  if (fields.monthDay !== undefined && fields.monthDay !== null) {
+    if (frequency !== 'monthly') {
+      throw new RecurrenceRuleError('A day of the month can only be given for monthly rules');
+    }
+    if (!Number.isInteger(fields.monthDay) || fields.monthDay < 1 || fields.monthDay > 31) {
+      throw new RecurrenceRuleError('Day of the month must be between 1 and 31');
+    }
+    monthDay = fields.monthDay;
+  } else if (frequency === 'monthly') {
+    monthDay = anchor.getUTCDate();
+  }
+
+  let until = null;
+  if (fields.until) {
+    const untilDay = toDay(fields.until);
+    if (!untilDay) {
+      throw new RecurrenceRuleError('Invalid end date. Use ISO date format (YYYY-MM-DD)');
+    }
+    if (untilDay < anchor) {
+      throw new RecurrenceRuleError('The end date cannot be before the first due date');
+    }
+    until = formatDay(untilDay);
+  }
+
+  const count = fields.count ?? null;
+  if (count !== null && (!Number.isInteger(count) || count < 1 || count > MAX_COUNT)) {
+    throw new RecurrenceRuleError(`The number of occurrences must be between 1 and ${MAX_COUNT}`);
+  }
+  if (until && count) {
+    throw new RecurrenceRuleError('Give either an end date or a number of occurrences, not both');
+  }
+
+  return { frequency, interval, weekdays, monthDay, until, count, rrule };
+}
+
+/**
+ * First day on or after a date that the rule falls on
+ * Used as the first due date of recurring tasks created without a deadline
+ *
+ * @param {Object} rule - Stored rule
+ * @param {string} fromDate - YYYY-MM-DD
+ * @returns {string} - YYYY-MM-DD
+ */
+function firstOccurrence(rule, fromDate) {
+  const from = toDay(fromDate);
+
+  if (rule.frequency === 'weekly') {
+    for (let offset = 0; offset < 7; offset++) {
+      const day = addDays(from, offset);
+      if (rule.weekdays.includes(WEEKDAY_CODES[day.getUTCDay()])) {
+        return formatDay(day);
+      }
+    }
+  }
+
+  if (rule.frequency === 'monthly') {
+    const year = from.getUTCFullYear();
+    const month = from.getUTCMonth();
+    const day = Math.min(rule.monthDay, daysInMonth(year, month));
+    if (day >= from.getUTCDate()) {
+      return formatDay(new Date(Date.UTC(year, month, day)));
+    }
+    const nextMonth = new Date(Date.UTC(year, month + 1, 1));
+    return formatDay(new Date(Date.UTC(
+      nextMonth.getUTCFullYear(),
+      nextMonth.getUTCMonth(),
+      Math.min(rule.monthDay, daysInMonth(nextMonth.getUTCFullYear(), nextMonth.getUTCMonth()))
+    )));
+  }
+
+  return formatDay(from);
+}
+
+/**
+ * The rule's next day strictly after a due date
+ * Weekly rules move to a later weekday of the same week first, then to the first weekday of
+ * the week `interval` weeks on. Monthly rules move `interval` months on
+ *
+ * @param {Object} rule - Stored rule
+ * @param {string} afterDate - Due date of the previous instance (YYYY-MM-DD)
+ * @returns {string} - YYYY-MM-DD
+ */
+function nextOccurrence(rule, afterDate) {
+  const after = toDay(afterDate);
+
+  if (rule.frequency === 'weekly') {
+    const weekday = WEEK_ORDER.indexOf(WEEKDAY_CODES[after.getUTCDay()]);
+    const days = rule.weekdays.map(code => WEEK_ORDER.indexOf(code));
+    const laterDay = days.find(day => day > weekday);
+    if (laterDay !== undefined) {
+      return formatDay(addDays(after, laterDay - weekday));
+    }
+    const weekStart = addDays(after, -weekday);
+    return formatDay(addDays(weekStart, rule.interval * 7 + days[0]));
+  }
+
+  if (rule.frequency === 'monthly') {
+    const target = new Date(Date.UTC(after.getUTCFullYear(), after.getUTCMonth() + rule.interval, 1));
+    const year = target.getUTCFullYear();
+    const month = target.getUTCMonth();
+    return formatDay(new Date(Date.UTC(year, month, Math.min(rule.monthDay, daysInMonth(year, month)))));
+  }
+
+  return formatDay(addDays(after, rule.interval));
+}
+
+/**
+ * Whether a task's due date has arrived (its deadline is today or earlier)
+ *
+ * @param {Object} task - Task with a deadline
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+function isDueDateReached(task, now) {
+  const deadline = task.deadline ? toDay(task.deadline) : null;
+  return Boolean(deadline) && deadline <= toDay(now);
+}
+
+/**
+ * Works out the instance that follows a recurring task
+ * The new instance is due on the rule's first day after both the task's due date and today,
+ * so occurrences missed while nothing was generated are skipped rather than created overdue.
+ * Skipped occurrences do not count towards the rule's count
+ *
+ * @param {Object} task - Recurring task with recurrence, deadline and optional seriesId/occurrence
+ * @param {Date} now - Current time
+ * @returns {Object|null} - Fields of the next instance, or null when the series has ended
+ */
+function planNextInstance(task, now) {
+  const rule = task.recurrence;
+  const occurrence = (task.occurrence || 1) + 1;
+  if (rule.count && occurrence > rule.count) {
+    return null;
+  }
+
+  const today = formatDay(toDay(now));
+  let deadline = nextOccurrence(rule, task.deadline || today);
+  while (deadline <= today) {
+    deadline = nextOccurrence(rule, deadline);
+  }
+  if (rule.until && deadline > rule.until) {
+    return null;
+  }
+
+  return {
+    title: task.title,
+    description: task.description,
+    priority: task.priority,
+    assignedTo: task.assignedTo || null,
+    deadline,
+    recurrence: rule,
+    seriesId: task.seriesId || task.taskId,
+    occurrence
+  };
+}
+
+exports.RecurrenceRuleError = RecurrenceRuleError;
+exports.normalizeRecurrence = normalizeRecurrence;
+exports.parseRrule = parseRrule;
+exports.firstOccurrence = firstOccurrence;
+exports.nextOccurrence = nextOccurrence;
+exports.isDueDateReached = isDueDateReached;
+exports.planNextInstance = planNextInstance;
@@ -0,0 +1,603 @@
+/**
+ * Task Search Index
+ *
+ * Full-text search over task titles and descriptions: tokenizing, stemming, ranking,
+ * prefix and fuzzy matching, query qualifiers and highlighted snippets.
+ *
+ * The index holds one posting per (task, term) under the task's team, keyed
+ * 't#<term>#<taskId>' so that a key-prefix read finds a term, every term starting with
+ * some letters, or the fuzzy candidates for a term. A separate 'stats' entry counts the
+ * team's indexed tasks for ranking. Everything here works against a store with three
+ * methods, so the same code runs on DynamoDB and in memory:
+ * - queryPostings(teamId, keyPrefix, limit) -> postings whose termKey starts with keyPrefix,
+ *                                        in key order, at most limit of them when given
+ * - getDocCount(teamId)               -> number of indexed tasks in the team
+ * - writePostings(teamId, { put, remove, docCountDelta, docCount })
+ * The task handler keeps a DynamoDB store in sync from the Tasks table stream
+ * (indexTaskChanges). createMemoryStore() keeps the same postings in memory, so the index
+ * can be built and queried locally:
+ *   node -e "
+ *     const s = require('./search_index'); const store = s.createMemoryStore();
+ *     (async () => {
+ *       await s.indexTask(store, null, { teamId: 't1', taskId: 'a', title: 'Fix login bug', description: 'Users cannot sign in' });
+ *       console.log(await s.searchIndex(store, 't1', s.parseSearchQuery('logn')));
+ *     })()"
+ *
+ * Query syntax: plain words must all match (in any field). The last word also matches as a
+ * prefix, as does any word ending in '*'. Words of 4+ letters that match few tasks as written
+ * also match terms within one typo, 8+ letters within two, as long as the first two letters
+ * are right.
+ * title:word and description:word only match in that field. assignee:, status:, priority:
+ * and label: filter the results (values with spaces in double quotes, e.g. status:"in progress");
+ * repeating a qualifier matches any of its values.
+ */
+
+// Task fields that are indexed, with their weight in the ranking
+const FIELD_WEIGHTS = { title: 3, description: 1 };
+const SEARCH_FIELDS = Object.keys(FIELD_WEIGHTS);
+// Qualifiers that filter results, and qualifiers that restrict a word to one field
+const FILTER_QUALIFIERS = ['assignee', 'status', 'priority', 'label'];
+const FIELD_QUALIFIERS = ['title', 'description'];
+
+// Words too common to be worth indexing
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'will', 'with'
+]);
+
+const TERM_KEY_PREFIX = 't#';
+const STATS_KEY = 'stats';
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+// Longer tokens (hashes, run-together URLs) are left out of the index
+const MAX_TERM_LENGTH = 40;
+const MAX_TERMS_PER_TASK = 500;
+const MAX_QUERY_TERMS = 8;
+
+// Ranking: BM25-style term frequency saturation, and how much weaker non-exact matches count
+const TF_SATURATION = 1.2;
+const PREFIX_WEIGHT = 0.8;
+const FUZZY_WEIGHT = 0.6;
+const FUZZY_MIN_LENGTH = 4;
+const FUZZY_LONG_LENGTH = 8;
+// Fuzzy candidates are read by their first letters, so typos there are not corrected
+const FUZZY_PREFIX_LENGTH = 2;
+// Fuzzy candidates are only read for words that match fewer tasks than this as written
+const FUZZY_FALLBACK_HITS = 10;
+// Most postings one read of candidates returns; a very common prefix loses its later terms
+const MAX_CANDIDATE_POSTINGS = 2000;
+
+// Description snippets: at most this many characters, starting a little before the first match
+const SNIPPET_LENGTH = 160;
+const SNIPPET_CONTEXT = 40;
+
+/**
+ * Lowercases a token and strips accents, so 'Café' and 'cafe' are the same term
+ */
+function normalizeToken(token) {
+  return token.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Splits text into word tokens, keeping where each token is in the original text
+ *
+ * @param {string} text - Text to split
+ * @returns {Array} - [{ term, start, end }] with the normalized token and its character range
+ */
+function tokenize(text) {
+  const tokens = [];
+  for (const match of (text || '').matchAll(TOKEN_PATTERN)) {
+    tokens.push({ term: normalizeToken(match[0]), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * Reduces a normalized English word to its stem, e.g. 'deploying', 'deployed' and 'deploys' to 'deploy'
+ * A light suffix stripper rather than a full Porter stemmer: stems are only compared with
+ * each other, so they need to be consistent, not real words
+ *
+ * @param {string} word - Normalized token
+ * @returns {string} - Stem
+ */
+function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) {
+    return word;
+  }
+
+  let result = word;
+  if (result.endsWith('ies') && result.length > 4) {
+    result = `${result.slice(0, -3)}y`;
+  } else if (/(x|ch|sh|ss|z)es$/.test(result)) {
+    result = result.slice(0, -2);
+  } else if (result.endsWith('s') && !/(ss|us|is)$/.test(result)) {
+    result = result.slice(0, -1);
+  }
+
+  for (const suffix of ['ing', 'ed', 'ly']) {
+    const base = result.slice(0, -suffix.length);
+    if (result.endsWith(suffix) && base.length >= 3 && /[aeiouy]/.test(base)) {
+      // 'running' -> 'run', but 'falling' keeps its double l
+      result = /([^aeiouslz])\1$/.test(base) ? base.slice(0, -1) : base;
+      break;
+    }
+  }
+
+  // 'make' and 'making' both become 'mak'
+  if (result.length > 3 && result.endsWith('e')) {
+    result = result.slice(0, -1);
+  }
+  return result;
+}
+
+/**
+ * Whether a normalized token goes into the index
+ * Single letters and stop words are skipped; numbers are always kept
+ */
+function isIndexable(term) {
+  return term.length <= MAX_TERM_LENGTH && !STOP_WORDS.has(term) && (term.length >= 2 || /\d/.test(term));
+}
+
+function termKey(term, taskId) {
+  return `${TERM_KEY_PREFIX}${term}#${taskId}`;
+}
+
+/**
+ * Builds the postings of one task, one per distinct stem
+ * Each posting counts how often its term appears in each indexed field
+ *
+ * @param {Object} task - Task record with teamId, taskId, title and description
+ * @returns {Map} - term -> { termKey, term, taskId, title, description } (fields without the term left out)
+ */
+function buildPostings(task) {
+  const postings = new Map();
+  for (const field of SEARCH_FIELDS) {
+    for (const token of tokenize(task[field])) {
+      if (!isIndexable(token.term)) {
+        continue;
+      }
+      const term = stem(token.term);
+      let posting = postings.get(term);
+      if (!posting) {
+        // Title terms come first, so the cap only ever drops description terms
+        if (postings.size >= MAX_TERMS_PER_TASK) {
+          continue;
+        }
+        posting = { termKey: termKey(term, task.taskId), term, taskId: task.taskId };
+        postings.set(term, posting);
+      }
+      posting[field] = (posting[field] || 0) + 1;
+    }
+  }
+  return postings;
+}
+
+function samePosting(a, b) {
+  return SEARCH_FIELDS.every(field => (a[field] || 0) === (b[field] || 0));
+}
+
+/**
+ * Updates the index after a task write, writing only the postings that changed
+ * Pass the task as it was before and after the write - null before for a new task,
+ * null after for a deleted one. Writes that leave the title and description alone
+ * (status changes, checklist edits) write nothing.
+ * The team's task count moves by one on creates and deletes; a replayed stream record
+ * can throw it off slightly, which only affects ranking until the next rebuildTeamIndex
+ *
+ * @param {Object} store - Index store
+ * @param {Object|null} before - Task record before the write
+ * @param {Object|null} after - Task record after the write
+ * @returns {Object} - { put, remove } counts of postings written and removed
+ */
+async function indexTask(store, before, after) {
+  const task = after || before;
+  if (!task) {
+    return { put: 0, remove: 0 };
+  }
+
+  const oldPostings = before ? buildPostings(before) : new Map();
+  const newPostings = after ? buildPostings(after) : new Map();
+  const put = [...newPostings.values()].filter(posting => {
+    const old = oldPostings.get(posting.term);
+    return !old || !samePosting(old, posting);
+  });
+  const remove = [...oldPostings.values()]
+    .filter(posting => !newPostings.has(posting.term))
+    .map(posting => posting.termKey);
+  const docCountDelta = (after ? 1 : 0) - (before ? 1 : 0);
+
+  if (put.length > 0 || remove.length > 0 || docCountDelta !== 0) {
+    await store.writePostings(task.teamId, { put, remove, docCountDelta });
+  }
+  return { put: put.length, remove: remove.length };
+}
+
+/**
+ * Rebuilds a team's index from its tasks
+ * Writes missing or outdated postings, removes postings of tasks that no longer exist
+ * and resets the team's task count, so it also repairs an index that drifted
+ *
+ * @param {Object} store - Index store
+ * @param {string} teamId - Team to rebuild
+ * @param {Array} tasks - Every task in the team
+ * @returns {Object} - { put, remove } counts of postings written and removed
+ */
+async function rebuildTeamIndex(store, teamId, tasks) {
+  const expected = new Map();
+  for (const task of tasks) {
+    for (const posting of buildPostings(task).values()) {
+      expected.set(posting.termKey, posting);
+    }
+  }
+
+  const existing = new Map((await store.queryPostings(teamId, TERM_KEY_PREFIX)).map(posting => [posting.termKey, posting]));
+  const put = [...expected.values()].filter(posting => {
+    const old = existing.get(posting.termKey);
+    return !old || !samePosting(old, posting);
+  });
+  const remove = [...existing.keys()].filter(key => !expected.has(key));
+
+  await store.writePostings(teamId, { put, remove, docCount: tasks.length });
+  return { put: put.length, remove: remove.length };
+}
+
+/**
+ * Adds the words of a piece of query text to the parsed terms
+ *
+ * @param {Array} terms - Parsed terms so far
+ * @param {string} text - Words to add
+ * @param {Object} options - field the words are restricted to, and whether the last word is a prefix
+ */
+function addQueryTerms(terms, text, { field = null, lastIsPrefix = false } = {}) {
+  const tokens = tokenize(text);
+  tokens.forEach((token, index) => {
+    const prefix = lastIsPrefix && index === tokens.length - 1 && token.term.length >= 2;
+    // A word still being typed may be the start of a longer word, unless it is a whole stop word
+    if (!isIndexable(token.term) && (!prefix || STOP_WORDS.has(token.term))) {
+      return;
+    }
+    terms.push({ text: token.term, stem: stem(token.term), field, prefix });
+  });
+}
+
+/**
+ * Parses a search query into terms and qualifiers (see the syntax at the top of this file)
+ * Qualifier names are case-insensitive; unknown ones (e.g. in 'http://...') are searched as text
+ *
+ * @param {string} query - Query as typed
+ * @returns {Object} - { terms: [{ text, stem, field, prefix }], qualifiers: { name: [values] } }
+ */
+function parseSearchQuery(query) {
+  const terms = [];
+  const qualifiers = {};
+  const parts = [...(query || '').matchAll(/(\w+):"([^"]*)"?|(\w+):(\S+)|"([^"]*)"?|(\S+)/g)];
+  const endsInWord = /[\p{L}\p{N}*]$/u.test(query || '');
+
+  parts.forEach((part, index) => {
+    const name = (part[1] || part[3] || '').toLowerCase();
+    const value = part[2] ?? part[4];
+    const isLast = index === parts.length - 1;
+
+    if (FILTER_QUALIFIERS.includes(name)) {
+      if (value.trim()) {
+        qualifiers[name] = [...(qualifiers[name] || []), value.trim().toLowerCase()];
+      }
+    } else if (FIELD_QUALIFIERS.includes(name)) {
+      addQueryTerms(terms, value, { field: name, lastIsPrefix: value.endsWith('*') || (isLast && endsInWord && !part[2]) });
+    } else {
+      const text = part[5] ?? part[0];
+      addQueryTerms(terms, text, { lastIsPrefix: text.endsWith('*') || (isLast && endsInWord && part[5] === undefined) });
+    }
+  });
+
+  return { terms: terms.slice(0, MAX_QUERY_TERMS), qualifiers };
+}
+
+/**
+ * Edit distance between two words (insertions, deletions, substitutions and swaps of
+ * neighbouring letters), giving up once it is over max
+ *
+ * @returns {number} - Distance, or max + 1 when it is larger than max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+      nextRow.push(distance);
+      rowMin = Math.min(rowMin, distance);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+}
+
+function canBeFuzzy(term) {
+  return term.stem.length >= FUZZY_MIN_LENGTH && !/\d/.test(term.stem);
+}
+
+/**
+ * Key prefix to read the exact and prefix matches of a query term with
+ */
+function lookupPrefix(term) {
+  if (term.prefix) {
+    // The stem only drops or swaps letters at the end, so their shared start covers both
+    let shared = 0;
+    while (shared < term.stem.length && term.stem[shared] === term.text[shared]) {
+      shared++;
+    }
+    return TERM_KEY_PREFIX + term.text.slice(0, Math.max(shared, 1));
+  }
+  return termKey(term.stem, '');
+}
+
+/**
+ * Reads the candidate postings of a query term
+ * The exact and prefix matches are read first. A two-letter start covers much of a large
+ * index, so the fuzzy candidates are only read when those matches find fewer than
+ * FUZZY_FALLBACK_HITS tasks. Each read stops at MAX_CANDIDATE_POSTINGS
+ *
+ * @returns {Array} - Postings, each at most once
+ */
+async function readCandidates(store, teamId, term) {
+  const postings = await store.queryPostings(teamId, lookupPrefix(term), MAX_CANDIDATE_POSTINGS);
+  if (!canBeFuzzy(term) || new Set(postings.map(posting => posting.taskId)).size >= FUZZY_FALLBACK_HITS) {
+    return postings;
+  }
+
+  const fuzzy = await store.queryPostings(teamId, TERM_KEY_PREFIX + term.stem.slice(0, FUZZY_PREFIX_LENGTH), MAX_CANDIDATE_POSTINGS);
+  const read = new Set(postings.map(posting => posting.termKey));
+  return [...postings, ...fuzzy.filter(posting => !read.has(posting.termKey))];
+}
+
+/**
+ * How well an indexed term matches a query term
+ *
+ * @returns {number} - 1 for the same stem, less for prefix and fuzzy matches, 0 for no match
+ */
+function matchWeight(term, indexTerm) {
+  if (indexTerm === term.stem) {
+    return 1;
+  }
+  if (term.prefix && indexTerm.startsWith(term.text)) {
+    return PREFIX_WEIGHT;
+  }
+  if (canBeFuzzy(term)) {
+    const maxEdits = term.stem.length >= FUZZY_LONG_LENGTH ? 2 : 1;
+    const distance = editDistance(term.stem, indexTerm, maxEdits);
+    if (distance <= maxEdits) {
+      return FUZZY_WEIGHT / distance;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Scores the fields of one posting, or only the given field
+ */
+function fieldScore(posting, field) {
+  return (field ? [field] : SEARCH_FIELDS).reduce((score, name) => {
+    const frequency = posting[name] || 0;
+    return score + FIELD_WEIGHTS[name] * (frequency * (TF_SATURATION + 1)) / (frequency + TF_SATURATION);
+  }, 0);
+}
+
+/**
+ * Finds and ranks the tasks of a team that match every term of a parsed query
+ * Each term reads its candidate postings with key-prefix queries (see readCandidates).
+ * A term scores its best match in a task, weighted by how rare the matched term is in the
+ * team (IDF) and by the fields it appears in. Prefix and fuzzy matches never count as rarer than the exact
+ * term, so a rare misspelling does not outrank the word itself.
+ * Qualifiers are not applied here - they need the task records
+ *
+ * @param {Object} store - Index store
+ * @param {string} teamId - Team to search
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {Array} - [{ taskId, score, terms }] best first; terms are the indexed terms that
+ *                    matched, for highlightTask
+ */
+async function searchIndex(store, teamId, parsed) {
+  if (parsed.terms.length === 0) {
+    return [];
+  }
+
+  const [docCount, ...candidates] = await Promise.all([
+    store.getDocCount(teamId),
+    ...parsed.terms.map(term => readCandidates(store, teamId, term))
+  ]);
+
+  let hits = null; // taskId -> { taskId, score, terms } of tasks matching every term so far
+  parsed.terms.forEach((term, index) => {
+    const postingsByTerm = new Map();
+    for (const posting of candidates[index]) {
+      postingsByTerm.set(posting.term, [...(postingsByTerm.get(posting.term) || []), posting]);
+    }
+
+    const inverseDocumentFrequency = postings => {
+      const documentFrequency = postings.length;
+      const totalDocuments = Math.max(docCount, documentFrequency);
+      return Math.log(1 + (totalDocuments - documentFrequency + 0.5) / (documentFrequency + 0.5));
+    };
+    const exactIdf = postingsByTerm.has(term.stem) ? inverseDocumentFrequency(postingsByTerm.get(term.stem)) : Infinity;
+    
+    const matches = new Map(); // taskId -> { score, terms }
+    for (const [indexTerm, postings] of postingsByTerm) {
+      const weight = matchWeight(term, indexTerm);
+      if (weight === 0) {
+        continue;
+      }
+      const idf = Math.min(inverseDocumentFrequency(postings), exactIdf);
+
+      for (const posting of postings) {
+        const score = weight * idf * fieldScore(posting, term.field);
+        if (score === 0) {
+          continue;
+        }
+        const match = matches.get(posting.taskId) || { score: 0, terms: [] };
+        matches.set(posting.taskId, { score: Math.max(match.score, score), terms: [...match.terms, indexTerm] });
+      }
+    }
+
+    const next = new Map();
+    for (const [taskId, match] of matches) {
+      const hit = hits ? hits.get(taskId) : { taskId, score: 0, terms: [] };
+      if (hit) {
+        next.set(taskId, { taskId, score: hit.score + match.score, terms: [...hit.terms, ...match.terms] });
+      }
+    }
+    hits = next;
+  });
+
+  return [...hits.values()].sort((a, b) => b.score - a.score || (a.taskId < b.taskId ? -1 : 1));
+}
+
+/**
+ * Cuts a description down to a snippet around its first match
+ *
+ * @returns {Object} - { field, snippet, matches } with match ranges relative to the snippet
+ */
+function buildSnippet(field, text, ranges) {
+  if (text.length <= SNIPPET_LENGTH) {
+    return { field, snippet: text, matches: ranges };
+  }
+
+  const first = ranges[0];
+  let start = Math.max(0, first.start - SNIPPET_CONTEXT);
+  if (start > 0) {
+    // Start at a word boundary
+    const space = text.indexOf(' ', start);
+    start = space !== -1 && space < first.start ? space + 1 : first.start;
+  }
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > first.end ? space : Math.max(end, first.end);
+  }
+
+  const lead = start > 0 ? '…' : '';
+  return {
+    field,
+    snippet: `${lead}${text.slice(start, end)}${end < text.length ? '…' : ''}`,
+    matches: ranges
+      .filter(range => range.start >= start && range.end <= end)
+      .map(range => ({ start: range.start - start + lead.length, end: range.end - start + lead.length }))
+  };
+}
+
+/**
+ * Marks where the matched terms appear in a task
+ * Titles are returned whole; descriptions as a snippet of up to SNIPPET_LENGTH characters.
+ * Match ranges are character offsets into the snippet, so clients can mark them without parsing HTML
+ *
+ * @param {Object} task - Task record
+ * @param {Array} matchedTerms - Indexed terms that matched (terms of a searchIndex hit)
+ * @returns {Array} - [{ field, snippet, matches: [{ start, end }] }] for each field with a match
+ */
+function highlightTask(task, matchedTerms) {
+  const terms = new Set(matchedTerms);
+  const highlights = [];
+  for (const field of SEARCH_FIELDS) {
+    const text = task[field] || '';
+    const ranges = tokenize(text)
+      .filter(token => terms.has(stem(token.term)))
+      .map(({ start, end }) => ({ start, end }));
+    if (ranges.length === 0) {
+      continue;
+    }
+    highlights.push(field === 'title' ? { field, snippet: text, matches: ranges } : buildSnippet(field, text, ranges));
+  }
+  return highlights;
+}
+
+/**
+ * Checks a task against the filter qualifiers of a parsed query
+ * - assignee: 'me', 'none', a user ID, or part of a member's name or email
+ * - status: a status name, a category (todo, in progress, done) or 'open'
+ * - priority: low, medium or high
+ * - label: a label name
+ *
+ * @param {Object} task - Task record
+ * @param {Object} qualifiers - qualifiers of parseSearchQuery
+ * @param {Object} context - { userId, members: Map userId -> { name, email }, labels: team labels }
+ * @returns {boolean}
+ */
+function matchesQualifiers(task, qualifiers, { userId, members = new Map(), labels = [] } = {}) {
+  const anyOf = (values, test) => !values || values.some(test);
+  const category = task.statusCategory || (task.status === 'Completed' ? 'done' : 'todo');
+
+  return anyOf(qualifiers.assignee, value => {
+    if (value === 'me') return task.assignedTo === userId;
+    if (value === 'none') return !task.assignedTo;
+    const member = members.get(task.assignedTo);
+    return Boolean(task.assignedTo) && (task.assignedTo.toLowerCase() === value ||
+      [member?.name, member?.email].some(text => text && text.toLowerCase().includes(value)));
+  }) && anyOf(qualifiers.status, value =>
+    value === (task.status || '').toLowerCase() ||
+    value.replace(/[\s-]+/g, '_') === category ||
+    (value === 'open' && category !== 'done')
+  ) && anyOf(qualifiers.priority, value =>
+    value === (task.priority || 'Medium').toLowerCase()
+  ) && anyOf(qualifiers.label, value =>
+    labels.some(label => label.name.toLowerCase() === value && (task.labels || []).includes(label.labelId))
+  );
+}
+
+/**
+ * Creates an index store that keeps postings in memory, for running the index locally
+ *
+ * @returns {Object} - Store with queryPostings, getDocCount and writePostings
+ */
+function createMemoryStore() {
+  const teams = new Map(); // teamId -> { postings: Map termKey -> posting, docCount }
+  const getTeam = teamId => {
+    if (!teams.has(teamId)) {
+      teams.set(teamId, { postings: new Map(), docCount: 0 });
+    }
+    return teams.get(teamId);
+  };
+
+  return {
+    async queryPostings(teamId, keyPrefix, limit) {
+      return [...getTeam(teamId).postings.values()]
+        .filter(posting => posting.termKey.startsWith(keyPrefix))
+        .sort((a, b) => (a.termKey < b.termKey ? -1 : 1))
+        .slice(0, limit);
+    },
+    async getDocCount(teamId) {
+      return getTeam(teamId).docCount;
+    },
+    async writePostings(teamId, { put = [], remove = [], docCountDelta = 0, docCount }) {
+      const team = getTeam(teamId);
+      put.forEach(posting => team.postings.set(posting.termKey, { teamId, ...posting }));
+      remove.forEach(key => team.postings.delete(key));
+      team.docCount = docCount ?? team.docCount + docCountDelta;
+    }
+  };
+}
+
+exports.STATS_KEY = STATS_KEY;
+exports.TERM_KEY_PREFIX = TERM_KEY_PREFIX;
+exports.tokenize = tokenize;
+exports.stem = stem;
+exports.buildPostings = buildPostings;
+exports.indexTask = indexTask;
+exports.rebuildTeamIndex = rebuildTeamIndex;
+exports.parseSearchQuery = parseSearchQuery;
+exports.searchIndex = searchIndex;
+exports.highlightTask = highlightTask;
+exports.matchesQualifiers = matchesQualifiers;
+exports.createMemoryStore = createMemoryStore;
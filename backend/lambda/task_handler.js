@@ -8,15 +8,22 @@
  * Key Features:
  * - Team creation and management with role-based access control
  * - Task lifecycle management (create, update, delete, list, search)
+ * - Ranked full-text task search, kept in sync from the Tasks table stream
+ * - Threaded task comments with @mentions
+ * - Immutable per-task history of every change, with field-level before/after values
  * - Team membership management with admin/member roles
- * - Real-time notifications via SNS
+ * - Real-time notifications via SNS, filtered by each user's notification preferences
+ * - Scheduled deadline reminders and overdue escalations
+ * - User profile sync from Cognito sign-up and sign-in triggers
  * - Comprehensive validation and error handling
  * - Transaction support for data consistency
  */
 
 // AWS SDK v3 imports for DynamoDB operations
 const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, DeleteCommand, QueryCommand, TransactWriteCommand } = require('@aws-sdk/lib-dynamodb');
+const { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, DeleteCommand, QueryCommand, ScanCommand, TransactWriteCommand, BatchWriteCommand, BatchGetCommand } = require('@aws-sdk/lib-dynamodb');
+// Converts DynamoDB stream images to plain objects
+const { unmarshall } = require('@aws-sdk/util-dynamodb');
 
 // AWS SDK v3 imports for SNS notifications
 const { SNSClient, PublishCommand } = require('@aws-sdk/client-sns');
@@ -27,6 +34,12 @@ const { CognitoIdentityProviderClient, ListUsersCommand } = require('@aws-sdk/cl
 // UUID library for generating unique identifiers
 const { v4: uuidv4 } = require('uuid');
 
+// Schedule rules and next-instance planning for recurring tasks
+const { RecurrenceRuleError, normalizeRecurrence, firstOccurrence, isDueDateReached, planNextInstance } = require('./recurrence');
+
+// Full-text search index over task titles and descriptions
+const { STATS_KEY, indexTask, rebuildTeamIndex, parseSearchQuery, searchIndex, highlightTask, matchesQualifiers } = require('./search_index');
+
 // Initialize DynamoDB client with region configuration
 const dynamoDbClient = new DynamoDBClient({
   region: process.env.AWS_REGION || 'eu-west-1'
@@ -45,9 +58,135 @@ const cognitoClient = new CognitoIdentityProviderClient({
 });
 
 // Business rule constants for validation
-const VALID_TASK_STATUSES = ['Not Started', 'In Progress', 'Completed'];
+const WORKFLOW_CATEGORIES = ['todo', 'in_progress', 'done'];
+// Statuses used by teams that have not customized their workflow; transitions null means any move is allowed
+const DEFAULT_WORKFLOW = [
+  { name: 'Not Started', category: 'todo', transitions: null },
+  { name: 'In Progress', category: 'in_progress', transitions: null },
+  { name: 'Completed', category: 'done', transitions: null }
+];
+const MAX_WORKFLOW_STATUSES = 12;
+// Matches tasks whose status is not in the done category. Tasks written before per-team
+// workflows have no statusCategory, and for those only 'Completed' counts as done.
+// Needs #status, :doneCategory and :legacyDone (see OPEN_TASK_FILTER_VALUES)
+const OPEN_TASK_FILTER = 'NOT (statusCategory = :doneCategory OR (attribute_not_exists(statusCategory) AND #status = :legacyDone))';
+const OPEN_TASK_FILTER_VALUES = { ':doneCategory': 'done', ':legacyDone': 'Completed' };
 const VALID_PRIORITIES = ['Low', 'Medium', 'High'];
+// Fields listTasks can sort by - createdAt, updatedAt and deadline are read in order from a GSI,
+// the others are sorted in memory. Tasks without a deadline sort as if they were due last
+const TASK_SORT_FIELDS = ['createdAt', 'updatedAt', 'title', 'status', 'priority', 'deadline'];
+// GSIs that hold every task of a team in order of a sort field (deadline has its own read,
+// see queryTasksByDeadline)
+const TASK_SORT_INDEXES = { createdAt: 'teamId-createdAt-index', updatedAt: 'teamId-updatedAt-index' };
+const SORT_DIRECTIONS = ['asc', 'desc'];
+// Board ranks are base-36 fractional keys compared as plain strings (see frontend/src/utils/rank.js).
+// A trailing '0' is not allowed, so there is always room for a key between two neighbours
+const RANK_PATTERN = /^[0-9a-z]*[1-9a-z]$/;
+const MAX_RANK_LENGTH = 128;
+// Moves that keep landing in the same spot make keys longer; past this length the column is re-spaced
+const REBALANCE_RANK_LENGTH = 32;
+const MAX_CHECKLIST_ITEMS = 50;
+const MAX_TASK_BLOCKERS = 20;
+const MAX_TEAM_LABELS = 50;
+const MAX_TASK_LABELS = 10;
 const VALID_ROLES = ['admin', 'member'];
+const VALID_TEAM_COLORS = ['blue', 'green', 'purple', 'red', 'orange', 'yellow', 'pink', 'gray'];
+
+// DynamoDB BatchWriteItem accepts at most 25 requests per call
+const BATCH_WRITE_LIMIT = 25;
+// DynamoDB BatchGetItem accepts at most 100 keys per call
+const BATCH_GET_LIMIT = 100;
+// How many times unprocessed batch items are retried before giving up
+const BATCH_MAX_RETRIES = 5;
+
+// Page sizes for list queries that accept limit/nextToken
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+// Most query pages listTasks reads to fill one page of filtered tasks before returning it short
+const MAX_FILL_QUERIES = 10;
+// Most matching tasks listTasks sorts in memory (sorts by fields without an index); the task list
+// only offers those sorts to teams with at most this many tasks
+const MAX_SORTED_TASKS = 1000;
+// Teams searchAllTeams searches at the same time
+const SEARCH_TEAM_CONCURRENCY = 5;
+
+// In-app notifications expire from the Notifications table after this many days
+const NOTIFICATION_TTL_DAYS = 90;
+
+// Notification actions users can switch off individually (metadata.action values)
+const NOTIFICATION_ACTIONS = [
+  'team_created',
+  'team_invitation',
+  'team_member_removed',
+  'member_role_changed',
+  'team_deleted',
+  'task_assigned',
+  'task_reassigned',
+  'task_status_updated',
+  'task_deleted',
+  'task_deadline_reminder',
+  'task_overdue_escalation',
+  'comment_mention'
+];
+const VALID_DELIVERY_MODES = ['instant', 'digest'];
+// Task attributes whose before/after values are recorded in TaskHistory
+const TRACKED_TASK_FIELDS = ['title', 'description', 'status', 'priority', 'deadline', 'assignedTo'];
+// Team attributes whose before/after values are recorded in the audit log
+const TRACKED_TEAM_FIELDS = ['name', 'description', 'color', 'icon'];
+// Actions recorded in the AuditLog table (one per team-scoped mutation)
+const AUDIT_ACTIONS = [
+  'team_created',
+  'team_updated',
+  'team_archived',
+  'team_unarchived',
+  'team_deleted',
+  'team_workflow_updated',
+  'team_label_created',
+  'team_label_updated',
+  'team_label_deleted',
+  'member_added',
+  'member_removed',
+  'member_role_changed',
+  'task_created',
+  'task_status_updated',
+  'task_updated',
+  'task_deleted',
+  'task_checklist_item_added',
+  'task_checklist_item_completed',
+  'task_checklist_item_reopened',
+  'task_checklist_reordered',
+  'task_checklist_item_removed',
+  'task_dependency_added',
+  'task_dependency_removed',
+  'comment_added',
+  'comment_edited',
+  'comment_deleted'
+];
+
+// Tasks due within this many hours get a reminder (REMINDER_WINDOW_HOURS overrides it)
+const DEFAULT_REMINDER_WINDOW_HOURS = 24;
+// Defaults for users who have not saved notification preferences
+const DEFAULT_DIGEST_HOUR = 8;
+const DEFAULT_TIME_ZONE = 'UTC';
+
+// User-typed fields resolved through BatchInvoke, mapped to the parent attribute holding the user ID
+const USER_FIELD_SOURCES = {
+  'Membership.user': 'userId',
+  'Task.assignee': 'assignedTo',
+  'Task.creator': 'createdBy',
+  'Task.updater': 'updatedBy',
+  'ChecklistItem.assignee': 'assignedTo',
+  'Comment.author': 'authorId',
+  'TaskHistoryEvent.actor': 'actorId',
+  'AuditEvent.actor': 'actorId',
+  'AuditEvent.targetUser': 'targetUserId'
+};
+
+// Task-list fields resolved through BatchInvoke, mapped to the parent attribute holding the task IDs
+const TASK_FIELD_SOURCES = {
+  'Task.blockers': 'blockedBy',
+  'Task.blockedTasks': 'blocks'
+};
 
 /**
  * Custom error classes for better error handling and categorization
@@ -141,6 +280,17 @@ function validateEmail(email) {
   }
 }
 
+/**
+ * Normalizes an email address for storage and lookup in the Users table
+ * Cognito keeps whatever case the user typed, so both sides are lower-cased
+ * 
+ * @param {string} email - The email to normalize
+ * @returns {string} - Trimmed, lower-cased email
+ */
+function normalizeEmail(email) {
+  return email.trim().toLowerCase();
+}
+
 /**
  * Validates string length is within specified bounds
  * Throws ValidationError if length is outside the specified range
@@ -259,10 +409,463 @@ async function validateTeamMembership(teamId, userId, requiredRole = null) {
   }
 }
 
+/**
+ * Rejects writes to teams that are archived or in the middle of being deleted
+ * Call this right after validateTeamMembership in every resolver that changes team data
+ * 
+ * @param {Object} team - The team record returned by validateTeamMembership
+ * @throws {ValidationError} - If the team is read-only
+ */
+function assertTeamWritable(team) {
+  if (team.deletingAt) {
+    throw new ValidationError('This team is being deleted');
+  }
+  if (team.archived) {
+    throw new ValidationError('This team is archived and read-only. Unarchive it to make changes');
+  }
+}
+
+/**
+ * Returns a team's ordered workflow statuses
+ * Teams that never customized their workflow get DEFAULT_WORKFLOW
+ * 
+ * @param {Object} team - Team record
+ * @returns {Array} - [{ name, category, transitions }] in display order; the first is where new tasks start
+ */
+function getTeamWorkflow(team) {
+  return Array.isArray(team?.workflow) && team.workflow.length > 0 ? team.workflow : DEFAULT_WORKFLOW;
+}
+
+/**
+ * Returns a team's labels in display order
+ * 
+ * @param {Object} team - Team record
+ * @returns {Array} - [{ labelId, name, color }]
+ */
+function getTeamLabels(team) {
+  return Array.isArray(team?.labels) ? team.labels : [];
+}
+
+/**
+ * Validates the name and color of a label submitted by an admin
+ * 
+ * @param {Object} args - GraphQL arguments containing name and optional color
+ * @param {Array} labels - The team's current labels, without the label being edited
+ * @returns {Object} - { name, color } with the name trimmed and the color defaulted to gray
+ * @throws {ValidationError} - If the name is invalid or taken, or the color is unknown
+ */
+function normalizeLabel(args, labels) {
+  validateRequired(args?.name, 'Label name');
+  validateLength(args.name, 'Label name', 1, 30);
+  const name = args.name.trim();
+  
+  const color = args.color || 'gray';
+  if (!VALID_TEAM_COLORS.includes(color)) {
+    throw new ValidationError(`Invalid label color. Must be one of: ${VALID_TEAM_COLORS.join(', ')}`);
+  }
+  
+  // Names are compared case-insensitively so "Bug" and "bug" cannot both exist
+  if (labels.some(label => label.name.toLowerCase() === name.toLowerCase())) {
+    throw new ValidationError(`A label named "${name}" already exists in this team`);
+  }
+  return { name, color };
+}
+
+/**
+ * Validates the labels set on a task against the team's labels
+ * Duplicates are dropped and the rest keep the order they were given in. IDs of deleted
+ * labels that were already on the task are dropped too, since deleteLabel can leave them
+ * behind on tasks it failed to update and the task would otherwise never save again
+ * 
+ * @param {Object} team - The task's team
+ * @param {Array} labelIds - Label IDs submitted with createTask or updateTaskDetails
+ * @param {Array} currentLabelIds - Label IDs the task has now (omit for new tasks)
+ * @returns {Array} - Label IDs to store on the task
+ * @throws {ValidationError} - If a label does not belong to the team or there are too many
+ */
+function normalizeTaskLabels(team, labelIds, currentLabelIds = []) {
+  const teamLabelIds = new Set(getTeamLabels(team).map(label => label.labelId));
+  const unique = [...new Set(labelIds)]
+    .filter(labelId => teamLabelIds.has(labelId) || !currentLabelIds.includes(labelId));
+  
+  if (unique.some(labelId => !teamLabelIds.has(labelId))) {
+    throw new ValidationError('Labels must be chosen from the team\'s labels');
+  }
+  if (unique.length > MAX_TASK_LABELS) {
+    throw new ValidationError(`A task can have at most ${MAX_TASK_LABELS} labels`);
+  }
+  return unique;
+}
+
+/**
+ * Compares a task's labels before and after a change by name, for history and the audit log
+ * 
+ * @param {Object} team - The task's team (for label names)
+ * @param {Array} before - Label IDs before the change (null for new tasks)
+ * @param {Array} after - Label IDs after the change
+ * @returns {Array} - [] when unchanged, otherwise one { field: 'labels', before, after } change
+ */
+function diffTaskLabels(team, before, after) {
+  const names = new Map(getTeamLabels(team).map(label => [label.labelId, label.name]));
+  const describe = labelIds => {
+    const labelNames = (labelIds || []).map(labelId => names.get(labelId)).filter(Boolean);
+    return labelNames.length > 0 ? labelNames.join(', ') : null;
+  };
+  
+  const change = { field: 'labels', before: describe(before), after: describe(after) };
+  return change.before === change.after ? [] : [change];
+}
+
+/**
+ * Returns the board rank for a task created at the given time
+ * Ranks grow with time, so new tasks land at the bottom of their column. The frontend uses
+ * the same formula for tasks created before ranks existed
+ * 
+ * @param {string} timestamp - ISO creation timestamp
+ * @returns {string} - Rank key
+ */
+function initialTaskRank(timestamp) {
+  return `${new Date(timestamp).getTime().toString(36)}i`;
+}
+
+/**
+ * Validates a board rank sent by the client
+ * 
+ * @param {string} rank - Rank key computed by the board
+ * @throws {ValidationError} - If the rank is not a valid key
+ */
+function validateRank(rank) {
+  if (typeof rank !== 'string' || rank.length > MAX_RANK_LENGTH || !RANK_PATTERN.test(rank)) {
+    throw new ValidationError(`Invalid rank. Use up to ${MAX_RANK_LENGTH} lowercase letters and digits, not ending in 0`);
+  }
+}
+
+/**
+ * Gives every task in a board column a new, evenly spaced rank in the same order
+ * Keys only grow when tasks keep being dropped into the same gap, so updateTask calls this once
+ * a rank passes REBALANCE_RANK_LENGTH, long before validateRank would refuse it. The new keys
+ * have the initialTaskRank format and lie before the current time, so tasks created later still
+ * land at the bottom. A task moved by someone else meanwhile keeps the rank they gave it
+ * 
+ * @param {string} teamId - The column's team
+ * @param {string} status - The column's status
+ * @returns {Map} - taskId -> new rank of every task that was re-ranked
+ */
+async function rebalanceColumnRanks(teamId, status) {
+  const tasks = await queryAllItems({
+    TableName: process.env.DYNAMODB_TASKS_TABLE,
+    KeyConditionExpression: 'teamId = :teamId',
+    FilterExpression: '#status = :status',
+    ProjectionExpression: 'taskId, #rank, createdAt',
+    ExpressionAttributeNames: { '#status': 'status', '#rank': 'rank' },
+    ExpressionAttributeValues: { ':teamId': teamId, ':status': status }
+  });
+  const rankOf = task => task.rank || initialTaskRank(task.createdAt);
+  tasks.sort((a, b) => (rankOf(a) < rankOf(b) ? -1 : rankOf(a) > rankOf(b) ? 1 : 0));
+  
+  // Spread the keys over the time range initialTaskRank uses, up to now
+  const end = Date.now();
+  const width = end.toString(36).length;
+  const ranks = new Map();
+  for (let start = 0; start < tasks.length; start += BATCH_WRITE_LIMIT) {
+    await Promise.all(tasks.slice(start, start + BATCH_WRITE_LIMIT).map(async (task, offset) => {
+      const position = start + offset + 1;
+      const rank = `${Math.floor(end * position / (tasks.length + 1)).toString(36).padStart(width, '0')}i`;
+      try {
+        await dynamodb.send(new UpdateCommand({
+          TableName: process.env.DYNAMODB_TASKS_TABLE,
+          Key: { teamId, taskId: task.taskId },
+          UpdateExpression: 'SET #rank = :rank',
+          ConditionExpression: task.rank ? '#rank = :oldRank' : 'attribute_not_exists(#rank)',
+          ExpressionAttributeNames: { '#rank': 'rank' },
+          ExpressionAttributeValues: { ':rank': rank, ...(task.rank && { ':oldRank': task.rank }) }
+        }));
+        ranks.set(task.taskId, rank);
+      } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') {
+          throw error;
+        }
+      }
+    }));
+  }
+  return ranks;
+}
+
+/**
+ * Validates the recurrence rule of a new recurring task and returns it in stored form
+ * 
+ * @param {Object} input - RecurrenceInput from createTask
+ * @param {string} firstDueDate - Due date of the first instance (YYYY-MM-DD)
+ * @returns {Object} - Stored rule (see recurrence.js)
+ * @throws {ValidationError} - If the rule is invalid or unsupported
+ */
+function validateRecurrence(input, firstDueDate) {
+  try {
+    return normalizeRecurrence(input, firstDueDate);
+  } catch (error) {
+    if (error instanceof RecurrenceRuleError) {
+      throw new ValidationError(error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Whether a task is still open, i.e. its status is not in the done category
+ * Tasks written before per-team workflows have no statusCategory; for those only 'Completed' is done
+ * 
+ * @param {Object} task - Task record
+ * @returns {boolean}
+ */
+function isTaskOpen(task) {
+  return task.statusCategory ? task.statusCategory !== 'done' : task.status !== 'Completed';
+}
+
+/**
+ * Validates a workflow submitted by an admin and returns it in its stored shape
+ * Names are trimmed and must be unique (ignoring case). New tasks start in the first status,
+ * so it cannot be a done status, and at least one done status is required so tasks can be completed.
+ * transitions lists the statuses a task may move to next; leaving it out allows any move
+ * 
+ * @param {Array} statuses - [{ name, category, transitions }] in display order
+ * @returns {Array} - Normalized statuses
+ * @throws {ValidationError} - If the workflow is invalid
+ */
+function normalizeWorkflow(statuses) {
+  if (!Array.isArray(statuses) || statuses.length === 0) {
+    throw new ValidationError('A workflow needs at least one status');
+  }
+  if (statuses.length > MAX_WORKFLOW_STATUSES) {
+    throw new ValidationError(`A workflow can have at most ${MAX_WORKFLOW_STATUSES} statuses`);
+  }
+  
+  const workflow = statuses.map(status => {
+    validateRequired(status?.name, 'Status name');
+    validateLength(status.name, 'Status name', 1, 30);
+    if (!WORKFLOW_CATEGORIES.includes(status.category)) {
+      throw new ValidationError(`Invalid category for "${status.name.trim()}". Must be one of: ${WORKFLOW_CATEGORIES.join(', ')}`);
+    }
+    return {
+      name: status.name.trim(),
+      category: status.category,
+      transitions: Array.isArray(status.transitions) ? status.transitions.map(name => String(name).trim()) : null
+    };
+  });
+  
+  const seen = new Set();
+  for (const status of workflow) {
+    const key = status.name.toLowerCase();
+    if (seen.has(key)) {
+      throw new ValidationError(`Duplicate status name: ${status.name}`);
+    }
+    seen.add(key);
+  }
+  
+  const names = new Set(workflow.map(status => status.name));
+  for (const status of workflow) {
+    if (!status.transitions) continue;
+    const unknown = status.transitions.find(name => !names.has(name));
+    if (unknown) {
+      throw new ValidationError(`"${status.name}" allows a move to unknown status "${unknown}"`);
+    }
+    status.transitions = [...new Set(status.transitions)].filter(name => name !== status.name);
+  }
+  
+  if (workflow[0].category === 'done') {
+    throw new ValidationError('New tasks start in the first status, so it cannot be a done status');
+  }
+  if (!workflow.some(status => status.category === 'done')) {
+    throw new ValidationError('A workflow needs at least one done status');
+  }
+  
+  return workflow;
+}
+
+/**
+ * Stores a notification in the recipient's in-app inbox
+ * The sort key starts with the creation time so the inbox reads newest-first, and
+ * unreadBy puts the item in the sparse unread-index until it is marked read.
+ * When the email is held back, pendingDeliveryBy puts the item in the sparse
+ * pending-delivery-index for deliverPendingNotifications to pick up
+ * 
+ * @param {string} subject - The notification subject
+ * @param {string} message - The notification message
+ * @param {string} recipientId - The user ID the notification is for
+ * @param {Object} metadata - Additional metadata for the notification
+ * @param {boolean} pendingDelivery - Whether the email is deferred to the digest job
+ */
+async function saveNotification(subject, message, recipientId, metadata = {}, pendingDelivery = false) {
+  const createdAt = new Date().toISOString();
+  const item = {
+    recipientId,
+    notificationId: `${createdAt}#${uuidv4()}`,
+    subject,
+    message,
+    action: metadata.action || null,
+    teamId: metadata.teamId || null,
+    taskId: metadata.taskId || null,
+    metadata,
+    createdAt,
+    unreadBy: recipientId,
+    expiresAt: Math.floor(Date.now() / 1000) + NOTIFICATION_TTL_DAYS * 24 * 60 * 60
+  };
+  if (pendingDelivery) {
+    item.pendingDeliveryBy = recipientId;
+  }
+  
+  await dynamodb.send(new PutCommand({
+    TableName: process.env.DYNAMODB_NOTIFICATIONS_TABLE,
+    Item: item
+  }));
+}
+
+/**
+ * Fills in defaults for a user's stored notification preferences
+ * 
+ * @param {Object} stored - notificationPreferences attribute from the Users table (may be undefined)
+ * @returns {Object} - Complete preferences record
+ */
+function normalizeNotificationPreferences(stored = {}) {
+  return {
+    disabledActions: stored.disabledActions || [],
+    mutedTeamIds: stored.mutedTeamIds || [],
+    deliveryMode: stored.deliveryMode || 'instant',
+    digestHour: Number.isInteger(stored.digestHour) ? stored.digestHour : DEFAULT_DIGEST_HOUR,
+    quietHoursEnabled: Boolean(stored.quietHoursEnabled),
+    quietHoursStart: stored.quietHoursStart || null,
+    quietHoursEnd: stored.quietHoursEnd || null,
+    timeZone: stored.timeZone || DEFAULT_TIME_ZONE,
+    updatedAt: stored.updatedAt || null
+  };
+}
+
+/**
+ * Loads a user's notification preferences from the Users table
+ * 
+ * @param {string} userId - ID of the user
+ * @returns {Object} - Complete preferences record (defaults when none are saved)
+ */
+async function loadNotificationPreferences(userId) {
+  const result = await dynamodb.send(new GetCommand({
+    TableName: process.env.DYNAMODB_USERS_TABLE,
+    Key: { userId },
+    ProjectionExpression: 'notificationPreferences'
+  }));
+  return normalizeNotificationPreferences(result.Item?.notificationPreferences);
+}
+
+/**
+ * Returns the wall-clock hour and minute of a moment in the given time zone
+ * 
+ * @param {Date} date - The moment to convert
+ * @param {string} timeZone - IANA time zone name (e.g., Europe/Paris)
+ * @returns {Object} - { hour, minute }
+ */
+function getLocalTime(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  
+  return {
+    hour: Number(parts.find(part => part.type === 'hour').value),
+    minute: Number(parts.find(part => part.type === 'minute').value)
+  };
+}
+
+/**
+ * Checks whether a moment falls inside the user's quiet hours
+ * Quiet hours may wrap past midnight (e.g., 22:00-07:00); the end time is exclusive
+ * 
+ * @param {Object} preferences - Normalized notification preferences
+ * @param {Date} now - The moment to check
+ * @returns {boolean} - True when emails should be held back
+ */
+function isWithinQuietHours(preferences, now) {
+  if (!preferences.quietHoursEnabled || !preferences.quietHoursStart || !preferences.quietHoursEnd) {
+    return false;
+  }
+  
+  const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+  const { hour, minute } = getLocalTime(now, preferences.timeZone);
+  const current = hour * 60 + minute;
+  const start = toMinutes(preferences.quietHoursStart);
+  const end = toMinutes(preferences.quietHoursEnd);
+  
+  return start <= end
+    ? current >= start && current < end
+    : current >= start || current < end;
+}
+
+/**
+ * Decides how a notification is delivered under the recipient's preferences
+ * - suppress: the team is muted, nothing is stored or sent
+ * - inbox: the action's emails are switched off, stored in the inbox only
+ * - defer: stored in the inbox, email held back for the digest job
+ * - instant: stored in the inbox and emailed right away
+ * 
+ * @param {Object} preferences - Normalized notification preferences
+ * @param {Object} metadata - Notification metadata (action, teamId)
+ * @param {Date} now - Current time
+ * @returns {string} - 'suppress', 'inbox', 'defer' or 'instant'
+ */
+function resolveDelivery(preferences, metadata, now) {
+  if (metadata.teamId && preferences.mutedTeamIds.includes(metadata.teamId)) {
+    return 'suppress';
+  }
+  if (metadata.action && preferences.disabledActions.includes(metadata.action)) {
+    return 'inbox';
+  }
+  if (preferences.deliveryMode === 'digest' || isWithinQuietHours(preferences, now)) {
+    return 'defer';
+  }
+  return 'instant';
+}
+
+/**
+ * Publishes a notification to the SNS topic
+ * recipientId and action are set as message attributes so topic subscribers can filter on them
+ * 
+ * @param {string} subject - The notification subject
+ * @param {string} message - The notification message
+ * @param {string} recipientId - The user ID to send notification to
+ * @param {Object} metadata - Additional metadata for the notification
+ */
+async function publishNotification(subject, message, recipientId, metadata = {}) {
+  // SNS rejects attributes with empty values, so only set the ones we have
+  const messageAttributes = {};
+  if (recipientId) {
+    messageAttributes.recipientId = { DataType: 'String', StringValue: recipientId };
+  }
+  if (metadata.action) {
+    messageAttributes.action = { DataType: 'String', StringValue: metadata.action };
+  }
+  
+  await snsClient.send(new PublishCommand({
+    TopicArn: process.env.SNS_TOPIC_ARN,
+    Subject: subject,
+    Message: JSON.stringify({
+      recipientId: recipientId,
+      message: message,
+      metadata: metadata,
+      timestamp: new Date().toISOString()
+    }),
+    MessageAttributes: messageAttributes
+  }));
+}
+
 /**
  * Sends notifications via SNS
  * Used to notify users about important events like task assignments, status changes, etc.
- * Failures are logged but don't stop the main operation
+ * The recipient's notification preferences are checked first: muted teams are dropped,
+ * switched-off actions only reach the inbox, and digest mode or quiet hours hold the
+ * email back for deliverPendingNotifications. Each delivered notification is also saved to the
+ * recipient's in-app inbox. Failures are logged but don't stop the main operation
  * 
  * @param {string} subject - The notification subject
  * @param {string} message - The notification message
@@ -270,19 +873,40 @@ async function validateTeamMembership(teamId, userId, requiredRole = null) {
  * @param {Object} metadata - Additional metadata for the notification
  */
 async function sendNotification(subject, message, recipientId, metadata = {}) {
-  try {
-    const params = {
-      TopicArn: process.env.SNS_TOPIC_ARN,
-      Subject: subject,
-      Message: JSON.stringify({
-        recipientId: recipientId,
-        message: message,
-        metadata: metadata,
-        timestamp: new Date().toISOString()
-      })
-    };
+  if (recipientId) {
+    let delivery = 'instant';
+    try {
+      const preferences = await loadNotificationPreferences(recipientId);
+      delivery = resolveDelivery(preferences, metadata, new Date());
+    } catch (error) {
+      // Without preferences, fall back to instant delivery
+      logError('LOAD_NOTIFICATION_PREFERENCES', error, { recipientId });
+    }
+    
+    if (delivery === 'suppress') {
+      console.log('[SEND_NOTIFICATION] Skipped by recipient preferences:', { subject, recipientId, action: metadata.action });
+      return;
+    }
+    
+    try {
+      await saveNotification(subject, message, recipientId, metadata, delivery === 'defer');
+      if (delivery === 'defer') {
+        console.log('[SEND_NOTIFICATION] Email deferred by recipient preferences:', { subject, recipientId });
+        return;
+      }
+    } catch (error) {
+      // The SNS delivery below still goes ahead, even for deferred emails, so nothing is lost
+      logError('SAVE_NOTIFICATION', error, { subject, recipientId });
+    }
     
-    await snsClient.send(new PublishCommand(params));
+    if (delivery === 'inbox') {
+      console.log('[SEND_NOTIFICATION] Email switched off by recipient preferences:', { subject, recipientId, action: metadata.action });
+      return;
+    }
+  }
+  
+  try {
+    await publishNotification(subject, message, recipientId, metadata);
     logSuccess('SEND_NOTIFICATION', 'Notification sent successfully', { subject, recipientId });
   } catch (error) {
     // Log error but don't fail the main operation
@@ -292,26 +916,639 @@ async function sendNotification(subject, message, recipientId, metadata = {}) {
 }
 
 /**
- * Main Lambda handler function
- * This is the entry point for all GraphQL operations
- * It extracts the operation type and user identity, then routes to the appropriate handler
+ * Lists the tracked fields that differ between two versions of a task
+ * Missing and empty values are both stored as null
  * 
- * @param {Object} event - The Lambda event object containing GraphQL context
- * @returns {*} - The result of the GraphQL operation
+ * @param {Object} before - Task before the change (or null when created)
+ * @param {Object} after - Task after the change (or null when deleted)
+ * @returns {Array} - [{ field, before, after }] for every changed field
  */
-exports.handler = async (event) => {
-  console.log('Lambda invocation started:', {
-    timestamp: new Date().toISOString(),
-    event: JSON.stringify(event, null, 2)
-  });
+function diffTaskFields(before, after) {
+  return diffFields(before, after, TRACKED_TASK_FIELDS);
+}
+
+/**
+ * Lists the given fields that differ between two versions of a record
+ * 
+ * @param {Object} before - Record before the change (or null when created)
+ * @param {Object} after - Record after the change (or null when deleted)
+ * @param {Array} fields - Attribute names to compare
+ * @returns {Array} - [{ field, before, after }] for every changed field
+ */
+function diffFields(before, after, fields) {
+  const valueOf = (record, field) => (record && record[field] != null && record[field] !== '' ? String(record[field]) : null);
+  
+  return fields
+    .map(field => ({ field, before: valueOf(before, field), after: valueOf(after, field) }))
+    .filter(change => change.before !== change.after);
+}
+
+/**
+ * Appends an event to a task's history
+ * Events share the team partition with an ID of "<taskId>#<createdAt>#<uuid>", and the
+ * conditional put means an existing event is never overwritten. History is kept when a
+ * task is deleted, but deleteTeam removes the whole partition along with the team. Like
+ * notifications, failures are logged but don't undo the change that was already made
+ * 
+ * @param {string} teamId - ID of the task's team
+ * @param {string} taskId - ID of the task
+ * @param {string} action - What happened (created, status_changed, updated, reassigned, deleted, comment_*)
+ * @param {string} actorId - ID of the user who made the change
+ * @param {Array} changes - Field-level changes from diffTaskFields
+ * @param {Object} extra - Additional attributes for the event (e.g., commentId)
+ */
+async function recordTaskHistory(teamId, taskId, action, actorId, changes = [], extra = {}) {
+  const createdAt = new Date().toISOString();
+  
+  try {
+    await dynamodb.send(new PutCommand({
+      TableName: process.env.DYNAMODB_TASK_HISTORY_TABLE,
+      Item: {
+        ...extra,
+        teamId,
+        historyId: `${taskId}#${createdAt}#${uuidv4()}`,
+        taskId,
+        action,
+        actorId,
+        changes,
+        createdAt
+      },
+      ConditionExpression: 'attribute_not_exists(historyId)'
+    }));
+  } catch (error) {
+    logError('RECORD_TASK_HISTORY', error, { teamId, taskId, action, actorId });
+  }
+}
+
+/**
+ * Appends an entry to a team's audit log
+ * Entries are keyed "<createdAt>#<uuid>" within the team partition so date ranges are key
+ * conditions. Nothing updates or deletes them - deleteTeam leaves the team's entries in place.
+ * As with task history, failures are logged but don't undo the change that was already made
+ * 
+ * @param {string} teamId - ID of the team the action happened in
+ * @param {string} action - One of AUDIT_ACTIONS
+ * @param {string} actorId - ID of the user who performed the action
+ * @param {Object} target - What the action applied to: targetType, targetId, and targetName or targetUserId
+ * @param {Array} changes - Field-level changes ([{ field, before, after }])
+ * @param {string} details - Optional free-text context (e.g., how many tasks were reassigned)
+ */
+async function recordAuditEvent(teamId, action, actorId, target = {}, changes = [], details = null) {
+  const createdAt = new Date().toISOString();
   
   try {
-    let fieldName, args, identity;
+    await dynamodb.send(new PutCommand({
+      TableName: process.env.DYNAMODB_AUDIT_LOG_TABLE,
+      Item: {
+        teamId,
+        auditId: `${createdAt}#${uuidv4()}`,
+        action,
+        actorId,
+        targetType: target.targetType || null,
+        targetId: target.targetId || null,
+        targetName: target.targetName || null,
+        targetUserId: target.targetUserId || null,
+        changes,
+        details,
+        createdAt
+      },
+      ConditionExpression: 'attribute_not_exists(auditId)'
+    }));
+  } catch (error) {
+    logError('RECORD_AUDIT_EVENT', error, { teamId, action, actorId });
+  }
+}
+
+/**
+ * Runs a DynamoDB query and follows LastEvaluatedKey until every page is read
+ * A single QueryCommand stops at 1 MB of data, so callers that need the full result set use this
+ *
+ * @param {Object} params - QueryCommand parameters
+ * @returns {Array} - All items matching the query
+ */
+async function queryAllItems(params) {
+  const items = [];
+  let exclusiveStartKey;
+
+  do {
+    const result = await dynamodb.send(new QueryCommand({
+      ...params,
+      ExclusiveStartKey: exclusiveStartKey
+    }));
+    items.push(...(result.Items || []));
+    exclusiveStartKey = result.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  return items;
+}
+
+/**
+ * Runs a DynamoDB query like queryAllItems, but stops reading once more than maxItems match
+ *
+ * @param {Object} params - QueryCommand parameters
+ * @param {number} maxItems - Most items the caller accepts
+ * @returns {Array|null} - All items matching the query, or null when there are more than maxItems
+ */
+async function queryAllItemsUpTo(params, maxItems) {
+  const items = [];
+  let exclusiveStartKey;
+
+  do {
+    const result = await dynamodb.send(new QueryCommand({
+      ...params,
+      ExclusiveStartKey: exclusiveStartKey
+    }));
+    items.push(...(result.Items || []));
+    if (items.length > maxItems) {
+      return null;
+    }
+    exclusiveStartKey = result.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  return items;
+}
+
+/**
+ * Reads one page of a filtered query, following LastEvaluatedKey until the page is full
+ * A FilterExpression runs after Limit is applied, so a single QueryCommand can return few or
+ * no matches. This keeps reading until limit matches are found (or MAX_FILL_QUERIES pages were
+ * read) and rebuilds the start key of the next page from the last item it returns
+ *
+ * @param {Object} params - QueryCommand parameters, without Limit and ExclusiveStartKey
+ * @param {number} limit - Page size
+ * @param {Object} exclusiveStartKey - Start key from the previous page, or undefined
+ * @param {Array} keyAttributes - Attributes that make up a start key for the table or index queried
+ * @returns {Object} - { items, lastEvaluatedKey } where lastEvaluatedKey is undefined on the last page
+ */
+async function queryFilledPage(params, limit, exclusiveStartKey, keyAttributes) {
+  const items = [];
+  let startKey = exclusiveStartKey;
+  
+  for (let reads = 0; reads < MAX_FILL_QUERIES; reads++) {
+    const result = await dynamodb.send(new QueryCommand({
+      ...params,
+      Limit: limit,
+      ExclusiveStartKey: startKey
+    }));
+    items.push(...(result.Items || []));
+    startKey = result.LastEvaluatedKey;
     
-    // Extract operation details from various possible event structures
-    // Different GraphQL setups may structure the event differently
-    if (event.info && event.info.fieldName) {
-      // AppSync direct resolver format
+    if (items.length >= limit) {
+      // Cut the page at limit items and continue right after the last one returned
+      const page = items.slice(0, limit);
+      const last = page[page.length - 1];
+      const moreRead = items.length > limit;
+      return {
+        items: page,
+        lastEvaluatedKey: moreRead || startKey
+          ? Object.fromEntries(keyAttributes.map(attribute => [attribute, last[attribute]]))
+          : undefined
+      };
+    }
+    if (!startKey) {
+      break;
+    }
+  }
+  
+  return { items, lastEvaluatedKey: startKey };
+}
+
+/**
+ * Deletes every item in a team's partition of a table keyed by teamId
+ * Works one query page at a time so large teams don't load everything into memory
+ *
+ * @param {string} tableName - Table to delete from
+ * @param {string} teamId - Partition to empty
+ * @param {string} sortKeyName - The table's sort key attribute
+ * @returns {number} - Number of items deleted
+ */
+async function deleteTeamPartition(tableName, teamId, sortKeyName) {
+  let deleted = 0;
+  let exclusiveStartKey;
+  
+  do {
+    const page = await dynamodb.send(new QueryCommand({
+      TableName: tableName,
+      KeyConditionExpression: 'teamId = :teamId',
+      ProjectionExpression: 'teamId, #sortKey',
+      ExpressionAttributeNames: {
+        '#sortKey': sortKeyName
+      },
+      ExpressionAttributeValues: {
+        ':teamId': teamId
+      },
+      ExclusiveStartKey: exclusiveStartKey
+    }));
+    
+    deleted += await batchDeleteItems(tableName, page.Items || []);
+    exclusiveStartKey = page.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+  
+  return deleted;
+}
+
+/**
+ * Sends write requests (PutRequest or DeleteRequest) in BatchWriteItem chunks of 25
+ * Unprocessed items returned by DynamoDB are retried with exponential backoff
+ *
+ * @param {string} tableName - Table to write to
+ * @param {Array} requests - BatchWriteItem write requests
+ * @param {string} verb - What the requests do, for the error message (e.g., 'deleted')
+ */
+async function batchWriteRequests(tableName, requests, verb) {
+  for (let i = 0; i < requests.length; i += BATCH_WRITE_LIMIT) {
+    let requestItems = {
+      [tableName]: requests.slice(i, i + BATCH_WRITE_LIMIT)
+    };
+
+    for (let attempt = 0; ; attempt++) {
+      const result = await dynamodb.send(new BatchWriteCommand({ RequestItems: requestItems }));
+      const unprocessed = result.UnprocessedItems?.[tableName];
+
+      if (!unprocessed || unprocessed.length === 0) {
+        break;
+      }
+      if (attempt >= BATCH_MAX_RETRIES) {
+        throw new Error(`${unprocessed.length} item(s) in ${tableName} could not be ${verb} after ${BATCH_MAX_RETRIES} retries`);
+      }
+
+      console.warn(`[BATCH_WRITE] Retrying ${unprocessed.length} unprocessed item(s) in ${tableName}, attempt ${attempt + 1}`);
+      await new Promise(resolve => setTimeout(resolve, 100 * 2 ** attempt));
+      requestItems = { [tableName]: unprocessed };
+    }
+  }
+}
+
+/**
+ * Deletes items by key in BatchWriteItem chunks of 25
+ * Deletes are idempotent, so a caller that fails part-way can simply run again
+ *
+ * @param {string} tableName - Table to delete from
+ * @param {Array} keys - Primary keys of the items to delete
+ * @returns {number} - Number of delete requests processed
+ */
+async function batchDeleteItems(tableName, keys) {
+  await batchWriteRequests(tableName, keys.map(key => ({ DeleteRequest: { Key: key } })), 'deleted');
+  return keys.length;
+}
+
+/**
+ * Writes whole items in BatchWriteItem chunks of 25, replacing any item with the same key
+ *
+ * @param {string} tableName - Table to write to
+ * @param {Array} items - Items to put
+ * @returns {number} - Number of put requests processed
+ */
+async function batchPutItems(tableName, items) {
+  await batchWriteRequests(tableName, items.map(item => ({ PutRequest: { Item: item } })), 'written');
+  return items.length;
+}
+
+/**
+ * Fetches items by key in BatchGetItem chunks of 100
+ * Unprocessed keys are retried with exponential backoff; keys must already be unique
+ *
+ * @param {string} tableName - Table to read from
+ * @param {Array} keys - Primary keys of the items to load
+ * @param {string} itemLabel - What the items are, for the error message (e.g., 'user')
+ * @returns {Array} - Every item that exists, in no particular order
+ */
+async function batchGetItems(tableName, keys, itemLabel) {
+  const items = [];
+
+  for (let i = 0; i < keys.length; i += BATCH_GET_LIMIT) {
+    let requestItems = {
+      [tableName]: { Keys: keys.slice(i, i + BATCH_GET_LIMIT) }
+    };
+
+    for (let attempt = 0; ; attempt++) {
+      const result = await dynamodb.send(new BatchGetCommand({ RequestItems: requestItems }));
+      items.push(...(result.Responses?.[tableName] || []));
+
+      const unprocessed = result.UnprocessedKeys?.[tableName];
+      if (!unprocessed || unprocessed.Keys.length === 0) {
+        break;
+      }
+      if (attempt >= BATCH_MAX_RETRIES) {
+        throw new Error(`${unprocessed.Keys.length} ${itemLabel}(s) could not be loaded after ${BATCH_MAX_RETRIES} retries`);
+      }
+
+      console.warn(`[BATCH_GET_ITEMS] Retrying ${unprocessed.Keys.length} unprocessed ${itemLabel} key(s), attempt ${attempt + 1}`);
+      await new Promise(resolve => setTimeout(resolve, 100 * 2 ** attempt));
+      requestItems = { [tableName]: unprocessed };
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Fetches user records by ID, collapsing duplicate IDs
+ *
+ * @param {Array} userIds - User IDs to load (may contain duplicates)
+ * @returns {Map} - userId -> user record for every user that exists
+ */
+async function batchGetUsers(userIds) {
+  const uniqueIds = [...new Set(userIds)];
+  const users = await batchGetItems(process.env.DYNAMODB_USERS_TABLE, uniqueIds.map(userId => ({ userId })), 'user');
+  return new Map(users.map(user => [user.userId, user]));
+}
+
+/**
+ * Fetches tasks of one team by ID, collapsing duplicate IDs
+ *
+ * @param {string} teamId - Team the tasks belong to
+ * @param {Array} taskIds - Task IDs to load (may contain duplicates)
+ * @returns {Map} - taskId -> task record for every task that exists
+ */
+async function batchGetTasks(teamId, taskIds) {
+  const uniqueIds = [...new Set(taskIds)];
+  const tasks = await batchGetItems(process.env.DYNAMODB_TASKS_TABLE, uniqueIds.map(taskId => ({ teamId, taskId })), 'task');
+  return new Map(tasks.map(task => [task.taskId, task]));
+}
+
+/**
+ * Search index store on the SearchIndex table (see search_index.js for the interface)
+ * Postings live in the team's partition under their termKey; the team's task count is the
+ * item with termKey STATS_KEY
+ */
+const searchIndexStore = {
+  async queryPostings(teamId, keyPrefix, limit) {
+    const params = {
+      TableName: process.env.DYNAMODB_SEARCH_INDEX_TABLE,
+      KeyConditionExpression: 'teamId = :teamId AND begins_with(termKey, :keyPrefix)',
+      ExpressionAttributeValues: {
+        ':teamId': teamId,
+        ':keyPrefix': keyPrefix
+      }
+    };
+    if (!limit) {
+      return queryAllItems(params);
+    }
+    
+    // Limit each page to what is still missing, so no read goes past limit postings
+    const items = [];
+    let exclusiveStartKey;
+    do {
+      const result = await dynamodb.send(new QueryCommand({
+        ...params,
+        Limit: limit - items.length,
+        ExclusiveStartKey: exclusiveStartKey
+      }));
+      items.push(...(result.Items || []));
+      exclusiveStartKey = result.LastEvaluatedKey;
+    } while (exclusiveStartKey && items.length < limit);
+    return items;
+  },
+  
+  async getDocCount(teamId) {
+    const result = await dynamodb.send(new GetCommand({
+      TableName: process.env.DYNAMODB_SEARCH_INDEX_TABLE,
+      Key: { teamId, termKey: STATS_KEY }
+    }));
+    return result.Item?.docCount || 0;
+  },
+  
+  async writePostings(teamId, { put = [], remove = [], docCountDelta = 0, docCount }) {
+    const tableName = process.env.DYNAMODB_SEARCH_INDEX_TABLE;
+    await batchPutItems(tableName, put.map(posting => ({ teamId, ...posting })));
+    await batchDeleteItems(tableName, remove.map(termKey => ({ teamId, termKey })));
+    
+    if (docCount !== undefined || docCountDelta !== 0) {
+      // A decrement never creates the stats item, so tasks of a deleted team that the stream
+      // removes after deleteTeam leave nothing behind
+      const decrement = docCount === undefined && docCountDelta < 0;
+      try {
+        await dynamodb.send(new UpdateCommand({
+          TableName: tableName,
+          Key: { teamId, termKey: STATS_KEY },
+          UpdateExpression: docCount !== undefined ? 'SET docCount = :count' : 'ADD docCount :count',
+          ...(decrement && { ConditionExpression: 'attribute_exists(termKey)' }),
+          ExpressionAttributeValues: {
+            ':count': docCount !== undefined ? docCount : docCountDelta
+          }
+        }));
+      } catch (error) {
+        if (!decrement || error.name !== 'ConditionalCheckFailedException') {
+          throw error;
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Validates the optional limit argument of a paginated query
+ * Falls back to DEFAULT_PAGE_SIZE when no limit is given
+ *
+ * @param {number} limit - Requested page size
+ * @returns {number} - Page size to pass to DynamoDB
+ * @throws {ValidationError} - If limit is not an integer between 1 and MAX_PAGE_SIZE
+ */
+function resolvePageSize(limit) {
+  if (limit === undefined || limit === null) {
+    return DEFAULT_PAGE_SIZE;
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new ValidationError(`Limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  return limit;
+}
+
+/**
+ * Encodes a DynamoDB LastEvaluatedKey as an opaque nextToken for the client
+ *
+ * @param {Object} lastEvaluatedKey - Key returned by the previous query page
+ * @returns {string|null} - Base64 token, or null when there are no more pages
+ */
+function encodeNextToken(lastEvaluatedKey) {
+  if (!lastEvaluatedKey) {
+    return null;
+  }
+  return Buffer.from(JSON.stringify(lastEvaluatedKey)).toString('base64');
+}
+
+/**
+ * Decodes a nextToken back into an ExclusiveStartKey
+ * The decoded key must belong to the same partition the caller is querying, so a token
+ * issued for one team (or user) cannot be replayed against another
+ *
+ * @param {string} nextToken - Token returned by a previous page
+ * @param {Object} expected - Attribute values the decoded key must contain
+ * @returns {Object|undefined} - ExclusiveStartKey, or undefined for the first page
+ * @throws {ValidationError} - If the token is malformed or does not match the query
+ */
+function decodeNextToken(nextToken, expected) {
+  if (!nextToken) {
+    return undefined;
+  }
+
+  let key;
+  try {
+    key = JSON.parse(Buffer.from(nextToken, 'base64').toString('utf8'));
+  } catch (error) {
+    throw new ValidationError('Invalid pagination token');
+  }
+
+  const matches = key && typeof key === 'object' &&
+    Object.entries(expected).every(([attribute, value]) => key[attribute] === value);
+  if (!matches) {
+    throw new ValidationError('Invalid pagination token');
+  }
+
+  return key;
+}
+
+/**
+ * Lists the user IDs of every admin in a team
+ * Used to enforce the rule that a team always keeps at least one admin
+ *
+ * @param {string} teamId - The team to inspect
+ * @returns {Array} - User IDs of the team's admins
+ */
+async function getTeamAdminIds(teamId) {
+  const members = await queryAllItems({
+    TableName: process.env.DYNAMODB_MEMBERSHIPS_TABLE,
+    KeyConditionExpression: 'teamId = :teamId',
+    ExpressionAttributeValues: {
+      ':teamId': teamId
+    }
+  });
+
+  return members.filter(member => member.role === 'admin').map(member => member.userId);
+}
+
+/**
+ * Resolves User-typed fields (Task.assignee and the others in USER_FIELD_SOURCES) for a batch
+ * AppSync groups the field resolutions of a whole list into one invocation, so every user
+ * referenced by the batch is loaded with a single BatchGetItem instead of one lookup per row.
+ * The parent object was already authorized by the query that returned it
+ *
+ * @param {Array} events - BatchInvoke events, one per field to resolve
+ * @returns {Array} - User records (or null) in the same order as the events
+ */
+async function resolveUserFields(events) {
+  console.log('[RESOLVE_USER_FIELDS] Starting batch:', { size: events.length });
+  
+  try {
+    const userIds = events.map(event => {
+      if (!event.identity) {
+        throw new AuthorizationError('Authentication required - missing user identity');
+      }
+      
+      const fieldKey = `${event.info?.parentTypeName}.${event.info?.fieldName}`;
+      const sourceAttribute = USER_FIELD_SOURCES[fieldKey];
+      if (!sourceAttribute) {
+        throw new ValidationError(`Unsupported batch field: ${fieldKey}`);
+      }
+      return event.source?.[sourceAttribute] || null;
+    });
+    
+    const users = await batchGetUsers(userIds.filter(Boolean));
+    
+    logSuccess('RESOLVE_USER_FIELDS', 'User fields resolved successfully', {
+      size: events.length,
+      usersFound: users.size
+    });
+    
+    // Unknown IDs (e.g. users who never signed in after the Users table was added) resolve to null
+    return userIds.map(id => (id && users.get(id)) || null);
+    
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthorizationError) {
+      throw error;
+    }
+    logError('RESOLVE_USER_FIELDS', error, { size: events.length });
+    throw new Error(`Failed to resolve users: ${error.message}`);
+  }
+}
+
+/**
+ * Resolves Task-list fields (Task.blockers and Task.blockedTasks) for a batch
+ * Linked tasks always belong to the parent's team, so the parent's authorization covers them.
+ * Every task referenced by the batch is loaded with one BatchGetItem per team
+ *
+ * @param {Array} events - BatchInvoke events, one per field to resolve
+ * @returns {Array} - Lists of task records in the same order as the events
+ */
+async function resolveTaskFields(events) {
+  console.log('[RESOLVE_TASK_FIELDS] Starting batch:', { size: events.length });
+  
+  try {
+    const links = events.map(event => {
+      if (!event.identity) {
+        throw new AuthorizationError('Authentication required - missing user identity');
+      }
+      
+      const fieldKey = `${event.info?.parentTypeName}.${event.info?.fieldName}`;
+      const sourceAttribute = TASK_FIELD_SOURCES[fieldKey];
+      if (!sourceAttribute) {
+        throw new ValidationError(`Unsupported batch field: ${fieldKey}`);
+      }
+      return { teamId: event.source?.teamId, taskIds: event.source?.[sourceAttribute] || [] };
+    });
+    
+    // A batch can span teams when a query returns tasks from several of them
+    const taskIdsByTeam = new Map();
+    links.forEach(({ teamId, taskIds }) => {
+      if (taskIds.length > 0) {
+        taskIdsByTeam.set(teamId, [...(taskIdsByTeam.get(teamId) || []), ...taskIds]);
+      }
+    });
+    const tasksByTeam = new Map();
+    for (const [teamId, taskIds] of taskIdsByTeam) {
+      tasksByTeam.set(teamId, await batchGetTasks(teamId, taskIds));
+    }
+    
+    logSuccess('RESOLVE_TASK_FIELDS', 'Task fields resolved successfully', {
+      size: events.length,
+      teams: tasksByTeam.size
+    });
+    
+    // Links to tasks deleted in the meantime are skipped
+    return links.map(({ teamId, taskIds }) => taskIds
+      .map(taskId => tasksByTeam.get(teamId)?.get(taskId))
+      .filter(Boolean));
+    
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthorizationError) {
+      throw error;
+    }
+    logError('RESOLVE_TASK_FIELDS', error, { size: events.length });
+    throw new Error(`Failed to resolve tasks: ${error.message}`);
+  }
+}
+
+/**
+ * Main Lambda handler function
+ * This is the entry point for all GraphQL operations
+ * It extracts the operation type and user identity, then routes to the appropriate handler
+ * 
+ * @param {Object} event - The Lambda event object containing GraphQL context
+ * @returns {*} - The result of the GraphQL operation
+ */
+exports.handler = async (event) => {
+  console.log('Lambda invocation started:', {
+    timestamp: new Date().toISOString(),
+    event: JSON.stringify(event, null, 2)
+  });
+  
+  // AppSync BatchInvoke sends field resolver events as an array and expects an array back
+  // Each batch holds a single field, so the first event says which resolver applies
+  if (Array.isArray(event)) {
+    const fieldKey = `${event[0]?.info?.parentTypeName}.${event[0]?.info?.fieldName}`;
+    return TASK_FIELD_SOURCES[fieldKey] ? await resolveTaskFields(event) : await resolveUserFields(event);
+  }
+  
+  // Declared outside the try so the catch block can log them
+  let fieldName, args, identity, userId;
+  
+  try {
+    
+    // Extract operation details from various possible event structures
+    // Different GraphQL setups may structure the event differently
+    if (event.info && event.info.fieldName) {
+      // AppSync direct resolver format
       fieldName = event.info.fieldName;
       args = event.arguments || {};
       identity = event.identity;
@@ -350,7 +1587,6 @@ exports.handler = async (event) => {
     }
     
     // Extract and normalize user ID from the identity
-    let userId;
     try {
       userId = normalizeUserId(identity);
       console.log(`[HANDLER] Normalized user ID: ${userId}`);
@@ -379,6 +1615,33 @@ exports.handler = async (event) => {
       case 'addMember':
         result = await addMember(args, userId, userGroups);
         break;
+      case 'removeMember':
+        result = await removeMember(args, userId, userGroups);
+        break;
+      case 'updateMemberRole':
+        result = await updateMemberRole(args, userId, userGroups);
+        break;
+      case 'updateTeam':
+        result = await updateTeam(args, userId, userGroups);
+        break;
+      case 'updateTeamWorkflow':
+        result = await updateTeamWorkflow(args, userId, userGroups);
+        break;
+      case 'createLabel':
+        result = await createLabel(args, userId, userGroups);
+        break;
+      case 'updateLabel':
+        result = await updateLabel(args, userId, userGroups);
+        break;
+      case 'deleteLabel':
+        result = await deleteLabel(args, userId, userGroups);
+        break;
+      case 'archiveTeam':
+        result = await archiveTeam(args, userId, userGroups);
+        break;
+      case 'deleteTeam':
+        result = await deleteTeam(args, userId, userGroups);
+        break;
       case 'createTask':
         result = await createTask(args, userId, userGroups);
         break;
@@ -391,15 +1654,85 @@ exports.handler = async (event) => {
       case 'deleteTask':
         result = await deleteTask(args, userId, userGroups);
         break;
+      case 'addChecklistItem':
+        result = await addChecklistItem(args, userId, userGroups);
+        break;
+      case 'toggleChecklistItem':
+        result = await toggleChecklistItem(args, userId, userGroups);
+        break;
+      case 'reorderChecklistItems':
+        result = await reorderChecklistItems(args, userId, userGroups);
+        break;
+      case 'removeChecklistItem':
+        result = await removeChecklistItem(args, userId, userGroups);
+        break;
+      case 'linkTaskDependency':
+        result = await linkTaskDependency(args, userId, userGroups);
+        break;
+      case 'unlinkTaskDependency':
+        result = await unlinkTaskDependency(args, userId, userGroups);
+        break;
       case 'listTeams':
-        result = await listTeams(userId);
+        result = await listTeams(userId, args);
+        break;
+      case 'getTask':
+        result = await getTask(args, userId, userGroups);
         break;
       case 'listTasks':
         result = await listTasks(args, userId, userGroups);
         break;
+      case 'taskCounts':
+        result = await taskCounts(args, userId, userGroups);
+        break;
       case 'searchTasks':
         result = await searchTasks(args, userId, userGroups);
         break;
+      case 'searchTaskHits':
+        result = await searchTaskHits(args, userId, userGroups);
+        break;
+      case 'searchAllTeams':
+        result = await searchAllTeams(args, userId);
+        break;
+      case 'listMyTasks':
+        result = await listMyTasks(args, userId, userGroups);
+        break;
+      case 'onTaskChanged':
+      case 'onMembershipChanged':
+        result = await authorizeTeamSubscription(fieldName, args, userId);
+        break;
+      case 'listNotifications':
+        result = await listNotifications(args, userId);
+        break;
+      case 'markNotificationRead':
+        result = await markNotificationRead(args, userId);
+        break;
+      case 'markAllNotificationsRead':
+        result = await markAllNotificationsRead(userId);
+        break;
+      case 'getNotificationPreferences':
+        result = await getNotificationPreferences(userId);
+        break;
+      case 'updateNotificationPreferences':
+        result = await updateNotificationPreferences(args, userId);
+        break;
+      case 'listComments':
+        result = await listComments(args, userId, userGroups);
+        break;
+      case 'addComment':
+        result = await addComment(args, userId, userGroups);
+        break;
+      case 'editComment':
+        result = await editComment(args, userId, userGroups);
+        break;
+      case 'deleteComment':
+        result = await deleteComment(args, userId, userGroups);
+        break;
+      case 'taskHistory':
+        result = await taskHistory(args, userId, userGroups);
+        break;
+      case 'auditLog':
+        result = await auditLog(args, userId, userGroups);
+        break;
       case 'listMembers':
         result = await listMembers(args, userId, userGroups);
         break;
@@ -445,36 +1778,545 @@ exports.handler = async (event) => {
 };
 
 /**
- * Creates a new team with the requesting user as admin
- * This operation uses a DynamoDB transaction to ensure both team and membership records are created atomically
+ * Records that a deadline notification was sent for a task's current deadline
+ * The marker holds the deadline it was sent for, so changing the deadline re-arms it.
+ * The conditional write doubles as a claim: when two runs overlap only one of them
+ * gets true back, and completed or re-scheduled tasks are never claimed
  * 
- * @param {Object} args - GraphQL arguments containing team details
- * @param {string} userId - ID of the user creating the team
- * @param {Array} userGroups - Cognito groups the user belongs to
- * @returns {Object} - The created team with user role information
+ * @param {Object} task - Task item from the Tasks table
+ * @param {string} marker - Attribute name (reminderSentFor or escalationSentFor)
+ * @returns {boolean} - True when this run claimed the notification
  */
-async function createTeam(args, userId, userGroups) {
-  console.log('[CREATE_TEAM] Starting team creation:', { args, userId });
-  
-  // Validate required fields
-  validateRequired(args?.name, 'Team name');
-  validateLength(args.name, 'Team name', 1, 100);
+async function claimDeadlineMarker(task, marker) {
+  try {
+    await dynamodb.send(new UpdateCommand({
+      TableName: process.env.DYNAMODB_TASKS_TABLE,
+      Key: { teamId: task.teamId, taskId: task.taskId },
+      UpdateExpression: 'SET #marker = :deadline',
+      ConditionExpression: `deadline = :deadline AND ${OPEN_TASK_FILTER} AND (attribute_not_exists(#marker) OR #marker <> :deadline)`,
+      ExpressionAttributeNames: {
+        '#marker': marker,
+        '#status': 'status'
+      },
+      ExpressionAttributeValues: {
+        ':deadline': task.deadline,
+        ...OPEN_TASK_FILTER_VALUES
+      }
+    }));
+    return true;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Scheduled entry point for deadline reminders and overdue escalations
+ * Runs from EventBridge. Every task that is not done and is due within the reminder
+ * window (or already overdue) gets one reminder to its assignee; overdue tasks also get one
+ * escalation to the team admins. reminderSentFor/escalationSentFor markers on the task
+ * stop later runs from repeating them until the deadline changes.
+ * 
+ * Tasks are read per active team from teamId-deadline-index, which only holds tasks with a
+ * deadline. A run reads the Teams table plus, for each active team, its tasks due before the
+ * window ends; done tasks among them are read and then filtered out, so the cost grows with a
+ * team's past deadlines rather than with the whole Tasks table. Teams that are being
+ * deleted are skipped, and a team that fails is logged and counted without stopping the run.
+ * 
+ * The clock can be fixed for testing by invoking with { "now": "<ISO timestamp>" };
+ * otherwise the EventBridge event time is used. { "windowHours": n } overrides the window
+ * 
+ * @param {Object} event - EventBridge scheduled event or manual invocation payload
+ * @returns {Object} - Counts of teams, scanned tasks, reminders, escalations and failed teams
+ */
+exports.sendDeadlineReminders = async (event = {}) => {
+  const now = new Date(event.now || event.time || Date.now());
+  if (isNaN(now.getTime())) {
+    throw new Error(`Invalid clock value: ${event.now || event.time}`);
+  }
+  const windowHours = Number(event.windowHours ?? process.env.REMINDER_WINDOW_HOURS ?? DEFAULT_REMINDER_WINDOW_HOURS);
+  if (!Number.isFinite(windowHours) || windowHours < 0) {
+    throw new Error(`Invalid reminder window: ${event.windowHours ?? process.env.REMINDER_WINDOW_HOURS}`);
+  }
+  const windowEnd = new Date(now.getTime() + windowHours * 60 * 60 * 1000);
   
-  // Generate unique identifiers and timestamp
-  const teamId = uuidv4();
-  const timestamp = new Date().toISOString();
+  console.log('[DEADLINE_REMINDERS] Starting:', { now: now.toISOString(), windowHours });
   
-  // Create team record
-  const team = {
-    teamId,
-    name: args.name.trim(),
-    adminId: userId,  // The creator becomes the admin
-    createdAt: timestamp
-  };
+  const counts = { teams: 0, scanned: 0, reminders: 0, escalations: 0, failed: 0 };
+  let teamsStartKey;
   
-  // Create membership record for the admin
-  const membership = {
-    teamId,
+  try {
+    do {
+      // Archived teams are read-only, so nobody is chased about their tasks; the tasks of
+      // teams being deleted are about to disappear
+      const teamsPage = await dynamodb.send(new ScanCommand({
+        TableName: process.env.DYNAMODB_TEAMS_TABLE,
+        FilterExpression: '(attribute_not_exists(archived) OR archived = :false) AND attribute_not_exists(deletingAt)',
+        ExpressionAttributeValues: { ':false': false },
+        ExclusiveStartKey: teamsStartKey
+      }));
+      
+      for (const team of teamsPage.Items || []) {
+        counts.teams++;
+        try {
+          await sendTeamDeadlineReminders(team, now, windowEnd, counts);
+        } catch (error) {
+          // Markers are only set once a notification is claimed, so the next run picks up the rest
+          logError('DEADLINE_REMINDERS', error, { teamId: team.teamId });
+          counts.failed++;
+        }
+      }
+      
+      teamsStartKey = teamsPage.LastEvaluatedKey;
+    } while (teamsStartKey);
+    
+    logSuccess('DEADLINE_REMINDERS', 'Deadline reminders sent', counts);
+    
+    return counts;
+    
+  } catch (error) {
+    logError('DEADLINE_REMINDERS', error, counts);
+    throw new Error(`Failed to send deadline reminders: ${error.message}`);
+  }
+};
+
+/**
+ * Sends the due reminders and escalations for one team's tasks
+ * 
+ * @param {Object} team - Team item
+ * @param {Date} now - Current time
+ * @param {Date} windowEnd - End of the reminder window
+ * @param {Object} counts - Run counters, updated in place
+ */
+async function sendTeamDeadlineReminders(team, now, windowEnd, counts) {
+  // Deadlines are ISO strings, so a string comparison finds everything due before the window ends
+  const tasks = await queryAllItems({
+    TableName: process.env.DYNAMODB_TASKS_TABLE,
+    IndexName: 'teamId-deadline-index',
+    KeyConditionExpression: 'teamId = :teamId AND deadline < :windowEnd',
+    FilterExpression: OPEN_TASK_FILTER,
+    ExpressionAttributeNames: {
+      '#status': 'status'
+    },
+    ExpressionAttributeValues: {
+      ...OPEN_TASK_FILTER_VALUES,
+      ':teamId': team.teamId,
+      ':windowEnd': windowEnd.toISOString()
+    }
+  });
+  
+  for (const task of tasks) {
+    counts.scanned++;
+    
+    const deadline = new Date(task.deadline);
+    if (isNaN(deadline.getTime()) || deadline >= windowEnd) {
+      continue;
+    }
+    const overdue = deadline < now;
+    const needsReminder = task.assignedTo && task.reminderSentFor !== task.deadline;
+    const needsEscalation = overdue && task.escalationSentFor !== task.deadline;
+    if (!needsReminder && !needsEscalation) {
+      continue;
+    }
+    
+    const metadata = {
+      taskId: task.taskId,
+      taskTitle: task.title,
+      teamId: task.teamId,
+      teamName: team.name,
+      deadline: task.deadline,
+      status: task.status,
+      overdue
+    };
+    
+    if (needsReminder && await claimDeadlineMarker(task, 'reminderSentFor')) {
+      await sendNotification(
+        overdue ? 'Task Overdue' : 'Task Due Soon',
+        overdue
+          ? `Your task "${task.title}" in team "${team.name}" was due ${task.deadline} and is not completed yet.`
+          : `Your task "${task.title}" in team "${team.name}" is due ${task.deadline}.`,
+        task.assignedTo,
+        { ...metadata, action: 'task_deadline_reminder' }
+      );
+      counts.reminders++;
+    }
+    
+    if (needsEscalation && await claimDeadlineMarker(task, 'escalationSentFor')) {
+      // The assignee already got their own reminder
+      const adminIds = (await getTeamAdminIds(task.teamId)).filter(adminId => adminId !== task.assignedTo);
+      for (const adminId of adminIds) {
+        await sendNotification(
+          'Overdue Task Escalation',
+          `Task "${task.title}" in team "${team.name}" was due ${task.deadline} and is still "${task.status}".`,
+          adminId,
+          { ...metadata, assignedTo: task.assignedTo || null, action: 'task_overdue_escalation' }
+        );
+      }
+      counts.escalations++;
+    }
+  }
+}
+
+/**
+ * Creates the next instance of a recurring task, at most once per task
+ * The new task and the nextInstanceId claim on the current one are written in one transaction,
+ * so a completion and the schedule job racing each other cannot both create it. The same
+ * transaction removes recurrencePendingTeam, which takes the task out of the schedule job's
+ * recurrencePendingTeam-index, and checks that the team is not being deleted, so no instance
+ * is left behind in a partition deleteTeam has already cleared. When the series has ended,
+ * nextInstanceId is set to null and recurrencePendingTeam removed in the same way
+ * 
+ * @param {Object} task - The recurring task whose successor is due
+ * @param {Object} team - The task's team (for the workflow and notification text)
+ * @param {string} actorId - User recorded as the creator (who completed the task, or the series creator)
+ * @param {Date} now - Current time; fixed by the schedule job when testing
+ * @returns {Object|null} - The new task, or null when the series ended or another run created it first
+ */
+async function createNextRecurringInstance(task, team, actorId, now) {
+  const plan = planNextInstance(task, now);
+  
+  if (!plan) {
+    try {
+      await dynamodb.send(new UpdateCommand({
+        TableName: process.env.DYNAMODB_TASKS_TABLE,
+        Key: { teamId: task.teamId, taskId: task.taskId },
+        UpdateExpression: 'SET nextInstanceId = :none REMOVE recurrencePendingTeam',
+        ConditionExpression: 'attribute_exists(taskId) AND attribute_not_exists(nextInstanceId)',
+        ExpressionAttributeValues: { ':none': null }
+      }));
+    } catch (error) {
+      if (error.name !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+    }
+    return null;
+  }
+  
+  // The assignee carries over only while they are still in the team
+  let assignedTo = plan.assignedTo;
+  if (assignedTo) {
+    const assigneeCheck = await dynamodb.send(new GetCommand({
+      TableName: process.env.DYNAMODB_MEMBERSHIPS_TABLE,
+      Key: { teamId: task.teamId, userId: assignedTo }
+    }));
+    if (!assigneeCheck.Item) {
+      assignedTo = null;
+    }
+  }
+  
+  const timestamp = now.toISOString();
+  const [initialStatus] = getTeamWorkflow(team);
+  const instance = {
+    teamId: task.teamId,
+    taskId: uuidv4(),
+    title: plan.title,
+    description: plan.description,
+    assignedTo,
+    status: initialStatus.name,
+    statusCategory: initialStatus.category,
+    priority: plan.priority,
+    deadline: plan.deadline,
+    rank: initialTaskRank(timestamp),
+    labels: task.labels || [],
+    recurrence: plan.recurrence,
+    seriesId: plan.seriesId,
+    occurrence: plan.occurrence,
+    recurrencePendingTeam: task.teamId,  // Until this instance has a next instance of its own
+    createdBy: actorId,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    updatedBy: actorId
+  };
+  
+  try {
+    await dynamodb.send(new TransactWriteCommand({
+      TransactItems: [
+        {
+          ConditionCheck: {
+            TableName: process.env.DYNAMODB_TEAMS_TABLE,
+            Key: { teamId: task.teamId },
+            ConditionExpression: 'attribute_exists(teamId) AND attribute_not_exists(deletingAt)'
+          }
+        },
+        {
+          Put: {
+            TableName: process.env.DYNAMODB_TASKS_TABLE,
+            Item: instance,
+            ConditionExpression: 'attribute_not_exists(taskId)'
+          }
+        },
+        {
+          Update: {
+            TableName: process.env.DYNAMODB_TASKS_TABLE,
+            Key: { teamId: task.teamId, taskId: task.taskId },
+            UpdateExpression: 'SET nextInstanceId = :nextInstanceId REMOVE recurrencePendingTeam',
+            ConditionExpression: 'attribute_exists(taskId) AND attribute_not_exists(nextInstanceId)',
+            ExpressionAttributeValues: { ':nextInstanceId': instance.taskId }
+          }
+        }
+      ]
+    }));
+  } catch (error) {
+    // Already created by another run, or the task or its team was deleted in the meantime
+    if (error.name === 'TransactionCanceledException') {
+      return null;
+    }
+    throw error;
+  }
+  
+  const changes = diffTaskFields(null, instance);
+  await recordTaskHistory(task.teamId, instance.taskId, 'created', actorId, changes, { reason: 'recurring' });
+  await recordAuditEvent(task.teamId, 'task_created', actorId, {
+    targetType: 'task',
+    targetId: instance.taskId,
+    targetName: instance.title
+  }, changes, `Occurrence ${instance.occurrence} of a recurring task`);
+  
+  if (assignedTo) {
+    await sendNotification(
+      'New Task Assignment',
+      `The next "${instance.title}" in team "${team.name}" is due ${instance.deadline}. Priority: ${instance.priority}`,
+      assignedTo,
+      {
+        taskId: instance.taskId,
+        taskTitle: instance.title,
+        teamId: task.teamId,
+        teamName: team.name,
+        priority: instance.priority,
+        deadline: instance.deadline,
+        action: 'task_assigned'
+      }
+    );
+  }
+  
+  logSuccess('CREATE_NEXT_RECURRING_INSTANCE', 'Next recurring instance created', {
+    taskId: task.taskId,
+    nextInstanceId: instance.taskId,
+    deadline: instance.deadline,
+    occurrence: instance.occurrence
+  });
+  
+  return instance;
+}
+
+/**
+ * Scheduled entry point for recurring tasks
+ * Runs from EventBridge. Every recurring task without a next instance gets one once it is
+ * done or its due date has arrived; the new instance carries over the title, description,
+ * priority and assignee. Tasks of archived and deleted teams are left alone.
+ * 
+ * Recurring tasks without a next instance carry recurrencePendingTeam (their teamId), so a
+ * run reads the Teams table plus, per active team, only those tasks from the sparse
+ * recurrencePendingTeam-index - the cost grows with the number of open series, not with
+ * the Tasks table.
+ * 
+ * The clock can be fixed for testing by invoking with { "now": "<ISO timestamp>" };
+ * otherwise the EventBridge event time is used. The same clock and tasks always give
+ * the same instances (apart from their generated IDs)
+ * 
+ * @param {Object} event - EventBridge scheduled event or manual invocation payload
+ * @returns {Object} - Counts of teams, scanned recurring tasks and created instances
+ */
+exports.generateRecurringTasks = async (event = {}) => {
+  const now = new Date(event.now || event.time || Date.now());
+  if (isNaN(now.getTime())) {
+    throw new Error(`Invalid clock value: ${event.now || event.time}`);
+  }
+  
+  console.log('[RECURRING_TASKS] Starting:', { now: now.toISOString() });
+  
+  const counts = { teams: 0, scanned: 0, generated: 0 };
+  let teamsStartKey;
+  
+  try {
+    do {
+      // Archived teams are read-only and teams being deleted are about to disappear
+      const teamsPage = await dynamodb.send(new ScanCommand({
+        TableName: process.env.DYNAMODB_TEAMS_TABLE,
+        FilterExpression: '(attribute_not_exists(archived) OR archived = :false) AND attribute_not_exists(deletingAt)',
+        ExpressionAttributeValues: { ':false': false },
+        ExclusiveStartKey: teamsStartKey
+      }));
+      
+      for (const team of teamsPage.Items || []) {
+        counts.teams++;
+        await generateTeamRecurringTasks(team, now, counts);
+      }
+      
+      teamsStartKey = teamsPage.LastEvaluatedKey;
+    } while (teamsStartKey);
+    
+    logSuccess('RECURRING_TASKS', 'Recurring tasks generated', counts);
+    
+    return counts;
+    
+  } catch (error) {
+    logError('RECURRING_TASKS', error, counts);
+    throw new Error(`Failed to generate recurring tasks: ${error.message}`);
+  }
+};
+
+/**
+ * Creates the due next instances of one team's recurring tasks
+ * 
+ * @param {Object} team - Team item
+ * @param {Date} now - Current time
+ * @param {Object} counts - Run counters, updated in place
+ */
+async function generateTeamRecurringTasks(team, now, counts) {
+  if (!team || team.archived || team.deletingAt) {
+    return;
+  }
+  
+  const tasks = await queryAllItems({
+    TableName: process.env.DYNAMODB_TASKS_TABLE,
+    IndexName: 'recurrencePendingTeam-index',  // Sparse GSI - only recurring tasks without a next instance
+    KeyConditionExpression: 'recurrencePendingTeam = :teamId',
+    ExpressionAttributeValues: { ':teamId': team.teamId }
+  });
+  
+  for (const task of tasks) {
+    counts.scanned++;
+    
+    if (isTaskOpen(task) && !isDueDateReached(task, now)) {
+      continue;
+    }
+    
+    if (await createNextRecurringInstance(task, team, task.createdBy, now)) {
+      counts.generated++;
+    }
+  }
+}
+
+/**
+ * Keeps the search index in sync with the Tasks table
+ * Invoked by the Tasks table stream with old and new images of every task write, so
+ * no resolver has to remember to update the index. Records of a shard arrive in order;
+ * when one fails, the records before it are kept and the batch is retried from it
+ * 
+ * @param {Object} event - DynamoDB stream event
+ * @returns {Object} - { batchItemFailures } for partial batch responses
+ */
+exports.indexTaskChanges = async (event) => {
+  const records = event.Records || [];
+  console.log('[INDEX_TASK_CHANGES] Starting:', { records: records.length });
+  
+  const counts = { indexed: 0, put: 0, remove: 0 };
+  for (const record of records) {
+    try {
+      const before = record.dynamodb?.OldImage ? unmarshall(record.dynamodb.OldImage) : null;
+      const after = record.dynamodb?.NewImage ? unmarshall(record.dynamodb.NewImage) : null;
+      const written = await indexTask(searchIndexStore, before, after);
+      counts.indexed++;
+      counts.put += written.put;
+      counts.remove += written.remove;
+    } catch (error) {
+      logError('INDEX_TASK_CHANGES', error, { ...counts, eventId: record.eventID });
+      return { batchItemFailures: [{ itemIdentifier: record.dynamodb.SequenceNumber }] };
+    }
+  }
+  
+  logSuccess('INDEX_TASK_CHANGES', 'Task changes indexed', counts);
+  
+  return { batchItemFailures: [] };
+};
+
+/**
+ * Rebuilds the search index from the Tasks table
+ * Run by hand after the index is first deployed, or to repair it:
+ *   aws lambda invoke --function-name TaskRebuildSearchIndex out.json
+ * Pass { "teamId": "..." } to rebuild a single team. Postings left by tasks that were
+ * deleted are removed for every team that still has tasks; search results are always
+ * checked against the Tasks table, so leftovers in other teams never show up
+ * 
+ * @param {Object} event - Optional teamId
+ * @returns {Object} - Counts of teams, tasks and postings written and removed
+ */
+exports.rebuildSearchIndex = async (event = {}) => {
+  console.log('[REBUILD_SEARCH_INDEX] Starting:', { teamId: event.teamId });
+  
+  const counts = { teams: 0, tasks: 0, put: 0, remove: 0 };
+  
+  try {
+    const tasksByTeam = new Map();
+    if (event.teamId) {
+      tasksByTeam.set(event.teamId, await queryAllItems({
+        TableName: process.env.DYNAMODB_TASKS_TABLE,
+        KeyConditionExpression: 'teamId = :teamId',
+        ProjectionExpression: 'teamId, taskId, title, description',
+        ExpressionAttributeValues: {
+          ':teamId': event.teamId
+        }
+      }));
+    } else {
+      let exclusiveStartKey;
+      do {
+        const page = await dynamodb.send(new ScanCommand({
+          TableName: process.env.DYNAMODB_TASKS_TABLE,
+          ProjectionExpression: 'teamId, taskId, title, description',
+          ExclusiveStartKey: exclusiveStartKey
+        }));
+        for (const task of page.Items || []) {
+          if (!tasksByTeam.has(task.teamId)) {
+            tasksByTeam.set(task.teamId, []);
+          }
+          tasksByTeam.get(task.teamId).push(task);
+        }
+        exclusiveStartKey = page.LastEvaluatedKey;
+      } while (exclusiveStartKey);
+    }
+    
+    for (const [teamId, tasks] of tasksByTeam) {
+      const written = await rebuildTeamIndex(searchIndexStore, teamId, tasks);
+      counts.teams++;
+      counts.tasks += tasks.length;
+      counts.put += written.put;
+      counts.remove += written.remove;
+    }
+    
+    logSuccess('REBUILD_SEARCH_INDEX', 'Search index rebuilt', counts);
+    
+    return counts;
+    
+  } catch (error) {
+    logError('REBUILD_SEARCH_INDEX', error, counts);
+    throw new Error(`Failed to rebuild search index: ${error.message}`);
+  }
+};
+
+/**
+ * Creates a new team with the requesting user as admin
+ * This operation uses a DynamoDB transaction to ensure both team and membership records are created atomically
+ * 
+ * @param {Object} args - GraphQL arguments containing team details
+ * @param {string} userId - ID of the user creating the team
+ * @param {Array} userGroups - Cognito groups the user belongs to
+ * @returns {Object} - The created team with user role information
+ */
+async function createTeam(args, userId, userGroups) {
+  console.log('[CREATE_TEAM] Starting team creation:', { args, userId });
+  
+  // Validate required fields
+  validateRequired(args?.name, 'Team name');
+  validateLength(args.name, 'Team name', 1, 100);
+  
+  // Generate unique identifiers and timestamp
+  const teamId = uuidv4();
+  const timestamp = new Date().toISOString();
+  
+  // Create team record
+  const team = {
+    teamId,
+    name: args.name.trim(),
+    adminId: userId,  // The creator becomes the admin
+    createdAt: timestamp
+  };
+  
+  // Create membership record for the admin
+  const membership = {
+    teamId,
     userId,
     role: 'admin',
     joinedAt: timestamp
@@ -522,6 +2364,12 @@ async function createTeam(args, userId, userGroups) {
       }
     );
     
+    await recordAuditEvent(teamId, 'team_created', userId, {
+      targetType: 'team',
+      targetId: teamId,
+      targetName: team.name
+    });
+    
     logSuccess('CREATE_TEAM', 'Team created successfully', { teamId, teamName: team.name, userId });
     
     // Return team data with user role information
@@ -530,6 +2378,7 @@ async function createTeam(args, userId, userGroups) {
       name: team.name,
       adminId: team.adminId,
       createdAt: team.createdAt,
+      workflow: getTeamWorkflow(team),
       userRole: 'admin'
     };
     
@@ -563,38 +2412,22 @@ async function addMember(args, userId, userGroups) {
   try {
     // Verify user is admin of the team
     const { team } = await validateTeamMembership(args.teamId, userId, 'admin');
+    assertTeamWritable(team);
     
-    // Look up the user by email in Cognito User Pool
-    let memberUserId;
-    try {
-      const listUsersParams = {
-        UserPoolId: process.env.COGNITO_USER_POOL_ID,
-        Filter: `email = "${args.email}"`,  // Cognito filter syntax
-        Limit: 1
-      };
-      
-      const listUsersCommand = new ListUsersCommand(listUsersParams);
-      const listUsersResponse = await cognitoClient.send(listUsersCommand);
-      
-      // Extract user ID from Cognito response
-      if (listUsersResponse.Users && listUsersResponse.Users.length > 0) {
-        const userAttributes = listUsersResponse.Users[0].Attributes;
-        const subAttr = userAttributes.find(attr => attr.Name === 'sub');
-        if (subAttr && subAttr.Value) {
-          memberUserId = subAttr.Value;
-        } else {
-          throw new ValidationError('User sub not found');
-        }
-      } else {
-        throw new ValidationError('User with this email does not exist');
-      }
-    } catch (cognitoError) {
-      logError('ADD_MEMBER_COGNITO', cognitoError, { email: args.email });
-      if (cognitoError instanceof ValidationError) {
-        throw cognitoError;
+    // Look up the user by email in the Users table (kept in sync by the Cognito triggers)
+    const userMatches = await dynamodb.send(new QueryCommand({
+      TableName: process.env.DYNAMODB_USERS_TABLE,
+      IndexName: 'email-index',  // GSI on email
+      KeyConditionExpression: 'email = :email',
+      ExpressionAttributeValues: {
+        ':email': normalizeEmail(args.email)
       }
-      throw new Error('Failed to verify user email');
+    }));
+    
+    if (!userMatches.Items || userMatches.Items.length === 0) {
+      throw new ValidationError('User with this email does not exist');
     }
+    const memberUserId = userMatches.Items[0].userId;
     
     // Check if user is already a member of the team
     const existingMember = await dynamodb.send(new GetCommand({
@@ -633,6 +2466,12 @@ async function addMember(args, userId, userGroups) {
       }
     );
     
+    await recordAuditEvent(args.teamId, 'member_added', userId, {
+      targetType: 'member',
+      targetId: memberUserId,
+      targetUserId: memberUserId
+    }, [{ field: 'role', before: null, after: membership.role }]);
+    
     logSuccess('ADD_MEMBER', 'Member added successfully', { 
       teamId: args.teamId, 
       newMember: memberUserId,
@@ -652,624 +2491,4020 @@ async function addMember(args, userId, userGroups) {
 }
 
 /**
- * Creates a new task within a team
- * Only team admins can create tasks. Tasks can optionally be assigned to team members
- * 
- * @param {Object} args - GraphQL arguments containing task details
- * @param {string} userId - ID of the user creating the task (must be admin)
+ * Removes a member from a team
+ * Only team admins can remove members, and the last admin of a team cannot be removed.
+ * The removed user's open tasks are reassigned to another member when reassignTo is given,
+ * otherwise they are left unassigned
+ *
+ * @param {Object} args - GraphQL arguments containing teamId, userId and optional reassignTo
+ * @param {string} userId - ID of the user removing the member (must be admin)
  * @param {Array} userGroups - Cognito groups the user belongs to
- * @returns {Object} - The created task record
+ * @returns {Object} - The removed membership record, flagged removed for onMembershipChanged subscribers
  */
-async function createTask(args, userId, userGroups) {
-  console.log('[CREATE_TASK] Starting task creation:', { args, userId });
-  
-  // Validate required fields
+async function removeMember(args, userId, userGroups) {
+  console.log('[REMOVE_MEMBER] Starting member removal:', { args, userId });
+
+  // Validate input parameters
   validateRequired(args?.teamId, 'Team ID');
-  validateRequired(args?.title, 'Task title');
-  validateRequired(args?.description, 'Task description');
-  validateLength(args.title, 'Task title', 1, 200);
-  validateLength(args.description, 'Task description', 1, 1000);
-  
-  // Validate optional priority field
-  if (args.priority && !VALID_PRIORITIES.includes(args.priority)) {
-    throw new ValidationError(`Invalid priority. Must be one of: ${VALID_PRIORITIES.join(', ')}`);
-  }
-  
-  // Validate optional deadline field
-  if (args.deadline) {
-    const deadlineDate = new Date(args.deadline);
-    if (isNaN(deadlineDate.getTime())) {
-      throw new ValidationError('Invalid deadline format. Use ISO date format (YYYY-MM-DD)');
-    }
-    if (deadlineDate < new Date()) {
-      throw new ValidationError('Deadline cannot be in the past');
-    }
+  validateRequired(args?.userId, 'User ID');
+
+  if (args.reassignTo && args.reassignTo === args.userId) {
+    throw new ValidationError('Cannot reassign tasks to the member being removed');
   }
-  
+
   try {
     // Verify user is admin of the team
     const { team } = await validateTeamMembership(args.teamId, userId, 'admin');
-    
-    // If task is being assigned, verify assignee is a team member
-    if (args.assignedTo) {
+    assertTeamWritable(team);
+
+    // Get the membership being removed
+    const memberResult = await dynamodb.send(new GetCommand({
+      TableName: process.env.DYNAMODB_MEMBERSHIPS_TABLE,
+      Key: { teamId: args.teamId, userId: args.userId }
+    }));
+
+    if (!memberResult.Item) {
+      throw new NotFoundError('Member not found in this team');
+    }
+
+    const membership = memberResult.Item;
+
+    // A team must always keep at least one admin
+    let successorAdminId = null;
+    if (membership.role === 'admin') {
+      const otherAdminIds = (await getTeamAdminIds(args.teamId)).filter(id => id !== args.userId);
+      if (otherAdminIds.length === 0) {
+        throw new ValidationError('Cannot remove the last admin of a team');
+      }
+      successorAdminId = otherAdminIds[0];
+    }
+
+    // If tasks are being reassigned, verify the new assignee is a team member
+    if (args.reassignTo) {
       const assigneeCheck = await dynamodb.send(new GetCommand({
         TableName: process.env.DYNAMODB_MEMBERSHIPS_TABLE,
-        Key: { teamId: args.teamId, userId: args.assignedTo }
+        Key: { teamId: args.teamId, userId: args.reassignTo }
       }));
-      
+
       if (!assigneeCheck.Item) {
-        throw new ValidationError('Cannot assign task to user who is not a team member');
+        throw new ValidationError('Cannot reassign tasks to user who is not a team member');
       }
     }
+
+    // Find the removed user's open tasks in this team via the assignee GSI
+    const assignedTasks = await queryAllItems({
+      TableName: process.env.DYNAMODB_TASKS_TABLE,
+      IndexName: 'assignedTo-index',
+      KeyConditionExpression: 'assignedTo = :assignedTo',
+      FilterExpression: `teamId = :teamId AND ${OPEN_TASK_FILTER}`,
+      ExpressionAttributeNames: {
+        '#status': 'status'
+      },
+      ExpressionAttributeValues: {
+        ':assignedTo': args.userId,
+        ':teamId': args.teamId,
+        ...OPEN_TASK_FILTER_VALUES
+      }
+    });
+
+    // Reassign or unassign each open task before the membership goes away,
+    // so a failure part-way leaves the member in place and the call can be retried
+    const timestamp = new Date().toISOString();
+    for (const task of assignedTasks) {
+      const updateParams = {
+        TableName: process.env.DYNAMODB_TASKS_TABLE,
+        Key: { teamId: task.teamId, taskId: task.taskId },
+        // Skip tasks that were reassigned by someone else in the meantime
+        ConditionExpression: 'assignedTo = :removedUser',
+        ExpressionAttributeValues: {
+          ':removedUser': args.userId,
+          ':updatedAt': timestamp,
+          ':updatedBy': userId
+        }
+      };
+
+      if (args.reassignTo) {
+        updateParams.UpdateExpression = 'SET assignedTo = :assignedTo, updatedAt = :updatedAt, updatedBy = :updatedBy';
+        updateParams.ExpressionAttributeValues[':assignedTo'] = args.reassignTo;
+      } else {
+        // REMOVE rather than SET null - assignedTo is a GSI key and cannot hold a NULL value
+        updateParams.UpdateExpression = 'SET updatedAt = :updatedAt, updatedBy = :updatedBy REMOVE assignedTo';
+      }
+
+      try {
+        await dynamodb.send(new UpdateCommand(updateParams));
+        await recordTaskHistory(task.teamId, task.taskId, 'reassigned', userId, [{
+          field: 'assignedTo',
+          before: args.userId,
+          after: args.reassignTo || null
+        }], { reason: 'member_removed' });
+      } catch (error) {
+        if (error.name !== 'ConditionalCheckFailedException') {
+          throw error;
+        }
+      }
+    }
+
+    // Remove the membership record
+    await dynamodb.send(new DeleteCommand({
+      TableName: process.env.DYNAMODB_MEMBERSHIPS_TABLE,
+      Key: { teamId: args.teamId, userId: args.userId }
+    }));
+
+    // Hand the team's primary admin slot to a remaining admin
+    if (team.adminId === args.userId && successorAdminId) {
+      await dynamodb.send(new UpdateCommand({
+        TableName: process.env.DYNAMODB_TEAMS_TABLE,
+        Key: { teamId: args.teamId },
+        UpdateExpression: 'SET adminId = :adminId',
+        ExpressionAttributeValues: {
+          ':adminId': successorAdminId
+        }
+      }));
+    }
+
+    // Let the removed member know they no longer have access to the team
+    await sendNotification(
+      'Removed From Team',
+      `You have been removed from the team "${team.name}".`,
+      args.userId,
+      {
+        teamId: args.teamId,
+        teamName: team.name,
+        removedBy: userId,
+        action: 'team_member_removed'
+      }
+    );
+
+    // Let the new assignee know they picked up the removed member's work
+    if (args.reassignTo && assignedTasks.length > 0) {
+      await sendNotification(
+        'Tasks Reassigned',
+        `${assignedTasks.length} open task(s) in team "${team.name}" have been reassigned to you.`,
+        args.reassignTo,
+        {
+          teamId: args.teamId,
+          teamName: team.name,
+          taskIds: assignedTasks.map(task => task.taskId),
+          action: 'task_reassigned'
+        }
+      );
+    }
+
+    await recordAuditEvent(args.teamId, 'member_removed', userId, {
+      targetType: 'member',
+      targetId: args.userId,
+      targetUserId: args.userId
+    }, [{ field: 'role', before: membership.role, after: null }],
+    assignedTasks.length > 0
+      ? `${assignedTasks.length} open task(s) ${args.reassignTo ? 'reassigned' : 'left unassigned'}`
+      : null);
+
+    logSuccess('REMOVE_MEMBER', 'Member removed successfully', {
+      teamId: args.teamId,
+      removedMember: args.userId,
+      openTasks: assignedTasks.length,
+      reassignTo: args.reassignTo || null
+    });
+
+    return { ...membership, removed: true };
+
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
+      throw error;
+    }
+    logError('REMOVE_MEMBER', error, { teamId: args.teamId, memberId: args.userId });
+    throw new Error(`Failed to remove member: ${error.message}`);
+  }
+}
+
+/**
+ * Changes a team member's role between admin and member
+ * Only team admins can change roles. A team always keeps at least one admin, and
+ * Teams.adminId is moved to another admin when the admin it points at is demoted
+ *
+ * @param {Object} args - GraphQL arguments containing teamId, userId and role
+ * @param {string} userId - ID of the user changing the role (must be admin)
+ * @param {Array} userGroups - Cognito groups the user belongs to
+ * @returns {Object} - The updated membership record
+ */
+async function updateMemberRole(args, userId, userGroups) {
+  console.log('[UPDATE_MEMBER_ROLE] Starting role update:', { args, userId });
+
+  // Validate input parameters
+  validateRequired(args?.teamId, 'Team ID');
+  validateRequired(args?.userId, 'User ID');
+  validateRequired(args?.role, 'Role');
+
+  if (!VALID_ROLES.includes(args.role)) {
+    throw new ValidationError(`Invalid role. Must be one of: ${VALID_ROLES.join(', ')}`);
+  }
+
+  try {
+    // Verify user is admin of the team
+    const { team } = await validateTeamMembership(args.teamId, userId, 'admin');
+    assertTeamWritable(team);
+
+    // Get the membership being changed
+    const memberResult = await dynamodb.send(new GetCommand({
+      TableName: process.env.DYNAMODB_MEMBERSHIPS_TABLE,
+      Key: { teamId: args.teamId, userId: args.userId }
+    }));
+
+    if (!memberResult.Item) {
+      throw new NotFoundError('Member not found in this team');
+    }
+
+    const membership = memberResult.Item;
+
+    // Nothing to do if the member already has this role
+    if (membership.role === args.role) {
+      console.log('[UPDATE_MEMBER_ROLE] Member already has role:', args.role);
+      return membership;
+    }
+
+    const timestamp = new Date().toISOString();
+    const transactItems = [
+      {
+        Update: {
+          TableName: process.env.DYNAMODB_MEMBERSHIPS_TABLE,
+          Key: { teamId: args.teamId, userId: args.userId },
+          UpdateExpression: 'SET #role = :role, roleUpdatedAt = :updatedAt, roleUpdatedBy = :updatedBy',
+          // Fail if the role was changed by someone else since we read it
+          ConditionExpression: '#role = :currentRole',
+          ExpressionAttributeNames: {
+            '#role': 'role'
+          },
+          ExpressionAttributeValues: {
+            ':role': args.role,
+            ':currentRole': membership.role,
+            ':updatedAt': timestamp,
+            ':updatedBy': userId
+          }
+        }
+      }
+    ];
+
+    // Demoting an admin - make sure another admin remains and owns Teams.adminId
+    if (membership.role === 'admin') {
+      const otherAdminIds = (await getTeamAdminIds(args.teamId)).filter(id => id !== args.userId);
+      if (otherAdminIds.length === 0) {
+        throw new ValidationError('Cannot demote the last admin of a team');
+      }
+
+      // Prefer the current primary admin so Teams.adminId only moves when it has to
+      const successorAdminId = otherAdminIds.includes(team.adminId) ? team.adminId : otherAdminIds[0];
+
+      // The successor must still be an admin when the transaction commits. Two admins
+      // demoting each other at the same time touch the same items, so one of them fails
+      transactItems.push({
+        ConditionCheck: {
+          TableName: process.env.DYNAMODB_MEMBERSHIPS_TABLE,
+          Key: { teamId: args.teamId, userId: successorAdminId },
+          ConditionExpression: '#role = :admin',
+          ExpressionAttributeNames: {
+            '#role': 'role'
+          },
+          ExpressionAttributeValues: {
+            ':admin': 'admin'
+          }
+        }
+      });
+
+      if (team.adminId !== successorAdminId) {
+        transactItems.push({
+          Update: {
+            TableName: process.env.DYNAMODB_TEAMS_TABLE,
+            Key: { teamId: args.teamId },
+            UpdateExpression: 'SET adminId = :adminId',
+            ExpressionAttributeValues: {
+              ':adminId': successorAdminId
+            }
+          }
+        });
+      }
+    }
+
+    try {
+      await dynamodb.send(new TransactWriteCommand({ TransactItems: transactItems }));
+    } catch (error) {
+      if (error.name === 'TransactionCanceledException') {
+        throw new ValidationError('Team roles changed while updating, please refresh and try again');
+      }
+      throw error;
+    }
+
+    const updatedMembership = {
+      ...membership,
+      role: args.role,
+      roleUpdatedAt: timestamp,
+      roleUpdatedBy: userId
+    };
+
+    // Let the member know their permissions changed
+    await sendNotification(
+      'Team Role Updated',
+      `Your role in the team "${team.name}" has been changed to ${args.role}.`,
+      args.userId,
+      {
+        teamId: args.teamId,
+        teamName: team.name,
+        previousRole: membership.role,
+        newRole: args.role,
+        updatedBy: userId,
+        action: 'member_role_changed'
+      }
+    );
+
+    await recordAuditEvent(args.teamId, 'member_role_changed', userId, {
+      targetType: 'member',
+      targetId: args.userId,
+      targetUserId: args.userId
+    }, [{ field: 'role', before: membership.role, after: args.role }]);
+
+    logSuccess('UPDATE_MEMBER_ROLE', 'Member role updated successfully', {
+      teamId: args.teamId,
+      memberId: args.userId,
+      previousRole: membership.role,
+      newRole: args.role
+    });
+
+    return updatedMembership;
+
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
+      throw error;
+    }
+    logError('UPDATE_MEMBER_ROLE', error, { teamId: args.teamId, memberId: args.userId, role: args.role });
+    throw new Error(`Failed to update member role: ${error.message}`);
+  }
+}
+
+/**
+ * Updates a team's name and display metadata (description, color, icon)
+ * Only team admins can update a team. Fields that are not passed are left unchanged,
+ * and passing an empty description, color or icon clears it
+ * 
+ * @param {Object} args - GraphQL arguments containing teamId and the fields to update
+ * @param {string} userId - ID of the user updating the team (must be admin)
+ * @param {Array} userGroups - Cognito groups the user belongs to
+ * @returns {Object} - The updated team with user role information
+ */
+async function updateTeam(args, userId, userGroups) {
+  console.log('[UPDATE_TEAM] Starting team update:', { args, userId });
+  
+  // Validate required identifier
+  validateRequired(args?.teamId, 'Team ID');
+  
+  // Validate optional fields if provided
+  if (args.name !== undefined) {
+    validateRequired(args.name, 'Team name');
+    validateLength(args.name, 'Team name', 1, 100);
+  }
+  validateLength(args.description, 'Team description', 0, 500);
+  validateLength(args.icon, 'Team icon', 1, 8);
+  if (args.color && !VALID_TEAM_COLORS.includes(args.color)) {
+    throw new ValidationError(`Invalid color. Must be one of: ${VALID_TEAM_COLORS.join(', ')}`);
+  }
+  
+  const editableFields = ['name', 'description', 'color', 'icon'];
+  if (!editableFields.some(field => args[field] !== undefined)) {
+    throw new ValidationError('At least one of name, description, color or icon must be provided');
+  }
+  
+  try {
+    // Verify user is admin of the team
+    const { team, membership } = await validateTeamMembership(args.teamId, userId, 'admin');
+    assertTeamWritable(team);
+    
+    // Build dynamic update expression based on provided fields
+    const timestamp = new Date().toISOString();
+    const setExpressions = ['updatedAt = :updatedAt', 'updatedBy = :updatedBy'];
+    const removeExpressions = [];
+    const expressionAttributeNames = {};
+    const expressionAttributeValues = {
+      ':updatedAt': timestamp,
+      ':updatedBy': userId
+    };
+    
+    if (args.name !== undefined) {
+      // 'name' is a reserved word in DynamoDB
+      setExpressions.push('#name = :name');
+      expressionAttributeNames['#name'] = 'name';
+      expressionAttributeValues[':name'] = args.name.trim();
+    }
+    
+    // Optional metadata - empty values clear the attribute instead of storing blanks
+    for (const field of ['description', 'color', 'icon']) {
+      if (args[field] === undefined) continue;
+      
+      const value = typeof args[field] === 'string' ? args[field].trim() : args[field];
+      if (value) {
+        setExpressions.push(`${field} = :${field}`);
+        expressionAttributeValues[`:${field}`] = value;
+      } else {
+        removeExpressions.push(field);
+      }
+    }
+    
+    let updateExpression = `SET ${setExpressions.join(', ')}`;
+    if (removeExpressions.length > 0) {
+      updateExpression += ` REMOVE ${removeExpressions.join(', ')}`;
+    }
+    
+    const updateParams = {
+      TableName: process.env.DYNAMODB_TEAMS_TABLE,
+      Key: { teamId: args.teamId },
+      UpdateExpression: updateExpression,
+      ExpressionAttributeValues: expressionAttributeValues,
+      ReturnValues: 'ALL_NEW'
+    };
+    if (Object.keys(expressionAttributeNames).length > 0) {
+      updateParams.ExpressionAttributeNames = expressionAttributeNames;
+    }
+    
+    const result = await dynamodb.send(new UpdateCommand(updateParams));
+    
+    await recordAuditEvent(args.teamId, 'team_updated', userId, {
+      targetType: 'team',
+      targetId: args.teamId,
+      targetName: result.Attributes.name
+    }, diffFields(team, result.Attributes, TRACKED_TEAM_FIELDS));
+    
+    logSuccess('UPDATE_TEAM', 'Team updated successfully', { 
+      teamId: args.teamId,
+      previousName: team.name,
+      name: result.Attributes.name
+    });
+    
+    return {
+      ...result.Attributes,
+      workflow: getTeamWorkflow(result.Attributes),
+      userRole: membership.role,
+      isAdmin: true
+    };
+    
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
+      throw error;
+    }
+    logError('UPDATE_TEAM', error, { teamId: args.teamId });
+    throw new Error(`Failed to update team: ${error.message}`);
+  }
+}
+
+/**
+ * Archives or unarchives a team
+ * Only team admins can archive. Archived teams are read-only and hidden from listTeams by default
+ * 
+ * @param {Object} args - GraphQL arguments containing teamId and optional archived flag (defaults to true)
+ * @param {string} userId - ID of the user archiving the team (must be admin)
+ * @param {Array} userGroups - Cognito groups the user belongs to
+ * @returns {Object} - The updated team with user role information
+ */
+async function archiveTeam(args, userId, userGroups) {
+  console.log('[ARCHIVE_TEAM] Starting team archive:', { args, userId });
+  
+  // Validate required parameters
+  validateRequired(args?.teamId, 'Team ID');
+  const archived = args.archived !== false;
+  
+  try {
+    // Verify user is admin of the team
+    const { team } = await validateTeamMembership(args.teamId, userId, 'admin');
+    
+    if (team.deletingAt) {
+      throw new ValidationError('This team is being deleted');
+    }
+    
+    const timestamp = new Date().toISOString();
+    const updateParams = {
+      TableName: process.env.DYNAMODB_TEAMS_TABLE,
+      Key: { teamId: args.teamId },
+      ReturnValues: 'ALL_NEW'
+    };
+    
+    if (archived) {
+      updateParams.UpdateExpression = 'SET archived = :archived, archivedAt = :archivedAt, archivedBy = :archivedBy';
+      updateParams.ExpressionAttributeValues = {
+        ':archived': true,
+        ':archivedAt': timestamp,
+        ':archivedBy': userId
+      };
+    } else {
+      updateParams.UpdateExpression = 'SET archived = :archived REMOVE archivedAt, archivedBy';
+      updateParams.ExpressionAttributeValues = {
+        ':archived': false
+      };
+    }
+    
+    const result = await dynamodb.send(new UpdateCommand(updateParams));
+    
+    await recordAuditEvent(args.teamId, archived ? 'team_archived' : 'team_unarchived', userId, {
+      targetType: 'team',
+      targetId: args.teamId,
+      targetName: team.name
+    }, diffFields(team, result.Attributes, ['archived']));
+    
+    logSuccess('ARCHIVE_TEAM', `Team ${archived ? 'archived' : 'unarchived'} successfully`, { 
+      teamId: args.teamId,
+      teamName: team.name
+    });
+    
+    return {
+      ...result.Attributes,
+      workflow: getTeamWorkflow(result.Attributes),
+      userRole: 'admin',
+      isAdmin: true
+    };
+    
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
+      throw error;
+    }
+    logError('ARCHIVE_TEAM', error, { teamId: args.teamId, archived });
+    throw new Error(`Failed to archive team: ${error.message}`);
+  }
+}
+
+/**
+ * Replaces a team's workflow with an ordered list of statuses
+ * Only team admins can change the workflow. A status cannot be removed (or renamed) while
+ * tasks are still in it, and tasks in a status whose category changed get the new category
+ * so deadline reminders and open-task checks keep treating them correctly.
+ * The team write is conditioned on updatedAt, and the tasks are checked again after it: a task
+ * moved into a removed status in the meantime puts the previous workflow back
+ * 
+ * @param {Object} args - GraphQL arguments containing teamId and statuses ([{ name, category, transitions }])
+ * @param {string} userId - ID of the user changing the workflow (must be admin)
+ * @param {Array} userGroups - Cognito groups the user belongs to
+ * @returns {Object} - The updated team with user role information
+ */
+async function updateTeamWorkflow(args, userId, userGroups) {
+  console.log('[UPDATE_TEAM_WORKFLOW] Starting workflow update:', { args, userId });
+  
+  // Validate required parameters
+  validateRequired(args?.teamId, 'Team ID');
+  const workflow = normalizeWorkflow(args.statuses);
+  
+  try {
+    // Verify user is admin of the team
+    const { team, membership } = await validateTeamMembership(args.teamId, userId, 'admin');
+    assertTeamWritable(team);
+    
+    const previousWorkflow = getTeamWorkflow(team);
+    const categories = new Map(workflow.map(status => [status.name, status.category]));
+    const removesStatuses = previousWorkflow.some(status => !categories.has(status.name));
+    
+    const loadTasks = () => queryAllItems({
+      TableName: process.env.DYNAMODB_TASKS_TABLE,
+      KeyConditionExpression: 'teamId = :teamId',
+      ProjectionExpression: 'teamId, taskId, #status, statusCategory',
+      ExpressionAttributeNames: {
+        '#status': 'status'
+      },
+      ExpressionAttributeValues: {
+        ':teamId': args.teamId
+      }
+    });
+    let tasks = await loadTasks();
+    
+    // Statuses that still hold tasks must stay in the workflow
+    const stranded = new Map();
+    for (const task of tasks) {
+      if (!categories.has(task.status)) {
+        stranded.set(task.status, (stranded.get(task.status) || 0) + 1);
+      }
+    }
+    if (stranded.size > 0) {
+      const inUse = [...stranded].map(([status, count]) => `"${status}" (${count} task(s))`).join(', ');
+      throw new ValidationError(`Move tasks out of these statuses before removing them: ${inUse}`);
+    }
+    
+    const timestamp = new Date().toISOString();
+    let result;
+    try {
+      result = await dynamodb.send(new UpdateCommand({
+        TableName: process.env.DYNAMODB_TEAMS_TABLE,
+        Key: { teamId: args.teamId },
+        UpdateExpression: 'SET workflow = :workflow, updatedAt = :updatedAt, updatedBy = :updatedBy',
+        // Teams created before updatedAt was tracked have none until their first change
+        ConditionExpression: team.updatedAt ? 'updatedAt = :oldUpdatedAt' : 'attribute_not_exists(updatedAt)',
+        ExpressionAttributeValues: {
+          ':workflow': workflow,
+          ':updatedAt': timestamp,
+          ':updatedBy': userId,
+          ...(team.updatedAt && { ':oldUpdatedAt': team.updatedAt })
+        },
+        ReturnValues: 'ALL_NEW'
+      }));
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        throw new ValidationError('Team changed while updating the workflow, please refresh and try again');
+      }
+      throw error;
+    }
+    
+    // updateTask checks statuses against the workflow it read, so a status change that raced
+    // the check above can still land in a removed status. Look again now that the new workflow
+    // is visible, and put the previous one back when that happened
+    if (removesStatuses) {
+      tasks = await loadTasks();
+      const movedIn = tasks.filter(task => !categories.has(task.status));
+      if (movedIn.length > 0) {
+        try {
+          await dynamodb.send(new UpdateCommand({
+            TableName: process.env.DYNAMODB_TEAMS_TABLE,
+            Key: { teamId: args.teamId },
+            UpdateExpression: team.workflow
+              ? 'SET workflow = :previousWorkflow, updatedAt = :restoredAt, updatedBy = :updatedBy'
+              : 'SET updatedAt = :restoredAt, updatedBy = :updatedBy REMOVE workflow',
+            ConditionExpression: 'updatedAt = :updatedAt',
+            ExpressionAttributeValues: {
+              ...(team.workflow && { ':previousWorkflow': team.workflow }),
+              ':restoredAt': new Date().toISOString(),
+              ':updatedAt': timestamp,
+              ':updatedBy': userId
+            }
+          }));
+        } catch (error) {
+          // Someone else changed the team since; their version stands
+          if (error.name !== 'ConditionalCheckFailedException') {
+            throw error;
+          }
+        }
+        const statuses = [...new Set(movedIn.map(task => `"${task.status}"`))].join(', ');
+        throw new ValidationError(`Tasks were moved into ${statuses} while updating the workflow, please refresh and try again`);
+      }
+    }
+    
+    // Bring statusCategory in line with the new workflow, skipping tasks that moved in the meantime
+    // Updates run BATCH_WRITE_LIMIT at a time, so large teams take one round trip per chunk
+    const outdated = tasks.filter(task => task.statusCategory !== categories.get(task.status));
+    let recategorized = 0;
+    for (let i = 0; i < outdated.length; i += BATCH_WRITE_LIMIT) {
+      const results = await Promise.all(outdated.slice(i, i + BATCH_WRITE_LIMIT).map(async task => {
+        try {
+          await dynamodb.send(new UpdateCommand({
+            TableName: process.env.DYNAMODB_TASKS_TABLE,
+            Key: { teamId: task.teamId, taskId: task.taskId },
+            UpdateExpression: 'SET statusCategory = :statusCategory',
+            ConditionExpression: '#status = :status',
+            ExpressionAttributeNames: {
+              '#status': 'status'
+            },
+            ExpressionAttributeValues: {
+              ':statusCategory': categories.get(task.status),
+              ':status': task.status
+            }
+          }));
+          return true;
+        } catch (error) {
+          if (error.name !== 'ConditionalCheckFailedException') {
+            throw error;
+          }
+          return false;
+        }
+      }));
+      recategorized += results.filter(Boolean).length;
+    }
+    
+    const describe = statuses => statuses.map(status => `${status.name} (${status.category})`).join(' → ');
+    await recordAuditEvent(args.teamId, 'team_workflow_updated', userId, {
+      targetType: 'team',
+      targetId: args.teamId,
+      targetName: team.name
+    }, [{ field: 'workflow', before: describe(previousWorkflow), after: describe(workflow) }]);
+    
+    logSuccess('UPDATE_TEAM_WORKFLOW', 'Team workflow updated successfully', { 
+      teamId: args.teamId,
+      statuses: workflow.length,
+      recategorized
+    });
+    
+    return {
+      ...result.Attributes,
+      workflow: getTeamWorkflow(result.Attributes),
+      userRole: membership.role,
+      isAdmin: true
+    };
+    
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
+      throw error;
+    }
+    logError('UPDATE_TEAM_WORKFLOW', error, { teamId: args.teamId });
+    throw new Error(`Failed to update team workflow: ${error.message}`);
+  }
+}
+
+/**
+ * Writes a team's whole label list
+ * Labels are stored as a list on the team item, so the write is conditioned on the team
+ * being unchanged since it was read - otherwise two admins could overwrite each other
+ * 
+ * @param {Object} team - Team record as read before the change
+ * @param {Array} labels - New labels in display order
+ * @param {string} userId - ID of the admin changing the labels
+ * @returns {Object} - The updated team record
+ */
+async function saveTeamLabels(team, labels, userId) {
+  try {
+    const result = await dynamodb.send(new UpdateCommand({
+      TableName: process.env.DYNAMODB_TEAMS_TABLE,
+      Key: { teamId: team.teamId },
+      UpdateExpression: 'SET labels = :labels, updatedAt = :updatedAt, updatedBy = :updatedBy',
+      // Teams created before updatedAt was tracked have none until their first change
+      ConditionExpression: team.updatedAt ? 'updatedAt = :oldUpdatedAt' : 'attribute_not_exists(updatedAt)',
+      ExpressionAttributeValues: {
+        ':labels': labels,
+        ':updatedAt': new Date().toISOString(),
+        ':updatedBy': userId,
+        ...(team.updatedAt && { ':oldUpdatedAt': team.updatedAt })
+      },
+      ReturnValues: 'ALL_NEW'
+    }));
+    return result.Attributes;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      throw new ValidationError('Team changed while updating labels, please refresh and try again');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Adds a label to a team's labels
+ * Only team admins can manage labels; members pick from them when tasks are created or edited
+ * 
+ * @param {Object} args - GraphQL arguments containing teamId, name and optional color
+ * @param {string} userId - ID of the user creating the label (must be admin)
+ * @param {Array} userGroups - Cognito groups the user belongs to
+ * @returns {Object} - The updated team with user role information
+ */
+async function createLabel(args, userId, userGroups) {
+  console.log('[CREATE_LABEL] Starting label creation:', { args, userId });
+  
+  // Validate required parameters
+  validateRequired(args?.teamId, 'Team ID');
+  
+  try {
+    // Verify user is admin of the team
+    const { team, membership } = await validateTeamMembership(args.teamId, userId, 'admin');
+    assertTeamWritable(team);
+    
+    const labels = getTeamLabels(team);
+    if (labels.length >= MAX_TEAM_LABELS) {
+      throw new ValidationError(`A team can have at most ${MAX_TEAM_LABELS} labels`);
+    }
+    const label = { labelId: uuidv4(), ...normalizeLabel(args, labels) };
+    
+    const updatedTeam = await saveTeamLabels(team, [...labels, label], userId);
+    
+    await recordAuditEvent(args.teamId, 'team_label_created', userId, {
+      targetType: 'team',
+      targetId: args.teamId,
+      targetName: team.name
+    }, [{ field: 'labels', before: null, after: `${label.name} (${label.color})` }]);
+    
+    logSuccess('CREATE_LABEL', 'Label created successfully', {
+      teamId: args.teamId,
+      labelId: label.labelId,
+      name: label.name
+    });
+    
+    return {
+      ...updatedTeam,
+      workflow: getTeamWorkflow(updatedTeam),
+      userRole: membership.role,
+      isAdmin: true
+    };
+    
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
+      throw error;
+    }
+    logError('CREATE_LABEL', error, { teamId: args.teamId });
+    throw new Error(`Failed to create label: ${error.message}`);
+  }
+}
+
+/**
+ * Renames or recolors a team label
+ * Tasks store label IDs, so they show the new name and color without being rewritten
+ * 
+ * @param {Object} args - GraphQL arguments containing teamId, labelId, name and optional color
+ * @param {string} userId - ID of the user updating the label (must be admin)
+ * @param {Array} userGroups - Cognito groups the user belongs to
+ * @returns {Object} - The updated team with user role information
+ */
+async function updateLabel(args, userId, userGroups) {
+  console.log('[UPDATE_LABEL] Starting label update:', { args, userId });
+  
+  // Validate required parameters
+  validateRequired(args?.teamId, 'Team ID');
+  validateRequired(args?.labelId, 'Label ID');
+  
+  try {
+    // Verify user is admin of the team
+    const { team, membership } = await validateTeamMembership(args.teamId, userId, 'admin');
+    assertTeamWritable(team);
+    
+    const labels = getTeamLabels(team);
+    const previous = labels.find(label => label.labelId === args.labelId);
+    if (!previous) {
+      throw new NotFoundError('Label not found');
+    }
+    const label = {
+      labelId: previous.labelId,
+      ...normalizeLabel(args, labels.filter(other => other.labelId !== args.labelId))
+    };
+    
+    const updatedTeam = await saveTeamLabels(
+      team,
+      labels.map(other => (other.labelId === args.labelId ? label : other)),
+      userId
+    );
+    
+    await recordAuditEvent(args.teamId, 'team_label_updated', userId, {
+      targetType: 'team',
+      targetId: args.teamId,
+      targetName: team.name
+    }, [{ field: 'labels', before: `${previous.name} (${previous.color})`, after: `${label.name} (${label.color})` }]);
+    
+    logSuccess('UPDATE_LABEL', 'Label updated successfully', {
+      teamId: args.teamId,
+      labelId: args.labelId
+    });
+    
+    return {
+      ...updatedTeam,
+      workflow: getTeamWorkflow(updatedTeam),
+      userRole: membership.role,
+      isAdmin: true
+    };
+    
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
+      throw error;
+    }
+    logError('UPDATE_LABEL', error, { teamId: args.teamId, labelId: args.labelId });
+    throw new Error(`Failed to update label: ${error.message}`);
+  }
+}
+
+/**
+ * Deletes a team label and takes it off the team's tasks
+ * Tasks that change while the label is being removed are logged and skipped; labels
+ * that no longer exist are ignored when tasks are shown or filtered, and dropped the
+ * next time the task's labels are saved (see normalizeTaskLabels)
+ * 
+ * @param {Object} args - GraphQL arguments containing teamId and labelId
+ * @param {string} userId - ID of the user deleting the label (must be admin)
+ * @param {Array} userGroups - Cognito groups the user belongs to
+ * @returns {Object} - The updated team with user role information
+ */
+async function deleteLabel(args, userId, userGroups) {
+  console.log('[DELETE_LABEL] Starting label deletion:', { args, userId });
+  
+  // Validate required parameters
+  validateRequired(args?.teamId, 'Team ID');
+  validateRequired(args?.labelId, 'Label ID');
+  
+  try {
+    // Verify user is admin of the team
+    const { team, membership } = await validateTeamMembership(args.teamId, userId, 'admin');
+    assertTeamWritable(team);
+    
+    const labels = getTeamLabels(team);
+    const label = labels.find(other => other.labelId === args.labelId);
+    if (!label) {
+      throw new NotFoundError('Label not found');
+    }
+    
+    const updatedTeam = await saveTeamLabels(team, labels.filter(other => other.labelId !== args.labelId), userId);
+    
+    const tasks = await queryAllItems({
+      TableName: process.env.DYNAMODB_TASKS_TABLE,
+      KeyConditionExpression: 'teamId = :teamId',
+      FilterExpression: 'contains(labels, :labelId)',
+      ProjectionExpression: 'teamId, taskId, labels',
+      ExpressionAttributeValues: {
+        ':teamId': args.teamId,
+        ':labelId': args.labelId
+      }
+    });
+    
+    // The condition makes sure each list did not shift since it was read
+    let untagged = 0;
+    for (const task of tasks) {
+      const index = task.labels.indexOf(args.labelId);
+      try {
+        await dynamodb.send(new UpdateCommand({
+          TableName: process.env.DYNAMODB_TASKS_TABLE,
+          Key: { teamId: task.teamId, taskId: task.taskId },
+          UpdateExpression: `REMOVE labels[${index}]`,
+          ConditionExpression: `labels[${index}] = :labelId`,
+          ExpressionAttributeValues: { ':labelId': args.labelId }
+        }));
+        untagged++;
+      } catch (error) {
+        logError('DELETE_LABEL', error, { teamId: args.teamId, labelId: args.labelId, taskId: task.taskId });
+      }
+    }
+    
+    await recordAuditEvent(args.teamId, 'team_label_deleted', userId, {
+      targetType: 'team',
+      targetId: args.teamId,
+      targetName: team.name
+    }, [{ field: 'labels', before: `${label.name} (${label.color})`, after: null }], `Removed from ${untagged} task(s)`);
+    
+    logSuccess('DELETE_LABEL', 'Label deleted successfully', {
+      teamId: args.teamId,
+      labelId: args.labelId,
+      untagged
+    });
+    
+    return {
+      ...updatedTeam,
+      workflow: getTeamWorkflow(updatedTeam),
+      userRole: membership.role,
+      isAdmin: true
+    };
+    
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
+      throw error;
+    }
+    logError('DELETE_LABEL', error, { teamId: args.teamId, labelId: args.labelId });
+    throw new Error(`Failed to delete label: ${error.message}`);
+  }
+}
+
+/**
+ * Permanently deletes a team together with its tasks and memberships
+ * Only team admins can delete teams. The team is first marked as deleting so it
+ * disappears from listTeams and rejects writes, then tasks and memberships are removed
+ * in batches. The caller's own membership and the team record go last, so if any
+ * step fails the same admin can call deleteTeam again to pick up where it stopped
+ * 
+ * @param {Object} args - GraphQL arguments containing teamId
+ * @param {string} userId - ID of the user deleting the team (must be admin)
+ * @param {Array} userGroups - Cognito groups the user belongs to
+ * @returns {Object} - Success confirmation
+ */
+async function deleteTeam(args, userId, userGroups) {
+  console.log('[DELETE_TEAM] Starting team deletion:', { args, userId });
+  
+  // Validate required parameters
+  validateRequired(args?.teamId, 'Team ID');
+  
+  try {
+    // Verify user is admin of the team
+    const { team } = await validateTeamMembership(args.teamId, userId, 'admin');
+    
+    // Mark the team as deleting - a retry after a partial failure keeps the original marker
+    if (!team.deletingAt) {
+      await dynamodb.send(new UpdateCommand({
+        TableName: process.env.DYNAMODB_TEAMS_TABLE,
+        Key: { teamId: args.teamId },
+        UpdateExpression: 'SET deletingAt = :deletingAt, deletingBy = :deletingBy',
+        ExpressionAttributeValues: {
+          ':deletingAt': new Date().toISOString(),
+          ':deletingBy': userId
+        }
+      }));
+    }
+    
+    // Tasks, comments, task history and the search index (postings and the stats item) all live
+    // in the team partition of their tables
+    const deletedTasks = await deleteTeamPartition(process.env.DYNAMODB_TASKS_TABLE, args.teamId, 'taskId');
+    const deletedComments = await deleteTeamPartition(process.env.DYNAMODB_COMMENTS_TABLE, args.teamId, 'commentId');
+    const deletedHistory = await deleteTeamPartition(process.env.DYNAMODB_TASK_HISTORY_TABLE, args.teamId, 'historyId');
+    const deletedIndexItems = await deleteTeamPartition(process.env.DYNAMODB_SEARCH_INDEX_TABLE, args.teamId, 'termKey');
+    
+    console.log('[DELETE_TEAM] Deleted tasks, comments, history events and search index items:',
+      { deletedTasks, deletedComments, deletedHistory, deletedIndexItems });
+    
+    // Delete every other membership, keeping the caller's so a retry still passes the admin check
+    const memberships = await queryAllItems({
+      TableName: process.env.DYNAMODB_MEMBERSHIPS_TABLE,
+      KeyConditionExpression: 'teamId = :teamId',
+      ProjectionExpression: 'teamId, userId',
+      ExpressionAttributeValues: {
+        ':teamId': args.teamId
+      }
+    });
+    const otherMemberships = memberships.filter(member => member.userId !== userId);
+    await batchDeleteItems(process.env.DYNAMODB_MEMBERSHIPS_TABLE, otherMemberships);
+    
+    console.log('[DELETE_TEAM] Deleted memberships:', otherMemberships.length);
+    
+    // Finally remove the team record and the caller's membership together
+    await dynamodb.send(new TransactWriteCommand({
+      TransactItems: [
+        {
+          Delete: {
+            TableName: process.env.DYNAMODB_MEMBERSHIPS_TABLE,
+            Key: { teamId: args.teamId, userId }
+          }
+        },
+        {
+          Delete: {
+            TableName: process.env.DYNAMODB_TEAMS_TABLE,
+            Key: { teamId: args.teamId }
+          }
+        }
+      ]
+    }));
+    
+    // Let former members know the team is gone
+    for (const member of otherMemberships) {
+      await sendNotification(
+        'Team Deleted',
+        `The team "${team.name}" has been deleted by an admin.`,
+        member.userId,
+        {
+          teamId: args.teamId,
+          teamName: team.name,
+          deletedBy: userId,
+          action: 'team_deleted'
+        }
+      );
+    }
+    
+    await recordAuditEvent(args.teamId, 'team_deleted', userId, {
+      targetType: 'team',
+      targetId: args.teamId,
+      targetName: team.name
+    }, [], `${deletedTasks} task(s) and ${otherMemberships.length + 1} membership(s) deleted`);
+    
+    logSuccess('DELETE_TEAM', 'Team deleted successfully', { 
+      teamId: args.teamId,
+      teamName: team.name,
+      deletedTasks,
+      deletedMemberships: otherMemberships.length + 1
+    });
+    
+    return {
+      success: true,
+      message: `Team "${team.name}" deleted along with ${deletedTasks} task(s) and ${otherMemberships.length + 1} membership(s)`
+    };
+    
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
+      throw error;
+    }
+    logError('DELETE_TEAM', error, { teamId: args.teamId });
+    throw new Error(`Failed to delete team: ${error.message}`);
+  }
+}
+
+/**
+ * Creates a new task within a team
+ * Only team admins can create tasks. Tasks can optionally be assigned to team members
+ * 
+ * @param {Object} args - GraphQL arguments containing task details
+ * @param {string} userId - ID of the user creating the task (must be admin)
+ * @param {Array} userGroups - Cognito groups the user belongs to
+ * @returns {Object} - The created task record
+ */
+async function createTask(args, userId, userGroups) {
+  console.log('[CREATE_TASK] Starting task creation:', { args, userId });
+  
+  // Validate required fields
+  validateRequired(args?.teamId, 'Team ID');
+  validateRequired(args?.title, 'Task title');
+  validateRequired(args?.description, 'Task description');
+  validateLength(args.title, 'Task title', 1, 200);
+  validateLength(args.description, 'Task description', 1, 1000);
+  
+  // Validate optional priority field
+  if (args.priority && !VALID_PRIORITIES.includes(args.priority)) {
+    throw new ValidationError(`Invalid priority. Must be one of: ${VALID_PRIORITIES.join(', ')}`);
+  }
+  
+  // Validate optional deadline field
+  if (args.deadline) {
+    const deadlineDate = new Date(args.deadline);
+    if (isNaN(deadlineDate.getTime())) {
+      throw new ValidationError('Invalid deadline format. Use ISO date format (YYYY-MM-DD)');
+    }
+    if (deadlineDate < new Date()) {
+      throw new ValidationError('Deadline cannot be in the past');
+    }
+  }
+  
+  // Validate optional labels (checked against the team's labels below)
+  if (args.labels && !Array.isArray(args.labels)) {
+    throw new ValidationError('Labels must be a list of label IDs');
+  }
+  
+  // Validate optional recurrence rule - without a deadline the first instance is due on the rule's first day from today
+  let recurrence = null;
+  let deadline = args.deadline || null;
+  if (args.recurrence) {
+    const today = new Date().toISOString().slice(0, 10);
+    recurrence = validateRecurrence(args.recurrence, deadline || today);
+    deadline = deadline || firstOccurrence(recurrence, today);
+  }
+  
+  try {
+    // Verify user is admin of the team
+    const { team } = await validateTeamMembership(args.teamId, userId, 'admin');
+    assertTeamWritable(team);
+    
+    // If task is being assigned, verify assignee is a team member
+    if (args.assignedTo) {
+      const assigneeCheck = await dynamodb.send(new GetCommand({
+        TableName: process.env.DYNAMODB_MEMBERSHIPS_TABLE,
+        Key: { teamId: args.teamId, userId: args.assignedTo }
+      }));
+      
+      if (!assigneeCheck.Item) {
+        throw new ValidationError('Cannot assign task to user who is not a team member');
+      }
+    }
+    
+    const labels = normalizeTaskLabels(team, args.labels || []);
+    
+    // Generate task ID and create task record
+    const taskId = uuidv4();
+    const timestamp = new Date().toISOString();
+    const [initialStatus] = getTeamWorkflow(team);
+    
+    const task = {
+      teamId: args.teamId,
+      taskId,
+      title: args.title.trim(),
+      description: args.description.trim(),
+      assignedTo: args.assignedTo || null,
+      status: initialStatus.name,  // New tasks start in the first status of the team's workflow
+      statusCategory: initialStatus.category,
+      priority: args.priority || 'Medium',  // Default priority
+      ...(deadline && { deadline }),  // deadline is a GSI key, so tasks without one leave it out
+      rank: initialTaskRank(timestamp),  // Bottom of its board column
+      labels,
+      // Only recurring tasks carry these; the schedule job reads tasks by recurrencePendingTeam
+      ...(recurrence && { recurrence, seriesId: taskId, occurrence: 1, recurrencePendingTeam: args.teamId }),
+      createdBy: userId,
+      createdAt: timestamp,
+      updatedAt: timestamp,
+      updatedBy: userId
+    };
+    
+    await dynamodb.send(new PutCommand({
+      TableName: process.env.DYNAMODB_TASKS_TABLE,
+      Item: task
+    }));
+    
+    const changes = [...diffTaskFields(null, task), ...diffTaskLabels(team, null, labels)];
+    await recordTaskHistory(args.teamId, taskId, 'created', userId, changes);
+    await recordAuditEvent(args.teamId, 'task_created', userId, {
+      targetType: 'task',
+      targetId: taskId,
+      targetName: task.title
+    }, changes);
+    
+    // Send assignment notification if task is assigned to someone
+    if (args.assignedTo) {
+      await sendNotification(
+        'New Task Assignment',
+        `You have been assigned a new task: "${args.title}" in team "${team.name}". Priority: ${task.priority}`,
+        args.assignedTo,
+        {
+          taskId,
+          taskTitle: args.title,
+          teamId: args.teamId,
+          teamName: team.name,
+          priority: task.priority,
+          deadline: task.deadline,
+          action: 'task_assigned'
+        }
+      );
+    }
+    
+    logSuccess('CREATE_TASK', 'Task created successfully', { 
+      taskId, 
+      title: task.title,
+      assignedTo: task.assignedTo,
+      priority: task.priority,
+      recurrence: recurrence?.frequency
+    });
+    
+    return task;
+    
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
+      throw error;
+    }
+    logError('CREATE_TASK', error, { teamId: args.teamId, title: args.title });
+    throw new Error(`Failed to create task: ${error.message}`);
+  }
+}
+
+/**
+ * Updates the status of an existing task, and optionally its position on the board
+ * Users can update tasks assigned to them, admins can update any team task
+ * 
+ * @param {Object} args - GraphQL arguments containing teamId, taskId, new status and optional rank
+ * @param {string} userId - ID of the user updating the task
+ * @param {Array} userGroups - Cognito groups the user belongs to
+ * @returns {Object} - The updated task record
+ */
+async function updateTask(args, userId, userGroups) {
+  console.log('[UPDATE_TASK] Starting task update:', { args, userId });
+  
+  // Validate required fields
+  validateRequired(args?.teamId, 'Team ID');
+  validateRequired(args?.taskId, 'Task ID');
+  validateRequired(args?.status, 'Task status');
+  if (args.rank !== undefined && args.rank !== null) {
+    validateRank(args.rank);
+  }
+  
+  try {
+    // Verify user is member of the team
+    const { team, membership } = await validateTeamMembership(args.teamId, userId);
+    assertTeamWritable(team);
+    
+    // Get the existing task
+    const taskResult = await dynamodb.send(new GetCommand({
+      TableName: process.env.DYNAMODB_TASKS_TABLE,
+      Key: { teamId: args.teamId, taskId: args.taskId }
+    }));
+    
+    if (!taskResult.Item) {
+      throw new NotFoundError('Task not found');
+    }
+    
+    const task = taskResult.Item;
+    const oldStatus = task.status;
+    
+    // Check if user has permission to update this task
+    // Users can update tasks assigned to them, admins can update any task
+    const canUpdate = task.assignedTo === userId || membership.role === 'admin';
+    
+    if (!canUpdate) {
+      throw new AuthorizationError('You can only update tasks assigned to you or if you are a team admin');
+    }
+    
+    // Validate the new status against the team's workflow and the current status's allowed moves
+    const workflow = getTeamWorkflow(team);
+    const nextStatus = workflow.find(status => status.name === args.status);
+    if (!nextStatus) {
+      throw new ValidationError(`Invalid status. Must be one of: ${workflow.map(status => status.name).join(', ')}`);
+    }
+    const currentStatus = workflow.find(status => status.name === oldStatus);
+    if (currentStatus?.transitions && oldStatus !== args.status && !currentStatus.transitions.includes(args.status)) {
+      throw new ValidationError(currentStatus.transitions.length > 0
+        ? `A task in "${oldStatus}" can only move to: ${currentStatus.transitions.join(', ')}`
+        : `A task in "${oldStatus}" cannot be moved to another status`);
+    }
+    
+    // Starting or finishing a task waits for its blockers, unless an admin overrides them
+    if (args.overrideBlockers && membership.role !== 'admin') {
+      throw new AuthorizationError('Only team admins can override blocking tasks');
+    }
+    let overrodeBlockers = false;
+    if (oldStatus !== args.status && nextStatus.category !== 'todo' && task.blockedBy?.length > 0) {
+      const blockers = await batchGetTasks(args.teamId, task.blockedBy);
+      const openBlockers = [...blockers.values()].filter(isTaskOpen);
+      if (openBlockers.length > 0) {
+        if (!args.overrideBlockers) {
+          throw new ValidationError(`This task is blocked by ${openBlockers.map(blocker => `"${blocker.title}"`).join(', ')}`
+            + (membership.role === 'admin' ? ' - finish those first or override the block' : ' - finish those first'));
+        }
+        overrodeBlockers = true;
+      }
+    }
+    
+    const timestamp = new Date().toISOString();
+    
+    // Update the task status - the condition keeps the transition check valid if someone else moved it first
+    const updateParams = {
+      TableName: process.env.DYNAMODB_TASKS_TABLE,
+      Key: { teamId: args.teamId, taskId: args.taskId },
+      UpdateExpression: 'SET #status = :status, statusCategory = :statusCategory, updatedAt = :updatedAt, updatedBy = :updatedBy'
+        + (args.rank ? ', #rank = :rank' : ''),
+      ConditionExpression: '#status = :oldStatus',
+      ExpressionAttributeNames: {
+        '#status': 'status'  // 'status' is a reserved word in DynamoDB
+      },
+      ExpressionAttributeValues: {
+        ':status': args.status,
+        ':statusCategory': nextStatus.category,
+        ':oldStatus': oldStatus,
+        ':updatedAt': timestamp,
+        ':updatedBy': userId
+      },
+      ReturnValues: 'ALL_NEW'  // Return the updated item
+    };
+    if (args.rank) {
+      updateParams.ExpressionAttributeNames['#rank'] = 'rank';
+      updateParams.ExpressionAttributeValues[':rank'] = args.rank;
+    }
+    
+    let result;
+    try {
+      result = await dynamodb.send(new UpdateCommand(updateParams));
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        throw new ValidationError('Task status changed while updating, please refresh and try again');
+      }
+      throw error;
+    }
+    
+    // Re-space the column once this move made its keys long; the move itself already succeeded
+    if (args.rank && args.rank.length > REBALANCE_RANK_LENGTH) {
+      try {
+        const ranks = await rebalanceColumnRanks(args.teamId, args.status);
+        if (ranks.has(args.taskId)) {
+          result.Attributes.rank = ranks.get(args.taskId);
+        }
+      } catch (error) {
+        logError('UPDATE_TASK', error, { teamId: args.teamId, taskId: args.taskId, step: 'rebalance ranks' });
+      }
+    }
+    
+    // Reordering within a board column changes no tracked field and is not recorded
+    const changes = diffTaskFields(task, result.Attributes);
+    if (changes.length > 0) {
+      await recordTaskHistory(args.teamId, args.taskId, 'status_changed', userId, changes,
+        overrodeBlockers ? { reason: 'blockers_overridden' } : {});
+      await recordAuditEvent(args.teamId, 'task_status_updated', userId, {
+        targetType: 'task',
+        targetId: args.taskId,
+        targetName: task.title
+      }, changes, overrodeBlockers ? 'Moved while blocked by open tasks (admin override)' : null);
+    }
+    
+    // Send notification if status changed and task is assigned
+    if (task.assignedTo && oldStatus !== args.status) {
+      await sendNotification(
+        'Task Status Updated',
+        `The task "${task.title}" in team "${team.name}" has been updated to "${args.status}" by ${userId}.`,
+        task.assignedTo,
+        {
+          taskId: args.taskId,
+          taskTitle: task.title,
+          teamId: args.teamId,
+          teamName: team.name,
+          oldStatus,
+          newStatus: args.status,
+          action: 'task_status_updated'
+        }
+      );
+    }
+    
+    // Completing a recurring task brings in its next instance straight away; if this fails,
+    // the schedule job creates it on its next run
+    if (task.recurrence && !('nextInstanceId' in task) && nextStatus.category === 'done' && oldStatus !== args.status) {
+      try {
+        await createNextRecurringInstance(result.Attributes, team, userId, new Date());
+      } catch (error) {
+        logError('UPDATE_TASK', error, { teamId: args.teamId, taskId: args.taskId, step: 'next recurring instance' });
+      }
+    }
+    
+    logSuccess('UPDATE_TASK', 'Task status updated successfully', { 
+      taskId: args.taskId, 
+      status: args.status,
+      rank: args.rank,
+      overrodeBlockers
+    });
+    
+    return result.Attributes;
+    
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
+      throw error;
+    }
+    logError('UPDATE_TASK', error, { teamId: args.teamId, taskId: args.taskId });
+    throw new Error(`Failed to update task: ${error.message}`);
+  }
+}
+
+/**
+ * Updates detailed task information (title, description, priority, deadline, assignment)
+ * Only team admins can update task details. This is separate from status updates for security
+ * 
+ * @param {Object} args - GraphQL arguments containing task details to update
+ * @param {string} userId - ID of the user updating the task (must be admin)
+ * @param {Array} userGroups - Cognito groups the user belongs to
+ * @returns {Object} - The updated task record
+ */
+async function updateTaskDetails(args, userId, userGroups) {
+  console.log('[UPDATE_TASK_DETAILS] Starting task details update:', { args, userId });
+  
+  // Validate required identifiers
+  validateRequired(args?.teamId, 'Team ID');
+  validateRequired(args?.taskId, 'Task ID');
+  
+  // Validate optional fields if provided
+  if (args.title) validateLength(args.title, 'Task title', 1, 200);
+  if (args.description) validateLength(args.description, 'Task description', 1, 1000);
+  if (args.priority && !VALID_PRIORITIES.includes(args.priority)) {
+    throw new ValidationError(`Invalid priority. Must be one of: ${VALID_PRIORITIES.join(', ')}`);
+  }
+  if (args.deadline) {
+    const deadlineDate = new Date(args.deadline);
+    if (isNaN(deadlineDate.getTime())) {
+      throw new ValidationError('Invalid deadline format. Use ISO date format (YYYY-MM-DD)');
+    }
+    if (deadlineDate < new Date()) {
+      throw new ValidationError('Deadline cannot be in the past');
+    }
+  }
+  if (args.labels && !Array.isArray(args.labels)) {
+    throw new ValidationError('Labels must be a list of label IDs');
+  }
+  
+  try {
+    // Verify user is admin of the team (only admins can update task details)
+    const { team } = await validateTeamMembership(args.teamId, userId, 'admin');
+    assertTeamWritable(team);
+    
+    // Get the existing task to verify it exists
+    const taskResult = await dynamodb.send(new GetCommand({
+      TableName: process.env.DYNAMODB_TASKS_TABLE,
+      Key: { teamId: args.teamId, taskId: args.taskId }
+    }));
+    
+    if (!taskResult.Item) {
+      throw new NotFoundError('Task not found');
+    }
+    
+    const task = taskResult.Item;
+    
+    // If reassigning task, verify new assignee is a team member
+    if (args.assignedTo) {
+      const assigneeCheck = await dynamodb.send(new GetCommand({
+        TableName: process.env.DYNAMODB_MEMBERSHIPS_TABLE,
+        Key: { teamId: args.teamId, userId: args.assignedTo }
+      }));
+      
+      if (!assigneeCheck.Item && args.assignedTo !== null) {
+        throw new ValidationError('Cannot assign task to user who is not a team member');
+      }
+    }
+    
+    // Build dynamic update expression based on provided fields
+    const timestamp = new Date().toISOString();
+    let updateExpression = 'SET updatedAt = :updatedAt, updatedBy = :updatedBy';
+    const removeAttributes = [];
+    const expressionAttributeNames = {};
+    const expressionAttributeValues = {
+      ':updatedAt': timestamp,
+      ':updatedBy': userId
+    };
+    
+    // Add each provided field to the update expression
+    if (args.title) {
+      updateExpression += ', title = :title';
+      expressionAttributeValues[':title'] = args.title.trim();
+    }
+    if (args.description) {
+      updateExpression += ', description = :description';
+      expressionAttributeValues[':description'] = args.description.trim();
+    }
+    if (args.priority) {
+      updateExpression += ', priority = :priority';
+      expressionAttributeValues[':priority'] = args.priority;
+    }
+    if (args.deadline !== undefined) {
+      if (args.deadline) {
+        updateExpression += ', deadline = :deadline';
+        expressionAttributeValues[':deadline'] = args.deadline;
+      } else {
+        // Clearing - deadline is a GSI key and cannot hold a NULL value, so remove it
+        removeAttributes.push('deadline');
+      }
+    }
+    if (args.labels) {
+      updateExpression += ', labels = :labels';
+      expressionAttributeValues[':labels'] = normalizeTaskLabels(team, args.labels, task.labels || []);
+    }
+    if (args.assignedTo !== undefined) {
+      if (args.assignedTo) {
+        updateExpression += ', assignedTo = :assignedTo';
+        expressionAttributeValues[':assignedTo'] = args.assignedTo;
+      } else {
+        // Unassigning - assignedTo is a GSI key and cannot hold a NULL value, so remove it
+        removeAttributes.push('assignedTo');
+      }
+    }
+    
+    const updateParams = {
+      TableName: process.env.DYNAMODB_TASKS_TABLE,
+      Key: { teamId: args.teamId, taskId: args.taskId },
+      UpdateExpression: updateExpression + (removeAttributes.length > 0 ? ` REMOVE ${removeAttributes.join(', ')}` : ''),
+      ExpressionAttributeNames: expressionAttributeNames,
+      ExpressionAttributeValues: expressionAttributeValues,
+      ReturnValues: 'ALL_NEW'
+    };
+    
+    const result = await dynamodb.send(new UpdateCommand(updateParams));
+    
+    const changes = [...diffTaskFields(task, result.Attributes), ...diffTaskLabels(team, task.labels, result.Attributes.labels)];
+    await recordTaskHistory(args.teamId, args.taskId, 'updated', userId, changes);
+    await recordAuditEvent(args.teamId, 'task_updated', userId, {
+      targetType: 'task',
+      targetId: args.taskId,
+      targetName: result.Attributes.title
+    }, changes);
+    
+    // Send notification if task was reassigned
+    if (args.assignedTo && args.assignedTo !== task.assignedTo) {
+      await sendNotification(
+        'Task Reassigned',
+        `The task "${task.title}" in team "${team.name}" has been reassigned to you.`,
+        args.assignedTo,
+        {
+          taskId: args.taskId,
+          taskTitle: task.title,
+          teamId: args.teamId,
+          teamName: team.name,
+          action: 'task_reassigned'
+        }
+      );
+    }
+    
+    logSuccess('UPDATE_TASK_DETAILS', 'Task details updated successfully', { 
+      taskId: args.taskId 
+    });
+    
+    return result.Attributes;
+    
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
+      throw error;
+    }
+    logError('UPDATE_TASK_DETAILS', error, { teamId: args.teamId, taskId: args.taskId });
+    throw new Error(`Failed to update task details: ${error.message}`);
+  }
+}
+
+/**
+ * Deletes a task from a team
+ * Only team admins can delete tasks. Sends notification to assignee if task was assigned
+ * 
+ * @param {Object} args - GraphQL arguments containing teamId and taskId
+ * @param {string} userId - ID of the user deleting the task (must be admin)
+ * @param {Array} userGroups - Cognito groups the user belongs to
+ * @returns {Object} - The deleted task, flagged deleted so onTaskChanged subscribers can drop it
+ */
+async function deleteTask(args, userId, userGroups) {
+  console.log('[DELETE_TASK] Starting task deletion:', { args, userId });
+  
+  // Validate required parameters
+  validateRequired(args?.teamId, 'Team ID');
+  validateRequired(args?.taskId, 'Task ID');
+  
+  try {
+    // Verify user is admin of the team (only admins can delete tasks)
+    const { team } = await validateTeamMembership(args.teamId, userId, 'admin');
+    assertTeamWritable(team);
+    
+    // Get the task before deletion to check if it exists and for notification purposes
+    const taskResult = await dynamodb.send(new GetCommand({
+      TableName: process.env.DYNAMODB_TASKS_TABLE,
+      Key: { teamId: args.teamId, taskId: args.taskId }
+    }));
+    
+    if (!taskResult.Item) {
+      throw new NotFoundError('Task not found');
+    }
+    
+    const task = taskResult.Item;
+    
+    // Delete the task
+    await dynamodb.send(new DeleteCommand({
+      TableName: process.env.DYNAMODB_TASKS_TABLE,
+      Key: { teamId: args.teamId, taskId: args.taskId }
+    }));
+    
+    // Delete the task's comment thread
+    const comments = await queryAllItems({
+      TableName: process.env.DYNAMODB_COMMENTS_TABLE,
+      KeyConditionExpression: 'teamId = :teamId AND begins_with(commentId, :taskPrefix)',
+      ProjectionExpression: 'teamId, commentId',
+      ExpressionAttributeValues: {
+        ':teamId': args.teamId,
+        ':taskPrefix': `${args.taskId}#`
+      }
+    });
+    await batchDeleteItems(process.env.DYNAMODB_COMMENTS_TABLE, comments);
+    
+    // Deleting a blocker unblocks the tasks waiting for it
+    await removeDependencyLinks(task);
+    
+    // History is kept, so the deletion itself stays on record
+    const changes = diffTaskFields(task, null);
+    await recordTaskHistory(args.teamId, args.taskId, 'deleted', userId, changes);
+    await recordAuditEvent(args.teamId, 'task_deleted', userId, {
+      targetType: 'task',
+      targetId: args.taskId,
+      targetName: task.title
+    }, changes);
+    
+    // Send notification to assignee if task was assigned
+    if (task.assignedTo) {
+      await sendNotification(
+        'Task Deleted',
+        `The task "${task.title}" in team "${team.name}" has been deleted.`,
+        task.assignedTo,
+        {
+          taskId: args.taskId,
+          taskTitle: task.title,
+          teamId: args.teamId,
+          teamName: team.name,
+          action: 'task_deleted'
+        }
+      );
+    }
+    
+    logSuccess('DELETE_TASK', 'Task deleted successfully', { 
+      taskId: args.taskId 
+    });
+    
+    // deleteTask shares onTaskChanged with the other task mutations, so it must return a Task too
+    return { ...task, deleted: true };
+    
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
+      throw error;
+    }
+    logError('DELETE_TASK', error, { teamId: args.teamId, taskId: args.taskId });
+    throw new Error(`Failed to delete task: ${error.message}`);
+  }
+}
+
+/**
+ * Loads a task for a change its assignee may make (checklist, dependencies) and checks the user may make it
+ * Same rule as updateTask: the task's assignee or a team admin
+ * 
+ * @param {Object} args - GraphQL arguments containing teamId and taskId
+ * @param {string} userId - ID of the user making the change
+ * @param {string} subject - What is being changed, for the error message (e.g., 'checklist')
+ * @returns {Object} - { team, membership, task }
+ */
+async function getAssigneeEditableTask(args, userId, subject) {
+  const { team, membership } = await validateTeamMembership(args.teamId, userId);
+  assertTeamWritable(team);
+  
+  const task = await getExistingTask(args.teamId, args.taskId);
+  if (task.assignedTo !== userId && membership.role !== 'admin') {
+    throw new AuthorizationError(`You can only change the ${subject} of tasks assigned to you or if you are a team admin`);
+  }
+  return { team, membership, task };
+}
+
+/**
+ * Returns the position of a checklist item, failing with NotFoundError when it does not exist
+ * 
+ * @param {Object} task - Task item
+ * @param {string} itemId - ID of the checklist item
+ * @returns {number} - Index of the item in task.checklist
+ */
+function findChecklistItem(task, itemId) {
+  const index = (task.checklist || []).findIndex(item => item.itemId === itemId);
+  if (index === -1) {
+    throw new NotFoundError('Checklist item not found');
+  }
+  return index;
+}
+
+/**
+ * Writes a task's whole checklist
+ * The checklist is stored as a list on the task item, so the write is conditioned on the
+ * task being unchanged since it was read - otherwise two edits could overwrite each other
+ * 
+ * @param {Object} task - Task item as read before the change
+ * @param {Array} checklist - New checklist items in display order
+ * @param {string} userId - ID of the user changing the checklist
+ * @returns {Object} - The updated task record
+ */
+async function saveChecklist(task, checklist, userId) {
+  try {
+    const result = await dynamodb.send(new UpdateCommand({
+      TableName: process.env.DYNAMODB_TASKS_TABLE,
+      Key: { teamId: task.teamId, taskId: task.taskId },
+      UpdateExpression: 'SET checklist = :checklist, updatedAt = :updatedAt, updatedBy = :updatedBy',
+      ConditionExpression: 'updatedAt = :oldUpdatedAt',
+      ExpressionAttributeValues: {
+        ':checklist': checklist,
+        ':updatedAt': new Date().toISOString(),
+        ':updatedBy': userId,
+        ':oldUpdatedAt': task.updatedAt
+      },
+      ReturnValues: 'ALL_NEW'
+    }));
+    return result.Attributes;
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      throw new ValidationError('Task changed while updating, please refresh and try again');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Adds an item to the end of a task's checklist
+ * 
+ * @param {Object} args - GraphQL arguments containing teamId, taskId, title and optional assignedTo
+ * @param {string} userId - ID of the user adding the item (task assignee or admin)
+ * @param {Array} userGroups - Cognito groups the user belongs to
+ * @returns {Object} - The updated task record
+ */
+async function addChecklistItem(args, userId, userGroups) {
+  console.log('[ADD_CHECKLIST_ITEM] Starting checklist item creation:', { args, userId });
+  
+  // Validate required fields
+  validateRequired(args?.teamId, 'Team ID');
+  validateRequired(args?.taskId, 'Task ID');
+  validateRequired(args?.title, 'Checklist item title');
+  validateLength(args.title, 'Checklist item title', 1, 200);
+  
+  try {
+    const { task } = await getAssigneeEditableTask(args, userId, 'checklist');
+    
+    const checklist = task.checklist || [];
+    if (checklist.length >= MAX_CHECKLIST_ITEMS) {
+      throw new ValidationError(`A checklist can have at most ${MAX_CHECKLIST_ITEMS} items`);
+    }
+    
+    // Items can only be assigned to team members
+    if (args.assignedTo) {
+      const assigneeCheck = await dynamodb.send(new GetCommand({
+        TableName: process.env.DYNAMODB_MEMBERSHIPS_TABLE,
+        Key: { teamId: args.teamId, userId: args.assignedTo }
+      }));
+      
+      if (!assigneeCheck.Item) {
+        throw new ValidationError('Cannot assign checklist item to user who is not a team member');
+      }
+    }
+    
+    const item = {
+      itemId: uuidv4(),
+      title: args.title.trim(),
+      done: false,
+      assignedTo: args.assignedTo || null,
+      createdBy: userId,
+      createdAt: new Date().toISOString(),
+      completedBy: null,
+      completedAt: null
+    };
+    
+    const updatedTask = await saveChecklist(task, [...checklist, item], userId);
+    const changes = [{ field: 'checklist', before: null, after: item.title }];
+    await recordTaskHistory(args.teamId, args.taskId, 'checklist_item_added', userId, changes);
+    await recordAuditEvent(args.teamId, 'task_checklist_item_added', userId, {
+      targetType: 'task',
+      targetId: args.taskId,
+      targetName: updatedTask.title
+    }, changes);
+    
+    logSuccess('ADD_CHECKLIST_ITEM', 'Checklist item added successfully', {
+      taskId: args.taskId,
+      itemId: item.itemId,
+      itemCount: updatedTask.checklist.length
+    });
+    
+    return updatedTask;
+    
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
+      throw error;
+    }
+    logError('ADD_CHECKLIST_ITEM', error, { teamId: args.teamId, taskId: args.taskId });
+    throw new Error(`Failed to add checklist item: ${error.message}`);
+  }
+}
+
+/**
+ * Marks a checklist item as done or not done
+ * 
+ * @param {Object} args - GraphQL arguments containing teamId, taskId, itemId and done
+ * @param {string} userId - ID of the user toggling the item (task assignee or admin)
+ * @param {Array} userGroups - Cognito groups the user belongs to
+ * @returns {Object} - The updated task record
+ */
+async function toggleChecklistItem(args, userId, userGroups) {
+  console.log('[TOGGLE_CHECKLIST_ITEM] Starting checklist item toggle:', { args, userId });
+  
+  // Validate required fields
+  validateRequired(args?.teamId, 'Team ID');
+  validateRequired(args?.taskId, 'Task ID');
+  validateRequired(args?.itemId, 'Checklist item ID');
+  if (typeof args.done !== 'boolean') {
+    throw new ValidationError('done must be true or false');
+  }
+  
+  try {
+    const { task } = await getAssigneeEditableTask(args, userId, 'checklist');
+    
+    const index = findChecklistItem(task, args.itemId);
+    const item = task.checklist[index];
+    if (item.done === args.done) {
+      return task;  // Nothing to change
+    }
+    
+    const checklist = [...task.checklist];
+    checklist[index] = {
+      ...item,
+      done: args.done,
+      completedBy: args.done ? userId : null,
+      completedAt: args.done ? new Date().toISOString() : null
+    };
+    
+    const updatedTask = await saveChecklist(task, checklist, userId);
+    const changes = [{ field: 'checklist', before: null, after: item.title }];
+    await recordTaskHistory(args.teamId, args.taskId, args.done ? 'checklist_item_completed' : 'checklist_item_reopened', userId, changes);
+    await recordAuditEvent(args.teamId, args.done ? 'task_checklist_item_completed' : 'task_checklist_item_reopened', userId, {
+      targetType: 'task',
+      targetId: args.taskId,
+      targetName: updatedTask.title
+    }, changes);
+    
+    logSuccess('TOGGLE_CHECKLIST_ITEM', 'Checklist item toggled successfully', {
+      taskId: args.taskId,
+      itemId: args.itemId,
+      done: args.done
+    });
+    
+    return updatedTask;
+    
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
+      throw error;
+    }
+    logError('TOGGLE_CHECKLIST_ITEM', error, { teamId: args.teamId, taskId: args.taskId, itemId: args.itemId });
+    throw new Error(`Failed to update checklist item: ${error.message}`);
+  }
+}
+
+/**
+ * Puts a task's checklist items in a new order
+ * itemIds must list every current item exactly once
+ * 
+ * @param {Object} args - GraphQL arguments containing teamId, taskId and itemIds in the new order
+ * @param {string} userId - ID of the user reordering the items (task assignee or admin)
+ * @param {Array} userGroups - Cognito groups the user belongs to
+ * @returns {Object} - The updated task record
+ */
+async function reorderChecklistItems(args, userId, userGroups) {
+  console.log('[REORDER_CHECKLIST_ITEMS] Starting checklist reorder:', { args, userId });
+  
+  // Validate required fields
+  validateRequired(args?.teamId, 'Team ID');
+  validateRequired(args?.taskId, 'Task ID');
+  if (!Array.isArray(args.itemIds)) {
+    throw new ValidationError('Item IDs are required');
+  }
+  
+  try {
+    const { task } = await getAssigneeEditableTask(args, userId, 'checklist');
+    
+    const checklist = task.checklist || [];
+    const itemsById = new Map(checklist.map(item => [item.itemId, item]));
+    if (args.itemIds.length !== checklist.length
+      || new Set(args.itemIds).size !== args.itemIds.length
+      || args.itemIds.some(itemId => !itemsById.has(itemId))) {
+      throw new ValidationError('Item IDs must list every checklist item exactly once, please refresh and try again');
+    }
+    
+    // Reordering goes to the audit log only; the task history has no entry for it
+    const updatedTask = await saveChecklist(task, args.itemIds.map(itemId => itemsById.get(itemId)), userId);
+    await recordAuditEvent(args.teamId, 'task_checklist_reordered', userId, {
+      targetType: 'task',
+      targetId: args.taskId,
+      targetName: updatedTask.title
+    }, [], `${checklist.length} checklist item(s) reordered`);
+    
+    logSuccess('REORDER_CHECKLIST_ITEMS', 'Checklist reordered successfully', {
+      taskId: args.taskId,
+      itemCount: checklist.length
+    });
+    
+    return updatedTask;
+    
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
+      throw error;
+    }
+    logError('REORDER_CHECKLIST_ITEMS', error, { teamId: args.teamId, taskId: args.taskId });
+    throw new Error(`Failed to reorder checklist: ${error.message}`);
+  }
+}
+
+/**
+ * Removes an item from a task's checklist
+ * 
+ * @param {Object} args - GraphQL arguments containing teamId, taskId and itemId
+ * @param {string} userId - ID of the user removing the item (task assignee or admin)
+ * @param {Array} userGroups - Cognito groups the user belongs to
+ * @returns {Object} - The updated task record
+ */
+async function removeChecklistItem(args, userId, userGroups) {
+  console.log('[REMOVE_CHECKLIST_ITEM] Starting checklist item removal:', { args, userId });
+  
+  // Validate required fields
+  validateRequired(args?.teamId, 'Team ID');
+  validateRequired(args?.taskId, 'Task ID');
+  validateRequired(args?.itemId, 'Checklist item ID');
+  
+  try {
+    const { task } = await getAssigneeEditableTask(args, userId, 'checklist');
+    
+    const index = findChecklistItem(task, args.itemId);
+    const item = task.checklist[index];
+    
+    const updatedTask = await saveChecklist(task, task.checklist.filter(other => other.itemId !== args.itemId), userId);
+    const changes = [{ field: 'checklist', before: item.title, after: null }];
+    await recordTaskHistory(args.teamId, args.taskId, 'checklist_item_removed', userId, changes);
+    await recordAuditEvent(args.teamId, 'task_checklist_item_removed', userId, {
+      targetType: 'task',
+      targetId: args.taskId,
+      targetName: updatedTask.title
+    }, changes);
+    
+    logSuccess('REMOVE_CHECKLIST_ITEM', 'Checklist item removed successfully', {
+      taskId: args.taskId,
+      itemId: args.itemId
+    });
+    
+    return updatedTask;
+    
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
+      throw error;
+    }
+    logError('REMOVE_CHECKLIST_ITEM', error, { teamId: args.teamId, taskId: args.taskId, itemId: args.itemId });
+    throw new Error(`Failed to remove checklist item: ${error.message}`);
+  }
+}
+
+/**
+ * Whether one task waits for another, directly or through a chain of blockers
+ * 
+ * @param {Array} teamTasks - Every task of the team (taskId and blockedBy are enough)
+ * @param {string} fromTaskId - Task to start from
+ * @param {string} targetTaskId - Task to look for among fromTaskId's blockers
+ * @returns {boolean}
+ */
+function waitsFor(teamTasks, fromTaskId, targetTaskId) {
+  const blockedByIds = new Map(teamTasks.map(task => [task.taskId, task.blockedBy || []]));
+  const visited = new Set();
+  const pending = [fromTaskId];
+  
+  while (pending.length > 0) {
+    const taskId = pending.pop();
+    if (taskId === targetTaskId) {
+      return true;
+    }
+    if (!visited.has(taskId)) {
+      visited.add(taskId);
+      pending.push(...(blockedByIds.get(taskId) || []));
+    }
+  }
+  return false;
+}
+
+/**
+ * Removes a deleted task from the dependency lists of the tasks it was linked to
+ * Failures are logged and skipped - the field resolvers ignore links to missing tasks anyway
+ * 
+ * @param {Object} task - The deleted task record
+ */
+async function removeDependencyLinks(task) {
+  const links = [
+    ...(task.blockedBy || []).map(taskId => ({ taskId, attribute: 'blocks' })),
+    ...(task.blocks || []).map(taskId => ({ taskId, attribute: 'blockedBy' }))
+  ];
+  
+  for (const link of links) {
+    try {
+      const result = await dynamodb.send(new GetCommand({
+        TableName: process.env.DYNAMODB_TASKS_TABLE,
+        Key: { teamId: task.teamId, taskId: link.taskId }
+      }));
+      const index = (result.Item?.[link.attribute] || []).indexOf(task.taskId);
+      if (index === -1) {
+        continue;
+      }
+      
+      // The condition makes sure the list did not shift since it was read
+      await dynamodb.send(new UpdateCommand({
+        TableName: process.env.DYNAMODB_TASKS_TABLE,
+        Key: { teamId: task.teamId, taskId: link.taskId },
+        UpdateExpression: `REMOVE #links[${index}]`,
+        ConditionExpression: `#links[${index}] = :taskId`,
+        ExpressionAttributeNames: { '#links': link.attribute },
+        ExpressionAttributeValues: { ':taskId': task.taskId }
+      }));
+    } catch (error) {
+      logError('REMOVE_DEPENDENCY_LINKS', error, { teamId: task.teamId, taskId: task.taskId, linkedTaskId: link.taskId });
+    }
+  }
+}
+
+/**
+ * Marks a task as blocked by another task of the same team
+ * The link is stored on both tasks: blockedBy on the waiting task and blocks on the blocker.
+ * Links that would make a task wait for itself, directly or through other tasks, are refused
+ * 
+ * @param {Object} args - GraphQL arguments containing teamId, taskId and blockedByTaskId
+ * @param {string} userId - ID of the user linking the tasks (assignee of the blocked task or admin)
+ * @param {Array} userGroups - Cognito groups the user belongs to
+ * @returns {Object} - The updated blocked task record
+ */
+async function linkTaskDependency(args, userId, userGroups) {
+  console.log('[LINK_TASK_DEPENDENCY] Starting dependency link:', { args, userId });
+  
+  // Validate required fields
+  validateRequired(args?.teamId, 'Team ID');
+  validateRequired(args?.taskId, 'Task ID');
+  validateRequired(args?.blockedByTaskId, 'Blocking task ID');
+  if (args.taskId === args.blockedByTaskId) {
+    throw new ValidationError('A task cannot block itself');
+  }
+  
+  try {
+    const { task } = await getAssigneeEditableTask(args, userId, 'dependencies');
+    const blocker = await getExistingTask(args.teamId, args.blockedByTaskId);
+    
+    const blockedBy = task.blockedBy || [];
+    if (blockedBy.includes(blocker.taskId)) {
+      return task;  // Already linked
+    }
+    if (blockedBy.length >= MAX_TASK_BLOCKERS) {
+      throw new ValidationError(`A task can be blocked by at most ${MAX_TASK_BLOCKERS} tasks`);
+    }
+    
+    // Refuse cycles: the blocker must not already wait for this task
+    const teamTasks = await queryAllItems({
+      TableName: process.env.DYNAMODB_TASKS_TABLE,
+      KeyConditionExpression: 'teamId = :teamId',
+      ProjectionExpression: 'taskId, blockedBy',
+      ExpressionAttributeValues: { ':teamId': args.teamId }
+    });
+    if (waitsFor(teamTasks, blocker.taskId, task.taskId)) {
+      throw new ValidationError(`"${blocker.title}" already waits for "${task.title}", so it cannot block it`);
+    }
+    
+    const timestamp = new Date().toISOString();
+    
+    // Both conditions fail if either task changed since it was read, which also covers
+    // a concurrent link that would close a cycle the check above could not see
+    try {
+      await dynamodb.send(new TransactWriteCommand({
+        TransactItems: [
+          {
+            Update: {
+              TableName: process.env.DYNAMODB_TASKS_TABLE,
+              Key: { teamId: args.teamId, taskId: task.taskId },
+              UpdateExpression: 'SET #blockedBy = list_append(if_not_exists(#blockedBy, :empty), :blockerIds), updatedAt = :updatedAt, updatedBy = :updatedBy',
+              ConditionExpression: 'updatedAt = :oldUpdatedAt',
+              ExpressionAttributeNames: { '#blockedBy': 'blockedBy' },
+              ExpressionAttributeValues: {
+                ':empty': [],
+                ':blockerIds': [blocker.taskId],
+                ':updatedAt': timestamp,
+                ':updatedBy': userId,
+                ':oldUpdatedAt': task.updatedAt
+              }
+            }
+          },
+          {
+            Update: {
+              TableName: process.env.DYNAMODB_TASKS_TABLE,
+              Key: { teamId: args.teamId, taskId: blocker.taskId },
+              UpdateExpression: 'SET #blocks = list_append(if_not_exists(#blocks, :empty), :taskIds)',
+              ConditionExpression: 'updatedAt = :oldUpdatedAt',
+              ExpressionAttributeNames: { '#blocks': 'blocks' },
+              ExpressionAttributeValues: {
+                ':empty': [],
+                ':taskIds': [task.taskId],
+                ':oldUpdatedAt': blocker.updatedAt
+              }
+            }
+          }
+        ]
+      }));
+    } catch (error) {
+      if (error.name === 'TransactionCanceledException') {
+        throw new ValidationError('Tasks changed while linking, please refresh and try again');
+      }
+      throw error;
+    }
+    
+    const changes = [{ field: 'blockedBy', before: null, after: blocker.title }];
+    await recordTaskHistory(args.teamId, args.taskId, 'dependency_added', userId, changes);
+    await recordAuditEvent(args.teamId, 'task_dependency_added', userId, {
+      targetType: 'task',
+      targetId: args.taskId,
+      targetName: task.title
+    }, changes);
+    
+    logSuccess('LINK_TASK_DEPENDENCY', 'Dependency linked successfully', {
+      taskId: args.taskId,
+      blockedByTaskId: blocker.taskId
+    });
+    
+    return { ...task, blockedBy: [...blockedBy, blocker.taskId], updatedAt: timestamp, updatedBy: userId };
+    
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
+      throw error;
+    }
+    logError('LINK_TASK_DEPENDENCY', error, { teamId: args.teamId, taskId: args.taskId, blockedByTaskId: args.blockedByTaskId });
+    throw new Error(`Failed to link tasks: ${error.message}`);
+  }
+}
+
+/**
+ * Removes a blocking link between two tasks
+ * The blocker may already be gone, in which case only the blocked task is updated
+ * 
+ * @param {Object} args - GraphQL arguments containing teamId, taskId and blockedByTaskId
+ * @param {string} userId - ID of the user unlinking the tasks (assignee of the blocked task or admin)
+ * @param {Array} userGroups - Cognito groups the user belongs to
+ * @returns {Object} - The updated blocked task record
+ */
+async function unlinkTaskDependency(args, userId, userGroups) {
+  console.log('[UNLINK_TASK_DEPENDENCY] Starting dependency unlink:', { args, userId });
+  
+  // Validate required fields
+  validateRequired(args?.teamId, 'Team ID');
+  validateRequired(args?.taskId, 'Task ID');
+  validateRequired(args?.blockedByTaskId, 'Blocking task ID');
+  
+  try {
+    const { task } = await getAssigneeEditableTask(args, userId, 'dependencies');
+    
+    const index = (task.blockedBy || []).indexOf(args.blockedByTaskId);
+    if (index === -1) {
+      throw new NotFoundError('Dependency not found');
+    }
+    
+    const blockerResult = await dynamodb.send(new GetCommand({
+      TableName: process.env.DYNAMODB_TASKS_TABLE,
+      Key: { teamId: args.teamId, taskId: args.blockedByTaskId }
+    }));
+    const blocker = blockerResult.Item;
+    
+    const timestamp = new Date().toISOString();
+    
+    // List entries are removed by index, so each condition checks the entry is still where it was read
+    const transactItems = [
+      {
+        Update: {
+          TableName: process.env.DYNAMODB_TASKS_TABLE,
+          Key: { teamId: args.teamId, taskId: task.taskId },
+          UpdateExpression: `REMOVE #blockedBy[${index}] SET updatedAt = :updatedAt, updatedBy = :updatedBy`,
+          ConditionExpression: `#blockedBy[${index}] = :blockerId`,
+          ExpressionAttributeNames: { '#blockedBy': 'blockedBy' },
+          ExpressionAttributeValues: {
+            ':blockerId': args.blockedByTaskId,
+            ':updatedAt': timestamp,
+            ':updatedBy': userId
+          }
+        }
+      }
+    ];
+    const blocksIndex = (blocker?.blocks || []).indexOf(task.taskId);
+    if (blocksIndex !== -1) {
+      transactItems.push({
+        Update: {
+          TableName: process.env.DYNAMODB_TASKS_TABLE,
+          Key: { teamId: args.teamId, taskId: blocker.taskId },
+          UpdateExpression: `REMOVE #blocks[${blocksIndex}]`,
+          ConditionExpression: `#blocks[${blocksIndex}] = :taskId`,
+          ExpressionAttributeNames: { '#blocks': 'blocks' },
+          ExpressionAttributeValues: { ':taskId': task.taskId }
+        }
+      });
+    }
+    
+    try {
+      await dynamodb.send(new TransactWriteCommand({ TransactItems: transactItems }));
+    } catch (error) {
+      if (error.name === 'TransactionCanceledException') {
+        throw new ValidationError('Tasks changed while unlinking, please refresh and try again');
+      }
+      throw error;
+    }
+    
+    const changes = [{ field: 'blockedBy', before: blocker?.title || args.blockedByTaskId, after: null }];
+    await recordTaskHistory(args.teamId, args.taskId, 'dependency_removed', userId, changes);
+    await recordAuditEvent(args.teamId, 'task_dependency_removed', userId, {
+      targetType: 'task',
+      targetId: args.taskId,
+      targetName: task.title
+    }, changes);
+    
+    logSuccess('UNLINK_TASK_DEPENDENCY', 'Dependency unlinked successfully', {
+      taskId: args.taskId,
+      blockedByTaskId: args.blockedByTaskId
+    });
+    
+    return {
+      ...task,
+      blockedBy: task.blockedBy.filter(taskId => taskId !== args.blockedByTaskId),
+      updatedAt: timestamp,
+      updatedBy: userId
+    };
+    
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
+      throw error;
+    }
+    logError('UNLINK_TASK_DEPENDENCY', error, { teamId: args.teamId, taskId: args.taskId, blockedByTaskId: args.blockedByTaskId });
+    throw new Error(`Failed to unlink tasks: ${error.message}`);
+  }
+}
+
+/**
+ * Finds the team members mentioned in a comment body
+ * A mention is "@" followed by a member's email address, the part of it before the "@",
+ * or their name with spaces removed (all case-insensitive). Unknown mentions are ignored
+ * 
+ * @param {string} body - Comment text
+ * @param {string} teamId - Team whose members can be mentioned
+ * @returns {Array} - Unique user IDs of the mentioned members
+ */
+async function resolveMentions(body, teamId) {
+  const tokens = [...body.matchAll(/(?:^|[^\w.@])@([\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g)]
+    .map(match => match[1].replace(/\.+$/, '').toLowerCase());
+  if (tokens.length === 0) {
+    return [];
+  }
+  
+  const members = await queryAllItems({
+    TableName: process.env.DYNAMODB_MEMBERSHIPS_TABLE,
+    KeyConditionExpression: 'teamId = :teamId',
+    ProjectionExpression: 'userId',
+    ExpressionAttributeValues: {
+      ':teamId': teamId
+    }
+  });
+  const users = await batchGetUsers(members.map(member => member.userId));
+  
+  const mentioned = new Set();
+  for (const user of users.values()) {
+    const handles = [
+      user.email,
+      user.email?.split('@')[0],
+      user.name?.replace(/\s+/g, '')
+    ].filter(Boolean).map(handle => handle.toLowerCase());
+    if (tokens.some(token => handles.includes(token))) {
+      mentioned.add(user.userId);
+    }
+  }
+  
+  return [...mentioned];
+}
+
+/**
+ * Notifies newly mentioned members about a comment
+ * The author is never notified about their own mention
+ * 
+ * @param {Array} mentionedIds - User IDs to notify
+ * @param {Object} comment - The comment that mentions them
+ * @param {Object} task - The task the comment belongs to
+ * @param {Object} team - The task's team
+ * @param {string} authorId - ID of the comment's author
+ */
+async function notifyMentions(mentionedIds, comment, task, team, authorId) {
+  for (const mentionedId of mentionedIds.filter(id => id !== authorId)) {
+    await sendNotification(
+      'You Were Mentioned',
+      `You were mentioned in a comment on "${task.title}" in team "${team.name}": ${comment.body.slice(0, 200)}`,
+      mentionedId,
+      {
+        taskId: task.taskId,
+        taskTitle: task.title,
+        teamId: team.teamId,
+        teamName: team.name,
+        commentId: comment.commentId,
+        authorId,
+        action: 'comment_mention'
+      }
+    );
+  }
+}
+
+/**
+ * Loads a task and fails with NotFoundError when it does not exist
+ * 
+ * @param {string} teamId - ID of the task's team
+ * @param {string} taskId - ID of the task
+ * @returns {Object} - The task item
+ */
+async function getExistingTask(teamId, taskId) {
+  const taskResult = await dynamodb.send(new GetCommand({
+    TableName: process.env.DYNAMODB_TASKS_TABLE,
+    Key: { teamId, taskId }
+  }));
+  
+  if (!taskResult.Item) {
+    throw new NotFoundError('Task not found');
+  }
+  return taskResult.Item;
+}
+
+/**
+ * Loads a comment of a task and fails with NotFoundError when it does not exist
+ * 
+ * @param {Object} args - GraphQL arguments containing teamId, taskId and commentId
+ * @returns {Object} - The comment item
+ */
+async function getExistingComment(args) {
+  const commentResult = await dynamodb.send(new GetCommand({
+    TableName: process.env.DYNAMODB_COMMENTS_TABLE,
+    Key: { teamId: args.teamId, commentId: args.commentId }
+  }));
+  
+  if (!commentResult.Item || commentResult.Item.taskId !== args.taskId) {
+    throw new NotFoundError('Comment not found');
+  }
+  return commentResult.Item;
+}
+
+/**
+ * Lists the comments on a task, oldest first, one page at a time
+ * Replies are returned in the same list; clients group them by parentCommentId
+ * 
+ * @param {Object} args - GraphQL arguments containing teamId, taskId and optional limit/nextToken
+ * @param {string} userId - ID of the user requesting comments (must be team member)
+ * @param {Array} userGroups - Cognito groups the user belongs to
+ * @returns {Object} - CommentConnection with items and nextToken
+ */
+async function listComments(args, userId, userGroups) {
+  console.log('[LIST_COMMENTS] Starting comment list:', { args, userId });
+  
+  // Validate required parameters
+  validateRequired(args?.teamId, 'Team ID');
+  validateRequired(args?.taskId, 'Task ID');
+  const limit = resolvePageSize(args.limit);
+  const exclusiveStartKey = decodeNextToken(args.nextToken, { teamId: args.teamId });
+  
+  try {
+    // Verify user is a member of the team
+    await validateTeamMembership(args.teamId, userId);
+    
+    // Comment IDs start with the task ID, so one key range holds the whole thread in time order
+    const comments = await dynamodb.send(new QueryCommand({
+      TableName: process.env.DYNAMODB_COMMENTS_TABLE,
+      KeyConditionExpression: 'teamId = :teamId AND begins_with(commentId, :taskPrefix)',
+      ExpressionAttributeValues: {
+        ':teamId': args.teamId,
+        ':taskPrefix': `${args.taskId}#`
+      },
+      Limit: limit,
+      ExclusiveStartKey: exclusiveStartKey
+    }));
+    
+    const nextToken = encodeNextToken(comments.LastEvaluatedKey);
+    
+    logSuccess('LIST_COMMENTS', 'Comments retrieved successfully', { 
+      teamId: args.teamId,
+      taskId: args.taskId,
+      commentCount: comments.Items?.length || 0,
+      hasMore: Boolean(nextToken)
+    });
+    
+    return {
+      items: comments.Items || [],
+      nextToken
+    };
+    
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
+      throw error;
+    }
+    logError('LIST_COMMENTS', error, { teamId: args.teamId, taskId: args.taskId });
+    throw new Error(`Failed to list comments: ${error.message}`);
+  }
+}
+
+/**
+ * Adds a comment, or a reply to a comment, on a task
+ * Replies always attach to the top-level comment so threads stay one level deep.
+ * Mentioned team members are notified
+ * 
+ * @param {Object} args - GraphQL arguments containing teamId, taskId, body and optional parentCommentId
+ * @param {string} userId - ID of the comment author (must be team member)
+ * @param {Array} userGroups - Cognito groups the user belongs to
+ * @returns {Object} - The created comment
+ */
+async function addComment(args, userId, userGroups) {
+  console.log('[ADD_COMMENT] Starting comment creation:', { args, userId });
+  
+  // Validate required parameters
+  validateRequired(args?.teamId, 'Team ID');
+  validateRequired(args?.taskId, 'Task ID');
+  validateRequired(args?.body, 'Comment');
+  validateLength(args.body, 'Comment', 1, 5000);
+  
+  try {
+    // Verify user is a member of the team
+    const { team } = await validateTeamMembership(args.teamId, userId);
+    assertTeamWritable(team);
+    
+    const task = await getExistingTask(args.teamId, args.taskId);
+    
+    // Resolve the thread root when replying
+    let parentCommentId = null;
+    if (args.parentCommentId) {
+      const parent = await getExistingComment({ ...args, commentId: args.parentCommentId });
+      parentCommentId = parent.parentCommentId || parent.commentId;
+    }
+    
+    const body = args.body.trim();
+    const mentions = await resolveMentions(body, args.teamId);
+    const createdAt = new Date().toISOString();
+    
+    const comment = {
+      teamId: args.teamId,
+      commentId: `${args.taskId}#${createdAt}#${uuidv4()}`,
+      taskId: args.taskId,
+      parentCommentId,
+      authorId: userId,
+      body,
+      mentions,
+      createdAt,
+      updatedAt: createdAt,
+      edited: false,
+      deleted: false
+    };
+    
+    await dynamodb.send(new PutCommand({
+      TableName: process.env.DYNAMODB_COMMENTS_TABLE,
+      Item: comment
+    }));
+    
+    await recordTaskHistory(args.teamId, args.taskId, 'comment_added', userId, [], { commentId: comment.commentId });
+    await recordAuditEvent(args.teamId, 'comment_added', userId, {
+      targetType: 'comment',
+      targetId: comment.commentId,
+      targetName: task.title,
+      targetUserId: userId
+    });
+    await notifyMentions(mentions, comment, task, team, userId);
+    
+    logSuccess('ADD_COMMENT', 'Comment added successfully', { 
+      teamId: args.teamId,
+      taskId: args.taskId,
+      commentId: comment.commentId,
+      mentionCount: mentions.length
+    });
+    
+    return comment;
+    
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
+      throw error;
+    }
+    logError('ADD_COMMENT', error, { teamId: args.teamId, taskId: args.taskId });
+    throw new Error(`Failed to add comment: ${error.message}`);
+  }
+}
+
+/**
+ * Edits the text of a comment (author only)
+ * Only members mentioned for the first time by the edit are notified
+ * 
+ * @param {Object} args - GraphQL arguments containing teamId, taskId, commentId and body
+ * @param {string} userId - ID of the user editing the comment (must be the author)
+ * @param {Array} userGroups - Cognito groups the user belongs to
+ * @returns {Object} - The updated comment
+ */
+async function editComment(args, userId, userGroups) {
+  console.log('[EDIT_COMMENT] Starting comment edit:', { args, userId });
+  
+  // Validate required parameters
+  validateRequired(args?.teamId, 'Team ID');
+  validateRequired(args?.taskId, 'Task ID');
+  validateRequired(args?.commentId, 'Comment ID');
+  validateRequired(args?.body, 'Comment');
+  validateLength(args.body, 'Comment', 1, 5000);
+  
+  try {
+    // Verify user is a member of the team
+    const { team } = await validateTeamMembership(args.teamId, userId);
+    assertTeamWritable(team);
+    
+    const comment = await getExistingComment(args);
+    if (comment.deleted) {
+      throw new ValidationError('Deleted comments cannot be edited');
+    }
+    if (comment.authorId !== userId) {
+      throw new AuthorizationError('Only the author can edit this comment');
+    }
+    
+    const task = await getExistingTask(args.teamId, args.taskId);
+    const body = args.body.trim();
+    const mentions = await resolveMentions(body, args.teamId);
+    
+    const result = await dynamodb.send(new UpdateCommand({
+      TableName: process.env.DYNAMODB_COMMENTS_TABLE,
+      Key: { teamId: args.teamId, commentId: args.commentId },
+      UpdateExpression: 'SET body = :body, mentions = :mentions, updatedAt = :updatedAt, edited = :edited',
+      ExpressionAttributeValues: {
+        ':body': body,
+        ':mentions': mentions,
+        ':updatedAt': new Date().toISOString(),
+        ':edited': true
+      },
+      ReturnValues: 'ALL_NEW'
+    }));
+    
+    await recordTaskHistory(args.teamId, args.taskId, 'comment_edited', userId, [{
+      field: 'comment',
+      before: comment.body,
+      after: body
+    }], { commentId: args.commentId });
+    await recordAuditEvent(args.teamId, 'comment_edited', userId, {
+      targetType: 'comment',
+      targetId: args.commentId,
+      targetName: task.title,
+      targetUserId: comment.authorId
+    });
+    
+    const previousMentions = comment.mentions || [];
+    await notifyMentions(
+      mentions.filter(mentionedId => !previousMentions.includes(mentionedId)),
+      result.Attributes,
+      task,
+      team,
+      userId
+    );
+    
+    logSuccess('EDIT_COMMENT', 'Comment edited successfully', { 
+      teamId: args.teamId,
+      commentId: args.commentId
+    });
+    
+    return result.Attributes;
+    
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
+      throw error;
+    }
+    logError('EDIT_COMMENT', error, { teamId: args.teamId, commentId: args.commentId });
+    throw new Error(`Failed to edit comment: ${error.message}`);
+  }
+}
+
+/**
+ * Deletes a comment (author or team admin)
+ * A comment with replies is blanked and flagged deleted so the thread stays readable;
+ * anything else is removed outright
+ * 
+ * @param {Object} args - GraphQL arguments containing teamId, taskId and commentId
+ * @param {string} userId - ID of the user deleting the comment
+ * @param {Array} userGroups - Cognito groups the user belongs to
+ * @returns {Object} - The comment, flagged deleted
+ */
+async function deleteComment(args, userId, userGroups) {
+  console.log('[DELETE_COMMENT] Starting comment deletion:', { args, userId });
+  
+  // Validate required parameters
+  validateRequired(args?.teamId, 'Team ID');
+  validateRequired(args?.taskId, 'Task ID');
+  validateRequired(args?.commentId, 'Comment ID');
+  
+  try {
+    // Verify user is a member of the team
+    const { team, membership } = await validateTeamMembership(args.teamId, userId);
+    assertTeamWritable(team);
+    
+    const comment = await getExistingComment(args);
+    if (comment.authorId !== userId && membership.role !== 'admin') {
+      throw new AuthorizationError('Only the author or a team admin can delete this comment');
+    }
+    
+    // Top-level comments keep a placeholder while replies exist
+    const replies = comment.parentCommentId ? [] : await queryAllItems({
+      TableName: process.env.DYNAMODB_COMMENTS_TABLE,
+      KeyConditionExpression: 'teamId = :teamId AND begins_with(commentId, :taskPrefix)',
+      FilterExpression: 'parentCommentId = :commentId',
+      ProjectionExpression: 'commentId',
+      ExpressionAttributeValues: {
+        ':teamId': args.teamId,
+        ':taskPrefix': `${args.taskId}#`,
+        ':commentId': args.commentId
+      }
+    });
+    
+    let deletedComment;
+    if (replies.length > 0) {
+      const result = await dynamodb.send(new UpdateCommand({
+        TableName: process.env.DYNAMODB_COMMENTS_TABLE,
+        Key: { teamId: args.teamId, commentId: args.commentId },
+        UpdateExpression: 'SET body = :body, mentions = :mentions, deleted = :deleted, updatedAt = :updatedAt',
+        ExpressionAttributeValues: {
+          ':body': '',
+          ':mentions': [],
+          ':deleted': true,
+          ':updatedAt': new Date().toISOString()
+        },
+        ReturnValues: 'ALL_NEW'
+      }));
+      deletedComment = result.Attributes;
+    } else {
+      await dynamodb.send(new DeleteCommand({
+        TableName: process.env.DYNAMODB_COMMENTS_TABLE,
+        Key: { teamId: args.teamId, commentId: args.commentId }
+      }));
+      deletedComment = { ...comment, deleted: true };
+    }
+    
+    await recordTaskHistory(args.teamId, args.taskId, 'comment_deleted', userId, [{
+      field: 'comment',
+      before: comment.body,
+      after: null
+    }], { commentId: args.commentId });
+    await recordAuditEvent(args.teamId, 'comment_deleted', userId, {
+      targetType: 'comment',
+      targetId: args.commentId,
+      targetUserId: comment.authorId
+    });
+    
+    logSuccess('DELETE_COMMENT', 'Comment deleted successfully', { 
+      teamId: args.teamId,
+      commentId: args.commentId,
+      keptForReplies: replies.length > 0
+    });
+    
+    return deletedComment;
+    
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
+      throw error;
+    }
+    logError('DELETE_COMMENT', error, { teamId: args.teamId, commentId: args.commentId });
+    throw new Error(`Failed to delete comment: ${error.message}`);
+  }
+}
+
+/**
+ * Lists a task's history, newest first, one page at a time
+ * History outlives the task, so deleted tasks can still be looked up by team members
+ * 
+ * @param {Object} args - GraphQL arguments containing teamId, taskId and optional limit/nextToken
+ * @param {string} userId - ID of the user requesting history (must be team member)
+ * @param {Array} userGroups - Cognito groups the user belongs to
+ * @returns {Object} - TaskHistoryConnection with items and nextToken
+ */
+async function taskHistory(args, userId, userGroups) {
+  console.log('[TASK_HISTORY] Starting history list:', { args, userId });
+  
+  // Validate required parameters
+  validateRequired(args?.teamId, 'Team ID');
+  validateRequired(args?.taskId, 'Task ID');
+  const limit = resolvePageSize(args.limit);
+  const exclusiveStartKey = decodeNextToken(args.nextToken, { teamId: args.teamId });
+  
+  try {
+    // Verify user is a member of the team
+    await validateTeamMembership(args.teamId, userId);
+    
+    const history = await dynamodb.send(new QueryCommand({
+      TableName: process.env.DYNAMODB_TASK_HISTORY_TABLE,
+      KeyConditionExpression: 'teamId = :teamId AND begins_with(historyId, :taskPrefix)',
+      ExpressionAttributeValues: {
+        ':teamId': args.teamId,
+        ':taskPrefix': `${args.taskId}#`
+      },
+      ScanIndexForward: false,  // Newest first
+      Limit: limit,
+      ExclusiveStartKey: exclusiveStartKey
+    }));
+    
+    const nextToken = encodeNextToken(history.LastEvaluatedKey);
+    
+    logSuccess('TASK_HISTORY', 'Task history retrieved successfully', { 
+      teamId: args.teamId,
+      taskId: args.taskId,
+      eventCount: history.Items?.length || 0,
+      hasMore: Boolean(nextToken)
+    });
+    
+    return {
+      items: history.Items || [],
+      nextToken
+    };
+    
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
+      throw error;
+    }
+    logError('TASK_HISTORY', error, { teamId: args.teamId, taskId: args.taskId });
+    throw new Error(`Failed to get task history: ${error.message}`);
+  }
+}
+
+/**
+ * Lists a team's audit log, newest first, one page at a time
+ * Only team admins can read the audit log. from/to bound the entry timestamps (inclusive) through
+ * the sort key; actorId and action are applied after the page is read, so a filtered page can hold
+ * fewer than limit items while nextToken is still set
+ * 
+ * @param {Object} args - GraphQL arguments containing teamId and optional from, to, actorId, action, limit and nextToken
+ * @param {string} userId - ID of the user requesting the log (must be admin)
+ * @param {Array} userGroups - Cognito groups the user belongs to
+ * @returns {Object} - AuditEventConnection with items and nextToken
+ */
+async function auditLog(args, userId, userGroups) {
+  console.log('[AUDIT_LOG] Starting audit log list:', { args, userId });
+  
+  // Validate required parameters and optional filters
+  validateRequired(args?.teamId, 'Team ID');
+  for (const bound of ['from', 'to']) {
+    if (args[bound] && isNaN(new Date(args[bound]).getTime())) {
+      throw new ValidationError(`Invalid ${bound} date. Use ISO date format (YYYY-MM-DD)`);
+    }
+  }
+  const from = args.from ? new Date(args.from).toISOString() : null;
+  const to = args.to ? new Date(args.to).toISOString() : null;
+  if (from && to && from > to) {
+    throw new ValidationError('from must not be after to');
+  }
+  if (args.action && !AUDIT_ACTIONS.includes(args.action)) {
+    throw new ValidationError(`Invalid action. Must be one of: ${AUDIT_ACTIONS.join(', ')}`);
+  }
+  const limit = resolvePageSize(args.limit);
+  const exclusiveStartKey = decodeNextToken(args.nextToken, { teamId: args.teamId });
+  
+  try {
+    // Verify user is admin of the team - archived teams keep their log readable
+    await validateTeamMembership(args.teamId, userId, 'admin');
+    
+    // Sort keys start with the ISO timestamp, so the date range is part of the key condition.
+    // '~' sorts after '#', which makes the upper bound include every entry at exactly `to`
+    let keyCondition = 'teamId = :teamId';
+    const expressionAttributeValues = { ':teamId': args.teamId };
+    if (from && to) {
+      keyCondition += ' AND auditId BETWEEN :from AND :to';
+    } else if (from) {
+      keyCondition += ' AND auditId >= :from';
+    } else if (to) {
+      keyCondition += ' AND auditId <= :to';
+    }
+    if (from) expressionAttributeValues[':from'] = from;
+    if (to) expressionAttributeValues[':to'] = `${to}~`;
+    
+    const filterExpressions = [];
+    const expressionAttributeNames = {};
+    if (args.actorId) {
+      filterExpressions.push('actorId = :actorId');
+      expressionAttributeValues[':actorId'] = args.actorId;
+    }
+    if (args.action) {
+      filterExpressions.push('#action = :action');
+      expressionAttributeNames['#action'] = 'action';  // 'action' is a DynamoDB reserved word
+      expressionAttributeValues[':action'] = args.action;
+    }
+    
+    const entries = await dynamodb.send(new QueryCommand({
+      TableName: process.env.DYNAMODB_AUDIT_LOG_TABLE,
+      KeyConditionExpression: keyCondition,
+      ...(filterExpressions.length > 0 && { FilterExpression: filterExpressions.join(' AND ') }),
+      ...(Object.keys(expressionAttributeNames).length > 0 && { ExpressionAttributeNames: expressionAttributeNames }),
+      ExpressionAttributeValues: expressionAttributeValues,
+      ScanIndexForward: false,  // Newest first
+      Limit: limit,
+      ExclusiveStartKey: exclusiveStartKey
+    }));
+    
+    const nextToken = encodeNextToken(entries.LastEvaluatedKey);
+    
+    logSuccess('AUDIT_LOG', 'Audit log retrieved successfully', { 
+      teamId: args.teamId,
+      entryCount: entries.Items?.length || 0,
+      hasMore: Boolean(nextToken)
+    });
+    
+    return {
+      items: entries.Items || [],
+      nextToken
+    };
+    
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
+      throw error;
+    }
+    logError('AUDIT_LOG', error, { teamId: args.teamId });
+    throw new Error(`Failed to get audit log: ${error.message}`);
+  }
+}
+
+/**
+ * Lists the teams that a user is a member of, one page at a time
+ * Returns teams with the user's role in each team. Archived teams are hidden
+ * unless includeArchived is set, and teams being deleted are never returned.
+ * Hidden teams are filtered out after the page is read, so a page can hold
+ * fewer than limit items while nextToken is still set
+ * 
+ * @param {string} userId - ID of the user whose teams to list
+ * @param {Object} args - GraphQL arguments containing optional includeArchived, limit and nextToken
+ * @returns {Object} - TeamConnection with items and nextToken
+ */
+async function listTeams(userId, args = {}) {
+  console.log('[LIST_TEAMS] Starting team list for user:', userId, args);
+  
+  const limit = resolvePageSize(args?.limit);
+  const exclusiveStartKey = decodeNextToken(args?.nextToken, { userId });
+  
+  try {
+    // Query memberships table using GSI to find the teams user belongs to
+    const memberships = await dynamodb.send(new QueryCommand({
+      TableName: process.env.DYNAMODB_MEMBERSHIPS_TABLE,
+      IndexName: 'userId-index',  // GSI on userId
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: {
+        ':userId': userId
+      },
+      Limit: limit,
+      ExclusiveStartKey: exclusiveStartKey
+    }));
+    
+    console.log('[LIST_TEAMS] Found memberships:', memberships.Items?.length || 0);
+    
+    const nextToken = encodeNextToken(memberships.LastEvaluatedKey);
+    
+    if (!memberships.Items || memberships.Items.length === 0) {
+      console.log('[LIST_TEAMS] No team memberships found for user:', userId);
+      return { items: [], nextToken };
+    }
+    
+    // Extract team IDs from memberships
+    const teamIds = memberships.Items.map(item => item.teamId);
+    console.log('[LIST_TEAMS] Team IDs to fetch:', teamIds);
+    
+    // Fetch team details for each team (batch operations could be optimized here)
+    const teams = [];
+    for (const teamId of teamIds) {
+      const teamResult = await dynamodb.send(new GetCommand({
+        TableName: process.env.DYNAMODB_TEAMS_TABLE,
+        Key: { teamId }
+      }));
+      
+      // Skip teams that are mid-deletion, and archived teams unless asked for
+      if (teamResult.Item && !teamResult.Item.deletingAt && (args?.includeArchived || !teamResult.Item.archived)) {
+        // Find corresponding membership to get user role
+        const membership = memberships.Items.find(m => m.teamId === teamId);
+        teams.push({
+          ...teamResult.Item,
+          workflow: getTeamWorkflow(teamResult.Item),
+          userRole: membership.role  // Add user's role in this team
+        });
+      }
+    }
+    
+    logSuccess('LIST_TEAMS', 'Teams retrieved successfully', { 
+      teamCount: teams.length,
+      hasMore: Boolean(nextToken),
+      userId
+    });
     
-    // Generate task ID and create task record
-    const taskId = uuidv4();
-    const timestamp = new Date().toISOString();
-    
-    const task = {
-      teamId: args.teamId,
-      taskId,
-      title: args.title.trim(),
-      description: args.description.trim(),
-      assignedTo: args.assignedTo || null,
-      status: 'Not Started',  // Default status for new tasks
-      priority: args.priority || 'Medium',  // Default priority
-      deadline: args.deadline || null,
-      createdBy: userId,
-      createdAt: timestamp,
-      updatedAt: timestamp,
-      updatedBy: userId
-    };
+    return { items: teams, nextToken };
     
-    await dynamodb.send(new PutCommand({
+  } catch (error) {
+    logError('LIST_TEAMS', error, { userId });
+    throw new Error(`Failed to list teams: ${error.message}`);
+  }
+}
+
+/**
+ * Retrieves a single task from a team
+ * Only team members can view team tasks
+ * 
+ * @param {Object} args - GraphQL arguments containing teamId and taskId
+ * @param {string} userId - ID of the user requesting the task
+ * @param {Array} userGroups - Cognito groups the user belongs to
+ * @returns {Object} - The task record
+ */
+async function getTask(args, userId, userGroups) {
+  console.log('[GET_TASK] Starting task retrieval:', { args, userId });
+  
+  // Validate required parameters
+  validateRequired(args?.teamId, 'Team ID');
+  validateRequired(args?.taskId, 'Task ID');
+  
+  try {
+    // Verify user is member of the team
+    await validateTeamMembership(args.teamId, userId);
+    
+    const taskResult = await dynamodb.send(new GetCommand({
       TableName: process.env.DYNAMODB_TASKS_TABLE,
-      Item: task
+      Key: { teamId: args.teamId, taskId: args.taskId }
     }));
     
-    // Send assignment notification if task is assigned to someone
-    if (args.assignedTo) {
-      await sendNotification(
-        'New Task Assignment',
-        `You have been assigned a new task: "${args.title}" in team "${team.name}". Priority: ${task.priority}`,
-        args.assignedTo,
-        {
-          taskId,
-          taskTitle: args.title,
-          teamId: args.teamId,
-          teamName: team.name,
-          priority: task.priority,
-          deadline: task.deadline,
-          action: 'task_assigned'
-        }
-      );
+    if (!taskResult.Item) {
+      throw new NotFoundError('Task not found');
     }
     
-    logSuccess('CREATE_TASK', 'Task created successfully', { 
-      taskId, 
-      title: task.title,
-      assignedTo: task.assignedTo,
-      priority: task.priority
+    logSuccess('GET_TASK', 'Task retrieved successfully', { 
+      teamId: args.teamId, 
+      taskId: args.taskId 
     });
     
-    return task;
+    return taskResult.Item;
     
   } catch (error) {
     if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
       throw error;
     }
-    logError('CREATE_TASK', error, { teamId: args.teamId, title: args.title });
-    throw new Error(`Failed to create task: ${error.message}`);
+    logError('GET_TASK', error, { teamId: args.teamId, taskId: args.taskId });
+    throw new Error(`Failed to get task: ${error.message}`);
   }
 }
 
 /**
- * Updates the status of an existing task
- * Users can update tasks assigned to them, admins can update any team task
+ * Validates the filter and sort arguments of listTasks
  * 
- * @param {Object} args - GraphQL arguments containing teamId, taskId, and new status
- * @param {string} userId - ID of the user updating the task
- * @param {Array} userGroups - Cognito groups the user belongs to
- * @returns {Object} - The updated task record
+ * @param {Object} filter - TaskFilterInput ({ status, priority, assignedTo, createdBy, label, deadlineFrom, deadlineTo })
+ * @param {Object} sort - TaskSortInput ({ field, direction })
+ * @returns {Object} - { filter, sort } with unset filters left out and sort null when not given
+ * @throws {ValidationError} - If a filter or the sort is invalid
  */
-async function updateTask(args, userId, userGroups) {
-  console.log('[UPDATE_TASK] Starting task update:', { args, userId });
+function normalizeTaskQuery(filter, sort) {
+  const normalized = {};
   
-  // Validate required fields
-  validateRequired(args?.teamId, 'Team ID');
-  validateRequired(args?.taskId, 'Task ID');
-  validateRequired(args?.status, 'Task status');
+  if (filter?.status?.length > 0) {
+    if (filter.status.length > MAX_WORKFLOW_STATUSES) {
+      throw new ValidationError(`Filter by at most ${MAX_WORKFLOW_STATUSES} statuses`);
+    }
+    filter.status.forEach(status => validateLength(status, 'Status', 1, 30));
+    normalized.status = [...new Set(filter.status)];
+  }
+  if (filter?.priority?.length > 0) {
+    if (filter.priority.some(priority => !VALID_PRIORITIES.includes(priority))) {
+      throw new ValidationError(`Invalid priority. Must be one of: ${VALID_PRIORITIES.join(', ')}`);
+    }
+    normalized.priority = [...new Set(filter.priority)];
+  }
+  for (const field of ['assignedTo', 'createdBy', 'label']) {
+    if (filter?.[field]) {
+      normalized[field] = filter[field];
+    }
+  }
+  for (const field of ['deadlineFrom', 'deadlineTo']) {
+    if (filter?.[field]) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(filter[field]) || isNaN(new Date(filter[field]).getTime())) {
+        throw new ValidationError(`Invalid ${field} format. Use ISO date format (YYYY-MM-DD)`);
+      }
+      normalized[field] = filter[field];
+    }
+  }
+  if (normalized.deadlineFrom && normalized.deadlineTo && normalized.deadlineFrom > normalized.deadlineTo) {
+    throw new ValidationError('deadlineFrom cannot be after deadlineTo');
+  }
+  
+  let normalizedSort = null;
+  if (sort?.field) {
+    if (!TASK_SORT_FIELDS.includes(sort.field)) {
+      throw new ValidationError(`Invalid sort field. Must be one of: ${TASK_SORT_FIELDS.join(', ')}`);
+    }
+    const direction = sort.direction || 'asc';
+    if (!SORT_DIRECTIONS.includes(direction)) {
+      throw new ValidationError(`Invalid sort direction. Must be one of: ${SORT_DIRECTIONS.join(', ')}`);
+    }
+    normalizedSort = { field: sort.field, direction };
+  }
+  
+  return { filter: normalized, sort: normalizedSort };
+}
+
+/**
+ * Builds the FilterExpression parts for a normalized task filter
+ * Tasks without a deadline never match a deadline range, since NULL does not compare with a string
+ * 
+ * @param {Object} filter - Filter from normalizeTaskQuery
+ * @param {Array} skip - Filter fields already covered by the key condition
+ * @returns {Object} - { expressions, names, values } to join with AND and merge into the query
+ */
+function buildTaskFilterExpression(filter, skip = []) {
+  const expressions = [];
+  const names = {};
+  const values = {};
+  const placeholders = (prefix, list) => list.map((value, index) => {
+    values[`:${prefix}${index}`] = value;
+    return `:${prefix}${index}`;
+  }).join(', ');
+  
+  if (filter.status) {
+    expressions.push(`#status IN (${placeholders('status', filter.status)})`);
+    names['#status'] = 'status';  // 'status' is a DynamoDB reserved word
+  }
+  if (filter.priority) {
+    expressions.push(`priority IN (${placeholders('priority', filter.priority)})`);
+  }
+  if (filter.assignedTo && !skip.includes('assignedTo')) {
+    expressions.push('assignedTo = :assignedTo');
+    values[':assignedTo'] = filter.assignedTo;
+  }
+  if (filter.createdBy) {
+    expressions.push('createdBy = :createdBy');
+    values[':createdBy'] = filter.createdBy;
+  }
+  if (filter.label) {
+    expressions.push('contains(labels, :label)');
+    values[':label'] = filter.label;
+  }
+  if (filter.deadlineFrom) {
+    expressions.push('deadline >= :deadlineFrom');
+    values[':deadlineFrom'] = filter.deadlineFrom;
+  }
+  if (filter.deadlineTo) {
+    // Deadlines may carry a time, so compare against the start of the following day
+    const dayAfter = new Date(new Date(`${filter.deadlineTo}T00:00:00Z`).getTime() + 24 * 60 * 60 * 1000);
+    expressions.push('deadline < :deadlineBefore');
+    values[':deadlineBefore'] = dayAfter.toISOString().slice(0, 10);
+  }
+  
+  return { expressions, names, values };
+}
+
+/**
+ * Orders two tasks for listTasks sorts that have no index
+ * Ties are broken by creation time and task ID so pages never overlap
+ * 
+ * @param {Object} a - Task record
+ * @param {Object} b - Task record
+ * @param {string} field - Sort field (one of TASK_SORT_FIELDS)
+ * @param {Array} workflow - Team workflow, for ordering by status
+ * @returns {number} - Negative, zero or positive like Array.prototype.sort expects
+ */
+function compareTasks(a, b, field, workflow) {
+  const compareStrings = (x, y) => (x < y ? -1 : x > y ? 1 : 0);
+  let comparison = 0;
+  
+  switch (field) {
+    case 'title':
+      comparison = a.title.localeCompare(b.title);
+      break;
+    case 'status': {
+      // Workflow order - statuses no longer in the workflow sort last
+      const statusOrder = task => {
+        const index = workflow.findIndex(status => status.name === task.status);
+        return index === -1 ? workflow.length : index;
+      };
+      comparison = statusOrder(a) - statusOrder(b);
+      break;
+    }
+    case 'priority':
+      comparison = VALID_PRIORITIES.indexOf(a.priority || 'Medium') - VALID_PRIORITIES.indexOf(b.priority || 'Medium');
+      break;
+    default:
+      comparison = compareStrings(a[field] || '', b[field] || '');
+  }
+  
+  return comparison || compareStrings(a.createdAt || '', b.createdAt || '') || compareStrings(a.taskId, b.taskId);
+}
+
+/**
+ * Reads one page of a team's tasks in deadline order for listTasks
+ * Dated tasks come from the sparse teamId-deadline-index. Tasks without a deadline are not in it,
+ * so they are read from teamId-createdAt-index and sort as if due last: after the dated tasks,
+ * or before them when descending. The page key records which of the two reads it continues
+ * 
+ * @param {Object} params - QueryCommand parameters for teamId-deadline-index
+ * @param {string} direction - Sort direction (asc or desc)
+ * @param {number} limit - Page size
+ * @param {Object} token - Decoded nextToken ({ phase, key }), or undefined for the first page
+ * @param {boolean} datedOnly - Whether the filter already leaves out tasks without a deadline
+ * @returns {Object} - { items, nextKey } where nextKey is null on the last page
+ * @throws {ValidationError} - If the token does not continue either read
+ */
+async function queryTasksByDeadline(params, direction, limit, token, datedOnly) {
+  const ascending = direction !== 'desc';
+  const phases = [{ name: 'dated', params, keyAttributes: ['teamId', 'deadline', 'taskId'] }];
+  if (!datedOnly) {
+    phases.push({
+      name: 'undated',
+      params: {
+        ...params,
+        IndexName: 'teamId-createdAt-index',
+        FilterExpression: params.FilterExpression
+          ? `(${params.FilterExpression}) AND attribute_not_exists(deadline)`
+          : 'attribute_not_exists(deadline)'
+      },
+      keyAttributes: ['teamId', 'createdAt', 'taskId']
+    });
+  }
+  if (!ascending) {
+    phases.reverse();
+  }
+  
+  let index = token ? phases.findIndex(phase => phase.name === token.phase) : 0;
+  if (index === -1 || (token?.key && token.key.teamId !== params.ExpressionAttributeValues[':teamId'])) {
+    throw new ValidationError('Invalid pagination token');
+  }
   
-  // Validate status value
-  if (!VALID_TASK_STATUSES.includes(args.status)) {
-    throw new ValidationError(`Invalid status. Must be one of: ${VALID_TASK_STATUSES.join(', ')}`);
+  const items = [];
+  let startKey = token?.key;
+  for (; index < phases.length; index++) {
+    const phase = phases[index];
+    const page = await queryFilledPage({
+      ...phase.params,
+      ScanIndexForward: ascending
+    }, limit - items.length, startKey, phase.keyAttributes);
+    items.push(...page.items);
+    
+    if (page.lastEvaluatedKey) {
+      return { items, nextKey: { phase: phase.name, key: page.lastEvaluatedKey } };
+    }
+    startKey = undefined;
+    if (items.length >= limit) {
+      // The page filled up right at the end of this read - the next page starts the other one
+      return { items, nextKey: index + 1 < phases.length ? { phase: phases[index + 1].name } : null };
+    }
   }
   
+  return { items, nextKey: null };
+}
+
+/**
+ * Lists the tasks in a specific team, one page at a time, optionally filtered and sorted
+ * Only team members can view team tasks. The read is picked to touch as few tasks as possible:
+ * - sorted by createdAt or updatedAt: the teamId-createdAt-index or teamId-updatedAt-index GSI,
+ *   read in order
+ * - sorted by deadline: the teamId-deadline-index GSI, then the tasks without a deadline
+ *   (see queryTasksByDeadline)
+ * - filtered by assignee: the assignedTo-index GSI, so only that member's tasks are read
+ * - otherwise the team partition
+ * The remaining filters run as a FilterExpression, and pages are topped up until they are full.
+ * Sorts by title, status or priority have no index: every page reads all matching tasks, sorts
+ * them in memory and pages by offset, and they are refused when more than MAX_SORTED_TASKS tasks
+ * match. An offset token skips or repeats tasks when tasks are added, removed or change the sort
+ * field between pages, as does a key token for updatedAt when a task is updated meanwhile.
+ * nextToken is tied to the filter and sort it was issued for
+ * 
+ * @param {Object} args - GraphQL arguments containing teamId and optional filter, sort, limit and nextToken
+ * @param {string} userId - ID of the user requesting the task list
+ * @param {Array} userGroups - Cognito groups the user belongs to
+ * @returns {Object} - TaskConnection with items and nextToken
+ */
+async function listTasks(args, userId, userGroups) {
+  console.log('[LIST_TASKS] Starting task list:', { args, userId });
+  
+  // Validate required parameters
+  validateRequired(args?.teamId, 'Team ID');
+  const limit = resolvePageSize(args.limit);
+  const { filter, sort } = normalizeTaskQuery(args.filter, args.sort);
+  const querySignature = JSON.stringify({ filter, sort });
+  const token = decodeNextToken(args.nextToken, { teamId: args.teamId, query: querySignature });
+  
   try {
     // Verify user is member of the team
-    const { team, membership } = await validateTeamMembership(args.teamId, userId);
+    const { team } = await validateTeamMembership(args.teamId, userId);
     
-    // Get the existing task
-    const taskResult = await dynamodb.send(new GetCommand({
+    // Pick the table or index to read
+    const indexedSort = Boolean(TASK_SORT_INDEXES[sort?.field]) || sort?.field === 'deadline';
+    const byAssignee = Boolean(filter.assignedTo) && !indexedSort;
+    const conditions = buildTaskFilterExpression(filter, byAssignee ? ['assignedTo'] : []);
+    const expressionAttributeValues = { ...conditions.values };
+    let keyCondition;
+    let indexName;
+    let keyAttributes;
+    if (byAssignee) {
+      indexName = 'assignedTo-index';  // GSI on assignedTo - the team is a filter there
+      keyCondition = 'assignedTo = :assignedTo';
+      conditions.expressions.unshift('teamId = :teamId');
+      expressionAttributeValues[':assignedTo'] = filter.assignedTo;
+      keyAttributes = ['assignedTo', 'teamId', 'taskId'];
+    } else if (TASK_SORT_INDEXES[sort?.field]) {
+      indexName = TASK_SORT_INDEXES[sort.field];  // GSI on teamId and the sort field
+      keyCondition = 'teamId = :teamId';
+      keyAttributes = ['teamId', sort.field, 'taskId'];
+    } else if (sort?.field === 'deadline') {
+      indexName = 'teamId-deadline-index';  // GSI on teamId and deadline
+      keyCondition = 'teamId = :teamId';
+    } else {
+      keyCondition = 'teamId = :teamId';
+      keyAttributes = ['teamId', 'taskId'];
+    }
+    expressionAttributeValues[':teamId'] = args.teamId;
+    
+    const params = {
       TableName: process.env.DYNAMODB_TASKS_TABLE,
-      Key: { teamId: args.teamId, taskId: args.taskId }
-    }));
+      ...(indexName && { IndexName: indexName }),
+      KeyConditionExpression: keyCondition,
+      ...(conditions.expressions.length > 0 && { FilterExpression: conditions.expressions.join(' AND ') }),
+      ...(Object.keys(conditions.names).length > 0 && { ExpressionAttributeNames: conditions.names }),
+      ExpressionAttributeValues: expressionAttributeValues
+    };
     
-    if (!taskResult.Item) {
-      throw new NotFoundError('Task not found');
+    let items;
+    let nextKey;
+    if (sort?.field === 'deadline') {
+      const { query, teamId, ...deadlineToken } = token || {};
+      const page = await queryTasksByDeadline(params, sort.direction, limit, token && deadlineToken,
+        Boolean(filter.deadlineFrom || filter.deadlineTo));
+      items = page.items;
+      nextKey = page.nextKey && { teamId: args.teamId, ...page.nextKey };
+    } else if (sort && !TASK_SORT_INDEXES[sort.field]) {
+      // No index orders by this field - sort every match and page by offset
+      const tasks = await queryAllItemsUpTo(params, MAX_SORTED_TASKS);
+      if (!tasks) {
+        throw new ValidationError(`More than ${MAX_SORTED_TASKS} tasks match, too many to sort by ${sort.field}. Narrow the filter or sort by createdAt, updatedAt or deadline`);
+      }
+      const direction = sort.direction === 'desc' ? -1 : 1;
+      const workflow = getTeamWorkflow(team);
+      tasks.sort((a, b) => direction * compareTasks(a, b, sort.field, workflow));
+      
+      const offset = token?.offset || 0;
+      items = tasks.slice(offset, offset + limit);
+      nextKey = offset + limit < tasks.length ? { teamId: args.teamId, offset: offset + limit } : null;
+    } else {
+      const { query, ...exclusiveStartKey } = token || {};
+      const page = await queryFilledPage({
+        ...params,
+        ...(sort && { ScanIndexForward: sort.direction === 'asc' })
+      }, limit, token ? exclusiveStartKey : undefined, keyAttributes);
+      items = page.items;
+      nextKey = page.lastEvaluatedKey;
     }
     
-    const task = taskResult.Item;
-    const oldStatus = task.status;
+    const nextToken = encodeNextToken(nextKey && { ...nextKey, query: querySignature });
     
-    // Check if user has permission to update this task
-    // Users can update tasks assigned to them, admins can update any task
-    const canUpdate = task.assignedTo === userId || membership.role === 'admin';
+    logSuccess('LIST_TASKS', 'Tasks retrieved successfully', { 
+      teamId: args.teamId, 
+      filter,
+      sort,
+      index: indexName || 'table',
+      taskCount: items.length,
+      hasMore: Boolean(nextToken)
+    });
     
-    if (!canUpdate) {
-      throw new AuthorizationError('You can only update tasks assigned to you or if you are a team admin');
-    }
+    return { items, nextToken };
     
-    const timestamp = new Date().toISOString();
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
+      throw error;
+    }
+    logError('LIST_TASKS', error, { teamId: args.teamId });
+    throw new Error(`Failed to list tasks: ${error.message}`);
+  }
+}
+
+/**
+ * Counts a team's tasks for the task list's summary cards
+ * Counts cover every task in the team, whatever filters the list currently shows
+ * 
+ * @param {Object} args - GraphQL arguments containing teamId
+ * @param {string} userId - ID of the user requesting the counts
+ * @param {Array} userGroups - Cognito groups the user belongs to
+ * @returns {Object} - TaskCounts with total, byStatus, assignedToMe, overdue and checklist totals
+ */
+async function taskCounts(args, userId, userGroups) {
+  console.log('[TASK_COUNTS] Starting task counts:', { args, userId });
+  
+  // Validate required parameters
+  validateRequired(args?.teamId, 'Team ID');
+  
+  try {
+    // Verify user is member of the team
+    const { team } = await validateTeamMembership(args.teamId, userId);
     
-    // Update the task status
-    const updateParams = {
+    // Only the attributes needed for counting are read
+    const tasks = await queryAllItems({
       TableName: process.env.DYNAMODB_TASKS_TABLE,
-      Key: { teamId: args.teamId, taskId: args.taskId },
-      UpdateExpression: 'SET #status = :status, updatedAt = :updatedAt, updatedBy = :updatedBy',
+      KeyConditionExpression: 'teamId = :teamId',
+      ProjectionExpression: '#status, statusCategory, assignedTo, deadline, checklist',
       ExpressionAttributeNames: {
-        '#status': 'status'  // 'status' is a reserved word in DynamoDB
+        '#status': 'status'
       },
       ExpressionAttributeValues: {
-        ':status': args.status,
-        ':updatedAt': timestamp,
-        ':updatedBy': userId
-      },
-      ReturnValues: 'ALL_NEW'  // Return the updated item
+        ':teamId': args.teamId
+      }
+    });
+    
+    const now = new Date();
+    const byStatus = new Map(getTeamWorkflow(team).map(status => [status.name, 0]));
+    const counts = { total: tasks.length, assignedToMe: 0, overdue: 0, checklistDone: 0, checklistTotal: 0 };
+    for (const task of tasks) {
+      byStatus.set(task.status, (byStatus.get(task.status) || 0) + 1);
+      if (task.assignedTo === userId) {
+        counts.assignedToMe++;
+      }
+      if (task.deadline && new Date(task.deadline) < now && isTaskOpen(task)) {
+        counts.overdue++;
+      }
+      counts.checklistDone += (task.checklist || []).filter(item => item.done).length;
+      counts.checklistTotal += (task.checklist || []).length;
+    }
+    
+    logSuccess('TASK_COUNTS', 'Task counts retrieved successfully', { 
+      teamId: args.teamId, 
+      total: counts.total
+    });
+    
+    return {
+      ...counts,
+      byStatus: [...byStatus].map(([status, count]) => ({ status, count }))
     };
     
-    const result = await dynamodb.send(new UpdateCommand(updateParams));
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
+      throw error;
+    }
+    logError('TASK_COUNTS', error, { teamId: args.teamId });
+    throw new Error(`Failed to count tasks: ${error.message}`);
+  }
+}
+
+/**
+ * Lists the tasks assigned to the current user across all of their teams, one page at a time
+ * Reads the assignedTo-index GSI, skipping tasks from teams the user no longer belongs to.
+ * The team and optional filters run as a FilterExpression, so pages are filled with queryFilledPage
+ * 
+ * @param {Object} args - GraphQL arguments containing optional status, dueBefore, limit and nextToken
+ * @param {string} userId - ID of the user whose tasks to list
+ * @param {Array} userGroups - Cognito groups the user belongs to
+ * @returns {Object} - TaskConnection with items and nextToken
+ */
+async function listMyTasks(args, userId, userGroups) {
+  console.log('[LIST_MY_TASKS] Starting assigned task list:', { args, userId });
+  
+  // Validate optional filters
+  // Statuses differ between teams, so any status name is accepted
+  validateLength(args?.status, 'Status', 1, 30);
+  if (args?.dueBefore && isNaN(new Date(args.dueBefore).getTime())) {
+    throw new ValidationError('Invalid dueBefore format. Use ISO date format (YYYY-MM-DD)');
+  }
+  const limit = resolvePageSize(args?.limit);
+  const exclusiveStartKey = decodeNextToken(args?.nextToken, { assignedTo: userId });
+  
+  try {
+    // Teams the user currently belongs to - assignments in any other team are stale
+    const memberships = await queryAllItems({
+      TableName: process.env.DYNAMODB_MEMBERSHIPS_TABLE,
+      IndexName: 'userId-index',
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: {
+        ':userId': userId
+      }
+    });
+    const memberTeamIds = [...new Set(memberships.map(membership => membership.teamId))];
+    if (memberTeamIds.length === 0) {
+      logSuccess('LIST_MY_TASKS', 'User belongs to no teams', { userId });
+      return { items: [], nextToken: null };
+    }
     
-    // Send notification if status changed and task is assigned
-    if (task.assignedTo && oldStatus !== args.status) {
-      await sendNotification(
-        'Task Status Updated',
-        `The task "${task.title}" in team "${team.name}" has been updated to "${args.status}" by ${userId}.`,
-        task.assignedTo,
-        {
-          taskId: args.taskId,
-          taskTitle: task.title,
-          teamId: args.teamId,
-          teamName: team.name,
-          oldStatus,
-          newStatus: args.status,
-          action: 'task_status_updated'
-        }
-      );
+    // Build the team filter plus optional status and deadline filters
+    // IN takes at most 100 operands, so larger team lists are split into ORed groups
+    const expressionAttributeNames = {};
+    const expressionAttributeValues = { ':userId': userId };
+    const teamGroups = [];
+    for (let i = 0; i < memberTeamIds.length; i += 100) {
+      const placeholders = memberTeamIds.slice(i, i + 100).map((teamId, offset) => {
+        expressionAttributeValues[`:team${i + offset}`] = teamId;
+        return `:team${i + offset}`;
+      });
+      teamGroups.push(`teamId IN (${placeholders.join(', ')})`);
+    }
+    const filterExpressions = [teamGroups.length > 1 ? `(${teamGroups.join(' OR ')})` : teamGroups[0]];
+    
+    if (args?.status) {
+      filterExpressions.push('#status = :status');
+      expressionAttributeNames['#status'] = 'status';  // 'status' is a DynamoDB reserved word
+      expressionAttributeValues[':status'] = args.status;
+    }
+    if (args?.dueBefore) {
+      // Tasks without a deadline never match, since NULL does not compare with a string
+      filterExpressions.push('deadline < :dueBefore');
+      expressionAttributeValues[':dueBefore'] = args.dueBefore;
     }
     
-    logSuccess('UPDATE_TASK', 'Task status updated successfully', { 
-      taskId: args.taskId, 
-      status: args.status 
+    const page = await queryFilledPage({
+      TableName: process.env.DYNAMODB_TASKS_TABLE,
+      IndexName: 'assignedTo-index',  // GSI on assignedTo
+      KeyConditionExpression: 'assignedTo = :userId',
+      FilterExpression: filterExpressions.join(' AND '),
+      ...(Object.keys(expressionAttributeNames).length > 0 && { ExpressionAttributeNames: expressionAttributeNames }),
+      ExpressionAttributeValues: expressionAttributeValues
+    }, limit, exclusiveStartKey, ['assignedTo', 'teamId', 'taskId']);
+    
+    const items = page.items;
+    const nextToken = encodeNextToken(page.lastEvaluatedKey);
+    
+    logSuccess('LIST_MY_TASKS', 'Assigned tasks retrieved successfully', { 
+      userId,
+      taskCount: items.length,
+      teamCount: memberTeamIds.length,
+      hasMore: Boolean(nextToken)
     });
     
-    return result.Attributes;
+    return { items, nextToken };
     
   } catch (error) {
     if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
       throw error;
     }
-    logError('UPDATE_TASK', error, { teamId: args.teamId, taskId: args.taskId });
-    throw new Error(`Failed to update task: ${error.message}`);
+    logError('LIST_MY_TASKS', error, { userId });
+    throw new Error(`Failed to list my tasks: ${error.message}`);
   }
 }
 
 /**
- * Updates detailed task information (title, description, priority, deadline, assignment)
- * Only team admins can update task details. This is separate from status updates for security
+ * Runs a parsed search query against one team
+ * Hits come from the search index and are checked against the Tasks table, so tasks
+ * deleted before the index caught up never show up; qualifiers are applied to the task
+ * records. Queries with only qualifiers read the team's tasks newest changes first from
+ * teamId-updatedAt-index, and stop after limit matches or MAX_SORTED_TASKS tasks read
  * 
- * @param {Object} args - GraphQL arguments containing task details to update
- * @param {string} userId - ID of the user updating the task (must be admin)
- * @param {Array} userGroups - Cognito groups the user belongs to
- * @returns {Object} - The updated task record
+ * @param {Object} team - Team record
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @param {string} userId - ID of the searching user, for assignee:me
+ * @param {number} limit - Most hits to return
+ * @param {string} labelId - Only tasks carrying this label when given
+ * @returns {Array} - SearchHits ({ task, teamId, teamName, score, highlights }) best first
  */
-async function updateTaskDetails(args, userId, userGroups) {
-  console.log('[UPDATE_TASK_DETAILS] Starting task details update:', { args, userId });
-  
-  // Validate required identifiers
-  validateRequired(args?.teamId, 'Team ID');
-  validateRequired(args?.taskId, 'Task ID');
+async function searchTeamTasks(team, parsed, userId, limit, labelId = null) {
+  // Names and emails are only needed to match assignee: values other than me and none
+  const members = new Map();
+  if ((parsed.qualifiers.assignee || []).some(value => value !== 'me' && value !== 'none')) {
+    const memberships = await queryAllItems({
+      TableName: process.env.DYNAMODB_MEMBERSHIPS_TABLE,
+      KeyConditionExpression: 'teamId = :teamId',
+      ExpressionAttributeValues: {
+        ':teamId': team.teamId
+      }
+    });
+    const users = await batchGetUsers(memberships.map(membership => membership.userId));
+    users.forEach((user, id) => members.set(id, user));
+  }
+  const context = { userId, members, labels: getTeamLabels(team) };
+  const matches = task => (!labelId || (task.labels || []).includes(labelId)) &&
+    matchesQualifiers(task, parsed.qualifiers, context);
+  const toHit = (task, score, highlights) => ({ task, teamId: team.teamId, teamName: team.name, score, highlights });
   
-  // Validate optional fields if provided
-  if (args.title) validateLength(args.title, 'Task title', 1, 200);
-  if (args.description) validateLength(args.description, 'Task description', 1, 1000);
-  if (args.priority && !VALID_PRIORITIES.includes(args.priority)) {
-    throw new ValidationError(`Invalid priority. Must be one of: ${VALID_PRIORITIES.join(', ')}`);
+  if (parsed.terms.length === 0) {
+    const hits = [];
+    let read = 0;
+    let exclusiveStartKey;
+    do {
+      const page = await dynamodb.send(new QueryCommand({
+        TableName: process.env.DYNAMODB_TASKS_TABLE,
+        IndexName: 'teamId-updatedAt-index',  // GSI on teamId and updatedAt
+        KeyConditionExpression: 'teamId = :teamId',
+        ExpressionAttributeValues: {
+          ':teamId': team.teamId
+        },
+        ScanIndexForward: false,
+        Limit: MAX_PAGE_SIZE,
+        ExclusiveStartKey: exclusiveStartKey
+      }));
+      read += (page.Items || []).length;
+      for (const task of page.Items || []) {
+        if (hits.length < limit && matches(task)) {
+          hits.push(toHit(task, 0, []));
+        }
+      }
+      exclusiveStartKey = page.LastEvaluatedKey;
+    } while (exclusiveStartKey && hits.length < limit && read < MAX_SORTED_TASKS);
+    return hits;
   }
-  if (args.deadline) {
-    const deadlineDate = new Date(args.deadline);
-    if (isNaN(deadlineDate.getTime())) {
-      throw new ValidationError('Invalid deadline format. Use ISO date format (YYYY-MM-DD)');
-    }
-    if (deadlineDate < new Date()) {
-      throw new ValidationError('Deadline cannot be in the past');
+  
+  // Load ranked tasks a batch at a time until enough of them pass the qualifiers
+  const ranked = await searchIndex(searchIndexStore, team.teamId, parsed);
+  const hits = [];
+  for (let i = 0; i < ranked.length && hits.length < limit; i += BATCH_GET_LIMIT) {
+    const batch = ranked.slice(i, i + BATCH_GET_LIMIT);
+    const tasks = await batchGetTasks(team.teamId, batch.map(hit => hit.taskId));
+    for (const hit of batch) {
+      const task = tasks.get(hit.taskId);
+      if (task && matches(task) && hits.length < limit) {
+        hits.push(toHit(task, hit.score, highlightTask(task, hit.terms)));
+      }
     }
   }
+  return hits;
+}
+
+/**
+ * Searches the tasks of a team by text and qualifiers, best matches first
+ * Returns the tasks only; searchTaskHits runs the same search with scores and snippets
+ * 
+ * @param {Object} args - GraphQL arguments containing teamId, search query and optional label and limit
+ * @param {string} userId - ID of the user performing the search
+ * @param {Array} userGroups - Cognito groups the user belongs to
+ * @returns {Array} - Matching task records
+ */
+async function searchTasks(args, userId, userGroups) {
+  const hits = await searchTaskHits(args, userId, userGroups);
+  return hits.map(hit => hit.task);
+}
+
+/**
+ * Searches the tasks of a team by text and qualifiers, best matches first
+ * Words are matched against titles and descriptions with stemming, prefix and typo
+ * tolerance; qualifiers such as assignee:me or status:done filter the results
+ * (see search_index.js for the query syntax). Only team members can search team tasks.
+ * With a label, only tasks carrying it are returned
+ * 
+ * @param {Object} args - GraphQL arguments containing teamId, search query and optional label and limit
+ * @param {string} userId - ID of the user performing the search
+ * @param {Array} userGroups - Cognito groups the user belongs to
+ * @returns {Array} - SearchHits with the task, its score and highlighted snippets
+ */
+async function searchTaskHits(args, userId, userGroups) {
+  console.log('[SEARCH_TASKS] Starting task search:', { args, userId });
+  
+  // Validate required parameters
+  validateRequired(args?.teamId, 'Team ID');
+  validateRequired(args?.query, 'Search query');
+  validateLength(args.query, 'Search query', 1, 200);
+  const limit = resolvePageSize(args.limit);
   
   try {
-    // Verify user is admin of the team (only admins can update task details)
-    const { team } = await validateTeamMembership(args.teamId, userId, 'admin');
-    
-    // Get the existing task to verify it exists
-    const taskResult = await dynamodb.send(new GetCommand({
-      TableName: process.env.DYNAMODB_TASKS_TABLE,
-      Key: { teamId: args.teamId, taskId: args.taskId }
-    }));
-    
-    if (!taskResult.Item) {
-      throw new NotFoundError('Task not found');
-    }
+    // Verify user is member of the team
+    const { team } = await validateTeamMembership(args.teamId, userId);
     
-    const task = taskResult.Item;
+    const parsed = parseSearchQuery(args.query);
+    const hits = parsed.terms.length > 0 || Object.keys(parsed.qualifiers).length > 0
+      ? await searchTeamTasks(team, parsed, userId, limit, args.label)
+      : [];
     
-    // If reassigning task, verify new assignee is a team member
-    if (args.assignedTo) {
-      const assigneeCheck = await dynamodb.send(new GetCommand({
-        TableName: process.env.DYNAMODB_MEMBERSHIPS_TABLE,
-        Key: { teamId: args.teamId, userId: args.assignedTo }
-      }));
-      
-      if (!assigneeCheck.Item && args.assignedTo !== null) {
-        throw new ValidationError('Cannot assign task to user who is not a team member');
-      }
-    }
+    logSuccess('SEARCH_TASKS', 'Tasks searched successfully', { 
+      teamId: args.teamId, 
+      query: args.query, 
+      label: args.label,
+      taskCount: hits.length 
+    });
     
-    // Build dynamic update expression based on provided fields
-    const timestamp = new Date().toISOString();
-    let updateExpression = 'SET updatedAt = :updatedAt, updatedBy = :updatedBy';
-    const expressionAttributeNames = {};
-    const expressionAttributeValues = {
-      ':updatedAt': timestamp,
-      ':updatedBy': userId
-    };
+    return hits;
     
-    // Add each provided field to the update expression
-    if (args.title) {
-      updateExpression += ', title = :title';
-      expressionAttributeValues[':title'] = args.title.trim();
-    }
-    if (args.description) {
-      updateExpression += ', description = :description';
-      expressionAttributeValues[':description'] = args.description.trim();
-    }
-    if (args.priority) {
-      updateExpression += ', priority = :priority';
-      expressionAttributeValues[':priority'] = args.priority;
-    }
-    if (args.deadline !== undefined) {
-      updateExpression += ', deadline = :deadline';
-      expressionAttributeValues[':deadline'] = args.deadline || null;
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
+      throw error;
     }
-    if (args.assignedTo !== undefined) {
-      updateExpression += ', assignedTo = :assignedTo';
-      expressionAttributeValues[':assignedTo'] = args.assignedTo || null;
+    logError('SEARCH_TASKS', error, { teamId: args.teamId, query: args.query });
+    throw new Error(`Failed to search tasks: ${error.message}`);
+  }
+}
+
+/**
+ * Searches the tasks of every team the user belongs to, best matches first
+ * Takes the same query syntax as searchTasks. Archived teams are left out, like in listTeams.
+ * Teams are searched SEARCH_TEAM_CONCURRENCY at a time
+ * Scores come from each team's own index, so they are comparable but not identical across teams
+ * 
+ * @param {Object} args - GraphQL arguments containing the search query and optional limit
+ * @param {string} userId - ID of the user performing the search
+ * @returns {Array} - SearchHits with the task, its team, score and highlighted snippets
+ */
+async function searchAllTeams(args, userId) {
+  console.log('[SEARCH_ALL_TEAMS] Starting search:', { args, userId });
+  
+  // Validate required parameters
+  validateRequired(args?.query, 'Search query');
+  validateLength(args.query, 'Search query', 1, 200);
+  const limit = resolvePageSize(args.limit);
+  
+  try {
+    const parsed = parseSearchQuery(args.query);
+    if (parsed.terms.length === 0 && Object.keys(parsed.qualifiers).length === 0) {
+      return [];
     }
     
-    const updateParams = {
-      TableName: process.env.DYNAMODB_TASKS_TABLE,
-      Key: { teamId: args.teamId, taskId: args.taskId },
-      UpdateExpression: updateExpression,
-      ExpressionAttributeNames: expressionAttributeNames,
-      ExpressionAttributeValues: expressionAttributeValues,
-      ReturnValues: 'ALL_NEW'
-    };
-    
-    const result = await dynamodb.send(new UpdateCommand(updateParams));
-    
-    // Send notification if task was reassigned
-    if (args.assignedTo && args.assignedTo !== task.assignedTo) {
-      await sendNotification(
-        'Task Reassigned',
-        `The task "${task.title}" in team "${team.name}" has been reassigned to you.`,
-        args.assignedTo,
-        {
-          taskId: args.taskId,
-          taskTitle: task.title,
-          teamId: args.teamId,
-          teamName: team.name,
-          action: 'task_reassigned'
-        }
-      );
+    const teams = await getUserTeams(userId);
+    const hits = [];
+    for (let i = 0; i < teams.length; i += SEARCH_TEAM_CONCURRENCY) {
+      const results = await Promise.all(teams.slice(i, i + SEARCH_TEAM_CONCURRENCY)
+        .map(team => searchTeamTasks(team, parsed, userId, limit)));
+      results.forEach(teamHits => hits.push(...teamHits));
     }
     
-    logSuccess('UPDATE_TASK_DETAILS', 'Task details updated successfully', { 
-      taskId: args.taskId 
+    // Text matches by score; qualifier-only results have no score, so newest changes first
+    hits.sort((a, b) => b.score - a.score ||
+      ((b.task.updatedAt || b.task.createdAt) > (a.task.updatedAt || a.task.createdAt) ? 1 : -1));
+    
+    logSuccess('SEARCH_ALL_TEAMS', 'Tasks searched successfully', { 
+      query: args.query, 
+      teamCount: teams.length,
+      taskCount: Math.min(hits.length, limit)
     });
     
-    return result.Attributes;
+    return hits.slice(0, limit);
     
   } catch (error) {
     if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
       throw error;
     }
-    logError('UPDATE_TASK_DETAILS', error, { teamId: args.teamId, taskId: args.taskId });
-    throw new Error(`Failed to update task details: ${error.message}`);
+    logError('SEARCH_ALL_TEAMS', error, { query: args.query });
+    throw new Error(`Failed to search tasks: ${error.message}`);
   }
 }
 
 /**
- * Deletes a task from a team
- * Only team admins can delete tasks. Sends notification to assignee if task was assigned
+ * Lists the members of a specific team, one page at a time
+ * Only team members can view the member list
  * 
- * @param {Object} args - GraphQL arguments containing teamId and taskId
- * @param {string} userId - ID of the user deleting the task (must be admin)
+ * @param {Object} args - GraphQL arguments containing teamId and optional limit and nextToken
+ * @param {string} userId - ID of the user requesting the member list
  * @param {Array} userGroups - Cognito groups the user belongs to
- * @returns {Object} - Success confirmation
+ * @returns {Object} - MembershipConnection with items and nextToken
  */
-async function deleteTask(args, userId, userGroups) {
-  console.log('[DELETE_TASK] Starting task deletion:', { args, userId });
+async function listMembers(args, userId, userGroups) {
+  console.log('[LIST_MEMBERS] Starting member list:', { args, userId });
   
   // Validate required parameters
   validateRequired(args?.teamId, 'Team ID');
-  validateRequired(args?.taskId, 'Task ID');
+  const limit = resolvePageSize(args.limit);
+  const exclusiveStartKey = decodeNextToken(args.nextToken, { teamId: args.teamId });
   
   try {
-    // Verify user is admin of the team (only admins can delete tasks)
-    const { team } = await validateTeamMembership(args.teamId, userId, 'admin');
+    // Verify user is member of the team
+    await validateTeamMembership(args.teamId, userId);
     
-    // Get the task before deletion to check if it exists and for notification purposes
-    const taskResult = await dynamodb.send(new GetCommand({
-      TableName: process.env.DYNAMODB_TASKS_TABLE,
-      Key: { teamId: args.teamId, taskId: args.taskId }
+    // Query one page of memberships for the team
+    const members = await dynamodb.send(new QueryCommand({
+      TableName: process.env.DYNAMODB_MEMBERSHIPS_TABLE,
+      KeyConditionExpression: 'teamId = :teamId',
+      ExpressionAttributeValues: {
+        ':teamId': args.teamId
+      },
+      Limit: limit,
+      ExclusiveStartKey: exclusiveStartKey
     }));
     
-    if (!taskResult.Item) {
-      throw new NotFoundError('Task not found');
-    }
+    console.log('[LIST_MEMBERS] Found members:', members.Items?.length || 0);
     
-    const task = taskResult.Item;
+    const nextToken = encodeNextToken(members.LastEvaluatedKey);
     
-    // Delete the task
-    await dynamodb.send(new DeleteCommand({
-      TableName: process.env.DYNAMODB_TASKS_TABLE,
-      Key: { teamId: args.teamId, taskId: args.taskId }
-    }));
+    logSuccess('LIST_MEMBERS', 'Members retrieved successfully', { 
+      teamId: args.teamId, 
+      memberCount: members.Items?.length || 0,
+      hasMore: Boolean(nextToken)
+    });
     
-    // Send notification to assignee if task was assigned
-    if (task.assignedTo) {
-      await sendNotification(
-        'Task Deleted',
-        `The task "${task.title}" in team "${team.name}" has been deleted.`,
-        task.assignedTo,
-        {
-          taskId: args.taskId,
-          taskTitle: task.title,
-          teamId: args.teamId,
-          teamName: team.name,
-          action: 'task_deleted'
-        }
-      );
+    return { items: members.Items || [], nextToken };
+    
+  } catch (error) {
+    if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
+      throw error;
     }
+    logError('LIST_MEMBERS', error, { teamId: args.teamId });
+    throw new Error(`Failed to list members: ${error.message}`);
+  }
+}
+
+/**
+ * Authorizes an onTaskChanged or onMembershipChanged subscription
+ * Runs once when the client subscribes; throwing rejects the subscription, so only
+ * members of the team receive its events. A member removed later keeps receiving
+ * events until their connection closes, and their next subscribe attempt is refused
+ * 
+ * @param {string} operation - Subscription field name, used for logging
+ * @param {Object} args - GraphQL arguments containing teamId
+ * @param {string} userId - ID of the subscribing user
+ * @returns {null} - AppSync ignores the value of subscription resolvers
+ */
+async function authorizeTeamSubscription(operation, args, userId) {
+  console.log('[SUBSCRIBE] Starting subscription authorization:', { operation, args, userId });
+  
+  // Validate required parameters
+  validateRequired(args?.teamId, 'Team ID');
+  
+  try {
+    // Verify user is member of the team
+    await validateTeamMembership(args.teamId, userId);
     
-    logSuccess('DELETE_TASK', 'Task deleted successfully', { 
-      taskId: args.taskId 
+    logSuccess('SUBSCRIBE', 'Subscription authorized', { 
+      operation,
+      teamId: args.teamId,
+      userId
     });
     
-    return { success: true };
+    return null;
     
   } catch (error) {
     if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
       throw error;
     }
-    logError('DELETE_TASK', error, { teamId: args.teamId, taskId: args.taskId });
-    throw new Error(`Failed to delete task: ${error.message}`);
+    logError('SUBSCRIBE', error, { operation, teamId: args.teamId });
+    throw new Error(`Failed to authorize subscription: ${error.message}`);
   }
 }
 
 /**
- * Lists all teams that a user is a member of
- * Returns teams with the user's role in each team
+ * Shapes a stored notification for the GraphQL Notification type
  * 
- * @param {string} userId - ID of the user whose teams to list
- * @returns {Array} - Array of team objects with user role information
+ * @param {Object} item - Item from the Notifications table
+ * @returns {Object} - Notification with a read flag
+ */
+function toNotification(item) {
+  const { unreadBy, expiresAt, metadata, ...notification } = item;
+  return {
+    ...notification,
+    read: !unreadBy
+  };
+}
+
+/**
+ * Lists the current user's notifications, newest first, one page at a time
+ * Also returns the total number of unread notifications for the bell badge
+ * 
+ * @param {Object} args - GraphQL arguments containing optional limit and nextToken
+ * @param {string} userId - ID of the user whose inbox to list
+ * @returns {Object} - NotificationConnection with items, nextToken and unreadCount
  */
-async function listTeams(userId) {
-  console.log('[LIST_TEAMS] Starting team list for user:', userId);
+async function listNotifications(args, userId) {
+  console.log('[LIST_NOTIFICATIONS] Starting notification list:', { args, userId });
+  
+  const limit = resolvePageSize(args?.limit);
+  const exclusiveStartKey = decodeNextToken(args?.nextToken, { recipientId: userId });
   
   try {
-    // Query memberships table using GSI to find all teams user belongs to
-    const memberships = await dynamodb.send(new QueryCommand({
-      TableName: process.env.DYNAMODB_MEMBERSHIPS_TABLE,
-      IndexName: 'userId-index',  // GSI on userId
-      KeyConditionExpression: 'userId = :userId',
+    const notifications = await dynamodb.send(new QueryCommand({
+      TableName: process.env.DYNAMODB_NOTIFICATIONS_TABLE,
+      KeyConditionExpression: 'recipientId = :userId',
       ExpressionAttributeValues: {
         ':userId': userId
-      }
+      },
+      ScanIndexForward: false,  // Newest first
+      Limit: limit,
+      ExclusiveStartKey: exclusiveStartKey
     }));
     
-    console.log('[LIST_TEAMS] Found memberships:', memberships.Items?.length || 0);
-    
-    if (!memberships.Items || memberships.Items.length === 0) {
-      console.log('[LIST_TEAMS] No team memberships found for user:', userId);
-      return [];
-    }
-    
-    // Extract team IDs from memberships
-    const teamIds = memberships.Items.map(item => item.teamId);
-    console.log('[LIST_TEAMS] Team IDs to fetch:', teamIds);
-    
-    // Fetch team details for each team (batch operations could be optimized here)
-    const teams = [];
-    for (const teamId of teamIds) {
-      const teamResult = await dynamodb.send(new GetCommand({
-        TableName: process.env.DYNAMODB_TEAMS_TABLE,
-        Key: { teamId }
+    // Count unread items through the sparse index, following pages for large backlogs
+    let unreadCount = 0;
+    let unreadStartKey;
+    do {
+      const unread = await dynamodb.send(new QueryCommand({
+        TableName: process.env.DYNAMODB_NOTIFICATIONS_TABLE,
+        IndexName: 'unread-index',
+        KeyConditionExpression: 'unreadBy = :userId',
+        ExpressionAttributeValues: {
+          ':userId': userId
+        },
+        Select: 'COUNT',
+        ExclusiveStartKey: unreadStartKey
       }));
-      
-      if (teamResult.Item) {
-        // Find corresponding membership to get user role
-        const membership = memberships.Items.find(m => m.teamId === teamId);
-        teams.push({
-          ...teamResult.Item,
-          userRole: membership.role  // Add user's role in this team
-        });
-      }
-    }
+      unreadCount += unread.Count || 0;
+      unreadStartKey = unread.LastEvaluatedKey;
+    } while (unreadStartKey);
     
-    logSuccess('LIST_TEAMS', 'Teams retrieved successfully', { 
-      teamCount: teams.length,
-      userId
+    const nextToken = encodeNextToken(notifications.LastEvaluatedKey);
+    
+    logSuccess('LIST_NOTIFICATIONS', 'Notifications retrieved successfully', { 
+      userId,
+      notificationCount: notifications.Items?.length || 0,
+      unreadCount,
+      hasMore: Boolean(nextToken)
     });
     
-    return teams;
+    return {
+      items: (notifications.Items || []).map(toNotification),
+      nextToken,
+      unreadCount
+    };
     
   } catch (error) {
-    logError('LIST_TEAMS', error, { userId });
-    throw new Error(`Failed to list teams: ${error.message}`);
+    logError('LIST_NOTIFICATIONS', error, { userId });
+    throw new Error(`Failed to list notifications: ${error.message}`);
   }
 }
 
 /**
- * Lists all tasks in a specific team
- * Only team members can view team tasks
+ * Marks one of the current user's notifications as read
+ * Users can only reach their own notifications because the key includes their ID
  * 
- * @param {Object} args - GraphQL arguments containing teamId
- * @param {string} userId - ID of the user requesting the task list
- * @param {Array} userGroups - Cognito groups the user belongs to
- * @returns {Array} - Array of task objects
+ * @param {Object} args - GraphQL arguments containing notificationId
+ * @param {string} userId - ID of the notification's recipient
+ * @returns {Object} - The updated notification
  */
-async function listTasks(args, userId, userGroups) {
-  console.log('[LIST_TASKS] Starting task list:', { args, userId });
+async function markNotificationRead(args, userId) {
+  console.log('[MARK_NOTIFICATION_READ] Starting:', { args, userId });
   
   // Validate required parameters
-  validateRequired(args?.teamId, 'Team ID');
+  validateRequired(args?.notificationId, 'Notification ID');
   
   try {
-    // Verify user is member of the team
-    await validateTeamMembership(args.teamId, userId);
-    
-    // Query all tasks for the team
-    const tasks = await dynamodb.send(new QueryCommand({
-      TableName: process.env.DYNAMODB_TASKS_TABLE,
-      KeyConditionExpression: 'teamId = :teamId',
+    const result = await dynamodb.send(new UpdateCommand({
+      TableName: process.env.DYNAMODB_NOTIFICATIONS_TABLE,
+      Key: { recipientId: userId, notificationId: args.notificationId },
+      UpdateExpression: 'SET readAt = if_not_exists(readAt, :now) REMOVE unreadBy',
+      ConditionExpression: 'attribute_exists(notificationId)',
       ExpressionAttributeValues: {
-        ':teamId': args.teamId
-      }
+        ':now': new Date().toISOString()
+      },
+      ReturnValues: 'ALL_NEW'
     }));
     
-    logSuccess('LIST_TASKS', 'Tasks retrieved successfully', { 
-      teamId: args.teamId, 
-      taskCount: tasks.Items?.length || 0 
+    logSuccess('MARK_NOTIFICATION_READ', 'Notification marked as read', { 
+      userId,
+      notificationId: args.notificationId
     });
     
-    return tasks.Items || [];
+    return toNotification(result.Attributes);
     
   } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      throw new NotFoundError('Notification not found');
+    }
     if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
       throw error;
     }
-    logError('LIST_TASKS', error, { teamId: args.teamId });
-    throw new Error(`Failed to list tasks: ${error.message}`);
+    logError('MARK_NOTIFICATION_READ', error, { userId, notificationId: args.notificationId });
+    throw new Error(`Failed to mark notification as read: ${error.message}`);
   }
 }
 
 /**
- * Searches for tasks within a team based on title and description
- * Performs case-insensitive text matching on task title and description
- * Only team members can search team tasks
+ * Marks every unread notification of the current user as read
+ * Only items in the sparse unread-index are touched, so the cost follows the unread count
  * 
- * @param {Object} args - GraphQL arguments containing teamId and search query
- * @param {string} userId - ID of the user performing the search
- * @param {Array} userGroups - Cognito groups the user belongs to
- * @returns {Array} - Array of matching task objects
+ * @param {string} userId - ID of the notifications' recipient
+ * @returns {Object} - Success response with the number of notifications updated
  */
-async function searchTasks(args, userId, userGroups) {
-  console.log('[SEARCH_TASKS] Starting task search:', { args, userId });
-  
-  // Validate required parameters
-  validateRequired(args?.teamId, 'Team ID');
-  validateRequired(args?.query, 'Search query');
-  validateLength(args.query, 'Search query', 1, 200);
+async function markAllNotificationsRead(userId) {
+  console.log('[MARK_ALL_NOTIFICATIONS_READ] Starting:', { userId });
   
   try {
-    // Verify user is member of the team
-    await validateTeamMembership(args.teamId, userId);
-    
-    // Get all tasks for the team (in production, consider using DynamoDB search capabilities)
-    const tasks = await dynamodb.send(new QueryCommand({
-      TableName: process.env.DYNAMODB_TASKS_TABLE,
-      KeyConditionExpression: 'teamId = :teamId',
+    const unread = await queryAllItems({
+      TableName: process.env.DYNAMODB_NOTIFICATIONS_TABLE,
+      IndexName: 'unread-index',
+      KeyConditionExpression: 'unreadBy = :userId',
       ExpressionAttributeValues: {
-        ':teamId': args.teamId
+        ':userId': userId
       }
-    }));
+    });
     
-    // Perform client-side filtering (could be optimized with DynamoDB full-text search)
-    const queryLower = args.query.toLowerCase();
-    const filteredTasks = (tasks.Items || []).filter(task => 
-      task.title.toLowerCase().includes(queryLower) || 
-      task.description.toLowerCase().includes(queryLower)
-    );
+    const now = new Date().toISOString();
+    for (const item of unread) {
+      await dynamodb.send(new UpdateCommand({
+        TableName: process.env.DYNAMODB_NOTIFICATIONS_TABLE,
+        Key: { recipientId: userId, notificationId: item.notificationId },
+        UpdateExpression: 'SET readAt = if_not_exists(readAt, :now) REMOVE unreadBy',
+        ExpressionAttributeValues: {
+          ':now': now
+        }
+      }));
+    }
     
-    logSuccess('SEARCH_TASKS', 'Tasks searched successfully', { 
-      teamId: args.teamId, 
-      query: args.query, 
-      taskCount: filteredTasks.length 
+    logSuccess('MARK_ALL_NOTIFICATIONS_READ', 'Notifications marked as read', { 
+      userId,
+      count: unread.length
     });
     
-    return filteredTasks;
+    return {
+      success: true,
+      message: `Marked ${unread.length} notification(s) as read`
+    };
     
   } catch (error) {
-    if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
-      throw error;
-    }
-    logError('SEARCH_TASKS', error, { teamId: args.teamId, query: args.query });
-    throw new Error(`Failed to search tasks: ${error.message}`);
+    logError('MARK_ALL_NOTIFICATIONS_READ', error, { userId });
+    throw new Error(`Failed to mark notifications as read: ${error.message}`);
   }
 }
 
 /**
- * Lists all members of a specific team
- * Only team members can view the member list
+ * Shapes stored notification preferences for the GraphQL NotificationPreferences type
+ * Every known action is listed so clients can render a toggle for each one
  * 
- * @param {Object} args - GraphQL arguments containing teamId
- * @param {string} userId - ID of the user requesting the member list
- * @param {Array} userGroups - Cognito groups the user belongs to
- * @returns {Array} - Array of membership objects
+ * @param {Object} preferences - Normalized notification preferences
+ * @returns {Object} - NotificationPreferences
  */
-async function listMembers(args, userId, userGroups) {
-  console.log('[LIST_MEMBERS] Starting member list:', { args, userId });
+function toNotificationPreferences(preferences) {
+  const { disabledActions, ...rest } = preferences;
+  return {
+    ...rest,
+    actions: NOTIFICATION_ACTIONS.map(action => ({
+      action,
+      enabled: !disabledActions.includes(action)
+    }))
+  };
+}
+
+/**
+ * Retrieves the current user's notification preferences
+ * Users who never saved preferences get the defaults (everything on, instant delivery)
+ * 
+ * @param {string} userId - ID of the user
+ * @returns {Object} - NotificationPreferences
+ */
+async function getNotificationPreferences(userId) {
+  console.log('[GET_NOTIFICATION_PREFERENCES] Starting:', { userId });
   
-  // Validate required parameters
-  validateRequired(args?.teamId, 'Team ID');
+  try {
+    const preferences = await loadNotificationPreferences(userId);
+    
+    logSuccess('GET_NOTIFICATION_PREFERENCES', 'Notification preferences retrieved successfully', { userId });
+    
+    return toNotificationPreferences(preferences);
+    
+  } catch (error) {
+    logError('GET_NOTIFICATION_PREFERENCES', error, { userId });
+    throw new Error(`Failed to get notification preferences: ${error.message}`);
+  }
+}
+
+/**
+ * Updates the current user's notification preferences
+ * Omitted (or null) arguments keep their saved values; lists replace the saved lists
+ * 
+ * @param {Object} args - GraphQL arguments: disabledActions, mutedTeamIds, deliveryMode,
+ *   digestHour, quietHoursEnabled, quietHoursStart, quietHoursEnd, timeZone
+ * @param {string} userId - ID of the user
+ * @returns {Object} - The updated NotificationPreferences
+ */
+async function updateNotificationPreferences(args, userId) {
+  console.log('[UPDATE_NOTIFICATION_PREFERENCES] Starting:', { args, userId });
+  
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  
+  // Validate each provided argument
+  if (args?.disabledActions != null) {
+    const invalidAction = args.disabledActions.find(action => !NOTIFICATION_ACTIONS.includes(action));
+    if (invalidAction) {
+      throw new ValidationError(`Invalid notification action: ${invalidAction}. Must be one of: ${NOTIFICATION_ACTIONS.join(', ')}`);
+    }
+  }
+  if (args?.mutedTeamIds != null && args.mutedTeamIds.some(teamId => !teamId || !teamId.trim())) {
+    throw new ValidationError('Muted team IDs cannot be empty');
+  }
+  if (args?.deliveryMode != null && !VALID_DELIVERY_MODES.includes(args.deliveryMode)) {
+    throw new ValidationError(`Invalid delivery mode. Must be one of: ${VALID_DELIVERY_MODES.join(', ')}`);
+  }
+  if (args?.digestHour != null && (!Number.isInteger(args.digestHour) || args.digestHour < 0 || args.digestHour > 23)) {
+    throw new ValidationError('Digest hour must be a whole number between 0 and 23');
+  }
+  ['quietHoursStart', 'quietHoursEnd'].forEach(field => {
+    if (args?.[field] != null && !timePattern.test(args[field])) {
+      throw new ValidationError(`${field === 'quietHoursStart' ? 'Quiet hours start' : 'Quiet hours end'} must use HH:MM (24-hour) format`);
+    }
+  });
+  if (args?.timeZone != null) {
+    try {
+      new Intl.DateTimeFormat('en-GB', { timeZone: args.timeZone });
+    } catch (error) {
+      throw new ValidationError(`Invalid time zone: ${args.timeZone}`);
+    }
+  }
   
   try {
-    // Verify user is member of the team
-    await validateTeamMembership(args.teamId, userId);
+    const current = await loadNotificationPreferences(userId);
     
-    // Query all memberships for the team
-    const members = await dynamodb.send(new QueryCommand({
-      TableName: process.env.DYNAMODB_MEMBERSHIPS_TABLE,
-      KeyConditionExpression: 'teamId = :teamId',
+    // Merge provided arguments over the saved preferences
+    const updated = {
+      ...current,
+      disabledActions: args.disabledActions != null ? [...new Set(args.disabledActions)] : current.disabledActions,
+      mutedTeamIds: args.mutedTeamIds != null ? [...new Set(args.mutedTeamIds.map(teamId => teamId.trim()))] : current.mutedTeamIds,
+      deliveryMode: args.deliveryMode ?? current.deliveryMode,
+      digestHour: args.digestHour ?? current.digestHour,
+      quietHoursEnabled: args.quietHoursEnabled ?? current.quietHoursEnabled,
+      quietHoursStart: args.quietHoursStart ?? current.quietHoursStart,
+      quietHoursEnd: args.quietHoursEnd ?? current.quietHoursEnd,
+      timeZone: args.timeZone ?? current.timeZone,
+      updatedAt: new Date().toISOString()
+    };
+    
+    // Quiet hours need a non-empty window once switched on
+    if (updated.quietHoursEnabled) {
+      if (!updated.quietHoursStart || !updated.quietHoursEnd) {
+        throw new ValidationError('Quiet hours start and end are required when quiet hours are enabled');
+      }
+      if (updated.quietHoursStart === updated.quietHoursEnd) {
+        throw new ValidationError('Quiet hours start and end must be different');
+      }
+    }
+    
+    await dynamodb.send(new UpdateCommand({
+      TableName: process.env.DYNAMODB_USERS_TABLE,
+      Key: { userId },
+      UpdateExpression: 'SET notificationPreferences = :preferences',
+      ConditionExpression: 'attribute_exists(userId)',  // Profile rows are created by the Cognito triggers
       ExpressionAttributeValues: {
-        ':teamId': args.teamId
+        ':preferences': updated
       }
     }));
     
-    console.log('[LIST_MEMBERS] Found members:', members.Items?.length || 0);
-    
-    logSuccess('LIST_MEMBERS', 'Members retrieved successfully', { 
-      teamId: args.teamId, 
-      memberCount: members.Items?.length || 0 
+    logSuccess('UPDATE_NOTIFICATION_PREFERENCES', 'Notification preferences updated successfully', { 
+      userId,
+      deliveryMode: updated.deliveryMode,
+      quietHoursEnabled: updated.quietHoursEnabled
     });
     
-    return members.Items || [];
+    return toNotificationPreferences(updated);
     
   } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      throw new NotFoundError('User not found');
+    }
     if (error instanceof ValidationError || error instanceof AuthorizationError || error instanceof NotFoundError) {
       throw error;
     }
-    logError('LIST_MEMBERS', error, { teamId: args.teamId });
-    throw new Error(`Failed to list members: ${error.message}`);
+    logError('UPDATE_NOTIFICATION_PREFERENCES', error, { userId });
+    throw new Error(`Failed to update notification preferences: ${error.message}`);
   }
 }
 
@@ -1336,6 +6571,7 @@ async function getTeam(args, userId, userGroups) {
     // Combine team data with user's role information
     const result = {
       ...team,
+      workflow: getTeamWorkflow(team),
       userRole: membership.role,
       isAdmin: membership.role === 'admin'
     };
@@ -1358,7 +6594,7 @@ async function getTeam(args, userId, userGroups) {
 
 /**
  * Retrieves all teams that a user belongs to
- * This is an alias for listTeams with a more descriptive name
+ * Like listTeams, but reads every page and returns a plain array instead of a TeamConnection
  * 
  * @param {string} userId - ID of the user whose teams to retrieve
  * @returns {Array} - Array of team objects with user role information
@@ -1367,11 +6603,307 @@ async function getUserTeams(userId) {
   console.log('[GET_USER_TEAMS] Starting user teams retrieval:', { userId });
   
   try {
-    // Reuse the listTeams function implementation
-    return await listTeams(userId);
+    // Reuse the listTeams function implementation, following nextToken until every page is read
+    const teams = [];
+    let nextToken = null;
+    do {
+      const page = await listTeams(userId, { limit: MAX_PAGE_SIZE, nextToken });
+      teams.push(...page.items);
+      nextToken = page.nextToken;
+    } while (nextToken);
+    
+    return teams;
     
   } catch (error) {
     logError('GET_USER_TEAMS', error, { userId });
     throw new Error(`Failed to get user teams: ${error.message}`);
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Creates or refreshes a user's profile in the Users table
+ * createdAt is only written the first time, so repeated calls keep the original value
+ * 
+ * @param {Object} profile - userId, email and name, plus optional createdAt and lastLogin
+ * @returns {Object} - The stored user record
+ */
+async function upsertUser(profile) {
+  validateRequired(profile?.userId, 'User ID');
+  validateRequired(profile?.email, 'Email');
+  
+  const updateExpressions = [
+    'email = :email',
+    '#name = :name',
+    'createdAt = if_not_exists(createdAt, :createdAt)'
+  ];
+  const expressionAttributeValues = {
+    ':email': normalizeEmail(profile.email),
+    ':name': profile.name || profile.email.split('@')[0],
+    ':createdAt': profile.createdAt || new Date().toISOString()
+  };
+  
+  if (profile.lastLogin) {
+    updateExpressions.push('lastLogin = :lastLogin');
+    expressionAttributeValues[':lastLogin'] = profile.lastLogin;
+  }
+  
+  const result = await dynamodb.send(new UpdateCommand({
+    TableName: process.env.DYNAMODB_USERS_TABLE,
+    Key: { userId: profile.userId },
+    UpdateExpression: `SET ${updateExpressions.join(', ')}`,
+    ExpressionAttributeNames: {
+      '#name': 'name'  // 'name' is a DynamoDB reserved word
+    },
+    ExpressionAttributeValues: expressionAttributeValues,
+    ReturnValues: 'ALL_NEW'
+  }));
+  
+  return result.Attributes;
+}
+
+/**
+ * Cognito trigger handler for PostConfirmation and PostAuthentication events
+ * Keeps the Users table in step with the user pool: sign-up confirmation creates the
+ * record and every sign-in refreshes email, name and lastLogin.
+ * Failures are logged but never thrown, because a thrown error would block the sign-in
+ * 
+ * @param {Object} event - Cognito trigger event
+ * @returns {Object} - The unmodified event, as Cognito requires
+ */
+exports.cognitoTrigger = async (event) => {
+  console.log('[COGNITO_TRIGGER] Starting user sync:', {
+    triggerSource: event.triggerSource,
+    userName: event.userName
+  });
+  
+  const attributes = event.request?.userAttributes || {};
+  const now = new Date().toISOString();
+  
+  try {
+    const user = await upsertUser({
+      userId: attributes.sub,
+      email: attributes.email,
+      name: attributes.name,
+      // Confirming a sign-up is not a sign-in, so only PostAuthentication records a login
+      lastLogin: event.triggerSource === 'PostAuthentication_Authentication' ? now : undefined
+    });
+    
+    logSuccess('COGNITO_TRIGGER', 'User synced successfully', {
+      triggerSource: event.triggerSource,
+      userId: user.userId
+    });
+  } catch (error) {
+    logError('COGNITO_TRIGGER', error, {
+      triggerSource: event.triggerSource,
+      userName: event.userName
+    });
+  }
+  
+  return event;
+};
+
+/**
+ * Backfills the Users table from every user already in the Cognito user pool
+ * Intended to be invoked once by hand after the Cognito triggers are deployed,
+ * but safe to run again because upsertUser keeps existing createdAt values
+ * 
+ * @returns {Object} - Counts of synced and skipped users
+ */
+exports.backfillUsers = async () => {
+  console.log('[BACKFILL_USERS] Starting users backfill:', {
+    userPoolId: process.env.COGNITO_USER_POOL_ID
+  });
+  
+  let synced = 0;
+  let skipped = 0;
+  let paginationToken;
+  
+  try {
+    do {
+      const page = await cognitoClient.send(new ListUsersCommand({
+        UserPoolId: process.env.COGNITO_USER_POOL_ID,
+        PaginationToken: paginationToken
+      }));
+      
+      for (const cognitoUser of page.Users || []) {
+        const attributes = Object.fromEntries(
+          (cognitoUser.Attributes || []).map(attr => [attr.Name, attr.Value])
+        );
+        
+        // Users without an email cannot be added to teams, so there is nothing to store
+        if (!attributes.sub || !attributes.email) {
+          console.warn('[BACKFILL_USERS] Skipping user without sub or email:', cognitoUser.Username);
+          skipped++;
+          continue;
+        }
+        
+        await upsertUser({
+          userId: attributes.sub,
+          email: attributes.email,
+          name: attributes.name,
+          createdAt: cognitoUser.UserCreateDate ? new Date(cognitoUser.UserCreateDate).toISOString() : undefined
+        });
+        synced++;
+      }
+      
+      paginationToken = page.PaginationToken;
+    } while (paginationToken);
+    
+    logSuccess('BACKFILL_USERS', 'Users backfilled successfully', { synced, skipped });
+    
+    return { synced, skipped };
+    
+  } catch (error) {
+    logError('BACKFILL_USERS', error, { synced, skipped });
+    throw new Error(`Failed to backfill users: ${error.message}`);
+  }
+};
+
+/**
+ * Removes NULL deadlines stored by older versions of createTask and updateTaskDetails
+ * deadline is the range key of teamId-deadline-index, and DynamoDB rejects writes to items
+ * whose index key holds a NULL, so this is invoked once by hand right after the index is
+ * deployed. Safe to run again: only items still holding a NULL deadline are updated
+ * 
+ * @returns {Object} - Counts of scanned and fixed tasks
+ */
+exports.removeNullDeadlines = async () => {
+  console.log('[REMOVE_NULL_DEADLINES] Starting');
+  
+  const counts = { scanned: 0, fixed: 0 };
+  let exclusiveStartKey;
+  
+  try {
+    do {
+      const page = await dynamodb.send(new ScanCommand({
+        TableName: process.env.DYNAMODB_TASKS_TABLE,
+        FilterExpression: 'attribute_type(deadline, :nullType)',
+        ProjectionExpression: 'teamId, taskId',
+        ExpressionAttributeValues: { ':nullType': 'NULL' },
+        ExclusiveStartKey: exclusiveStartKey
+      }));
+      
+      for (const task of page.Items || []) {
+        counts.scanned++;
+        try {
+          await dynamodb.send(new UpdateCommand({
+            TableName: process.env.DYNAMODB_TASKS_TABLE,
+            Key: { teamId: task.teamId, taskId: task.taskId },
+            UpdateExpression: 'REMOVE deadline',
+            ConditionExpression: 'attribute_type(deadline, :nullType)',
+            ExpressionAttributeValues: { ':nullType': 'NULL' }
+          }));
+          counts.fixed++;
+        } catch (error) {
+          // The task was deleted or given a deadline since the scan
+          if (error.name !== 'ConditionalCheckFailedException') {
+            throw error;
+          }
+        }
+      }
+      
+      exclusiveStartKey = page.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+    
+    logSuccess('REMOVE_NULL_DEADLINES', 'NULL deadlines removed', counts);
+    
+    return counts;
+    
+  } catch (error) {
+    logError('REMOVE_NULL_DEADLINES', error, counts);
+    throw new Error(`Failed to remove NULL deadlines: ${error.message}`);
+  }
+};
+
+/**
+ * Emails notifications that were held back by digest mode or quiet hours
+ * Runs hourly from EventBridge. For every user with saved preferences it skips users
+ * inside their quiet hours and digest users outside their digest hour, then sends the
+ * pending notifications - a single one as-is, several as one digest email
+ * 
+ * @param {Object} event - EventBridge scheduled event; its time is used as the current time
+ * @returns {Object} - Counts of users emailed and notifications delivered
+ */
+exports.deliverPendingNotifications = async (event) => {
+  const now = event?.time ? new Date(event.time) : new Date();
+  console.log('[DELIVER_PENDING_NOTIFICATIONS] Starting:', { now: now.toISOString() });
+  
+  let usersEmailed = 0;
+  let delivered = 0;
+  let failed = 0;
+  let exclusiveStartKey;
+  
+  try {
+    do {
+      // Only users who saved preferences can have deferred notifications
+      const page = await dynamodb.send(new ScanCommand({
+        TableName: process.env.DYNAMODB_USERS_TABLE,
+        FilterExpression: 'attribute_exists(notificationPreferences)',
+        ProjectionExpression: 'userId, notificationPreferences',
+        ExclusiveStartKey: exclusiveStartKey
+      }));
+      
+      for (const user of page.Items || []) {
+        const preferences = normalizeNotificationPreferences(user.notificationPreferences);
+        if (isWithinQuietHours(preferences, now)) {
+          continue;
+        }
+        if (preferences.deliveryMode === 'digest' && getLocalTime(now, preferences.timeZone).hour !== preferences.digestHour) {
+          continue;
+        }
+        
+        try {
+          const pending = await queryAllItems({
+            TableName: process.env.DYNAMODB_NOTIFICATIONS_TABLE,
+            IndexName: 'pending-delivery-index',
+            KeyConditionExpression: 'pendingDeliveryBy = :userId',
+            ExpressionAttributeValues: {
+              ':userId': user.userId
+            }
+          });
+          if (pending.length === 0) {
+            continue;
+          }
+          
+          if (pending.length === 1) {
+            const [notification] = pending;
+            await publishNotification(notification.subject, notification.message, user.userId, notification.metadata || {});
+          } else {
+            await publishNotification(
+              `Your TaskManager digest: ${pending.length} notifications`,
+              pending.map(notification => `- ${notification.subject}: ${notification.message}`).join('\n'),
+              user.userId,
+              { action: 'notification_digest', count: pending.length }
+            );
+          }
+          
+          // Take the delivered notifications out of the pending index
+          for (const notification of pending) {
+            await dynamodb.send(new UpdateCommand({
+              TableName: process.env.DYNAMODB_NOTIFICATIONS_TABLE,
+              Key: { recipientId: user.userId, notificationId: notification.notificationId },
+              UpdateExpression: 'REMOVE pendingDeliveryBy'
+            }));
+          }
+          
+          usersEmailed++;
+          delivered += pending.length;
+        } catch (error) {
+          // Leave the notifications pending so the next run retries them
+          logError('DELIVER_PENDING_NOTIFICATIONS', error, { recipientId: user.userId });
+          failed++;
+        }
+      }
+      
+      exclusiveStartKey = page.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+    
+    logSuccess('DELIVER_PENDING_NOTIFICATIONS', 'Pending notifications delivered', { usersEmailed, delivered, failed });
+    
+    return { usersEmailed, delivered, failed };
+    
+  } catch (error) {
+    logError('DELIVER_PENDING_NOTIFICATIONS', error, { usersEmailed, delivered });
+    throw new Error(`Failed to deliver pending notifications: ${error.message}`);
+  }
+};
@@ -0,0 +1,186 @@
+/**
+ * Tests for the scheduled deadline reminder job with a fixed clock
+ * DynamoDB and SNS are replaced by in-memory fakes, so no AWS access is needed
+ */
+
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DynamoDBDocumentClient } = require('@aws-sdk/lib-dynamodb');
+const { SNSClient } = require('@aws-sdk/client-sns');
+
+process.env.DYNAMODB_TASKS_TABLE = 'Tasks';
+process.env.DYNAMODB_TEAMS_TABLE = 'Teams';
+process.env.DYNAMODB_MEMBERSHIPS_TABLE = 'Memberships';
+process.env.DYNAMODB_USERS_TABLE = 'Users';
+process.env.DYNAMODB_NOTIFICATIONS_TABLE = 'Notifications';
+
+const NOW = '2026-03-10T12:00:00.000Z';
+
+let tables;
+let published;
+
+/**
+ * Fills the fake tables: an active team with tasks around the reminder window,
+ * and an archived team with an overdue task
+ */
+function seed() {
+  const open = { status: 'To Do', statusCategory: 'todo' };
+  tables = {
+    Teams: [
+      { teamId: 't1', name: 'Alpha' },
+      { teamId: 't2', name: 'Old', archived: true },
+      { teamId: 't3', name: 'Going', deletingAt: '2026-03-10T11:00:00.000Z' }
+    ],
+    Memberships: [
+      { teamId: 't1', userId: 'admin', role: 'admin' },
+      { teamId: 't1', userId: 'u1', role: 'member' },
+      { teamId: 't2', userId: 'admin', role: 'admin' },
+      { teamId: 't3', userId: 'admin', role: 'admin' }
+    ],
+    Tasks: [
+      { teamId: 't1', taskId: 'due-soon', title: 'Due soon', deadline: '2026-03-11', assignedTo: 'u1', ...open },
+      { teamId: 't1', taskId: 'overdue', title: 'Overdue', deadline: '2026-03-09', assignedTo: 'u1', ...open },
+      { teamId: 't1', taskId: 'later', title: 'Later', deadline: '2026-03-20', assignedTo: 'u1', ...open },
+      { teamId: 't1', taskId: 'done', title: 'Done', deadline: '2026-03-01', assignedTo: 'u1', status: 'Completed', statusCategory: 'done' },
+      { teamId: 't1', taskId: 'notified', title: 'Notified', deadline: '2026-03-05', assignedTo: 'u1', reminderSentFor: '2026-03-05', escalationSentFor: '2026-03-05', ...open },
+      { teamId: 't1', taskId: 'unassigned', title: 'Unassigned', deadline: '2026-03-08', ...open },
+      { teamId: 't1', taskId: 'no-deadline', title: 'No deadline', assignedTo: 'u1', ...open },
+      { teamId: 't2', taskId: 'archived', title: 'Archived', deadline: '2026-03-01', assignedTo: 'u1', ...open },
+      { teamId: 't3', taskId: 'deleting', title: 'Deleting', deadline: '2026-03-01', assignedTo: 'u1', ...open }
+    ],
+    Notifications: []
+  };
+  published = [];
+}
+
+const isOpen = task => task.statusCategory !== 'done';
+
+/**
+ * Answers the commands the reminder job sends, from the fake tables
+ */
+async function fakeDynamoSend(command) {
+  const input = command.input;
+  const values = input.ExpressionAttributeValues || {};
+
+  switch (command.constructor.name) {
+    case 'ScanCommand':
+      assert.equal(input.TableName, 'Teams', 'only the Teams table may be scanned');
+      assert.match(input.FilterExpression, /attribute_not_exists\(deletingAt\)/);
+      return { Items: tables.Teams.filter(team => !team.archived && !team.deletingAt) };
+    case 'QueryCommand':
+      if (input.TableName === 'Tasks') {
+        assert.equal(input.IndexName, 'teamId-deadline-index');
+        return {
+          Items: tables.Tasks.filter(task => task.teamId === values[':teamId']
+            && task.deadline && task.deadline < values[':windowEnd'] && isOpen(task))
+        };
+      }
+      return { Items: tables[input.TableName].filter(item => item.teamId === values[':teamId']) };
+    case 'GetCommand':
+      return { Item: undefined };  // No saved notification preferences
+    case 'UpdateCommand': {
+      // claimDeadlineMarker: only claims when the marker is not yet set for this deadline
+      const task = tables.Tasks.find(item => item.taskId === input.Key.taskId);
+      const marker = input.ExpressionAttributeNames['#marker'];
+      if (!task || task.deadline !== values[':deadline'] || !isOpen(task) || task[marker] === values[':deadline']) {
+        const error = new Error('The conditional request failed');
+        error.name = 'ConditionalCheckFailedException';
+        throw error;
+      }
+      task[marker] = values[':deadline'];
+      return {};
+    }
+    case 'PutCommand':
+      tables[input.TableName].push(input.Item);
+      return {};
+    default:
+      throw new Error(`Unexpected command ${command.constructor.name}`);
+  }
+}
+
+let handler;
+
+before(() => {
+  DynamoDBDocumentClient.prototype.send = fakeDynamoSend;
+  SNSClient.prototype.send = async command => {
+    const { recipientId, metadata } = JSON.parse(command.input.Message);
+    published.push(`${metadata.action}:${metadata.taskId}:${recipientId}`);
+    return {};
+  };
+  // Keep the job's logging out of the test output
+  for (const method of ['log', 'warn', 'error']) {
+    console[method] = () => {};
+  }
+  handler = require('../task_handler');
+});
+
+beforeEach(seed);
+
+test('reminds assignees of tasks due within the window and escalates overdue ones', async () => {
+  const counts = await handler.sendDeadlineReminders({ now: NOW, windowHours: 24 });
+
+  assert.deepEqual(published.sort(), [
+    'task_deadline_reminder:due-soon:u1',
+    'task_deadline_reminder:overdue:u1',
+    'task_overdue_escalation:overdue:admin',
+    'task_overdue_escalation:unassigned:admin'
+  ]);
+  assert.deepEqual(counts, { teams: 1, scanned: 4, reminders: 2, escalations: 2, failed: 0 });
+  assert.equal(tables.Notifications.length, 4);
+});
+
+test('does not repeat notifications on the next run', async () => {
+  await handler.sendDeadlineReminders({ now: NOW, windowHours: 24 });
+  published = [];
+
+  const counts = await handler.sendDeadlineReminders({ now: '2026-03-10T13:00:00.000Z', windowHours: 24 });
+
+  assert.deepEqual(published, []);
+  assert.equal(counts.reminders + counts.escalations, 0);
+});
+
+test('re-arms the reminder when the deadline moves', async () => {
+  await handler.sendDeadlineReminders({ now: NOW, windowHours: 24 });
+  published = [];
+  tables.Tasks.find(task => task.taskId === 'later').deadline = '2026-03-11T06:00:00.000Z';
+  tables.Tasks.find(task => task.taskId === 'due-soon').deadline = '2026-03-11T08:00:00.000Z';
+
+  await handler.sendDeadlineReminders({ now: NOW, windowHours: 24 });
+
+  assert.deepEqual(published.sort(), [
+    'task_deadline_reminder:due-soon:u1',
+    'task_deadline_reminder:later:u1'
+  ]);
+});
+
+test('uses the window to decide which tasks are due soon', async () => {
+  await handler.sendDeadlineReminders({ now: NOW, windowHours: 0 });
+
+  assert.ok(!published.includes('task_deadline_reminder:due-soon:u1'));
+  assert.ok(published.includes('task_deadline_reminder:overdue:u1'));
+});
+
+test('keeps going when one team fails', async () => {
+  tables.Teams.unshift({ teamId: 't0', name: 'Broken' });
+  const send = DynamoDBDocumentClient.prototype.send;
+  DynamoDBDocumentClient.prototype.send = async command => {
+    if (command.constructor.name === 'QueryCommand' && command.input.ExpressionAttributeValues[':teamId'] === 't0') {
+      throw new Error('Throughput exceeded');
+    }
+    return send(command);
+  };
+
+  let counts;
+  try {
+    counts = await handler.sendDeadlineReminders({ now: NOW, windowHours: 24 });
+  } finally {
+    DynamoDBDocumentClient.prototype.send = send;
+  }
+
+  assert.deepEqual(counts, { teams: 2, scanned: 4, reminders: 2, escalations: 2, failed: 1 });
+});
+
+test('rejects an invalid clock', async () => {
+  await assert.rejects(handler.sendDeadlineReminders({ now: 'not a date' }), /Invalid clock value/);
+});
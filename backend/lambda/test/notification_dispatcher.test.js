@@ -0,0 +1,147 @@
+/**
+ * Tests for the notification dispatcher against a local SMTP stand-in
+ * The stand-in is a minimal SMTP server on an ephemeral port that records every session
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+
+const { createDispatcher, createSmtpTransport } = require('../notification_dispatcher');
+
+/**
+ * Starts an SMTP stand-in that accepts every message
+ * Each session is recorded as { commands, data } once the client sends QUIT
+ *
+ * @returns {Promise<Object>} - { server, port, sessions }
+ */
+function startSmtpStandIn() {
+  const sessions = [];
+  const server = net.createServer(socket => {
+    const session = { commands: [], data: null };
+    let buffer = '';
+    let inData = false;
+
+    socket.setEncoding('utf8');
+    socket.write('220 stand-in ready\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        session.data = buffer.slice(0, end);
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        socket.write('250 queued\r\n');
+      }
+      let newline;
+      while (!inData && (newline = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+        session.commands.push(line);
+        if (line.startsWith('EHLO')) {
+          socket.write('250-stand-in\r\n250 8BITMIME\r\n');
+        } else if (line === 'DATA') {
+          inData = true;
+          socket.write('354 end with .\r\n');
+        } else if (line === 'QUIT') {
+          sessions.push(session);
+          socket.end('221 bye\r\n');
+        } else {
+          socket.write('250 ok\r\n');
+        }
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port, sessions }));
+  });
+}
+
+/**
+ * Wraps a notification in the shape of an SNS record
+ */
+function snsRecord(subject, notification) {
+  return {
+    Sns: {
+      MessageId: 'message-1',
+      Subject: subject,
+      Message: JSON.stringify(notification)
+    }
+  };
+}
+
+let standIn;
+let dispatch;
+const users = {
+  alice: { userId: 'alice', name: 'Alice', email: 'alice@example.com' },
+  bob: { userId: 'bob', name: 'Bob' }
+};
+
+before(async () => {
+  standIn = await startSmtpStandIn();
+  dispatch = createDispatcher({
+    transport: createSmtpTransport({ host: '127.0.0.1', port: standIn.port }),
+    loadUser: async userId => users[userId] || null,
+    fromAddress: 'noreply@example.com'
+  });
+});
+
+after(() => new Promise(resolve => standIn.server.close(resolve)));
+
+test('sends the rendered template over SMTP', async () => {
+  const result = await dispatch(snsRecord('New task', {
+    recipientId: 'alice',
+    message: 'You have been assigned "Write docs".',
+    metadata: { action: 'task_assigned', taskTitle: 'Write docs', teamName: 'Docs', priority: 'High' }
+  }));
+
+  assert.equal(result, 'sent');
+  const session = standIn.sessions.at(-1);
+  assert.ok(session.commands.includes('MAIL FROM:<noreply@example.com>'));
+  assert.ok(session.commands.includes('RCPT TO:<alice@example.com>'));
+
+  const headerEnd = session.data.indexOf('\r\n\r\n');
+  const headers = session.data.slice(0, headerEnd);
+  const body = session.data.slice(headerEnd + 4);
+  assert.match(headers, /^Subject: New task: Write docs$/m);
+  assert.match(headers, /^To: alice@example.com$/m);
+  assert.ok(body.startsWith('Hi Alice,\r\n\r\nYou have been assigned "Write docs".'));
+  assert.match(body, /Priority: High\r\nDeadline: None/);
+});
+
+test('base64-encodes non-ASCII subjects', async () => {
+  await dispatch(snsRecord('Deleted', {
+    recipientId: 'alice',
+    message: 'The task was deleted.',
+    metadata: { action: 'task_deleted', taskTitle: 'Café menü' }
+  }));
+
+  const session = standIn.sessions.at(-1);
+  const subject = session.data.match(/^Subject: (.*)$/m)[1];
+  const encoded = Buffer.from('Task deleted: Café menü', 'utf8').toString('base64');
+  assert.equal(subject, `=?UTF-8?B?${encoded}?=`);
+});
+
+test('dot-stuffs body lines starting with a dot', async () => {
+  await dispatch(snsRecord('Note', {
+    recipientId: 'alice',
+    message: 'first\n.second',
+    metadata: {}
+  }));
+
+  assert.match(standIn.sessions.at(-1).data, /\r\n\.\.second\r\n/);
+});
+
+test('skips recipients without an email address', async () => {
+  const sessionCount = standIn.sessions.length;
+  const result = await dispatch(snsRecord('New task', {
+    recipientId: 'bob',
+    message: 'Hello',
+    metadata: { action: 'task_assigned', taskTitle: 'X' }
+  }));
+
+  assert.equal(result, 'skipped');
+  assert.equal(standIn.sessions.length, sessionCount);
+});
@@ -0,0 +1,185 @@
+/**
+ * Tests for the recurring task rules with a fixed clock
+ * recurrence.js is pure, so rules and tasks are passed in directly
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  RecurrenceRuleError,
+  normalizeRecurrence,
+  parseRrule,
+  nextOccurrence,
+  isDueDateReached,
+  planNextInstance
+} = require('../recurrence');
+
+// A Tuesday
+const NOW = new Date('2026-03-10T12:00:00.000Z');
+
+/**
+ * Asserts that a call throws a RecurrenceRuleError whose message matches
+ */
+function assertRuleError(fn, message) {
+  assert.throws(fn, (error) => error instanceof RecurrenceRuleError && message.test(error.message));
+}
+
+test('parseRrule reads the supported parts', () => {
+  assert.deepEqual(parseRrule('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=6'), {
+    frequency: 'weekly',
+    interval: 2,
+    weekdays: ['MO', 'TH'],
+    monthDay: undefined,
+    until: undefined,
+    count: 6
+  });
+  assert.equal(parseRrule('freq=monthly;bymonthday=31;until=20261231T000000Z').until, '2026-12-31');
+});
+
+test('parseRrule rejects malformed and unsupported parts', () => {
+  assertRuleError(() => parseRrule('FREQ'), /Invalid RRULE part/);
+  assertRuleError(() => parseRrule('FREQ=WEEKLY;BYSETPOS=1'), /Unsupported RRULE part BYSETPOS/);
+  assertRuleError(() => parseRrule('FREQ=DAILY;FREQ=WEEKLY'), /FREQ is given more than once/);
+  assertRuleError(() => parseRrule('INTERVAL=2'), /must include FREQ/);
+  assertRuleError(() => parseRrule('FREQ=DAILY;INTERVAL=two'), /INTERVAL must be a whole number/);
+  assertRuleError(() => parseRrule('FREQ=DAILY;UNTIL=2026-12-31'), /UNTIL must be a date/);
+});
+
+test('normalizeRecurrence fills weekdays and the month day from the first due date', () => {
+  assert.deepEqual(normalizeRecurrence({ frequency: 'weekly' }, '2026-03-05'), {
+    frequency: 'weekly',
+    interval: 1,
+    weekdays: ['TH'],
+    monthDay: null,
+    until: null,
+    count: null,
+    rrule: null
+  });
+  assert.equal(normalizeRecurrence({ frequency: 'monthly' }, '2026-01-31').monthDay, 31);
+  assert.deepEqual(normalizeRecurrence({ frequency: 'weekly', weekdays: ['th', 'mo'] }, '2026-03-02').weekdays, ['MO', 'TH']);
+});
+
+test('normalizeRecurrence accepts an RRULE', () => {
+  const rule = normalizeRecurrence({ rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=FR;COUNT=6' }, '2026-03-06');
+  assert.deepEqual(rule, {
+    frequency: 'weekly',
+    interval: 2,
+    weekdays: ['FR'],
+    monthDay: null,
+    until: null,
+    count: 6,
+    rrule: 'FREQ=WEEKLY;INTERVAL=2;BYDAY=FR;COUNT=6'
+  });
+});
+
+test('normalizeRecurrence rejects invalid rules', () => {
+  const firstDue = '2026-03-10';
+  assertRuleError(() => normalizeRecurrence(null, firstDue), /must be an object/);
+  assertRuleError(() => normalizeRecurrence({ frequency: 'daily' }, 'soon'), /valid first due date/);
+  assertRuleError(() => normalizeRecurrence({ frequency: 'daily', rrule: 'FREQ=DAILY' }, firstDue), /not both/);
+  assertRuleError(() => normalizeRecurrence({ frequency: 'yearly' }, firstDue), /Invalid frequency/);
+  assertRuleError(() => normalizeRecurrence({ rrule: 'FREQ=YEARLY' }, firstDue), /Invalid frequency/);
+  assertRuleError(() => normalizeRecurrence({ frequency: 'daily', interval: 0 }, firstDue), /Interval must be/);
+  assertRuleError(() => normalizeRecurrence({ frequency: 'daily', interval: 1.5 }, firstDue), /Interval must be/);
+  assertRuleError(() => normalizeRecurrence({ frequency: 'daily', weekdays: ['MO'] }, firstDue), /only be given for weekly/);
+  assertRuleError(() => normalizeRecurrence({ frequency: 'weekly', weekdays: ['MO', 'XX'] }, firstDue), /Unknown weekday XX/);
+  assertRuleError(() => normalizeRecurrence({ frequency: 'weekly', monthDay: 3 }, firstDue), /only be given for monthly/);
+  assertRuleError(() => normalizeRecurrence({ frequency: 'monthly', monthDay: 32 }, firstDue), /between 1 and 31/);
+  assertRuleError(() => normalizeRecurrence({ frequency: 'daily', until: 'later' }, firstDue), /Invalid end date/);
+  assertRuleError(() => normalizeRecurrence({ frequency: 'daily', until: '2026-03-09' }, firstDue), /cannot be before/);
+  assertRuleError(() => normalizeRecurrence({ frequency: 'daily', count: 0 }, firstDue), /number of occurrences/);
+  assertRuleError(() => normalizeRecurrence({ frequency: 'daily', until: '2026-04-01', count: 3 }, firstDue), /not both/);
+});
+
+test('nextOccurrence steps daily rules by the interval', () => {
+  const rule = normalizeRecurrence({ frequency: 'daily', interval: 2 }, '2026-03-10');
+  assert.equal(nextOccurrence(rule, '2026-03-10'), '2026-03-12');
+  assert.equal(nextOccurrence(rule, '2026-02-27'), '2026-03-01');
+});
+
+test('nextOccurrence moves weekly rules through the week, then to the next week', () => {
+  const rule = normalizeRecurrence({ frequency: 'weekly', weekdays: ['MO', 'TH'] }, '2026-03-02');
+  assert.equal(nextOccurrence(rule, '2026-03-02'), '2026-03-05');
+  assert.equal(nextOccurrence(rule, '2026-03-05'), '2026-03-09');
+  // Sunday is the last day of the week
+  assert.equal(nextOccurrence(rule, '2026-03-08'), '2026-03-09');
+});
+
+test('nextOccurrence skips weeks for weekly rules with an interval of 2', () => {
+  const rule = normalizeRecurrence({ frequency: 'weekly', interval: 2, weekdays: ['MO', 'TH'] }, '2026-03-02');
+  assert.equal(nextOccurrence(rule, '2026-03-02'), '2026-03-05');
+  assert.equal(nextOccurrence(rule, '2026-03-05'), '2026-03-16');
+});
+
+test('nextOccurrence uses the last day of months without the rule\'s day', () => {
+  const rule = normalizeRecurrence({ frequency: 'monthly', monthDay: 31 }, '2026-01-31');
+  assert.equal(nextOccurrence(rule, '2026-01-31'), '2026-02-28');
+  assert.equal(nextOccurrence(rule, '2026-02-28'), '2026-03-31');
+  assert.equal(nextOccurrence(rule, '2026-03-31'), '2026-04-30');
+  assert.equal(nextOccurrence(rule, '2028-01-31'), '2028-02-29');
+});
+
+test('nextOccurrence skips months for monthly rules with an interval of 2', () => {
+  const rule = normalizeRecurrence({ frequency: 'monthly', interval: 2, monthDay: 31 }, '2026-01-31');
+  assert.equal(nextOccurrence(rule, '2026-01-31'), '2026-03-31');
+  assert.equal(nextOccurrence(rule, '2026-11-30'), '2027-01-31');
+});
+
+test('isDueDateReached compares whole UTC days', () => {
+  assert.equal(isDueDateReached({ deadline: '2026-03-09' }, NOW), true);
+  assert.equal(isDueDateReached({ deadline: '2026-03-10' }, NOW), true);
+  assert.equal(isDueDateReached({ deadline: '2026-03-10' }, new Date('2026-03-10T00:00:00.000Z')), true);
+  assert.equal(isDueDateReached({ deadline: '2026-03-11' }, new Date('2026-03-10T23:59:59.999Z')), false);
+  assert.equal(isDueDateReached({}, NOW), false);
+});
+
+test('planNextInstance skips occurrences missed before today', () => {
+  const recurrence = normalizeRecurrence({ frequency: 'weekly', weekdays: ['MO', 'TH'] }, '2026-03-02');
+  const task = {
+    taskId: 'task-1',
+    title: 'Standup notes',
+    description: 'Post the notes',
+    priority: 'Low',
+    assignedTo: 'u1',
+    deadline: '2026-03-02',
+    recurrence
+  };
+
+  // 2026-03-05 and 2026-03-09 have passed, so the next instance is Thursday 2026-03-12
+  assert.deepEqual(planNextInstance(task, NOW), {
+    title: 'Standup notes',
+    description: 'Post the notes',
+    priority: 'Low',
+    assignedTo: 'u1',
+    deadline: '2026-03-12',
+    recurrence,
+    seriesId: 'task-1',
+    occurrence: 2
+  });
+});
+
+test('planNextInstance keeps the series and counts occurrences', () => {
+  const recurrence = normalizeRecurrence({ frequency: 'daily' }, '2026-03-01');
+  const next = planNextInstance({ taskId: 'task-4', seriesId: 'task-1', occurrence: 4, deadline: '2026-03-10', recurrence }, NOW);
+  assert.equal(next.deadline, '2026-03-11');
+  assert.equal(next.seriesId, 'task-1');
+  assert.equal(next.occurrence, 5);
+  assert.equal(next.assignedTo, null);
+});
+
+test('planNextInstance ends the series after COUNT occurrences', () => {
+  const recurrence = normalizeRecurrence({ frequency: 'daily', count: 3 }, '2026-03-08');
+  const task = { taskId: 'task-1', deadline: '2026-03-09', recurrence };
+  assert.equal(planNextInstance({ ...task, occurrence: 2 }, NOW).occurrence, 3);
+  assert.equal(planNextInstance({ ...task, occurrence: 3 }, NOW), null);
+});
+
+test('planNextInstance ends the series after UNTIL', () => {
+  const recurrence = normalizeRecurrence({ frequency: 'daily', until: '2026-03-11' }, '2026-03-01');
+  assert.equal(planNextInstance({ taskId: 'task-1', deadline: '2026-03-10', recurrence }, NOW).deadline, '2026-03-11');
+  assert.equal(planNextInstance({ taskId: 'task-1', deadline: '2026-03-11', recurrence }, new Date('2026-03-11T08:00:00.000Z')), null);
+  // Skipping missed occurrences can run past the end date too
+  const ended = normalizeRecurrence({ frequency: 'weekly', until: '2026-03-10' }, '2026-03-02');
+  assert.equal(planNextInstance({ taskId: 'task-1', deadline: '2026-03-02', recurrence: ended }, NOW), null);
+});
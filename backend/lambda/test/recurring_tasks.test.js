@@ -0,0 +1,195 @@
+/**
+ * Tests for the scheduled recurring task job with a fixed clock
+ * DynamoDB and SNS are replaced by in-memory fakes, so no AWS access is needed
+ */
+
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DynamoDBDocumentClient } = require('@aws-sdk/lib-dynamodb');
+const { SNSClient } = require('@aws-sdk/client-sns');
+
+process.env.DYNAMODB_TASKS_TABLE = 'Tasks';
+process.env.DYNAMODB_TEAMS_TABLE = 'Teams';
+process.env.DYNAMODB_MEMBERSHIPS_TABLE = 'Memberships';
+process.env.DYNAMODB_USERS_TABLE = 'Users';
+process.env.DYNAMODB_NOTIFICATIONS_TABLE = 'Notifications';
+process.env.DYNAMODB_TASK_HISTORY_TABLE = 'TaskHistory';
+process.env.DYNAMODB_AUDIT_LOG_TABLE = 'AuditLog';
+
+// A Tuesday
+const NOW = '2026-03-10T12:00:00.000Z';
+
+const DAILY = { frequency: 'daily', interval: 1, weekdays: null, monthDay: null, until: null, count: null, rrule: null };
+
+let tables;
+
+/**
+ * Fills the fake tables: an active team with recurring tasks in each state, an archived
+ * team and a team that is being deleted
+ */
+function seed() {
+  const open = { status: 'To Do', statusCategory: 'todo' };
+  const recurring = (teamId, taskId, fields) => ({
+    teamId,
+    taskId,
+    title: taskId,
+    description: '',
+    priority: 'Medium',
+    recurrence: DAILY,
+    seriesId: taskId,
+    occurrence: 1,
+    recurrencePendingTeam: teamId,
+    createdBy: 'admin',
+    ...open,
+    ...fields
+  });
+  tables = {
+    Teams: [
+      { teamId: 't1', name: 'Alpha' },
+      { teamId: 't2', name: 'Old', archived: true },
+      { teamId: 't3', name: 'Going', deletingAt: '2026-03-10T11:59:00.000Z' }
+    ],
+    Memberships: [
+      { teamId: 't1', userId: 'admin', role: 'admin' }
+    ],
+    Tasks: [
+      recurring('t1', 'due', { deadline: '2026-03-10' }),
+      recurring('t1', 'done', { deadline: '2026-03-20', status: 'Completed', statusCategory: 'done' }),
+      recurring('t1', 'later', { deadline: '2026-03-12' }),
+      { ...recurring('t1', 'ended', { deadline: '2026-03-09', occurrence: 3 }), recurrence: { ...DAILY, count: 3 } },
+      { ...recurring('t1', 'created', { deadline: '2026-03-09', nextInstanceId: 'x' }), recurrencePendingTeam: undefined },
+      { teamId: 't1', taskId: 'plain', title: 'plain', deadline: '2026-03-01', ...open },
+      recurring('t2', 'archived', { deadline: '2026-03-01' }),
+      recurring('t3', 'deleting', { deadline: '2026-03-01' })
+    ],
+    TaskHistory: [],
+    AuditLog: [],
+    Notifications: []
+  };
+}
+
+function conditionFailed(name = 'ConditionalCheckFailedException') {
+  const error = new Error('The conditional request failed');
+  error.name = name;
+  return error;
+}
+
+/**
+ * Applies the nextInstanceId claim the job writes on the current task
+ */
+function claimNextInstance(update) {
+  const task = tables.Tasks.find(item => item.taskId === update.Key.taskId);
+  if (!task || 'nextInstanceId' in task) {
+    return false;
+  }
+  assert.match(update.UpdateExpression, /REMOVE recurrencePendingTeam/);
+  task.nextInstanceId = update.ExpressionAttributeValues[':nextInstanceId'] ?? update.ExpressionAttributeValues[':none'];
+  delete task.recurrencePendingTeam;
+  return true;
+}
+
+/**
+ * Answers the commands the recurring task job sends, from the fake tables
+ */
+async function fakeDynamoSend(command) {
+  const input = command.input;
+  const values = input.ExpressionAttributeValues || {};
+
+  switch (command.constructor.name) {
+    case 'ScanCommand':
+      assert.equal(input.TableName, 'Teams', 'only the Teams table may be scanned');
+      return { Items: tables.Teams.filter(team => !team.archived && !team.deletingAt).map(team => ({ ...team })) };
+    case 'QueryCommand':
+      assert.equal(input.TableName, 'Tasks');
+      assert.equal(input.IndexName, 'recurrencePendingTeam-index');
+      return { Items: tables.Tasks.filter(task => task.recurrencePendingTeam === values[':teamId']) };
+    case 'GetCommand':
+      return { Item: tables[input.TableName]?.find(item => item.teamId === input.Key.teamId && item.userId === input.Key.userId) };
+    case 'UpdateCommand':
+      if (!claimNextInstance(input)) {
+        throw conditionFailed();
+      }
+      return {};
+    case 'TransactWriteCommand': {
+      const [check, put, update] = input.TransactItems;
+      const team = tables.Teams.find(item => item.teamId === check.ConditionCheck.Key.teamId);
+      if (!team || team.deletingAt || tables.Tasks.find(item => item.taskId === update.Update.Key.taskId)?.nextInstanceId) {
+        throw conditionFailed('TransactionCanceledException');
+      }
+      claimNextInstance(update.Update);
+      tables.Tasks.push(put.Put.Item);
+      return {};
+    }
+    case 'PutCommand':
+      tables[input.TableName].push(input.Item);
+      return {};
+    default:
+      throw new Error(`Unexpected command ${command.constructor.name}`);
+  }
+}
+
+let handler;
+
+before(() => {
+  DynamoDBDocumentClient.prototype.send = fakeDynamoSend;
+  SNSClient.prototype.send = async () => ({});
+  // Keep the job's logging out of the test output
+  for (const method of ['log', 'warn', 'error']) {
+    console[method] = () => {};
+  }
+  handler = require('../task_handler');
+});
+
+beforeEach(seed);
+
+test('creates the next instance of due and done tasks of active teams only', async () => {
+  const counts = await handler.generateRecurringTasks({ now: NOW });
+
+  assert.deepEqual(counts, { teams: 1, scanned: 4, generated: 2 });
+  const instances = tables.Tasks.filter(task => task.occurrence === 2);
+  assert.deepEqual(instances.map(task => [task.seriesId, task.deadline]).sort(), [
+    ['done', '2026-03-21'],
+    ['due', '2026-03-11']
+  ]);
+  // New instances wait for their own successor; their predecessors leave the index
+  assert.ok(instances.every(task => task.recurrencePendingTeam === 't1'));
+  for (const taskId of ['due', 'done', 'ended']) {
+    assert.equal(tables.Tasks.find(task => task.taskId === taskId).recurrencePendingTeam, undefined);
+  }
+  assert.equal(tables.Tasks.find(task => task.taskId === 'ended').nextInstanceId, null);
+  assert.equal(tables.Tasks.find(task => task.taskId === 'later').recurrencePendingTeam, 't1');
+});
+
+test('does not create instances twice', async () => {
+  await handler.generateRecurringTasks({ now: NOW });
+  const counts = await handler.generateRecurringTasks({ now: NOW });
+
+  assert.equal(counts.generated, 0);
+  assert.equal(tables.Tasks.filter(task => task.occurrence === 2).length, 2);
+});
+
+test('leaves teams that start being deleted during the run alone', async () => {
+  tables.Teams.push({ teamId: 't4', name: 'Racing' });
+  tables.Tasks.push({ ...tables.Tasks[0], teamId: 't4', taskId: 'racing', recurrencePendingTeam: 't4' });
+  const scan = DynamoDBDocumentClient.prototype.send;
+  DynamoDBDocumentClient.prototype.send = async command => {
+    const result = await scan(command);
+    if (command.constructor.name === 'ScanCommand') {
+      tables.Teams.find(team => team.teamId === 't4').deletingAt = NOW;
+    }
+    return result;
+  };
+
+  try {
+    await handler.generateRecurringTasks({ now: NOW });
+  } finally {
+    DynamoDBDocumentClient.prototype.send = scan;
+  }
+
+  assert.equal(tables.Tasks.filter(task => task.teamId === 't4').length, 1);
+});
+
+test('rejects an invalid clock', async () => {
+  await assert.rejects(handler.generateRecurringTasks({ now: 'not a date' }), /Invalid clock value/);
+});
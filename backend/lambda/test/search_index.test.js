@@ -0,0 +1,235 @@
+/**
+ * Tests for the task search index
+ * The index runs against the in-memory store, so no AWS access is needed
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  tokenize,
+  stem,
+  indexTask,
+  parseSearchQuery,
+  searchIndex,
+  highlightTask,
+  matchesQualifiers,
+  createMemoryStore
+} = require('../search_index');
+
+const TEAM_ID = 't1';
+
+function makeTask(taskId, title, description = '', fields = {}) {
+  return { teamId: TEAM_ID, taskId, title, description, status: 'To Do', statusCategory: 'todo', ...fields };
+}
+
+/**
+ * Indexes tasks into a new memory store
+ */
+async function buildStore(tasks) {
+  const store = createMemoryStore();
+  for (const task of tasks) {
+    await indexTask(store, null, task);
+  }
+  return store;
+}
+
+/**
+ * Searches the store and returns the matching task IDs, best first
+ */
+async function search(store, query) {
+  return (await searchIndex(store, TEAM_ID, parseSearchQuery(query))).map(hit => hit.taskId);
+}
+
+test('tokenize lowercases words, strips accents and keeps their positions', () => {
+  assert.deepEqual(tokenize('Café-au-lait, v2!'), [
+    { term: 'cafe', start: 0, end: 4 },
+    { term: 'au', start: 5, end: 7 },
+    { term: 'lait', start: 8, end: 12 },
+    { term: 'v2', start: 14, end: 16 }
+  ]);
+  assert.deepEqual(tokenize(null), []);
+});
+
+test('stem reduces word forms to the same stem', () => {
+  for (const word of ['deploy', 'deploys', 'deployed', 'deploying']) {
+    assert.equal(stem(word), 'deploy');
+  }
+  assert.equal(stem('running'), 'run');
+  assert.equal(stem('falling'), 'fall');
+  assert.equal(stem('making'), stem('make'));
+  assert.equal(stem('stories'), 'story');
+  assert.equal(stem('boxes'), 'box');
+  // Words ending in ss, us or is keep their s; short words and numbers are left alone
+  assert.equal(stem('class'), 'class');
+  assert.equal(stem('status'), 'status');
+  assert.equal(stem('bus'), 'bus');
+  assert.equal(stem('v2s'), 'v2s');
+});
+
+test('the last word of a query matches as a prefix', async () => {
+  const store = await buildStore([
+    makeTask('deploy', 'Deploying the API'),
+    makeTask('depth', 'Measure queue depth'),
+    makeTask('other', 'Write release notes')
+  ]);
+
+  assert.deepEqual(parseSearchQuery('dep').terms, [{ text: 'dep', stem: 'dep', field: null, prefix: true }]);
+  assert.deepEqual((await search(store, 'dep')).sort(), ['deploy', 'depth']);
+  assert.deepEqual(await search(store, 'api dep'), ['deploy']);
+  // Earlier words must match whole, unless they end in '*'
+  assert.deepEqual(await search(store, 'dep api'), []);
+  assert.deepEqual(await search(store, 'dep* api'), ['deploy']);
+});
+
+test('words of four or more letters match within one typo', async () => {
+  const store = await buildStore([
+    makeTask('login', 'Fix login bug'),
+    makeTask('other', 'Update billing page')
+  ]);
+
+  assert.deepEqual(await search(store, 'logn'), ['login']);
+  assert.deepEqual(await search(store, 'loign'), ['login']);
+  // Typos in the first two letters are not corrected
+  assert.deepEqual(await search(store, 'lgoin'), []);
+  // Three-letter words must match exactly
+  assert.deepEqual(await search(store, 'bgu'), []);
+});
+
+test('typos are only looked up for words that match few tasks as written', async () => {
+  const store = await buildStore([
+    ...Array.from({ length: 10 }, (_, index) => makeTask(`login${index}`, `Fix login bug ${index}`)),
+    makeTask('typo', 'Fix logni bug')
+  ]);
+  const reads = [];
+  const countingStore = {
+    ...store,
+    queryPostings(teamId, keyPrefix, limit) {
+      reads.push({ keyPrefix, limit });
+      return store.queryPostings(teamId, keyPrefix, limit);
+    }
+  };
+
+  const hits = await searchIndex(countingStore, TEAM_ID, parseSearchQuery('login fix'));
+  assert.equal(hits.length, 10);
+  assert.ok(!hits.some(hit => hit.taskId === 'typo'));
+  assert.deepEqual(reads.map(read => read.keyPrefix), ['t#login#', 't#fix']);
+  // Every read is capped
+  assert.ok(reads.every(read => read.limit > 0));
+
+  // The misspelling matches one task, so the words within a typo of it are read too
+  assert.equal((await search(store, 'logni fix')).length, 11);
+});
+
+test('title: and description: restrict a word to one field', async () => {
+  const store = await buildStore([
+    makeTask('title', 'Fix login bug', 'Users cannot sign in'),
+    makeTask('description', 'Write docs', 'Explain the login flow')
+  ]);
+
+  assert.deepEqual(await search(store, 'login'), ['title', 'description']);
+  assert.deepEqual(await search(store, 'title:login'), ['title']);
+  assert.deepEqual(await search(store, 'description:login'), ['description']);
+});
+
+test('parseSearchQuery separates filter qualifiers from words', () => {
+  const parsed = parseSearchQuery('fix Status:"In Progress" assignee:me assignee:none bug');
+  assert.deepEqual(parsed.qualifiers, { status: ['in progress'], assignee: ['me', 'none'] });
+  assert.deepEqual(parsed.terms.map(term => term.text), ['fix', 'bug']);
+  // Unknown qualifiers are searched as text
+  assert.deepEqual(parseSearchQuery('see http://example.com').terms.map(term => term.text),
+    ['see', 'http', 'example', 'com']);
+});
+
+test('status: matches a status name, a category or open', () => {
+  const inProgress = makeTask('a', 'Task', '', { status: 'Doing', statusCategory: 'in_progress' });
+  const done = makeTask('b', 'Task', '', { status: 'Shipped', statusCategory: 'done' });
+  const matches = (task, query) => matchesQualifiers(task, parseSearchQuery(query).qualifiers, { userId: 'u1' });
+
+  assert.equal(matches(inProgress, 'status:doing'), true);
+  assert.equal(matches(inProgress, 'status:"in progress"'), true);
+  assert.equal(matches(inProgress, 'status:in-progress'), true);
+  assert.equal(matches(inProgress, 'status:open'), true);
+  assert.equal(matches(done, 'status:open'), false);
+  assert.equal(matches(done, 'status:done'), true);
+  // Repeating a qualifier matches any of its values
+  assert.equal(matches(done, 'status:open status:shipped'), true);
+});
+
+test('assignee: matches me, none, a user ID or part of a member\'s name or email', () => {
+  const members = new Map([['u2', { name: 'Alice Smith', email: 'alice@example.com' }]]);
+  const mine = makeTask('a', 'Task', '', { assignedTo: 'u1' });
+  const alices = makeTask('b', 'Task', '', { assignedTo: 'u2' });
+  const unassigned = makeTask('c', 'Task');
+  const matches = (task, query) => matchesQualifiers(task, parseSearchQuery(query).qualifiers, { userId: 'u1', members });
+
+  assert.equal(matches(mine, 'assignee:me'), true);
+  assert.equal(matches(alices, 'assignee:me'), false);
+  assert.equal(matches(unassigned, 'assignee:none'), true);
+  assert.equal(matches(mine, 'assignee:none'), false);
+  assert.equal(matches(alices, 'assignee:U2'), true);
+  assert.equal(matches(alices, 'assignee:"alice smith"'), true);
+  assert.equal(matches(alices, 'assignee:example.com'), true);
+  assert.equal(matches(unassigned, 'assignee:alice'), false);
+});
+
+test('results rank title matches above description matches, and exact above fuzzy', async () => {
+  const store = await buildStore([
+    makeTask('description', 'Write docs', 'The report export is slow'),
+    makeTask('title', 'Report export', 'Make it faster'),
+    makeTask('fuzzy', 'Reprot export page'),
+    makeTask('other', 'Unrelated')
+  ]);
+
+  const hits = await searchIndex(store, TEAM_ID, parseSearchQuery('report export'));
+  assert.deepEqual(hits.map(hit => hit.taskId), ['title', 'fuzzy', 'description']);
+  assert.ok(hits[0].score > hits[1].score && hits[1].score > hits[2].score);
+  assert.deepEqual(hits[1].terms, ['reprot', 'export']);
+});
+
+test('highlightTask returns match offsets into each snippet', () => {
+  const task = makeTask('a', 'Fix login bug', `${'Some context words here. '.repeat(8)}Users report that Login fails after logging out.`);
+  const highlights = highlightTask(task, ['login']);
+
+  assert.deepEqual(highlights[0], { field: 'title', snippet: 'Fix login bug', matches: [{ start: 4, end: 9 }] });
+
+  const description = highlights[1];
+  assert.equal(description.field, 'description');
+  assert.ok(description.snippet.startsWith('…'));
+  assert.ok(description.snippet.length <= 162);
+  assert.deepEqual(description.matches.map(({ start, end }) => description.snippet.slice(start, end)), ['Login']);
+
+  // Stems are compared, so other forms of a matched word are marked too
+  const logged = highlightTask(makeTask('b', 'Logging cleanup', 'Remove noisy logs'), ['log']);
+  assert.deepEqual(logged.map(highlight => highlight.matches), [[{ start: 0, end: 7 }], [{ start: 13, end: 17 }]]);
+  assert.deepEqual(highlightTask(task, ['signup']), []);
+});
+
+test('indexTask writes only the postings that changed', async () => {
+  const store = await buildStore([]);
+  const task = makeTask('a', 'Fix login bug', 'Users cannot sign in');
+
+  const created = await indexTask(store, null, task);
+  assert.deepEqual(created, { put: 6, remove: 0 });
+  assert.equal(await store.getDocCount(TEAM_ID), 1);
+
+  // Fields outside the index change nothing
+  const moved = { ...task, status: 'Done', statusCategory: 'done' };
+  assert.deepEqual(await indexTask(store, task, moved), { put: 0, remove: 0 });
+
+  // Renaming swaps one term and keeps the rest
+  const renamed = { ...moved, title: 'Fix signup bug' };
+  assert.deepEqual(await indexTask(store, moved, renamed), { put: 1, remove: 1 });
+  assert.deepEqual(await search(store, 'signup'), ['a']);
+  assert.deepEqual(await search(store, 'title:login'), []);
+  assert.equal(await store.getDocCount(TEAM_ID), 1);
+
+  // A term that moves between fields is rewritten with its new counts
+  const described = { ...renamed, description: 'Users cannot sign in or sign up' };
+  assert.deepEqual(await indexTask(store, renamed, described), { put: 2, remove: 0 });
+
+  const deleted = await indexTask(store, described, null);
+  assert.deepEqual(deleted, { put: 0, remove: 7 });
+  assert.equal(await store.getDocCount(TEAM_ID), 0);
+  assert.deepEqual(await store.queryPostings(TEAM_ID, ''), []);
+});
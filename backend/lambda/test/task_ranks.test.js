@@ -0,0 +1,182 @@
+/**
+ * Tests for board column ranks
+ * DynamoDB and SNS are replaced by in-memory fakes, so no AWS access is needed
+ */
+
+const { test, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DynamoDBDocumentClient } = require('@aws-sdk/lib-dynamodb');
+const { SNSClient } = require('@aws-sdk/client-sns');
+
+process.env.DYNAMODB_TASKS_TABLE = 'Tasks';
+process.env.DYNAMODB_TEAMS_TABLE = 'Teams';
+process.env.DYNAMODB_MEMBERSHIPS_TABLE = 'Memberships';
+process.env.DYNAMODB_USERS_TABLE = 'Users';
+process.env.DYNAMODB_NOTIFICATIONS_TABLE = 'Notifications';
+process.env.DYNAMODB_TASK_HISTORY_TABLE = 'TaskHistory';
+process.env.DYNAMODB_AUDIT_LOG_TABLE = 'AuditLog';
+
+const CREATED_AT = '2026-03-10T12:00:00.000Z';
+
+let tables;
+
+/**
+ * Fills the fake tables: a team with three ranked tasks and one unranked task in Not Started,
+ * and one task in Completed
+ */
+function seed() {
+  const task = (taskId, status, rank) => ({
+    teamId: 't1',
+    taskId,
+    title: taskId,
+    status,
+    statusCategory: status === 'Completed' ? 'done' : 'todo',
+    createdAt: CREATED_AT,
+    ...(rank && { rank })
+  });
+  tables = {
+    Teams: [{ teamId: 't1', name: 'Alpha' }],
+    Memberships: [{ teamId: 't1', userId: 'admin', role: 'admin' }],
+    Tasks: [
+      task('a', 'Not Started', '1i'),
+      task('b', 'Not Started', '2i'),
+      task('c', 'Not Started', '3i'),
+      task('unranked', 'Not Started'),
+      task('done', 'Completed', '1i')
+    ]
+  };
+}
+
+function conditionFailed() {
+  const error = new Error('The conditional request failed');
+  error.name = 'ConditionalCheckFailedException';
+  return error;
+}
+
+function findTask(key) {
+  return tables.Tasks.find(item => item.teamId === key.teamId && item.taskId === key.taskId);
+}
+
+/**
+ * Applies a task update the way DynamoDB would for the expressions updateTask and the
+ * rebalance send
+ */
+function applyUpdate(input) {
+  const task = findTask(input.Key);
+  const values = input.ExpressionAttributeValues;
+  const condition = input.ConditionExpression;
+  if (condition === '#status = :oldStatus' && task.status !== values[':oldStatus']
+    || condition === '#rank = :oldRank' && task.rank !== values[':oldRank']
+    || condition === 'attribute_not_exists(#rank)' && 'rank' in task) {
+    throw conditionFailed();
+  }
+  if (':status' in values) {
+    Object.assign(task, { status: values[':status'], statusCategory: values[':statusCategory'], updatedAt: values[':updatedAt'] });
+  }
+  if (':rank' in values) {
+    task.rank = values[':rank'];
+  }
+  return { ...task };
+}
+
+/**
+ * Answers the commands a board move sends, from the fake tables
+ */
+async function fakeDynamoSend(command) {
+  const input = command.input;
+
+  switch (command.constructor.name) {
+    case 'GetCommand': {
+      const item = input.TableName === 'Tasks'
+        ? findTask(input.Key)
+        : tables[input.TableName].find(record => Object.entries(input.Key).every(([name, value]) => record[name] === value));
+      return { Item: item && { ...item } };
+    }
+    case 'QueryCommand':
+      assert.equal(input.TableName, 'Tasks');
+      return {
+        Items: tables.Tasks
+          .filter(task => task.teamId === input.ExpressionAttributeValues[':teamId'] && task.status === input.ExpressionAttributeValues[':status'])
+          .map(task => ({ ...task }))
+      };
+    case 'UpdateCommand':
+      return { Attributes: applyUpdate(input) };
+    case 'PutCommand':
+      return {};
+    default:
+      throw new Error(`Unexpected command ${command.constructor.name}`);
+  }
+}
+
+let handler;
+
+before(() => {
+  DynamoDBDocumentClient.prototype.send = fakeDynamoSend;
+  SNSClient.prototype.send = async () => ({});
+  // Keep the handler's logging out of the test output
+  for (const method of ['log', 'warn', 'error']) {
+    console[method] = () => {};
+  }
+  handler = require('../task_handler');
+});
+
+beforeEach(seed);
+
+function moveTask(taskId, status, rank) {
+  return handler.handler({
+    fieldName: 'updateTask',
+    arguments: { teamId: 't1', taskId, status, rank },
+    identity: { sub: 'admin' }
+  });
+}
+
+function columnOrder(status) {
+  const rankOf = task => task.rank || `${new Date(task.createdAt).getTime().toString(36)}i`;
+  return tables.Tasks
+    .filter(task => task.status === status)
+    .sort((a, b) => (rankOf(a) < rankOf(b) ? -1 : rankOf(a) > rankOf(b) ? 1 : 0))
+    .map(task => task.taskId);
+}
+
+test('a move with a short rank writes only that rank', async () => {
+  const moved = await moveTask('c', 'Not Started', '0i');
+
+  assert.equal(moved.rank, '0i');
+  assert.deepEqual(columnOrder('Not Started'), ['c', 'a', 'b', 'unranked']);
+  assert.equal(tables.Tasks.find(task => task.taskId === 'a').rank, '1i');
+});
+
+test('a move with a long rank re-spaces the column in the same order', async () => {
+  const moved = await moveTask('c', 'Not Started', `${'0'.repeat(40)}i`);
+
+  assert.deepEqual(columnOrder('Not Started'), ['c', 'a', 'b', 'unranked']);
+  const ranks = tables.Tasks.filter(task => task.status === 'Not Started').map(task => task.rank);
+  assert.ok(ranks.every(rank => /^[0-9a-z]{8}i$/.test(rank)), `short ranks: ${ranks}`);
+  assert.equal(moved.rank, tables.Tasks.find(task => task.taskId === 'c').rank);
+  // New tasks are ranked by their creation time and still land at the bottom
+  const newTaskRank = `${Date.now().toString(36)}i`;
+  assert.ok(ranks.every(rank => rank < newTaskRank));
+  // Other columns are left alone
+  assert.equal(tables.Tasks.find(task => task.taskId === 'done').rank, '1i');
+});
+
+test('the re-spacing keeps ranks that were changed meanwhile', async () => {
+  const update = DynamoDBDocumentClient.prototype.send;
+  DynamoDBDocumentClient.prototype.send = async command => {
+    // Someone else moves b between the column read and the rebalance writes
+    if (command.constructor.name === 'UpdateCommand' && command.input.Key.taskId === 'b' && !(':status' in command.input.ExpressionAttributeValues)) {
+      tables.Tasks.find(task => task.taskId === 'b').rank = 'zzi';
+    }
+    return update(command);
+  };
+
+  try {
+    await moveTask('c', 'Not Started', `${'0'.repeat(40)}i`);
+  } finally {
+    DynamoDBDocumentClient.prototype.send = update;
+  }
+
+  assert.equal(tables.Tasks.find(task => task.taskId === 'b').rank, 'zzi');
+  assert.deepEqual(columnOrder('Not Started'), ['c', 'a', 'unranked', 'b']);
+});
@@ -89,6 +89,12 @@ resource "aws_cognito_user_pool" "pool" {
     email_subject        = "Task Management - Verify your email"
     email_message        = "Your verification code is {####}"
   }
+  
+  # Lambda triggers that keep the Users table in sync with the pool
+  lambda_config {
+    post_confirmation   = aws_lambda_function.cognito_trigger.arn  # Create the user record after sign-up
+    post_authentication = aws_lambda_function.cognito_trigger.arn  # Refresh profile and lastLogin on sign-in
+  }
 }
 
 # Cognito User Pool Client - Application-specific configuration
@@ -293,6 +299,7 @@ resource "aws_dynamodb_table" "memberships" {
 # Tasks Table - Stores task information within teams
 # Primary access pattern: List tasks by team (teamId partition)
 # Secondary access pattern: List tasks assigned to user (assignedTo GSI)
+# Secondary access pattern: List a team's tasks in creation order (teamId-createdAt GSI)
 # Hierarchical key design groups tasks by team for efficient queries
 resource "aws_dynamodb_table" "tasks" {
   name           = "Tasks"
@@ -300,6 +307,10 @@ resource "aws_dynamodb_table" "tasks" {
   hash_key       = "teamId"   # Partition key - groups tasks by team
   range_key      = "taskId"   # Sort key - unique task identifier within team
   
+  # Every write is streamed to the search indexer, with the task before and after
+  stream_enabled   = true
+  stream_view_type = "NEW_AND_OLD_IMAGES"
+  
   # Partition key - enables efficient team-based task queries
   attribute {
     name = "teamId"
@@ -326,6 +337,67 @@ resource "aws_dynamodb_table" "tasks" {
     projection_type    = "ALL"
   }
   
+  # Creation timestamp attribute for GSI - enables listTasks sorted by createdAt
+  attribute {
+    name = "createdAt"
+    type = "S"
+  }
+  
+  # Global Secondary Index for a team's tasks in creation order
+  # Lets listTasks page through newest or oldest first without reading the whole team
+  global_secondary_index {
+    name               = "teamId-createdAt-index"
+    hash_key           = "teamId"
+    range_key          = "createdAt"
+    projection_type    = "ALL"
+  }
+  
+  # Last update timestamp attribute for GSI - enables listTasks sorted by updatedAt
+  attribute {
+    name = "updatedAt"
+    type = "S"
+  }
+  
+  # Global Secondary Index for a team's tasks in order of their last change
+  # Every task has updatedAt, so listTasks sorted by updatedAt reads the tasks of one page only
+  global_secondary_index {
+    name               = "teamId-updatedAt-index"
+    hash_key           = "teamId"
+    range_key          = "updatedAt"
+    projection_type    = "ALL"
+  }
+  
+  # Deadline attribute for GSI - tasks without a deadline leave it out, so the index is sparse
+  attribute {
+    name = "deadline"
+    type = "S"
+  }
+  
+  # Global Secondary Index for a team's tasks in deadline order
+  # Read by the deadline reminder job and by listTasks sorted by deadline; after deploying it,
+  # run TaskRemoveNullDeadlines once
+  global_secondary_index {
+    name               = "teamId-deadline-index"
+    hash_key           = "teamId"
+    range_key          = "deadline"
+    projection_type    = "ALL"
+  }
+  
+  # Pending recurrence attribute for GSI - the teamId of recurring tasks that have no next
+  # instance yet; removed when the next instance is created, so the index is sparse
+  attribute {
+    name = "recurrencePendingTeam"
+    type = "S"
+  }
+  
+  # Global Secondary Index for a team's recurring tasks still waiting for their next instance
+  # Read by the recurring task job
+  global_secondary_index {
+    name               = "recurrencePendingTeam-index"
+    hash_key           = "recurrencePendingTeam"
+    projection_type    = "ALL"
+  }
+  
   point_in_time_recovery {
     enabled = true
   }
@@ -335,6 +407,188 @@ resource "aws_dynamodb_table" "tasks" {
   }
 }
 
+# Comments Table - Discussion threads on tasks
+# Primary access pattern: List a task's comments in time order (teamId partition, commentId prefix)
+# Comment IDs are "<taskId>#<createdAt>#<uuid>", so deleting a team clears its comments with one query
+resource "aws_dynamodb_table" "comments" {
+  name           = "Comments"
+  billing_mode   = "PAY_PER_REQUEST"
+  hash_key       = "teamId"     # Partition key - groups comments by team
+  range_key      = "commentId"  # Sort key - task prefix, then creation time
+  
+  # Partition key - team the commented task belongs to
+  attribute {
+    name = "teamId"
+    type = "S"
+  }
+  
+  # Sort key - task-scoped, time-ordered comment identifier
+  attribute {
+    name = "commentId"
+    type = "S"
+  }
+  
+  point_in_time_recovery {
+    enabled = true
+  }
+  
+  tags = {
+    Name = "TaskManagement-Comments"
+  }
+}
+
+# TaskHistory Table - Append-only record of every change to a task
+# Primary access pattern: List a task's events, newest first (teamId partition, historyId prefix)
+# History IDs are "<taskId>#<createdAt>#<uuid>" and outlive the task itself
+resource "aws_dynamodb_table" "task_history" {
+  name           = "TaskHistory"
+  billing_mode   = "PAY_PER_REQUEST"
+  hash_key       = "teamId"     # Partition key - groups history by team
+  range_key      = "historyId"  # Sort key - task prefix, then event time
+  
+  # Partition key - team the task belongs to
+  attribute {
+    name = "teamId"
+    type = "S"
+  }
+  
+  # Sort key - task-scoped, time-ordered event identifier
+  attribute {
+    name = "historyId"
+    type = "S"
+  }
+  
+  point_in_time_recovery {
+    enabled = true
+  }
+  
+  tags = {
+    Name = "TaskManagement-TaskHistory"
+  }
+}
+
+# AuditLog Table - Append-only record of administrative and task actions per team
+# Primary access pattern: List a team's entries, newest first, within a date range (teamId partition, auditId range)
+# Audit IDs are "<createdAt>#<uuid>"; entries are never updated or deleted, even when the team is
+resource "aws_dynamodb_table" "audit_log" {
+  name           = "AuditLog"
+  billing_mode   = "PAY_PER_REQUEST"
+  hash_key       = "teamId"   # Partition key - groups entries by team
+  range_key      = "auditId"  # Sort key - entry time, then a unique suffix
+  
+  # Partition key - team the action happened in
+  attribute {
+    name = "teamId"
+    type = "S"
+  }
+  
+  # Sort key - time-ordered entry identifier
+  attribute {
+    name = "auditId"
+    type = "S"
+  }
+  
+  point_in_time_recovery {
+    enabled = true
+  }
+  
+  tags = {
+    Name = "TaskManagement-AuditLog"
+  }
+}
+
+# Notifications Table - In-app notification inbox
+# Primary access pattern: List a user's notifications, newest first (recipientId partition)
+# Secondary access pattern: Count and clear unread notifications (sparse unread GSI)
+# Tertiary access pattern: Collect emails held back for digests or quiet hours (sparse pending GSI)
+resource "aws_dynamodb_table" "notifications" {
+  name           = "Notifications"
+  billing_mode   = "PAY_PER_REQUEST"
+  hash_key       = "recipientId"     # Partition key - groups notifications by recipient
+  range_key      = "notificationId"  # Sort key - "<createdAt>#<uuid>" so items sort by time
+  
+  # Partition key - user the notification is for
+  attribute {
+    name = "recipientId"
+    type = "S"
+  }
+  
+  # Sort key - time-ordered notification identifier
+  attribute {
+    name = "notificationId"
+    type = "S"
+  }
+  
+  # Copy of recipientId that only exists while the notification is unread
+  attribute {
+    name = "unreadBy"
+    type = "S"
+  }
+  
+  # Copy of recipientId that only exists while the email for the notification is held back
+  attribute {
+    name = "pendingDeliveryBy"
+    type = "S"
+  }
+  
+  # Sparse Global Secondary Index containing only unread notifications
+  # Keeps unread counts and "mark all read" independent of inbox size
+  global_secondary_index {
+    name               = "unread-index"
+    hash_key           = "unreadBy"
+    range_key          = "notificationId"
+    projection_type    = "KEYS_ONLY"
+  }
+  
+  # Sparse Global Secondary Index containing only notifications waiting for email delivery
+  # Read by the hourly digest job, which needs the subject and message of each item
+  global_secondary_index {
+    name               = "pending-delivery-index"
+    hash_key           = "pendingDeliveryBy"
+    range_key          = "notificationId"
+    projection_type    = "ALL"
+  }
+  
+  # Old notifications expire automatically
+  ttl {
+    attribute_name = "expiresAt"
+    enabled        = true
+  }
+  
+  point_in_time_recovery {
+    enabled = true
+  }
+  
+  tags = {
+    Name = "TaskManagement-NotificationInbox"
+  }
+}
+
+# Search Index Table - Full-text index over task titles and descriptions
+# Primary access pattern: Read a team's postings by term or term prefix (teamId partition, termKey prefix)
+# One posting per task and term, keyed 't#<term>#<taskId>', plus a 'stats' item with the team's task count
+# Kept in sync from the Tasks table stream; see lambda/search_index.js
+resource "aws_dynamodb_table" "search_index" {
+  name           = "TaskSearchIndex"
+  billing_mode   = "PAY_PER_REQUEST"
+  hash_key       = "teamId"   # Partition key - each team's index is searched on its own
+  range_key      = "termKey"  # Sort key - term then task, so a prefix read finds a term's postings
+  
+  attribute {
+    name = "teamId"
+    type = "S"
+  }
+  
+  attribute {
+    name = "termKey"
+    type = "S"
+  }
+  
+  tags = {
+    Name = "TaskManagement-SearchIndex"
+  }
+}
+
 # =============================================================================
 # SNS NOTIFICATION SYSTEM
 # =============================================================================
@@ -350,10 +604,114 @@ resource "aws_sns_topic" "task_notifications" {
   }
 }
 
+# Delivers topic messages to the notification dispatcher
+# The filter policy skips messages without a recipientId message attribute
+resource "aws_sns_topic_subscription" "notification_dispatcher" {
+  topic_arn = aws_sns_topic.task_notifications.arn
+  protocol  = "lambda"
+  endpoint  = aws_lambda_function.notification_dispatcher.arn
+  
+  filter_policy = jsonencode({
+    recipientId = [{ exists = true }]
+  })
+}
+
+# Allows the topic to invoke the dispatcher function
+resource "aws_lambda_permission" "notification_dispatcher" {
+  statement_id  = "AllowSNSInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.notification_dispatcher.function_name
+  principal     = "sns.amazonaws.com"
+  source_arn    = aws_sns_topic.task_notifications.arn
+}
+
 # =============================================================================
 # CLOUDWATCH LOGGING
 # =============================================================================
 
+# Log groups for the search indexer and search index rebuild functions
+resource "aws_cloudwatch_log_group" "search_indexer_logs" {
+  name              = "/aws/lambda/TaskSearchIndexer"
+  retention_in_days = 14
+  
+  tags = {
+    Name = "TaskManagement-SearchIndexer-Logs"
+  }
+}
+
+resource "aws_cloudwatch_log_group" "rebuild_search_index_logs" {
+  name              = "/aws/lambda/TaskRebuildSearchIndex"
+  retention_in_days = 14
+  
+  tags = {
+    Name = "TaskManagement-RebuildSearchIndex-Logs"
+  }
+}
+
+# Log groups for the Cognito trigger and users backfill functions
+resource "aws_cloudwatch_log_group" "cognito_trigger_logs" {
+  name              = "/aws/lambda/TaskCognitoTrigger"
+  retention_in_days = 14
+  
+  tags = {
+    Name = "TaskManagement-CognitoTrigger-Logs"
+  }
+}
+
+resource "aws_cloudwatch_log_group" "notification_dispatcher_logs" {
+  name              = "/aws/lambda/TaskNotificationDispatcher"
+  retention_in_days = 14
+  
+  tags = {
+    Name = "TaskManagement-NotificationDispatcher-Logs"
+  }
+}
+
+resource "aws_cloudwatch_log_group" "notification_digest_logs" {
+  name              = "/aws/lambda/TaskNotificationDigest"
+  retention_in_days = 14
+  
+  tags = {
+    Name = "TaskManagement-NotificationDigest-Logs"
+  }
+}
+
+resource "aws_cloudwatch_log_group" "recurring_tasks_logs" {
+  name              = "/aws/lambda/TaskRecurringTasks"
+  retention_in_days = 14
+  
+  tags = {
+    Name = "TaskManagement-RecurringTasks-Logs"
+  }
+}
+
+resource "aws_cloudwatch_log_group" "deadline_reminders_logs" {
+  name              = "/aws/lambda/TaskDeadlineReminders"
+  retention_in_days = 14
+  
+  tags = {
+    Name = "TaskManagement-DeadlineReminders-Logs"
+  }
+}
+
+resource "aws_cloudwatch_log_group" "remove_null_deadlines_logs" {
+  name              = "/aws/lambda/TaskRemoveNullDeadlines"
+  retention_in_days = 14
+  
+  tags = {
+    Name = "TaskManagement-RemoveNullDeadlines-Logs"
+  }
+}
+
+resource "aws_cloudwatch_log_group" "backfill_users_logs" {
+  name              = "/aws/lambda/TaskBackfillUsers"
+  retention_in_days = 14
+  
+  tags = {
+    Name = "TaskManagement-BackfillUsers-Logs"
+  }
+}
+
 # CloudWatch Log Group for Lambda function logs
 # Centralized logging with automatic retention management
 # Reduces storage costs while maintaining troubleshooting capability
@@ -388,10 +746,15 @@ resource "aws_lambda_function" "task_handler" {
   environment {
     variables = {
       # DynamoDB table names for data access
-      DYNAMODB_USERS_TABLE       = aws_dynamodb_table.users.name
-      DYNAMODB_TEAMS_TABLE       = aws_dynamodb_table.teams.name
-      DYNAMODB_MEMBERSHIPS_TABLE = aws_dynamodb_table.memberships.name
-      DYNAMODB_TASKS_TABLE       = aws_dynamodb_table.tasks.name
+      DYNAMODB_USERS_TABLE         = aws_dynamodb_table.users.name
+      DYNAMODB_TEAMS_TABLE         = aws_dynamodb_table.teams.name
+      DYNAMODB_MEMBERSHIPS_TABLE   = aws_dynamodb_table.memberships.name
+      DYNAMODB_TASKS_TABLE         = aws_dynamodb_table.tasks.name
+      DYNAMODB_COMMENTS_TABLE      = aws_dynamodb_table.comments.name
+      DYNAMODB_TASK_HISTORY_TABLE  = aws_dynamodb_table.task_history.name
+      DYNAMODB_AUDIT_LOG_TABLE     = aws_dynamodb_table.audit_log.name
+      DYNAMODB_NOTIFICATIONS_TABLE = aws_dynamodb_table.notifications.name
+      DYNAMODB_SEARCH_INDEX_TABLE  = aws_dynamodb_table.search_index.name
       
       # SNS configuration for notifications
       SNS_TOPIC_ARN             = aws_sns_topic.task_notifications.arn
@@ -415,50 +778,420 @@ resource "aws_lambda_function" "task_handler" {
   }
 }
 
-# =============================================================================
-# IAM ROLES AND POLICIES - SECURITY LAYER
-# =============================================================================
+# Lambda function for Cognito PostConfirmation/PostAuthentication triggers
+# Shares the task handler package but uses its own role, because the main role's
+# policy references the user pool and the pool references this function
+resource "aws_lambda_function" "cognito_trigger" {
+  filename         = "${path.module}/../lambda/task_handler.zip"  # Same package as the task handler
+  function_name    = "TaskCognitoTrigger"
+  role            = aws_iam_role.cognito_trigger_role.arn        # Users table access only
+  handler         = "task_handler.cognitoTrigger"               # Cognito trigger entry point
+  runtime         = "nodejs18.x"
+  source_code_hash = filebase64sha256("${path.module}/../lambda/task_handler.zip")
+  timeout         = 5         # Cognito waits at most 5 seconds for a trigger
+  memory_size     = 256
+  
+  environment {
+    variables = {
+      DYNAMODB_USERS_TABLE = aws_dynamodb_table.users.name
+      AWS_NODEJS_CONNECTION_REUSE_ENABLED = "1"
+    }
+  }
+  
+  depends_on = [
+    aws_cloudwatch_log_group.cognito_trigger_logs,
+    aws_iam_role_policy.cognito_trigger_policy
+  ]
+  
+  tags = {
+    Name = "TaskManagement-CognitoTrigger"
+  }
+}
 
-# IAM Role for Lambda function execution
-# Provides the Lambda function with an identity to access AWS services
-# Follows principle of least privilege with specific service permissions
-resource "aws_iam_role" "lambda_role" {
-  name = "task-management-lambda-role"
+# Allows the user pool to invoke the trigger function
+resource "aws_lambda_permission" "cognito_trigger" {
+  statement_id  = "AllowCognitoInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.cognito_trigger.function_name
+  principal     = "cognito-idp.amazonaws.com"
+  source_arn    = aws_cognito_user_pool.pool.arn
+}
+
+# One-off Lambda function that copies existing pool users into the Users table
+# Run manually after deployment: aws lambda invoke --function-name TaskBackfillUsers out.json
+resource "aws_lambda_function" "backfill_users" {
+  filename         = "${path.module}/../lambda/task_handler.zip"  # Same package as the task handler
+  function_name    = "TaskBackfillUsers"
+  role            = aws_iam_role.lambda_role.arn                 # Needs cognito-idp:ListUsers and Users table access
+  handler         = "task_handler.backfillUsers"                # Backfill entry point
+  runtime         = "nodejs18.x"
+  source_code_hash = filebase64sha256("${path.module}/../lambda/task_handler.zip")
+  timeout         = 300       # Large pools take a while to page through
+  memory_size     = 256
   
-  # Trust policy allowing Lambda service to assume this role
-  assume_role_policy = jsonencode({
-    Version = "2012-10-17"
-    Statement = [{
-      Action = "sts:AssumeRole"
-      Effect = "Allow"
-      Principal = {
-        Service = "lambda.amazonaws.com"  # Only Lambda can assume this role
-      }
-    }]
-  })
+  environment {
+    variables = {
+      DYNAMODB_USERS_TABLE = aws_dynamodb_table.users.name
+      COGNITO_USER_POOL_ID = aws_cognito_user_pool.pool.id
+      AWS_NODEJS_CONNECTION_REUSE_ENABLED = "1"
+    }
+  }
+  
+  depends_on = [
+    aws_cloudwatch_log_group.backfill_users_logs,
+    aws_iam_role_policy.lambda_policy
+  ]
+  
+  tags = {
+    Name = "TaskManagement-BackfillUsers"
+  }
 }
 
-# IAM Policy for Lambda function permissions
-# Grants specific permissions needed for task management operations
-# Includes DynamoDB, SNS, CloudWatch, and Cognito access
-resource "aws_iam_role_policy" "lambda_policy" {
-  role = aws_iam_role.lambda_role.id
+# One-off Lambda function that removes NULL deadlines, which teamId-deadline-index cannot hold
+# Run manually after deployment: aws lambda invoke --function-name TaskRemoveNullDeadlines out.json
+resource "aws_lambda_function" "remove_null_deadlines" {
+  filename         = "${path.module}/../lambda/task_handler.zip"  # Same package as the task handler
+  function_name    = "TaskRemoveNullDeadlines"
+  role            = aws_iam_role.lambda_role.arn                 # Tasks scan and updates
+  handler         = "task_handler.removeNullDeadlines"          # Migration entry point
+  runtime         = "nodejs18.x"
+  source_code_hash = filebase64sha256("${path.module}/../lambda/task_handler.zip")
+  timeout         = 900       # Scans the whole Tasks table
+  memory_size     = 256
   
-  policy = jsonencode({
-    Version = "2012-10-17"
-    Statement = [
-      {
-        # DynamoDB permissions for data operations
-        # Includes all CRUD operations and advanced features like transactions
-        Effect = "Allow"
-        Action = [
-          "dynamodb:PutItem",        # Create operations
-          "dynamodb:GetItem",        # Read operations
-          "dynamodb:UpdateItem",     # Update operations
-          "dynamodb:DeleteItem",     # Delete operations
+  environment {
+    variables = {
+      DYNAMODB_TASKS_TABLE = aws_dynamodb_table.tasks.name
+      AWS_NODEJS_CONNECTION_REUSE_ENABLED = "1"
+    }
+  }
+  
+  depends_on = [
+    aws_cloudwatch_log_group.remove_null_deadlines_logs,
+    aws_iam_role_policy.lambda_policy
+  ]
+  
+  tags = {
+    Name = "TaskManagement-RemoveNullDeadlines"
+  }
+}
+
+# Lambda function that emails notifications published to the SNS topic
+# Shares the task handler package; the entry point lives in notification_dispatcher.js
+resource "aws_lambda_function" "notification_dispatcher" {
+  filename         = "${path.module}/../lambda/task_handler.zip"  # Same package as the task handler
+  function_name    = "TaskNotificationDispatcher"
+  role            = aws_iam_role.lambda_role.arn                 # Users table read and SES send
+  handler         = "notification_dispatcher.handler"           # SNS entry point
+  runtime         = "nodejs18.x"
+  source_code_hash = filebase64sha256("${path.module}/../lambda/task_handler.zip")
+  timeout         = 30
+  memory_size     = 256
+  
+  environment {
+    variables = {
+      DYNAMODB_USERS_TABLE      = aws_dynamodb_table.users.name
+      NOTIFICATION_TRANSPORT    = "ses"                            # ses, smtp or console
+      NOTIFICATION_FROM_ADDRESS = var.notification_from_address    # Must be an SES-verified identity
+      APP_URL                   = "http://${aws_s3_bucket_website_configuration.frontend.website_endpoint}"
+      AWS_NODEJS_CONNECTION_REUSE_ENABLED = "1"
+    }
+  }
+  
+  depends_on = [
+    aws_cloudwatch_log_group.notification_dispatcher_logs,
+    aws_iam_role_policy.lambda_policy
+  ]
+  
+  tags = {
+    Name = "TaskManagement-NotificationDispatcher"
+  }
+}
+
+# Scheduled Lambda function that emails notifications held back by user preferences
+# Sends daily digests at each user's digest hour and flushes emails delayed by quiet hours
+resource "aws_lambda_function" "notification_digest" {
+  filename         = "${path.module}/../lambda/task_handler.zip"  # Same package as the task handler
+  function_name    = "TaskNotificationDigest"
+  role            = aws_iam_role.lambda_role.arn                 # Users/Notifications table access and SNS publish
+  handler         = "task_handler.deliverPendingNotifications"  # Scheduled entry point
+  runtime         = "nodejs18.x"
+  source_code_hash = filebase64sha256("${path.module}/../lambda/task_handler.zip")
+  timeout         = 300       # Walks every user with notification preferences
+  memory_size     = 256
+  
+  environment {
+    variables = {
+      DYNAMODB_USERS_TABLE         = aws_dynamodb_table.users.name
+      DYNAMODB_NOTIFICATIONS_TABLE = aws_dynamodb_table.notifications.name
+      SNS_TOPIC_ARN                = aws_sns_topic.task_notifications.arn
+      AWS_NODEJS_CONNECTION_REUSE_ENABLED = "1"
+    }
+  }
+  
+  depends_on = [
+    aws_cloudwatch_log_group.notification_digest_logs,
+    aws_iam_role_policy.lambda_policy
+  ]
+  
+  tags = {
+    Name = "TaskManagement-NotificationDigest"
+  }
+}
+
+# Runs the digest job at the top of every hour
+# Digest hours and quiet hours are in each user's own time zone, so the job runs hourly
+resource "aws_cloudwatch_event_rule" "notification_digest_schedule" {
+  name                = "task-notification-digest"
+  description         = "Hourly delivery of digest and quiet-hours notification emails"
+  schedule_expression = "cron(0 * * * ? *)"
+}
+
+resource "aws_cloudwatch_event_target" "notification_digest" {
+  rule = aws_cloudwatch_event_rule.notification_digest_schedule.name
+  arn  = aws_lambda_function.notification_digest.arn
+}
+
+# Allows EventBridge to invoke the digest function
+resource "aws_lambda_permission" "notification_digest_schedule" {
+  statement_id  = "AllowEventBridgeInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.notification_digest.function_name
+  principal     = "events.amazonaws.com"
+  source_arn    = aws_cloudwatch_event_rule.notification_digest_schedule.arn
+}
+
+# Scheduled Lambda function that reminds assignees of upcoming deadlines and escalates overdue tasks
+# Test with a fixed clock: aws lambda invoke --function-name TaskDeadlineReminders \
+#   --payload '{"now":"2026-01-15T09:00:00Z"}' --cli-binary-format raw-in-base64-out out.json
+resource "aws_lambda_function" "deadline_reminders" {
+  filename         = "${path.module}/../lambda/task_handler.zip"  # Same package as the task handler
+  function_name    = "TaskDeadlineReminders"
+  role            = aws_iam_role.lambda_role.arn                 # Tasks queries, marker updates and notifications
+  handler         = "task_handler.sendDeadlineReminders"        # Scheduled entry point
+  runtime         = "nodejs18.x"
+  source_code_hash = filebase64sha256("${path.module}/../lambda/task_handler.zip")
+  timeout         = 300       # Reads every active team's tasks due before the window ends
+  memory_size     = 256
+  
+  environment {
+    variables = {
+      DYNAMODB_USERS_TABLE         = aws_dynamodb_table.users.name
+      DYNAMODB_TEAMS_TABLE         = aws_dynamodb_table.teams.name
+      DYNAMODB_MEMBERSHIPS_TABLE   = aws_dynamodb_table.memberships.name
+      DYNAMODB_TASKS_TABLE         = aws_dynamodb_table.tasks.name
+      DYNAMODB_NOTIFICATIONS_TABLE = aws_dynamodb_table.notifications.name
+      SNS_TOPIC_ARN                = aws_sns_topic.task_notifications.arn
+      REMINDER_WINDOW_HOURS        = var.reminder_window_hours
+      AWS_NODEJS_CONNECTION_REUSE_ENABLED = "1"
+    }
+  }
+  
+  depends_on = [
+    aws_cloudwatch_log_group.deadline_reminders_logs,
+    aws_iam_role_policy.lambda_policy
+  ]
+  
+  tags = {
+    Name = "TaskManagement-DeadlineReminders"
+  }
+}
+
+# Runs the reminder job every hour, half past so it does not share a slot with the digest job
+resource "aws_cloudwatch_event_rule" "deadline_reminders_schedule" {
+  name                = "task-deadline-reminders"
+  description         = "Hourly deadline reminders and overdue escalations"
+  schedule_expression = "cron(30 * * * ? *)"
+}
+
+resource "aws_cloudwatch_event_target" "deadline_reminders" {
+  rule = aws_cloudwatch_event_rule.deadline_reminders_schedule.name
+  arn  = aws_lambda_function.deadline_reminders.arn
+}
+
+# Allows EventBridge to invoke the reminder function
+resource "aws_lambda_permission" "deadline_reminders_schedule" {
+  statement_id  = "AllowEventBridgeInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.deadline_reminders.function_name
+  principal     = "events.amazonaws.com"
+  source_arn    = aws_cloudwatch_event_rule.deadline_reminders_schedule.arn
+}
+
+# Scheduled Lambda function that creates the next instance of recurring tasks that are done or due
+# Test with a fixed clock: aws lambda invoke --function-name TaskRecurringTasks \
+#   --payload '{"now":"2026-01-15T09:00:00Z"}' --cli-binary-format raw-in-base64-out out.json
+resource "aws_lambda_function" "recurring_tasks" {
+  filename         = "${path.module}/../lambda/task_handler.zip"  # Same package as the task handler
+  function_name    = "TaskRecurringTasks"
+  role            = aws_iam_role.lambda_role.arn                 # Teams scan, pending recurrence reads, task writes, history, audit and notifications
+  handler         = "task_handler.generateRecurringTasks"       # Scheduled entry point
+  runtime         = "nodejs18.x"
+  source_code_hash = filebase64sha256("${path.module}/../lambda/task_handler.zip")
+  timeout         = 300       # Scans the whole Tasks table
+  memory_size     = 256
+  
+  environment {
+    variables = {
+      DYNAMODB_USERS_TABLE         = aws_dynamodb_table.users.name
+      DYNAMODB_TEAMS_TABLE         = aws_dynamodb_table.teams.name
+      DYNAMODB_MEMBERSHIPS_TABLE   = aws_dynamodb_table.memberships.name
+      DYNAMODB_TASKS_TABLE         = aws_dynamodb_table.tasks.name
+      DYNAMODB_TASK_HISTORY_TABLE  = aws_dynamodb_table.task_history.name
+      DYNAMODB_AUDIT_LOG_TABLE     = aws_dynamodb_table.audit_log.name
+      DYNAMODB_NOTIFICATIONS_TABLE = aws_dynamodb_table.notifications.name
+      SNS_TOPIC_ARN                = aws_sns_topic.task_notifications.arn
+      AWS_NODEJS_CONNECTION_REUSE_ENABLED = "1"
+    }
+  }
+  
+  depends_on = [
+    aws_cloudwatch_log_group.recurring_tasks_logs,
+    aws_iam_role_policy.lambda_policy
+  ]
+  
+  tags = {
+    Name = "TaskManagement-RecurringTasks"
+  }
+}
+
+# Runs the recurring task job every hour, a quarter past so it does not share a slot with the other jobs
+resource "aws_cloudwatch_event_rule" "recurring_tasks_schedule" {
+  name                = "task-recurring-tasks"
+  description         = "Hourly creation of the next instance of recurring tasks"
+  schedule_expression = "cron(15 * * * ? *)"
+}
+
+resource "aws_cloudwatch_event_target" "recurring_tasks" {
+  rule = aws_cloudwatch_event_rule.recurring_tasks_schedule.name
+  arn  = aws_lambda_function.recurring_tasks.arn
+}
+
+# Allows EventBridge to invoke the recurring task function
+resource "aws_lambda_permission" "recurring_tasks_schedule" {
+  statement_id  = "AllowEventBridgeInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.recurring_tasks.function_name
+  principal     = "events.amazonaws.com"
+  source_arn    = aws_cloudwatch_event_rule.recurring_tasks_schedule.arn
+}
+
+# Lambda function that keeps the search index in sync with the Tasks table
+# Shares the task handler package; fed by the Tasks table stream
+resource "aws_lambda_function" "search_indexer" {
+  filename         = "${path.module}/../lambda/task_handler.zip"  # Same package as the task handler
+  function_name    = "TaskSearchIndexer"
+  role            = aws_iam_role.lambda_role.arn                 # Tasks stream read and SearchIndex writes
+  handler         = "task_handler.indexTaskChanges"             # DynamoDB stream entry point
+  runtime         = "nodejs18.x"
+  source_code_hash = filebase64sha256("${path.module}/../lambda/task_handler.zip")
+  timeout         = 60
+  memory_size     = 256
+  
+  environment {
+    variables = {
+      DYNAMODB_SEARCH_INDEX_TABLE = aws_dynamodb_table.search_index.name
+      AWS_NODEJS_CONNECTION_REUSE_ENABLED = "1"
+    }
+  }
+  
+  depends_on = [
+    aws_cloudwatch_log_group.search_indexer_logs,
+    aws_iam_role_policy.lambda_policy
+  ]
+  
+  tags = {
+    Name = "TaskManagement-SearchIndexer"
+  }
+}
+
+# Delivers Tasks table changes to the indexer, oldest first
+# A failing record is retried on its own, without replaying the records before it
+resource "aws_lambda_event_source_mapping" "search_indexer" {
+  event_source_arn               = aws_dynamodb_table.tasks.stream_arn
+  function_name                  = aws_lambda_function.search_indexer.arn
+  starting_position              = "TRIM_HORIZON"
+  batch_size                     = 100
+  maximum_retry_attempts         = 10
+  bisect_batch_on_function_error = true
+  function_response_types        = ["ReportBatchItemFailures"]
+}
+
+# One-off Lambda function that rebuilds the search index from the Tasks table
+# Run manually after deployment, or to repair the index: aws lambda invoke --function-name TaskRebuildSearchIndex out.json
+resource "aws_lambda_function" "rebuild_search_index" {
+  filename         = "${path.module}/../lambda/task_handler.zip"  # Same package as the task handler
+  function_name    = "TaskRebuildSearchIndex"
+  role            = aws_iam_role.lambda_role.arn                 # Tasks scan and SearchIndex writes
+  handler         = "task_handler.rebuildSearchIndex"           # Rebuild entry point
+  runtime         = "nodejs18.x"
+  source_code_hash = filebase64sha256("${path.module}/../lambda/task_handler.zip")
+  timeout         = 900       # Scans the whole Tasks table
+  memory_size     = 512
+  
+  environment {
+    variables = {
+      DYNAMODB_TASKS_TABLE        = aws_dynamodb_table.tasks.name
+      DYNAMODB_SEARCH_INDEX_TABLE = aws_dynamodb_table.search_index.name
+      AWS_NODEJS_CONNECTION_REUSE_ENABLED = "1"
+    }
+  }
+  
+  depends_on = [
+    aws_cloudwatch_log_group.rebuild_search_index_logs,
+    aws_iam_role_policy.lambda_policy
+  ]
+  
+  tags = {
+    Name = "TaskManagement-RebuildSearchIndex"
+  }
+}
+
+# =============================================================================
+# IAM ROLES AND POLICIES - SECURITY LAYER
+# =============================================================================
+
+# IAM Role for Lambda function execution
+# Provides the Lambda function with an identity to access AWS services
+# Follows principle of least privilege with specific service permissions
+resource "aws_iam_role" "lambda_role" {
+  name = "task-management-lambda-role"
+  
+  # Trust policy allowing Lambda service to assume this role
+  assume_role_policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [{
+      Action = "sts:AssumeRole"
+      Effect = "Allow"
+      Principal = {
+        Service = "lambda.amazonaws.com"  # Only Lambda can assume this role
+      }
+    }]
+  })
+}
+
+# IAM Policy for Lambda function permissions
+# Grants specific permissions needed for task management operations
+# Includes DynamoDB, SNS, CloudWatch, and Cognito access
+resource "aws_iam_role_policy" "lambda_policy" {
+  role = aws_iam_role.lambda_role.id
+  
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        # DynamoDB permissions for data operations
+        # Includes all CRUD operations and advanced features like transactions
+        Effect = "Allow"
+        Action = [
+          "dynamodb:PutItem",        # Create operations
+          "dynamodb:GetItem",        # Read operations
+          "dynamodb:UpdateItem",     # Update operations
+          "dynamodb:DeleteItem",     # Delete operations
           "dynamodb:Query",          # Efficient queries using keys
           "dynamodb:Scan",           # Full table scans (used sparingly)
           "dynamodb:TransactWrite",  # ACID transactions for data consistency
+          "dynamodb:ConditionCheckItem", # Conditions on other items within a transaction
           "dynamodb:BatchGetItem",   # Bulk read operations
           "dynamodb:BatchWriteItem"  # Bulk write operations
         ]
@@ -468,12 +1201,39 @@ resource "aws_iam_role_policy" "lambda_policy" {
           aws_dynamodb_table.teams.arn,
           aws_dynamodb_table.memberships.arn,
           aws_dynamodb_table.tasks.arn,
+          aws_dynamodb_table.comments.arn,
+          aws_dynamodb_table.task_history.arn,
+          aws_dynamodb_table.audit_log.arn,
+          aws_dynamodb_table.notifications.arn,
+          aws_dynamodb_table.search_index.arn,
           # Global Secondary Index permissions
           "${aws_dynamodb_table.users.arn}/index/*",
           "${aws_dynamodb_table.teams.arn}/index/*",
           "${aws_dynamodb_table.memberships.arn}/index/*",
-          "${aws_dynamodb_table.tasks.arn}/index/*"
+          "${aws_dynamodb_table.tasks.arn}/index/*",
+          "${aws_dynamodb_table.notifications.arn}/index/*"
+        ]
+      },
+      {
+        # DynamoDB Streams permissions for the search indexer
+        Effect = "Allow"
+        Action = [
+          "dynamodb:DescribeStream",   # Find the stream's shards
+          "dynamodb:GetShardIterator", # Start reading a shard
+          "dynamodb:GetRecords",       # Read task changes
+          "dynamodb:ListStreams"       # Look up the table's stream
+        ]
+        Resource = aws_dynamodb_table.tasks.stream_arn
+      },
+      {
+        # The audit log is append-only - entries can be written once but never changed or removed
+        Effect = "Deny"
+        Action = [
+          "dynamodb:UpdateItem",
+          "dynamodb:DeleteItem",
+          "dynamodb:BatchWriteItem"
         ]
+        Resource = aws_dynamodb_table.audit_log.arn
       },
       {
         # SNS permissions for notification delivery
@@ -484,6 +1244,14 @@ resource "aws_iam_role_policy" "lambda_policy" {
         ]
         Resource = aws_sns_topic.task_notifications.arn
       },
+      {
+        # SES permissions for the notification dispatcher's email delivery
+        Effect = "Allow"
+        Action = [
+          "ses:SendEmail"          # Send templated notification emails
+        ]
+        Resource = "*"
+      },
       {
         # CloudWatch Logs permissions for centralized logging
         # Essential for troubleshooting and monitoring
@@ -497,10 +1265,10 @@ resource "aws_iam_role_policy" "lambda_policy" {
       },
       {
         # Cognito permissions for user management operations
-        # Used for adding team members by email lookup
+        # Used by the Users table backfill to page through the pool
         Effect = "Allow"
         Action = [
-          "cognito-idp:ListUsers"  # Find users by email for team invitations
+          "cognito-idp:ListUsers"  # List existing pool users for the backfill
         ]
         Resource = aws_cognito_user_pool.pool.arn
       }
@@ -508,6 +1276,49 @@ resource "aws_iam_role_policy" "lambda_policy" {
   })
 }
 
+# IAM Role for the Cognito trigger function
+# Kept separate from lambda_role so the user pool does not depend on its own ARN
+resource "aws_iam_role" "cognito_trigger_role" {
+  name = "task-management-cognito-trigger-role"
+  
+  assume_role_policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [{
+      Action = "sts:AssumeRole"
+      Effect = "Allow"
+      Principal = {
+        Service = "lambda.amazonaws.com"
+      }
+    }]
+  })
+}
+
+# IAM Policy for the Cognito trigger function
+# Only needs to write user records and its own logs
+resource "aws_iam_role_policy" "cognito_trigger_policy" {
+  role = aws_iam_role.cognito_trigger_role.id
+  
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Effect   = "Allow"
+        Action   = ["dynamodb:UpdateItem"]  # upsertUser is a single UpdateItem
+        Resource = aws_dynamodb_table.users.arn
+      },
+      {
+        Effect = "Allow"
+        Action = [
+          "logs:CreateLogGroup",
+          "logs:CreateLogStream",
+          "logs:PutLogEvents"
+        ]
+        Resource = "arn:aws:logs:*:*:*"
+      }
+    ]
+  })
+}
+
 # =============================================================================
 # APPSYNC GRAPHQL API - API GATEWAY LAYER
 # =============================================================================
@@ -620,6 +1431,46 @@ resource "aws_appsync_resolver" "list_teams" {
   kind = "UNIT"  # Direct resolver (not a pipeline)
 }
 
+# Get Task Query - Returns a single task within a team (used by the edit task screen)
+resource "aws_appsync_resolver" "get_task" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "getTask"
+  type        = "Query"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
+# List My Tasks Query - Returns tasks assigned to the caller across all teams (uses assignedTo-index)
+resource "aws_appsync_resolver" "list_my_tasks" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "listMyTasks"
+  type        = "Query"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
+# Get Notification Preferences Query - Returns the caller's notification settings
+resource "aws_appsync_resolver" "get_notification_preferences" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "getNotificationPreferences"
+  type        = "Query"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
+# List Notifications Query - Returns the caller's notification inbox, newest first
+resource "aws_appsync_resolver" "list_notifications" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "listNotifications"
+  type        = "Query"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
 # List Tasks Query - Returns tasks within a specific team
 resource "aws_appsync_resolver" "list_tasks" {
   api_id      = aws_appsync_graphql_api.api.id
@@ -630,6 +1481,16 @@ resource "aws_appsync_resolver" "list_tasks" {
   kind = "UNIT"
 }
 
+# Task Counts Query - Returns summary counts of a team's tasks
+resource "aws_appsync_resolver" "task_counts" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "taskCounts"
+  type        = "Query"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
 # Search Tasks Query - Full-text search within team tasks
 resource "aws_appsync_resolver" "search_tasks" {
   api_id      = aws_appsync_graphql_api.api.id
@@ -640,6 +1501,56 @@ resource "aws_appsync_resolver" "search_tasks" {
   kind = "UNIT"
 }
 
+# Search Task Hits Query - The same search with scores and highlighted snippets
+resource "aws_appsync_resolver" "search_task_hits" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "searchTaskHits"
+  type        = "Query"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
+# Search All Teams Query - Full-text search across the caller's teams
+resource "aws_appsync_resolver" "search_all_teams" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "searchAllTeams"
+  type        = "Query"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
+# List Comments Query - Returns a task's comment thread, oldest first
+resource "aws_appsync_resolver" "list_comments" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "listComments"
+  type        = "Query"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
+# Task History Query - Returns a task's change events, newest first
+resource "aws_appsync_resolver" "task_history" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "taskHistory"
+  type        = "Query"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
+# Audit Log Query - Returns a team's audit entries, newest first (admins only)
+resource "aws_appsync_resolver" "audit_log" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "auditLog"
+  type        = "Query"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
 # List Members Query - Returns team membership information
 resource "aws_appsync_resolver" "list_members" {
   api_id      = aws_appsync_graphql_api.api.id
@@ -709,6 +1620,96 @@ resource "aws_appsync_resolver" "add_member" {
   kind = "UNIT"
 }
 
+# Remove Member Mutation - Removes user from team and releases their open tasks (admin only)
+resource "aws_appsync_resolver" "remove_member" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "removeMember"
+  type        = "Mutation"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
+# Update Member Role Mutation - Promotes or demotes a team member (admin only)
+resource "aws_appsync_resolver" "update_member_role" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "updateMemberRole"
+  type        = "Mutation"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
+# Update Team Mutation - Renames team and edits its description, color and icon (admin only)
+resource "aws_appsync_resolver" "update_team" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "updateTeam"
+  type        = "Mutation"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
+# Update Team Workflow Mutation - Replaces a team's ordered task statuses (admin only)
+resource "aws_appsync_resolver" "update_team_workflow" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "updateTeamWorkflow"
+  type        = "Mutation"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
+# Create Label Mutation - Adds a label to a team (admin only)
+resource "aws_appsync_resolver" "create_label" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "createLabel"
+  type        = "Mutation"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
+# Update Label Mutation - Renames or recolors a team label (admin only)
+resource "aws_appsync_resolver" "update_label" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "updateLabel"
+  type        = "Mutation"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
+# Delete Label Mutation - Deletes a team label and removes it from tasks (admin only)
+resource "aws_appsync_resolver" "delete_label" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "deleteLabel"
+  type        = "Mutation"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
+# Archive Team Mutation - Archives or unarchives a team, making it read-only (admin only)
+resource "aws_appsync_resolver" "archive_team" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "archiveTeam"
+  type        = "Mutation"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
+# Delete Team Mutation - Deletes team with its tasks and memberships (admin only)
+resource "aws_appsync_resolver" "delete_team" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "deleteTeam"
+  type        = "Mutation"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
 # Create Task Mutation - Creates new task within team (admin only)
 resource "aws_appsync_resolver" "create_task" {
   api_id      = aws_appsync_graphql_api.api.id
@@ -739,6 +1740,126 @@ resource "aws_appsync_resolver" "update_task_details" {
   kind = "UNIT"
 }
 
+# Mark Notification Read Mutation - Marks one of the caller's notifications as read
+resource "aws_appsync_resolver" "mark_notification_read" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "markNotificationRead"
+  type        = "Mutation"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
+# Update Notification Preferences Mutation - Saves the caller's notification settings
+resource "aws_appsync_resolver" "update_notification_preferences" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "updateNotificationPreferences"
+  type        = "Mutation"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
+# Mark All Notifications Read Mutation - Clears the caller's unread notifications
+resource "aws_appsync_resolver" "mark_all_notifications_read" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "markAllNotificationsRead"
+  type        = "Mutation"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
+# Add Comment Mutation - Posts a comment or reply on a task and notifies @mentioned members
+resource "aws_appsync_resolver" "add_comment" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "addComment"
+  type        = "Mutation"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
+# Edit Comment Mutation - Changes the text of a comment (author only)
+resource "aws_appsync_resolver" "edit_comment" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "editComment"
+  type        = "Mutation"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
+# Delete Comment Mutation - Removes a comment (author or admin)
+resource "aws_appsync_resolver" "delete_comment" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "deleteComment"
+  type        = "Mutation"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
+# Add Checklist Item Mutation - Appends a step to a task checklist (assignee or admin)
+resource "aws_appsync_resolver" "add_checklist_item" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "addChecklistItem"
+  type        = "Mutation"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
+# Toggle Checklist Item Mutation - Marks a checklist step done or not done (assignee or admin)
+resource "aws_appsync_resolver" "toggle_checklist_item" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "toggleChecklistItem"
+  type        = "Mutation"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
+# Reorder Checklist Items Mutation - Puts checklist steps in a new order (assignee or admin)
+resource "aws_appsync_resolver" "reorder_checklist_items" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "reorderChecklistItems"
+  type        = "Mutation"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
+# Remove Checklist Item Mutation - Removes a checklist step (assignee or admin)
+resource "aws_appsync_resolver" "remove_checklist_item" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "removeChecklistItem"
+  type        = "Mutation"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
+# Link Task Dependency Mutation - Marks a task as blocked by another task (assignee or admin)
+resource "aws_appsync_resolver" "link_task_dependency" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "linkTaskDependency"
+  type        = "Mutation"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
+# Unlink Task Dependency Mutation - Removes a blocking link between two tasks (assignee or admin)
+resource "aws_appsync_resolver" "unlink_task_dependency" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "unlinkTaskDependency"
+  type        = "Mutation"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
 # Delete Task Mutation - Removes task from team (admin only)
 resource "aws_appsync_resolver" "delete_task" {
   api_id      = aws_appsync_graphql_api.api.id
@@ -749,6 +1870,160 @@ resource "aws_appsync_resolver" "delete_task" {
   kind = "UNIT"
 }
 
+# =============================================================================
+# GRAPHQL SUBSCRIPTION RESOLVERS
+# =============================================================================
+# Subscription resolvers run once when a client subscribes
+# The Lambda rejects the subscription unless the caller is a member of the team
+
+# Task Changed Subscription - Task created, updated or deleted in a team
+resource "aws_appsync_resolver" "on_task_changed" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "onTaskChanged"
+  type        = "Subscription"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
+# Membership Changed Subscription - Member added, removed or role changed in a team
+resource "aws_appsync_resolver" "on_membership_changed" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "onMembershipChanged"
+  type        = "Subscription"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind = "UNIT"
+}
+
+# =============================================================================
+# GRAPHQL FIELD RESOLVERS
+# =============================================================================
+# Field resolvers attach user profiles to memberships, tasks, comments and history events
+# max_batch_size makes AppSync use BatchInvoke, so one Lambda call resolves
+# the field for a whole list and the handler loads users with BatchGetItem
+
+# Membership.user - Profile of the team member
+resource "aws_appsync_resolver" "membership_user" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "user"
+  type        = "Membership"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind           = "UNIT"
+  max_batch_size = 100  # Matches the BatchGetItem key limit
+}
+
+# Task.assignee - Profile of the assigned user
+resource "aws_appsync_resolver" "task_assignee" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "assignee"
+  type        = "Task"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind           = "UNIT"
+  max_batch_size = 100
+}
+
+# Task.creator - Profile of the user who created the task
+resource "aws_appsync_resolver" "task_creator" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "creator"
+  type        = "Task"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind           = "UNIT"
+  max_batch_size = 100
+}
+
+# Task.updater - Profile of the user who last updated the task
+resource "aws_appsync_resolver" "task_updater" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "updater"
+  type        = "Task"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind           = "UNIT"
+  max_batch_size = 100
+}
+
+# Task.blockers - Tasks that must be done before this one can start
+resource "aws_appsync_resolver" "task_blockers" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "blockers"
+  type        = "Task"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind           = "UNIT"
+  max_batch_size = 100
+}
+
+# Task.blockedTasks - Tasks waiting for this one
+resource "aws_appsync_resolver" "task_blocked_tasks" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "blockedTasks"
+  type        = "Task"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind           = "UNIT"
+  max_batch_size = 100
+}
+
+# ChecklistItem.assignee - Profile of the member responsible for a checklist step
+resource "aws_appsync_resolver" "checklist_item_assignee" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "assignee"
+  type        = "ChecklistItem"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind           = "UNIT"
+  max_batch_size = 100
+}
+
+# TaskHistoryEvent.actor - Profile of the user who made the change
+resource "aws_appsync_resolver" "task_history_event_actor" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "actor"
+  type        = "TaskHistoryEvent"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind           = "UNIT"
+  max_batch_size = 100
+}
+
+# AuditEvent.actor - Profile of the user who performed the action
+resource "aws_appsync_resolver" "audit_event_actor" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "actor"
+  type        = "AuditEvent"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind           = "UNIT"
+  max_batch_size = 100
+}
+
+# AuditEvent.targetUser - Profile of the member the action applied to
+resource "aws_appsync_resolver" "audit_event_target_user" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "targetUser"
+  type        = "AuditEvent"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind           = "UNIT"
+  max_batch_size = 100
+}
+
+# Comment.author - Profile of the user who wrote the comment
+resource "aws_appsync_resolver" "comment_author" {
+  api_id      = aws_appsync_graphql_api.api.id
+  field       = "author"
+  type        = "Comment"
+  data_source = aws_appsync_datasource.lambda.name
+  
+  kind           = "UNIT"
+  max_batch_size = 100
+}
+
 # =============================================================================
 # S3 STATIC WEBSITE HOSTING
 # =============================================================================
@@ -876,6 +2151,24 @@ output "lambda_function_name" {
   description = "Lambda Function Name"
 }
 
+# Backfill Function Name - Invoke once to copy existing Cognito users into the Users table
+output "backfill_users_function_name" {
+  value       = aws_lambda_function.backfill_users.function_name
+  description = "Users Backfill Lambda Function Name"
+}
+
+# Deadline Reminders Function Name - Invoke with {"now": "<ISO timestamp>"} to run against a fixed clock
+output "deadline_reminders_function_name" {
+  value       = aws_lambda_function.deadline_reminders.function_name
+  description = "Deadline Reminders Lambda Function Name"
+}
+
+# Recurring Tasks Function Name - Invoke with {"now": "<ISO timestamp>"} to run against a fixed clock
+output "recurring_tasks_function_name" {
+  value       = aws_lambda_function.recurring_tasks.function_name
+  description = "Recurring Tasks Lambda Function Name"
+}
+
 # AWS Region - Confirms deployment region for configuration consistency
 # Used by frontend for region-specific AWS SDK configuration
 output "region" {
@@ -3,6 +3,16 @@ variable "region" {
   default     = "eu-west-1"
 }
 
+variable "notification_from_address" {
+  description = "Sender address for notification emails (must be verified in SES)"
+  default     = "notifications@example.com"
+}
+
+variable "reminder_window_hours" {
+  description = "Tasks due within this many hours get a deadline reminder"
+  default     = 24
+}
+
 # variable "region" {
 #   description = "AWS region for deployment"
 #   type        = string
@@ -10,6 +10,8 @@ import { getCurrentUser } from 'aws-amplify/auth';
 import { generateClient } from 'aws-amplify/api';
 // Import GraphQL query to fetch team data
 import { getTeam } from './graphql/queries';
+// Import the saved list/board preference for team tasks
+import { getPreferredTaskView } from './utils/taskView';
 // Import regular components that load immediately
 import Navbar from './components/Navbar';
 import Dashboard from './components/Dashboard';
@@ -19,7 +21,11 @@ import LoadingSpinner from './components/LoadingSpinner';
 // These components will only be loaded when they're actually needed
 const TeamManagement = lazy(() => import('./components/TeamManagement'));
 const TaskList = lazy(() => import('./components/TaskList'));
+const TaskBoard = lazy(() => import('./components/TaskBoard'));
 const TaskForm = lazy(() => import('./components/TaskForm'));
+const MyTasks = lazy(() => import('./components/MyTasks'));
+const SearchPage = lazy(() => import('./components/SearchPage'));
+const NotificationSettings = lazy(() => import('./components/NotificationSettings'));
 
 // Create a GraphQL client instance for making API calls
 const client = generateClient();
@@ -253,6 +259,12 @@ function AuthenticatedApp({ user, signOut }) {
           <Routes>
             {/* Dashboard route - default home page */}
             <Route path="/" element={<Dashboard user={currentUser} />} />
+            {/* Cross-team view of tasks assigned to the current user */}
+            <Route path="/my-tasks" element={<MyTasks user={currentUser} />} />
+            {/* Full-text search across all of the current user's teams */}
+            <Route path="/search" element={<SearchPage user={currentUser} />} />
+            {/* Notification preferences of the current user */}
+            <Route path="/settings/notifications" element={<NotificationSettings />} />
             {/* Team management route with team ID parameter */}
             <Route 
               path="/team/:teamId" 
@@ -261,13 +273,23 @@ function AuthenticatedApp({ user, signOut }) {
             {/* Task list route with team ID parameter */}
             <Route 
               path="/tasks/:teamId" 
-              element={<TaskListWrapper user={currentUser} />} 
+              element={<TaskListWrapper user={currentUser} view="list" />} 
+            />
+            {/* Kanban board route - same access check as the task list */}
+            <Route 
+              path="/board/:teamId" 
+              element={<TaskListWrapper user={currentUser} view="board" />} 
             />
             {/* Task creation form route with team ID parameter */}
             <Route 
               path="/create-task/:teamId" 
               element={<TaskFormWrapper user={currentUser} />} 
             />
+            {/* Task edit form route - reuses TaskForm in edit mode */}
+            <Route 
+              path="/edit-task/:teamId/:taskId" 
+              element={<TaskFormWrapper user={currentUser} />} 
+            />
             {/* Catch-all route - redirect unknown paths to home */}
             <Route path="*" element={<Navigate to="/" replace />} />
           </Routes>
@@ -391,10 +413,13 @@ function TeamManagementWrapper({ user }) {
   return <TeamManagement user={user} />;
 }
 
-// Wrapper component for TaskList that validates team access before rendering
-function TaskListWrapper({ user }) {
+// Wrapper component for TaskList and TaskBoard that validates team access before rendering
+// Used by both the list and board routes - view says which one to show
+function TaskListWrapper({ user, view = 'list' }) {
   // Extract teamId from URL parameters
   const { teamId } = useParams();
+  // Links to a team's tasks point at the list; send users who chose the board straight there
+  const redirectToBoard = view === 'list' && getPreferredTaskView() === 'board';
   // State to track loading status during access validation
   const [loading, setLoading] = useState(true);
   // State to track if user has access to the team
@@ -404,8 +429,9 @@ function TaskListWrapper({ user }) {
   
   // Effect to validate team access when teamId or user changes
   useEffect(() => {
+    if (redirectToBoard) return;
     validateTeamAccess();
-  }, [teamId, user]);
+  }, [teamId, user, redirectToBoard]);
 
   // Function to validate if the current user has access to the specified team
   async function validateTeamAccess() {
@@ -468,6 +494,11 @@ function TaskListWrapper({ user }) {
     }
   }
   
+  // Hand over to the board route before validating anything
+  if (redirectToBoard) {
+    return <Navigate to={`/board/${teamId}`} replace />;
+  }
+
   // Show loading spinner during access validation
   if (loading) {
     return <LoadingSpinner message="Validating team access..." />;
@@ -500,15 +531,18 @@ function TaskListWrapper({ user }) {
     );
   }
   
-  // Access granted - render the actual TaskList component
-  console.log('TaskListWrapper - Access granted, rendering TaskList component');
-  return <TaskList user={user} />;
+  // Access granted - render the requested view
+  console.log('TaskListWrapper - Access granted, rendering', view === 'board' ? 'TaskBoard' : 'TaskList', 'component');
+  return view === 'board' ? <TaskBoard user={user} /> : <TaskList user={user} />;
 }
 
 // Wrapper component for TaskForm that validates team access and admin permissions
+// Used by both the create and edit task routes - taskId is only present when editing
 function TaskFormWrapper({ user }) {
-  // Extract teamId from URL parameters
-  const { teamId } = useParams();
+  // Extract teamId (and taskId when editing) from URL parameters
+  const { teamId, taskId } = useParams();
+  // Verb used in permission messages for the current mode
+  const action = taskId ? 'edit' : 'create';
   // State to track loading status during access validation
   const [loading, setLoading] = useState(true);
   // State to track if user has access to the team
@@ -523,7 +557,7 @@ function TaskFormWrapper({ user }) {
     validateTeamAccess();
   }, [teamId, user]);
 
-  // Function to validate team access and admin permissions for task creation
+  // Function to validate team access and admin permissions for task creation or editing
   async function validateTeamAccess() {
     // Validate teamId parameter
     if (!teamId || teamId.trim() === '' || teamId === 'undefined' || teamId === 'null') {
@@ -557,12 +591,12 @@ function TaskFormWrapper({ user }) {
         const teamData = response.data.getTeam;
         console.log('TaskFormWrapper - Team access validated:', teamData);
         setHasAccess(true);
-        // Check if user has admin privileges (required for task creation)
+        // Check if user has admin privileges (required for task creation and editing)
         setIsAdmin(teamData.isAdmin || teamData.userRole === 'admin');
         
         // If user doesn't have admin privileges, set error
         if (!teamData.isAdmin && teamData.userRole !== 'admin') {
-          setError('Only team administrators can create tasks');
+          setError(`Only team administrators can ${action} tasks`);
           return;
         }
       } else {
@@ -613,7 +647,7 @@ function TaskFormWrapper({ user }) {
           <h3 className="text-lg font-medium text-gray-900 mb-2">Access Denied</h3>
           {/* Error message with admin requirement */}
           <p className="text-gray-600 mb-4">
-            {error || 'Only team administrators can create tasks.'}
+            {error || `Only team administrators can ${action} tasks.`}
           </p>
           {/* Button to return to dashboard */}
           <button
@@ -0,0 +1,478 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { generateClient } from 'aws-amplify/api';
+import { listComments } from '../graphql/queries';
+import { addComment, editComment, deleteComment } from '../graphql/mutations';
+import ErrorMessage from './ErrorMessage';
+
+// Initialize AWS Amplify GraphQL client for API operations
+const client = generateClient();
+
+// Number of comments requested per page
+const COMMENTS_PAGE_SIZE = 50;
+
+// Same length limit the server enforces
+const MAX_COMMENT_LENGTH = 5000;
+
+// Matches @mentions the same way the server does, for highlighting
+const MENTION_PATTERN = /(^|[^\w.@])(@[\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g;
+
+/**
+ * Extracts a readable message from a GraphQL error
+ */
+const getErrorMessage = (err, prefix) => {
+  if (err.errors && err.errors.length > 0) {
+    return `${prefix} ${err.errors[0].message || 'Please try again.'}`;
+  }
+  return `${prefix} ${err.message || 'Please try again.'}`;
+};
+
+/**
+ * Renders comment text with @mentions highlighted
+ */
+function CommentBody({ body }) {
+  const parts = [];
+  let lastIndex = 0;
+  for (const match of body.matchAll(MENTION_PATTERN)) {
+    const mentionStart = match.index + match[1].length;
+    parts.push(body.slice(lastIndex, mentionStart));
+    parts.push(
+      <span key={mentionStart} className="font-medium text-blue-600">{match[2]}</span>
+    );
+    lastIndex = mentionStart + match[2].length;
+  }
+  parts.push(body.slice(lastIndex));
+
+  return <p className="text-sm text-gray-700 whitespace-pre-wrap break-words">{parts}</p>;
+}
+
+/**
+ * CommentComposer Component - Text area with @mention suggestions
+ * Typing "@" followed by part of a member's name or email lists matching members;
+ * picking one inserts their email so the mention is unambiguous
+ *
+ * @param {Array} members - Team memberships (with user profiles) that can be mentioned
+ * @param {string} initialValue - Starting text (used when editing)
+ * @param {string} submitLabel - Text of the submit button
+ * @param {Function} onSubmit - Called with the trimmed text; should return a promise
+ * @param {Function} onCancel - Optional cancel callback (shows a Cancel button)
+ * @param {boolean} autoFocus - Whether to focus the text area on mount
+ */
+function CommentComposer({ members, initialValue = '', submitLabel, onSubmit, onCancel, autoFocus = false }) {
+  const [text, setText] = useState(initialValue);
+  const [submitting, setSubmitting] = useState(false);
+  const [mentionQuery, setMentionQuery] = useState(null); // Text typed after "@", null when not mentioning
+  const textareaRef = useRef(null);
+
+  /**
+   * Tracks whether the cursor sits right after an "@mention" being typed
+   */
+  const handleChange = (e) => {
+    const value = e.target.value;
+    setText(value);
+
+    const beforeCursor = value.slice(0, e.target.selectionStart);
+    const match = beforeCursor.match(/(?:^|\s)@([\w.+-]*)$/);
+    setMentionQuery(match ? match[1].toLowerCase() : null);
+  };
+
+  // Members matching the mention being typed
+  const suggestions = useMemo(() => {
+    if (mentionQuery === null) return [];
+    return members
+      .filter(member => {
+        const name = (member.user?.name || '').toLowerCase();
+        const email = (member.user?.email || '').toLowerCase();
+        return email && (name.includes(mentionQuery) || email.includes(mentionQuery));
+      })
+      .slice(0, 5);
+  }, [members, mentionQuery]);
+
+  /**
+   * Replaces the partial mention before the cursor with the member's email
+   */
+  const insertMention = (member) => {
+    const textarea = textareaRef.current;
+    const cursor = textarea ? textarea.selectionStart : text.length;
+    const beforeCursor = text.slice(0, cursor).replace(/@([\w.+-]*)$/, `@${member.user.email} `);
+    const newText = beforeCursor + text.slice(cursor);
+
+    setText(newText);
+    setMentionQuery(null);
+
+    // Put the cursor back after the inserted mention
+    requestAnimationFrame(() => {
+      if (textarea) {
+        textarea.focus();
+        textarea.setSelectionRange(beforeCursor.length, beforeCursor.length);
+      }
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!text.trim() || submitting) return;
+
+    try {
+      setSubmitting(true);
+      await onSubmit(text.trim());
+      setText('');
+      setMentionQuery(null);
+    } catch (err) {
+      // The parent reports the error; keep the text so nothing is lost
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="relative">
+      <textarea
+        ref={textareaRef}
+        value={text}
+        onChange={handleChange}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') setMentionQuery(null);
+        }}
+        rows={3}
+        maxLength={MAX_COMMENT_LENGTH}
+        autoFocus={autoFocus}
+        placeholder="Write a comment... Use @ to mention a teammate"
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-y"
+      />
+
+      {/* Mention Suggestions */}
+      {suggestions.length > 0 && (
+        <ul className="absolute left-0 right-0 z-10 bg-white border border-gray-200 rounded-lg shadow-lg overflow-hidden">
+          {suggestions.map(member => (
+            <li key={member.userId}>
+              <button
+                type="button"
+                onMouseDown={(e) => e.preventDefault()} // Keep focus in the text area
+                onClick={() => insertMention(member)}
+                className="w-full text-left px-3 py-2 hover:bg-blue-50"
+              >
+                <span className="text-sm font-medium text-gray-900">{member.user?.name || member.user?.email}</span>
+                <span className="ml-2 text-xs text-gray-500">{member.user?.email}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex items-center justify-between mt-2">
+        <span className="text-xs text-gray-400">{text.length}/{MAX_COMMENT_LENGTH}</span>
+        <div className="flex space-x-2">
+          {onCancel && (
+            <button
+              type="button"
+              onClick={onCancel}
+              className="px-3 py-1.5 text-sm font-medium text-gray-600 hover:text-gray-800"
+            >
+              Cancel
+            </button>
+          )}
+          <button
+            type="submit"
+            disabled={!text.trim() || submitting}
+            className="bg-blue-600 hover:bg-blue-700 disabled:bg-blue-300 text-white px-4 py-1.5 rounded-lg text-sm font-medium transition-colors"
+          >
+            {submitting ? 'Saving...' : submitLabel}
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+}
+
+/**
+ * CommentThread Component - Discussion thread for a single task
+ *
+ * Features:
+ * - Top-level comments with one level of replies
+ * - @mention suggestions for team members (mentioned members are notified by the server)
+ * - Authors can edit their comments; authors and admins can delete them
+ * - "Load more" pagination for long threads
+ *
+ * @param {string} teamId - ID of the task's team
+ * @param {string} taskId - ID of the task
+ * @param {Object} user - Current authenticated user object
+ * @param {string} userRole - Current user's role in the team
+ * @param {Array} members - Team memberships (with user profiles) for mentions
+ */
+function CommentThread({ teamId, taskId, user, userRole, members = [] }) {
+  const [comments, setComments] = useState([]);
+  const [nextToken, setNextToken] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+  const [replyingTo, setReplyingTo] = useState(null); // commentId of the thread being replied to
+  const [editingId, setEditingId] = useState(null); // commentId being edited
+
+  // All identifiers the current user may appear under (see TaskCard)
+  const possibleUserIds = [
+    user?.userId,
+    user?.sub,
+    user?.username,
+    user?.email,
+    user?.signInDetails?.loginId,
+    user?.attributes?.email
+  ].filter(Boolean);
+  const isOwnComment = (comment) => possibleUserIds.includes(comment.authorId);
+
+  useEffect(() => {
+    fetchComments();
+  }, [teamId, taskId]);
+
+  /**
+   * Fetches a page of comments; without a cursor the thread is reloaded from the start
+   *
+   * @param {string|null} pageToken - nextToken from the previous page, or null for the first page
+   */
+  async function fetchComments(pageToken = null) {
+    try {
+      if (!pageToken) {
+        setLoading(true);
+      }
+      setError(null);
+
+      const response = await client.graphql({
+        query: listComments,
+        variables: { teamId, taskId, limit: COMMENTS_PAGE_SIZE, nextToken: pageToken },
+        authMode: 'userPool'
+      });
+
+      const page = response.data?.listComments;
+      const commentsData = page?.items || [];
+      setComments(prev => pageToken ? [...prev, ...commentsData] : commentsData);
+      setNextToken(page?.nextToken || null);
+    } catch (err) {
+      console.error('CommentThread - Fetch comments error:', err);
+      setError(getErrorMessage(err, 'Failed to load comments.'));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleLoadMore() {
+    if (!nextToken || loadingMore) return;
+    try {
+      setLoadingMore(true);
+      await fetchComments(nextToken);
+    } finally {
+      setLoadingMore(false);
+    }
+  }
+
+  /**
+   * Posts a new comment or a reply
+   */
+  async function handleAdd(body, parentCommentId = null) {
+    try {
+      setError(null);
+      const response = await client.graphql({
+        query: addComment,
+        variables: { teamId, taskId, body, parentCommentId },
+        authMode: 'userPool'
+      });
+      const created = response.data?.addComment;
+      if (created) {
+        setComments(prev => [...prev, created]);
+      }
+      setReplyingTo(null);
+    } catch (err) {
+      console.error('CommentThread - Add comment error:', err);
+      setError(getErrorMessage(err, 'Failed to post comment.'));
+      throw err;
+    }
+  }
+
+  /**
+   * Saves an edited comment
+   */
+  async function handleEdit(commentId, body) {
+    try {
+      setError(null);
+      const response = await client.graphql({
+        query: editComment,
+        variables: { teamId, taskId, commentId, body },
+        authMode: 'userPool'
+      });
+      const updated = response.data?.editComment;
+      if (updated) {
+        setComments(prev => prev.map(comment => (
+          comment.commentId === commentId ? { ...comment, ...updated } : comment
+        )));
+      }
+      setEditingId(null);
+    } catch (err) {
+      console.error('CommentThread - Edit comment error:', err);
+      setError(getErrorMessage(err, 'Failed to edit comment.'));
+      throw err;
+    }
+  }
+
+  /**
+   * Deletes a comment after confirmation
+   * A top-level comment with replies stays as a "deleted" placeholder, like on the server
+   */
+  async function handleDelete(comment) {
+    if (!window.confirm('Delete this comment?')) return;
+
+    try {
+      setError(null);
+      await client.graphql({
+        query: deleteComment,
+        variables: { teamId, taskId, commentId: comment.commentId },
+        authMode: 'userPool'
+      });
+
+      const hasReplies = comments.some(c => c.parentCommentId === comment.commentId);
+      setComments(prev => hasReplies
+        ? prev.map(c => c.commentId === comment.commentId ? { ...c, body: '', deleted: true } : c)
+        : prev.filter(c => c.commentId !== comment.commentId));
+    } catch (err) {
+      console.error('CommentThread - Delete comment error:', err);
+      setError(getErrorMessage(err, 'Failed to delete comment.'));
+    }
+  }
+
+  // Group replies under their top-level comment
+  const threads = useMemo(() => {
+    const repliesByParent = {};
+    comments.forEach(comment => {
+      if (comment.parentCommentId) {
+        (repliesByParent[comment.parentCommentId] = repliesByParent[comment.parentCommentId] || []).push(comment);
+      }
+    });
+    return comments
+      .filter(comment => !comment.parentCommentId)
+      .map(comment => ({ comment, replies: repliesByParent[comment.commentId] || [] }));
+  }, [comments]);
+
+  /**
+   * Renders a single comment with its actions
+   */
+  const renderComment = (comment, isReply = false) => {
+    const authorName = comment.author?.name || comment.author?.email || comment.authorId;
+    const canEdit = !comment.deleted && isOwnComment(comment);
+    const canDelete = !comment.deleted && (isOwnComment(comment) || userRole === 'admin');
+
+    return (
+      <div key={comment.commentId} className={`flex space-x-3 ${isReply ? 'mt-3' : ''}`}>
+        {/* Author Avatar */}
+        <div className="w-8 h-8 bg-gradient-to-r from-blue-400 to-indigo-500 rounded-full flex items-center justify-center flex-shrink-0">
+          <span className="text-white font-medium text-xs">{(authorName || '?').charAt(0).toUpperCase()}</span>
+        </div>
+
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center space-x-2 text-xs text-gray-500">
+            <span className="text-sm font-medium text-gray-900">{comment.deleted ? 'Deleted comment' : authorName}</span>
+            <span>{new Date(comment.createdAt).toLocaleString()}</span>
+            {comment.edited && !comment.deleted && <span>(edited)</span>}
+          </div>
+
+          {editingId === comment.commentId ? (
+            <div className="mt-1">
+              <CommentComposer
+                members={members}
+                initialValue={comment.body}
+                submitLabel="Save"
+                autoFocus
+                onSubmit={(body) => handleEdit(comment.commentId, body)}
+                onCancel={() => setEditingId(null)}
+              />
+            </div>
+          ) : comment.deleted ? (
+            <p className="text-sm italic text-gray-400">This comment was deleted.</p>
+          ) : (
+            <CommentBody body={comment.body} />
+          )}
+
+          {/* Comment Actions */}
+          {editingId !== comment.commentId && (
+            <div className="flex space-x-3 mt-1 text-xs font-medium">
+              {!isReply && (
+                <button onClick={() => setReplyingTo(comment.commentId)} className="text-gray-500 hover:text-blue-600">
+                  Reply
+                </button>
+              )}
+              {canEdit && (
+                <button onClick={() => setEditingId(comment.commentId)} className="text-gray-500 hover:text-blue-600">
+                  Edit
+                </button>
+              )}
+              {canDelete && (
+                <button onClick={() => handleDelete(comment)} className="text-gray-500 hover:text-red-600">
+                  Delete
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div>
+      <h3 className="text-sm font-semibold text-gray-900 mb-3">
+        Comments {comments.length > 0 && <span className="text-gray-500 font-normal">({comments.length}{nextToken ? '+' : ''})</span>}
+      </h3>
+
+      {error && (
+        <div className="mb-3">
+          <ErrorMessage message={error} onDismiss={() => setError(null)} />
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading comments...</p>
+      ) : (
+        <div className="space-y-5">
+          {threads.length === 0 && (
+            <p className="text-sm text-gray-500">No comments yet. Start the discussion below.</p>
+          )}
+
+          {threads.map(({ comment, replies }) => (
+            <div key={comment.commentId}>
+              {renderComment(comment)}
+
+              {/* Replies and reply composer, indented under the top-level comment */}
+              {(replies.length > 0 || replyingTo === comment.commentId) && (
+                <div className="ml-11 pl-3 border-l-2 border-gray-100">
+                  {replies.map(reply => renderComment(reply, true))}
+                  {replyingTo === comment.commentId && (
+                    <div className="mt-3">
+                      <CommentComposer
+                        members={members}
+                        submitLabel="Reply"
+                        autoFocus
+                        onSubmit={(body) => handleAdd(body, comment.commentId)}
+                        onCancel={() => setReplyingTo(null)}
+                      />
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+
+          {nextToken && (
+            <button
+              onClick={handleLoadMore}
+              disabled={loadingMore}
+              className="text-blue-600 hover:text-blue-800 text-sm font-medium disabled:opacity-50"
+            >
+              {loadingMore ? 'Loading...' : 'Load more comments'}
+            </button>
+          )}
+
+          {/* New Top-level Comment */}
+          <CommentComposer members={members} submitLabel="Comment" onSubmit={(body) => handleAdd(body)} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CommentThread;
@@ -6,7 +6,7 @@ import { useNavigate } from 'react-router-dom';
 import { generateClient } from 'aws-amplify/api';
 // Import GraphQL queries and mutations for team operations
 import { listTeams } from '../graphql/queries';
-import { createTeam } from '../graphql/mutations';
+import { createTeam, archiveTeam, deleteTeam } from '../graphql/mutations';
 // Import reusable UI components
 import LoadingSpinner from './LoadingSpinner';
 import ErrorMessage from './ErrorMessage';
@@ -28,6 +28,10 @@ function Dashboard({ user }) {
   const [teamName, setTeamName] = useState('');
   // State to store any error messages to display to the user
   const [error, setError] = useState(null);
+  // State to control whether archived teams are included in the list
+  const [showArchived, setShowArchived] = useState(false);
+  // State mapping teamId -> pending action ('archiving' or 'deleting') for per-card loading UI
+  const [teamActions, setTeamActions] = useState({});
   // State to store calculated statistics about the user's teams
   const [stats, setStats] = useState({
     totalTeams: 0,    // Total number of teams user belongs to
@@ -49,7 +53,7 @@ function Dashboard({ user }) {
       setError('User authentication issue. Please refresh the page or sign out and back in.');
       setLoading(false); // Stop loading since we can't fetch without valid user
     }
-  }, [user]); // Re-run effect when user object changes
+  }, [user, showArchived]); // Re-run effect when user object or archived toggle changes
 
   // Effect hook to calculate team statistics whenever the teams array changes
   useEffect(() => {
@@ -88,29 +92,34 @@ function Dashboard({ user }) {
       console.log('Dashboard - Fetching teams for user:', user?.userId);
       console.log('Dashboard - Full user object for debugging:', user);
       
-      // Make GraphQL query to fetch teams for the current user
-      const response = await client.graphql({
-        query: listTeams,           // GraphQL query to list user's teams
-        authMode: 'userPool'        // Use Cognito User Pool for authentication
-      });
+      // Fetch teams for the current user, following nextToken until every page is loaded
+      const teamsData = [];
+      let nextToken = null;
+      do {
+        const response = await client.graphql({
+          query: listTeams,           // GraphQL query to list user's teams
+          variables: {
+            includeArchived: showArchived, // Archived teams are hidden unless toggled on
+            limit: 100,               // Largest page size the server allows
+            nextToken
+          },
+          authMode: 'userPool'        // Use Cognito User Pool for authentication
+        });
+        
+        // Log each page response for debugging
+        console.log('Dashboard - Teams response:', response);
+        
+        const page = response.data?.listTeams;
+        teamsData.push(...(page?.items || []));
+        nextToken = page?.nextToken || null;
+      } while (nextToken);
       
-      // Log the full response for debugging
-      console.log('Dashboard - Teams response:', response);
+      console.log('Dashboard - Teams data received:', teamsData);
+      setTeams(teamsData); // Update teams state with fetched data
       
-      // Check if response contains expected data structure
-      if (response.data && response.data.listTeams) {
-        const teamsData = response.data.listTeams;
-        console.log('Dashboard - Teams data received:', teamsData);
-        setTeams(teamsData); // Update teams state with fetched data
-        
-        // Log if no teams were found (normal for new users)
-        if (teamsData.length === 0) {
-          console.log('Dashboard - No teams found for user. This might be expected for new users.');
-        }
-      } else {
-        // Handle case where response structure is unexpected
-        console.log('Dashboard - No teams data in response structure');
-        setTeams([]); // Set empty array as fallback
+      // Log if no teams were found (normal for new users)
+      if (teamsData.length === 0) {
+        console.log('Dashboard - No teams found for user. This might be expected for new users.');
       }
       
     } catch (err) {
@@ -278,6 +287,117 @@ function Dashboard({ user }) {
     }
   }
 
+  // Function to archive or unarchive a team (admin only)
+  async function handleArchiveTeam(teamId, archived) {
+    try {
+      // Show loading state on this team's card only
+      setTeamActions(prev => ({ ...prev, [teamId]: 'archiving' }));
+      setError(null);
+      
+      console.log('Dashboard - Setting archived state for team:', teamId, archived);
+      
+      // Make GraphQL mutation to change the team's archive state
+      const response = await client.graphql({
+        query: archiveTeam,
+        variables: { teamId, archived },
+        authMode: 'userPool'
+      });
+      
+      console.log('Dashboard - Archive team response:', response);
+      
+      const updatedTeam = response.data?.archiveTeam;
+      if (!updatedTeam) {
+        throw new Error('Invalid response from server - no team data returned');
+      }
+      
+      // Hide newly archived teams unless archived teams are being shown, otherwise update in place
+      setTeams(prevTeams => archived && !showArchived
+        ? prevTeams.filter(team => team.teamId !== teamId)
+        : prevTeams.map(team => team.teamId === teamId ? { ...team, ...updatedTeam } : team)
+      );
+      
+      setError(`Team "${updatedTeam.name}" ${archived ? 'archived' : 'restored'} successfully.`);
+      // Auto-dismiss success message after 3 seconds
+      setTimeout(() => {
+        setError(null);
+      }, 3000);
+      
+    } catch (err) {
+      console.error('Dashboard - Archive team error:', err);
+      
+      let errorMessage = `Failed to ${archived ? 'archive' : 'restore'} team. `;
+      if (err.errors && err.errors.length > 0) {
+        const firstError = err.errors[0];
+        if (firstError.errorType === 'AuthorizationError') {
+          errorMessage += 'Only team admins can archive teams.';
+        } else {
+          errorMessage += firstError.message || 'Please try again.';
+        }
+      } else {
+        errorMessage += err.message || 'Please try again.';
+      }
+      setError(errorMessage);
+    } finally {
+      setTeamActions(prev => ({ ...prev, [teamId]: null }));
+    }
+  }
+
+  // Function to permanently delete a team with all of its tasks and memberships (admin only)
+  async function handleDeleteTeam(teamId, name) {
+    // Require user confirmation before deletion
+    if (!window.confirm(`Are you sure you want to delete the team "${name}"? All of its tasks and memberships will be removed. This action cannot be undone.`)) {
+      return;
+    }
+    
+    try {
+      // Show loading state on this team's card only
+      setTeamActions(prev => ({ ...prev, [teamId]: 'deleting' }));
+      setError(null);
+      
+      console.log('Dashboard - Deleting team:', teamId);
+      
+      const response = await client.graphql({
+        query: deleteTeam,
+        variables: { teamId },
+        authMode: 'userPool'
+      });
+      
+      console.log('Dashboard - Delete team response:', response);
+      
+      if (!response.data?.deleteTeam?.success) {
+        throw new Error(response.data?.deleteTeam?.message || 'Delete operation failed');
+      }
+      
+      // Remove the deleted team from the grid
+      setTeams(prevTeams => prevTeams.filter(team => team.teamId !== teamId));
+      
+      setError(`${response.data.deleteTeam.message || 'Team deleted'} successfully.`);
+      // Auto-dismiss success message after 4 seconds
+      setTimeout(() => {
+        setError(null);
+      }, 4000);
+      
+    } catch (err) {
+      console.error('Dashboard - Delete team error:', err);
+      
+      // Deletion is restartable on the server, so point the user at simply trying again
+      let errorMessage = 'Failed to delete team. ';
+      if (err.errors && err.errors.length > 0) {
+        const firstError = err.errors[0];
+        if (firstError.errorType === 'AuthorizationError') {
+          errorMessage += 'Only team admins can delete teams.';
+        } else {
+          errorMessage += (firstError.message || 'Unknown error.') + ' You can safely try again.';
+        }
+      } else {
+        errorMessage += (err.message || 'Unknown error.') + ' You can safely try again.';
+      }
+      setError(errorMessage);
+    } finally {
+      setTeamActions(prev => ({ ...prev, [teamId]: null }));
+    }
+  }
+
   // Function to handle canceling team creation
   function handleCancelCreate() {
     setShowCreateForm(false); // Hide the creation form
@@ -414,17 +534,29 @@ function Dashboard({ user }) {
         {/* Section header with title and create button */}
         <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center"> {/* Header with flex layout */}
           <h2 className="text-xl font-semibold text-gray-900">Your Teams</h2> {/* Section title */}
-          {/* Create team button */}
-          <button
-            onClick={() => setShowCreateForm(true)} // Show creation form when clicked
-            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center space-x-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
-          >
-            {/* Plus icon */}
-            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"> 
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-            </svg>
-            <span>Create Team</span> {/* Button text */}
-          </button>
+          <div className="flex items-center space-x-4"> {/* Group toggle and create button */}
+            {/* Toggle for including archived teams */}
+            <label className="flex items-center space-x-2 text-sm text-gray-600 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={showArchived}
+                onChange={(e) => setShowArchived(e.target.checked)} // Refetches teams via the effect above
+                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+              />
+              <span>Show archived</span>
+            </label>
+            {/* Create team button */}
+            <button
+              onClick={() => setShowCreateForm(true)} // Show creation form when clicked
+              className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center space-x-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+            >
+              {/* Plus icon */}
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"> 
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+              </svg>
+              <span>Create Team</span> {/* Button text */}
+            </button>
+          </div>
         </div>
 
         {/* Team creation form - only shown when showCreateForm is true */}
@@ -451,6 +583,9 @@ function Dashboard({ user }) {
                   team={team}                 // Team data
                   currentUser={user}          // Current user data
                   onNavigate={handleNavigateToTeam} // Navigation handler
+                  onArchive={handleArchiveTeam}     // Archive/restore handler (admin only)
+                  onDelete={handleDeleteTeam}       // Delete handler (admin only)
+                  pendingAction={teamActions[team.teamId]} // Current archive/delete in progress, if any
                 />
               ))}
             </div>
@@ -621,8 +756,20 @@ function CreateTeamForm({ teamName, setTeamName, onSubmit, onCancel, creating })
   );
 }
 
+// Gradient classes for each team accent color (kept static so Tailwind can see them)
+const teamColorGradients = {
+  blue: 'from-blue-500 to-indigo-600',
+  green: 'from-green-500 to-emerald-600',
+  purple: 'from-purple-500 to-fuchsia-600',
+  red: 'from-red-500 to-rose-600',
+  orange: 'from-orange-500 to-amber-600',
+  yellow: 'from-yellow-400 to-amber-500',
+  pink: 'from-pink-500 to-rose-500',
+  gray: 'from-gray-500 to-slate-600'
+};
+
 // TeamCard component for displaying individual team information and actions
-function TeamCard({ team, currentUser, onNavigate }) {
+function TeamCard({ team, currentUser, onNavigate, onArchive, onDelete, pendingAction }) {
   // Configuration for different user roles within teams
   const roleConfig = {
     admin: {
@@ -664,13 +811,13 @@ function TeamCard({ team, currentUser, onNavigate }) {
   };
 
   return (
-    <div className="border border-gray-200 rounded-lg p-4 hover:shadow-md transition-all hover:border-gray-300"> {/* Card container with hover effects */}
+    <div className={`border border-gray-200 rounded-lg p-4 hover:shadow-md transition-all hover:border-gray-300 ${team.archived ? 'bg-gray-50 opacity-75' : ''}`}> {/* Card container with hover effects, dimmed when archived */}
       {/* Team header with icon and name */}
       <div className="flex items-center space-x-3 mb-3"> {/* Flex layout with spacing */}
-        {/* Team avatar/icon with first letter of team name */}
-        <div className="w-10 h-10 bg-gradient-to-r from-blue-500 to-indigo-600 rounded-lg flex items-center justify-center"> 
+        {/* Team avatar in the team's accent color - emoji icon if set, otherwise first letter of team name */}
+        <div className={`w-10 h-10 bg-gradient-to-r ${teamColorGradients[team.color] || teamColorGradients.blue} rounded-lg flex items-center justify-center`}> 
           <span className="text-white font-bold text-sm"> 
-            {team.name.charAt(0).toUpperCase()} {/* First letter of team name, uppercase */}
+            {team.icon || team.name.charAt(0).toUpperCase()} {/* Emoji icon or uppercase first letter */}
           </span>
         </div>
         <div className="flex-1 min-w-0"> {/* Flex-grow container with min-width for text truncation */}
@@ -681,12 +828,23 @@ function TeamCard({ team, currentUser, onNavigate }) {
         </div>
       </div>
       
+      {/* Team description - only shown when the team has one */}
+      {team.description && (
+        <p className="text-sm text-gray-600 mb-3 break-words">{team.description}</p>
+      )}
+      
       {/* User role badge and description */}
       <div className="mb-3"> {/* Bottom margin for spacing */}
         {/* Role badge with dynamic styling */}
         <span className={`px-2 py-1 rounded-full text-xs font-medium ${config.badgeColor}`}>
           {config.badge}
         </span>
+        {/* Archived badge - archived teams are read-only */}
+        {team.archived && (
+          <span className="ml-2 px-2 py-1 rounded-full text-xs font-medium bg-gray-200 text-gray-700">
+            📦 Archived
+          </span>
+        )}
         {/* Role description */}
         <p className="text-xs text-gray-500 mt-1">{config.description}</p>
       </div>
@@ -717,6 +875,28 @@ function TeamCard({ team, currentUser, onNavigate }) {
           Tasks
         </button>
       </div>
+      
+      {/* Admin-only team lifecycle actions */}
+      {team.userRole === 'admin' && (
+        <div className="flex space-x-2 mt-2"> {/* Secondary actions below the main buttons */}
+          {/* Archive/restore button */}
+          <button
+            onClick={() => onArchive(team.teamId, !team.archived)}
+            disabled={!!pendingAction} // Disable while any action on this team is running
+            className="flex-1 bg-gray-50 hover:bg-gray-100 disabled:text-gray-400 text-gray-700 px-3 py-1.5 rounded-lg text-xs font-medium transition-colors focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-offset-2"
+          >
+            {pendingAction === 'archiving' ? 'Saving...' : team.archived ? 'Restore' : 'Archive'}
+          </button>
+          {/* Delete team button */}
+          <button
+            onClick={() => onDelete(team.teamId, team.name)}
+            disabled={!!pendingAction} // Disable while any action on this team is running
+            className="flex-1 bg-red-50 hover:bg-red-100 disabled:text-gray-400 text-red-700 px-3 py-1.5 rounded-lg text-xs font-medium transition-colors focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-offset-2"
+          >
+            {pendingAction === 'deleting' ? 'Deleting...' : 'Delete'}
+          </button>
+        </div>
+      )}
     </div>
   );
 }
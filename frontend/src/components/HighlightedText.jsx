@@ -0,0 +1,21 @@
+import { splitHighlight } from '../utils/search';
+
+/**
+ * HighlightedText Component - Renders a search snippet with its matched words marked
+ *
+ * @param {Object} highlight - { snippet, matches } from a search hit
+ * @param {string} fallback - Text to show when there is no highlight
+ */
+function HighlightedText({ highlight, fallback }) {
+  if (!highlight) {
+    return fallback ?? null;
+  }
+
+  return splitHighlight(highlight.snippet, highlight.matches || []).map((part, index) => (
+    part.match
+      ? <mark key={index} className="bg-yellow-200 text-inherit rounded px-0.5">{part.text}</mark>
+      : <span key={index}>{part.text}</span>
+  ));
+}
+
+export default HighlightedText;
@@ -0,0 +1,228 @@
+import { useState } from 'react';
+import { generateClient } from 'aws-amplify/api';
+import { createLabel, updateLabel, deleteLabel } from '../graphql/mutations';
+import ErrorMessage from './ErrorMessage';
+import { LABEL_COLORS, labelColors } from '../utils/labels';
+
+// Initialize AWS Amplify GraphQL client for API operations
+const client = generateClient();
+
+// Same limits the server enforces
+const MAX_LABELS = 50;
+const MAX_NAME_LENGTH = 30;
+
+/**
+ * ColorPicker Component - One chip-colored dot per label color
+ *
+ * @param {string} value - Selected color name
+ * @param {Function} onChange - Callback with the chosen color name
+ */
+function ColorPicker({ value, onChange }) {
+  return (
+    <div className="flex flex-wrap gap-1">
+      {LABEL_COLORS.map(color => (
+        <button
+          key={color}
+          type="button"
+          onClick={() => onChange(color)}
+          className={`w-6 h-6 rounded-full ${labelColors[color]} ${value === color ? 'ring-2 ring-offset-1 ring-blue-500' : ''}`}
+          title={color}
+        />
+      ))}
+    </div>
+  );
+}
+
+/**
+ * LabelManager Component - Lets admins manage the labels tasks in the team can carry
+ *
+ * Features:
+ * - Add a label with a name and color
+ * - Rename or recolor a label; tasks keep it and show the new name
+ * - Delete a label, which also takes it off the team's tasks
+ *
+ * @param {Object} team - Team with its current labels
+ * @param {Function} onSaved - Callback with the team's labels after each change
+ */
+function LabelManager({ team, onSaved }) {
+  const [labels, setLabels] = useState(team?.labels || []);
+  const [newName, setNewName] = useState('');
+  const [newColor, setNewColor] = useState('blue');
+  const [editing, setEditing] = useState(null); // { labelId, name, color } of the label being edited
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  /**
+   * Runs a label mutation and takes the team's labels from its result
+   *
+   * @param {Object} mutation - GraphQL mutation document
+   * @param {string} resultField - Name of the mutation's result field
+   * @param {Object} variables - Mutation variables besides teamId
+   * @param {string} successText - Message shown after the change
+   * @param {string} failureMessage - Prefix for the error banner
+   * @returns {boolean} - Whether the change was saved
+   */
+  async function runMutation(mutation, resultField, variables, successText, failureMessage) {
+    try {
+      setBusy(true);
+      setMessage(null);
+
+      const response = await client.graphql({
+        query: mutation,
+        variables: { teamId: team.teamId, ...variables },
+        authMode: 'userPool'
+      });
+
+      const savedLabels = response.data?.[resultField]?.labels || [];
+      setLabels(savedLabels);
+      setMessage({ type: 'success', text: successText });
+      onSaved?.(savedLabels);
+      return true;
+    } catch (err) {
+      console.error(`LabelManager - ${resultField} error:`, err);
+
+      let errorMessage = failureMessage;
+      if (err.errors && err.errors.length > 0) {
+        errorMessage += err.errors[0].message || 'Please try again.';
+      } else {
+        errorMessage += err.message || 'Please try again.';
+      }
+      setMessage({ type: 'error', text: errorMessage });
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleAdd(e) {
+    e.preventDefault();
+    if (!newName.trim()) return;
+
+    const saved = await runMutation(createLabel, 'createLabel', { name: newName.trim(), color: newColor },
+      `Label "${newName.trim()}" added.`, 'Failed to add label. ');
+    if (saved) {
+      setNewName('');
+    }
+  }
+
+  async function handleSaveEdit(e) {
+    e.preventDefault();
+    if (!editing.name.trim()) return;
+
+    const saved = await runMutation(updateLabel, 'updateLabel', {
+      labelId: editing.labelId,
+      name: editing.name.trim(),
+      color: editing.color
+    }, 'Label saved.', 'Failed to save label. ');
+    if (saved) {
+      setEditing(null);
+    }
+  }
+
+  function handleDelete(label) {
+    if (!window.confirm(`Delete the label "${label.name}"? It will be removed from every task that has it.`)) {
+      return;
+    }
+    runMutation(deleteLabel, 'deleteLabel', { labelId: label.labelId },
+      `Label "${label.name}" deleted.`, 'Failed to delete label. ');
+  }
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-4">
+        Labels group tasks beyond their priority, e.g. by area or kind of work. Admins pick labels when
+        creating or editing tasks, and everyone can filter the task list by label.
+      </p>
+
+      {message && (
+        <div className="mb-4">
+          <ErrorMessage message={message.text} type={message.type} onDismiss={() => setMessage(null)} />
+        </div>
+      )}
+
+      {/* Label List */}
+      {labels.length > 0 ? (
+        <ul className="space-y-2 mb-6">
+          {labels.map(label => (
+            <li key={label.labelId} className="border border-gray-200 rounded-lg p-3">
+              {editing?.labelId === label.labelId ? (
+                <form onSubmit={handleSaveEdit} className="flex flex-wrap items-center gap-3">
+                  <input
+                    type="text"
+                    value={editing.name}
+                    maxLength={MAX_NAME_LENGTH}
+                    onChange={(e) => setEditing(prev => ({ ...prev, name: e.target.value }))}
+                    className="flex-1 min-w-[10rem] px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    autoFocus
+                  />
+                  <ColorPicker value={editing.color} onChange={(color) => setEditing(prev => ({ ...prev, color }))} />
+                  <button
+                    type="submit"
+                    disabled={busy || !editing.name.trim()}
+                    className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white px-3 py-1.5 rounded-lg text-sm font-medium transition-colors"
+                  >
+                    Save
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setEditing(null)}
+                    className="text-sm text-gray-600 hover:text-gray-900"
+                  >
+                    Cancel
+                  </button>
+                </form>
+              ) : (
+                <div className="flex items-center gap-3">
+                  <span className={`px-3 py-1 rounded-full text-sm font-medium ${labelColors[label.color] || labelColors.gray}`}>
+                    {label.name}
+                  </span>
+                  <div className="flex-1" />
+                  <button
+                    onClick={() => setEditing({ labelId: label.labelId, name: label.name, color: label.color })}
+                    disabled={busy}
+                    className="text-sm text-blue-600 hover:text-blue-800 disabled:opacity-30"
+                  >
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleDelete(label)}
+                    disabled={busy}
+                    className="text-sm text-red-600 hover:text-red-800 disabled:opacity-30"
+                  >
+                    Delete
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-400 mb-6">This team has no labels yet.</p>
+      )}
+
+      {/* Add Label Form */}
+      {labels.length < MAX_LABELS && (
+        <form onSubmit={handleAdd} className="flex flex-wrap items-center gap-3">
+          <input
+            type="text"
+            value={newName}
+            maxLength={MAX_NAME_LENGTH}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="New label name"
+            className="flex-1 min-w-[10rem] px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <ColorPicker value={newColor} onChange={setNewColor} />
+          <button
+            type="submit"
+            disabled={busy || !newName.trim()}
+            className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+          >
+            Add Label
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default LabelManager;
@@ -0,0 +1,408 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { generateClient } from 'aws-amplify/api';
+import { listMyTasks, listTeams } from '../graphql/queries';
+import LoadingSpinner from './LoadingSpinner';
+import ErrorMessage from './ErrorMessage';
+import { DEFAULT_WORKFLOW, categoryColors, getStatusCategory } from '../utils/workflow';
+
+// Initialize AWS Amplify GraphQL client for API operations
+const client = generateClient();
+
+// Number of tasks requested per page; more are fetched with the "Load more" button
+const TASKS_PAGE_SIZE = 50;
+
+
+// Color mappings for priority badges
+const priorityColors = {
+  'Low': 'bg-green-100 text-green-800',
+  'Medium': 'bg-yellow-100 text-yellow-800',
+  'High': 'bg-red-100 text-red-800'
+};
+
+// Deadline groups shown inside each team section, in display order
+const deadlineGroups = [
+  { key: 'past', label: 'Past due', className: 'text-red-600' },
+  { key: 'today', label: 'Due today', className: 'text-orange-600' },
+  { key: 'week', label: 'Due this week', className: 'text-yellow-700' },
+  { key: 'later', label: 'Later', className: 'text-gray-600' },
+  { key: 'none', label: 'No deadline', className: 'text-gray-400' }
+];
+
+/**
+ * Formats a date as YYYY-MM-DD in the browser's local time zone
+ * Deadlines are stored as plain dates, so comparisons are done on these keys
+ *
+ * @param {Date} date - Date to format
+ * @returns {string} - Local date key
+ */
+function toDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Works out which deadline group a task belongs to
+ *
+ * @param {Object} task - Task object from GraphQL API
+ * @param {string} todayKey - Today's date key
+ * @param {string} weekKey - Date key one week from today
+ * @returns {string} - Key of the matching entry in deadlineGroups
+ */
+function getDeadlineGroup(task, todayKey, weekKey) {
+  if (!task.deadline) return 'none';
+  const deadlineKey = task.deadline.slice(0, 10);
+  if (deadlineKey < todayKey) return 'past';
+  if (deadlineKey === todayKey) return 'today';
+  if (deadlineKey <= weekKey) return 'week';
+  return 'later';
+}
+
+/**
+ * MyTasks Component - Cross-team view of the tasks assigned to the current user
+ *
+ * Features:
+ * - Loads assigned tasks from every team through the listMyTasks query
+ * - Server-side status and due date filters
+ * - Groups tasks by team, then by deadline
+ * - "Load more" pagination
+ *
+ * @param {Object} user - Current authenticated user object from AWS Cognito
+ */
+function MyTasks({ user }) {
+  // Core data state
+  const [tasks, setTasks] = useState([]); // Assigned tasks loaded so far
+  const [teams, setTeams] = useState({}); // Object mapping teamId -> team, used for section headings
+  const [nextToken, setNextToken] = useState(null); // Cursor for the next page, null when all are loaded
+  const [loading, setLoading] = useState(true); // Loading state for the first page
+  const [loadingMore, setLoadingMore] = useState(false); // Loading state for the "Load more" button
+  const [error, setError] = useState(null); // Error messages for user feedback
+
+  // Filter state - both are sent to the server
+  const [statusFilter, setStatusFilter] = useState(''); // '' means any status
+  const [dueFilter, setDueFilter] = useState('any'); // 'any', 'overdue' or 'week'
+
+  /**
+   * Reloads the first page whenever the user or a filter changes
+   */
+  useEffect(() => {
+    if (!user?.userId) return;
+    fetchTeams();
+  }, [user]);
+
+  useEffect(() => {
+    if (!user?.userId) return;
+    fetchTasks();
+  }, [user, statusFilter, dueFilter]);
+
+  /**
+   * Loads every team the user belongs to (including archived ones) so task
+   * sections can show team names and icons
+   */
+  async function fetchTeams() {
+    try {
+      const teamsById = {};
+      let teamsToken = null;
+      do {
+        const response = await client.graphql({
+          query: listTeams,
+          variables: { includeArchived: true, limit: 100, nextToken: teamsToken },
+          authMode: 'userPool'
+        });
+        const page = response.data?.listTeams;
+        (page?.items || []).forEach(team => { teamsById[team.teamId] = team; });
+        teamsToken = page?.nextToken || null;
+      } while (teamsToken);
+
+      setTeams(teamsById);
+    } catch (err) {
+      // Team names are cosmetic here - tasks still render under their team ID
+      console.error('MyTasks - Fetch teams error:', err);
+    }
+  }
+
+  /**
+   * Builds the server-side filter variables from the current filter state
+   *
+   * @returns {Object} - status and dueBefore variables for listMyTasks
+   */
+  function buildFilterVariables() {
+    const variables = {};
+    if (statusFilter) {
+      variables.status = statusFilter;
+    }
+    if (dueFilter === 'overdue') {
+      variables.dueBefore = toDateKey(new Date());
+    } else if (dueFilter === 'week') {
+      const nextWeek = new Date();
+      nextWeek.setDate(nextWeek.getDate() + 8); // dueBefore is exclusive, so include the 7th day
+      variables.dueBefore = toDateKey(nextWeek);
+    }
+    return variables;
+  }
+
+  /**
+   * Fetches a page of assigned tasks
+   * Without a cursor the list is reset to the first page; with one the next page is appended
+   *
+   * @param {string|null} pageToken - nextToken from the previous page, or null for the first page
+   */
+  async function fetchTasks(pageToken = null) {
+    try {
+      if (!pageToken) {
+        setLoading(true);
+      }
+      setError(null);
+
+      console.log('MyTasks - Fetching assigned tasks', pageToken ? '(next page)' : '(first page)');
+
+      const response = await client.graphql({
+        query: listMyTasks,
+        variables: { ...buildFilterVariables(), limit: TASKS_PAGE_SIZE, nextToken: pageToken },
+        authMode: 'userPool'
+      });
+
+      const page = response.data?.listMyTasks;
+      const tasksData = page?.items || [];
+      setTasks(prev => pageToken ? [...prev, ...tasksData] : tasksData);
+      setNextToken(page?.nextToken || null);
+    } catch (err) {
+      console.error('MyTasks - Fetch tasks error:', err);
+
+      let errorMessage = 'Failed to load your tasks. ';
+      if (err.errors && err.errors.length > 0) {
+        errorMessage += err.errors[0].message || 'Please try again.';
+      } else {
+        errorMessage += err.message || 'Please try again.';
+      }
+      setError(errorMessage);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  /**
+   * Appends the next page of tasks
+   */
+  async function handleLoadMore() {
+    if (!nextToken || loadingMore) {
+      return;
+    }
+
+    try {
+      setLoadingMore(true);
+      await fetchTasks(nextToken);
+    } finally {
+      setLoadingMore(false);
+    }
+  }
+
+  /**
+   * Groups loaded tasks by team, then by deadline group
+   * Teams are ordered by name; tasks inside a group by deadline
+   */
+  const teamSections = useMemo(() => {
+    const today = new Date();
+    const nextWeek = new Date();
+    nextWeek.setDate(today.getDate() + 7);
+    const todayKey = toDateKey(today);
+    const weekKey = toDateKey(nextWeek);
+
+    const byTeam = {};
+    tasks.forEach(task => {
+      if (!byTeam[task.teamId]) {
+        byTeam[task.teamId] = {};
+      }
+      const groupKey = getDeadlineGroup(task, todayKey, weekKey);
+      (byTeam[task.teamId][groupKey] = byTeam[task.teamId][groupKey] || []).push(task);
+    });
+
+    return Object.entries(byTeam)
+      .map(([teamId, groups]) => ({
+        teamId,
+        team: teams[teamId],
+        taskCount: Object.values(groups).reduce((count, groupTasks) => count + groupTasks.length, 0),
+        groups: deadlineGroups
+          .filter(group => groups[group.key])
+          .map(group => ({
+            ...group,
+            tasks: groups[group.key].sort((a, b) => (a.deadline || '').localeCompare(b.deadline || ''))
+          }))
+      }))
+      .sort((a, b) => (a.team?.name || a.teamId).localeCompare(b.team?.name || b.teamId));
+  }, [tasks, teams]);
+
+  /**
+   * Status names offered by the status filter - every status used by any of the user's teams,
+   * in workflow order of the first team that defines it
+   */
+  const statusOptions = useMemo(() => {
+    const names = [];
+    const workflows = Object.values(teams).map(team => team.workflow || DEFAULT_WORKFLOW);
+    (workflows.length > 0 ? workflows : [DEFAULT_WORKFLOW]).forEach(workflow => {
+      workflow.forEach(status => {
+        if (!names.includes(status.name)) names.push(status.name);
+      });
+    });
+    return names;
+  }, [teams]);
+
+  // Show loading spinner during the first page fetch
+  if (loading && tasks.length === 0) {
+    return <LoadingSpinner message="Loading your tasks..." />;
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      {/* ========================================================================
+          HEADER SECTION
+      ======================================================================== */}
+      <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-4 mb-8">
+        <div>
+          {/* Breadcrumb Navigation */}
+          <div className="flex items-center space-x-2 mb-2">
+            <Link to="/" className="text-gray-500 hover:text-gray-700 text-sm font-medium">
+              Dashboard
+            </Link>
+            <span className="text-gray-400">/</span>
+            <span className="text-gray-900 text-sm font-medium">My Tasks</span>
+          </div>
+
+          <h1 className="text-3xl font-bold text-gray-900">My Tasks</h1>
+          <p className="text-gray-600 mt-1">
+            {tasks.length}{nextToken ? '+' : ''} tasks assigned to you across {teamSections.length} team{teamSections.length === 1 ? '' : 's'}
+          </p>
+        </div>
+
+        {/* Server-side Filters */}
+        <div className="flex items-center space-x-3">
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="">Any status</option>
+            {statusOptions.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+          <select
+            value={dueFilter}
+            onChange={(e) => setDueFilter(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="any">Any deadline</option>
+            <option value="overdue">Past due</option>
+            <option value="week">Due within a week</option>
+          </select>
+        </div>
+      </div>
+
+      {/* Error Message */}
+      {error && (
+        <div className="mb-6">
+          <ErrorMessage message={error} onDismiss={() => setError(null)} />
+          <div className="mt-3">
+            <button
+              onClick={() => fetchTasks()}
+              className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+            >
+              Try Again
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* ========================================================================
+          TEAM SECTIONS
+          - One card per team, tasks grouped by deadline inside it
+      ======================================================================== */}
+      {teamSections.length === 0 && !error ? (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 text-center py-12">
+          <div className="text-4xl mb-3">🎉</div>
+          <h3 className="text-lg font-medium text-gray-900 mb-1">Nothing assigned to you</h3>
+          <p className="text-gray-600">
+            {statusFilter || dueFilter !== 'any'
+              ? 'No tasks match the selected filters.'
+              : 'Tasks assigned to you in any team will show up here.'}
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-6">
+          {teamSections.map(section => (
+            <div key={section.teamId} className="bg-white rounded-lg shadow-sm border border-gray-200">
+              {/* Team Heading */}
+              <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+                <div className="flex items-center space-x-2">
+                  <span className="text-lg">{section.team?.icon || '📁'}</span>
+                  <h2 className="text-lg font-semibold text-gray-900">
+                    {section.team?.name || 'Team'}
+                  </h2>
+                  {section.team?.archived && (
+                    <span className="px-2 py-1 bg-gray-100 text-gray-600 text-xs rounded-full">Archived</span>
+                  )}
+                  <span className="text-sm text-gray-500">({section.taskCount})</span>
+                </div>
+                <Link
+                  to={`/tasks/${section.teamId}`}
+                  className="text-blue-600 hover:text-blue-800 text-sm font-medium"
+                >
+                  Open team tasks →
+                </Link>
+              </div>
+
+              {/* Deadline Groups */}
+              {section.groups.map(group => (
+                <div key={group.key} className="px-6 py-4">
+                  <h3 className={`text-xs font-semibold uppercase tracking-wide mb-2 ${group.className}`}>
+                    {group.label}
+                  </h3>
+                  <ul className="divide-y divide-gray-100">
+                    {group.tasks.map(task => (
+                      <li key={task.taskId} className="py-2 flex items-center justify-between">
+                        <div className="min-w-0">
+                          <p className="font-medium text-gray-900 truncate">{task.title}</p>
+                          {task.deadline && (
+                            <p className="text-xs text-gray-500">
+                              Due: {new Date(task.deadline).toLocaleDateString()}
+                            </p>
+                          )}
+                        </div>
+                        <div className="flex items-center space-x-2 ml-4 flex-shrink-0">
+                          {task.priority && (
+                            <span className={`px-2 py-1 rounded-full text-xs font-medium ${priorityColors[task.priority]}`}>
+                              {task.priority}
+                            </span>
+                          )}
+                          <span className={`px-2 py-1 rounded-full text-xs font-medium ${categoryColors[getStatusCategory(teams[task.teamId]?.workflow || DEFAULT_WORKFLOW, task)]}`}>
+                            {task.status}
+                          </span>
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Load More Button - Fetches the next page while the server reports more tasks */}
+      {nextToken && (
+        <div className="mt-6 text-center">
+          <button
+            onClick={handleLoadMore}
+            disabled={loadingMore}
+            className="text-blue-600 hover:text-blue-800 text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {loadingMore ? 'Loading...' : 'Load more tasks'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MyTasks;
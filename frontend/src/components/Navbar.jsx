@@ -1,5 +1,6 @@
 import { useState } from 'react'; // Import useState hook to manage component state
 import { Link, useLocation } from 'react-router-dom'; // Import Link for routing and useLocation to access current URL
+import NotificationBell from './NotificationBell'; // Bell with unread count and notification dropdown
 
 // Navbar component for navigation and user info display
 function Navbar({ user, signOut }) {
@@ -37,10 +38,43 @@ function Navbar({ user, signOut }) {
             >
               Dashboard
             </Link>
+            <Link
+              to="/my-tasks"
+              className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                isActive('/my-tasks')
+                  ? 'text-blue-600 bg-blue-50'
+                  : 'text-gray-700 hover:text-blue-600 hover:bg-gray-50'
+              }`}
+            >
+              My Tasks
+            </Link>
+            <Link
+              to="/search"
+              className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                isActive('/search')
+                  ? 'text-blue-600 bg-blue-50'
+                  : 'text-gray-700 hover:text-blue-600 hover:bg-gray-50'
+              }`}
+            >
+              Search
+            </Link>
+            <Link
+              to="/settings/notifications"
+              className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                isActive('/settings/notifications')
+                  ? 'text-blue-600 bg-blue-50'
+                  : 'text-gray-700 hover:text-blue-600 hover:bg-gray-50'
+              }`}
+            >
+              Settings
+            </Link>
           </div>
 
           {/* User Info and Actions */}
           <div className="flex items-center space-x-4">
+            {/* Notification bell (visible on all screen sizes) */}
+            <NotificationBell />
+
             {/* User info (visible on md+) */}
             <div className="hidden md:flex items-center space-x-3">
               <div className="text-right">
@@ -95,6 +129,39 @@ function Navbar({ user, signOut }) {
               >
                 Dashboard
               </Link>
+              <Link
+                to="/my-tasks"
+                className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                  isActive('/my-tasks')
+                    ? 'text-blue-600 bg-blue-50'
+                    : 'text-gray-700 hover:text-blue-600 hover:bg-gray-50'
+                }`}
+                onClick={() => setIsMenuOpen(false)} // Close menu on click
+              >
+                My Tasks
+              </Link>
+              <Link
+                to="/search"
+                className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                  isActive('/search')
+                    ? 'text-blue-600 bg-blue-50'
+                    : 'text-gray-700 hover:text-blue-600 hover:bg-gray-50'
+                }`}
+                onClick={() => setIsMenuOpen(false)} // Close menu on click
+              >
+                Search
+              </Link>
+              <Link
+                to="/settings/notifications"
+                className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                  isActive('/settings/notifications')
+                    ? 'text-blue-600 bg-blue-50'
+                    : 'text-gray-700 hover:text-blue-600 hover:bg-gray-50'
+                }`}
+                onClick={() => setIsMenuOpen(false)} // Close menu on click
+              >
+                Settings
+              </Link>
 
               {/* User info in mobile view */}
               <div className="px-3 py-2 border-t border-gray-200 mt-2 pt-2">
@@ -0,0 +1,228 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { generateClient } from 'aws-amplify/api';
+import { listNotifications } from '../graphql/queries';
+import { markNotificationRead, markAllNotificationsRead } from '../graphql/mutations';
+
+// Initialize AWS Amplify GraphQL client for API operations
+const client = generateClient();
+
+// Number of notifications shown in the dropdown
+const NOTIFICATIONS_PAGE_SIZE = 10;
+
+// How often the unread count is refreshed while the app is open
+const POLL_INTERVAL_MS = 60000;
+
+/**
+ * Formats a notification timestamp relative to now (e.g., "5m ago")
+ * Falls back to the date for anything older than a week
+ */
+const formatTimeAgo = (timestamp) => {
+  if (!timestamp) return '';
+  const seconds = Math.floor((Date.now() - new Date(timestamp).getTime()) / 1000);
+  if (seconds < 60) return 'just now';
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  if (seconds < 604800) return `${Math.floor(seconds / 86400)}d ago`;
+  return new Date(timestamp).toLocaleDateString();
+};
+
+/**
+ * NotificationBell Component
+ * Shows a bell with the unread notification count and a dropdown of the latest notifications
+ *
+ * Features:
+ * - Polls for new notifications every minute and when the dropdown opens
+ * - Marks a notification read when it is clicked, linking to its team's tasks when it has one
+ * - "Mark all read" clears the badge in one request
+ */
+function NotificationBell() {
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [isOpen, setIsOpen] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const containerRef = useRef(null);
+
+  /**
+   * Fetches the latest notifications and the unread count
+   * Errors are logged only - the bell should never break the navbar
+   */
+  const fetchNotifications = async () => {
+    try {
+      const response = await client.graphql({
+        query: listNotifications,
+        variables: { limit: NOTIFICATIONS_PAGE_SIZE },
+        authMode: 'userPool'
+      });
+      const connection = response.data.listNotifications;
+      setNotifications(connection?.items || []);
+      setUnreadCount(connection?.unreadCount || 0);
+    } catch (err) {
+      console.error('Error fetching notifications:', err);
+    }
+  };
+
+  // Load notifications on mount and keep the badge fresh
+  useEffect(() => {
+    fetchNotifications();
+    const interval = setInterval(fetchNotifications, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Close the dropdown when clicking anywhere outside it
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  /**
+   * Toggles the dropdown, refreshing the list when it opens
+   */
+  const handleToggle = async () => {
+    const opening = !isOpen;
+    setIsOpen(opening);
+    if (opening) {
+      setLoading(true);
+      await fetchNotifications();
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Marks a single notification as read and closes the dropdown
+   * Local state is updated first so the badge responds immediately
+   */
+  const handleNotificationClick = async (notification) => {
+    setIsOpen(false);
+    if (notification.read) return;
+
+    setNotifications(prev => prev.map(n => (
+      n.notificationId === notification.notificationId ? { ...n, read: true } : n
+    )));
+    setUnreadCount(prev => Math.max(0, prev - 1));
+
+    try {
+      await client.graphql({
+        query: markNotificationRead,
+        variables: { notificationId: notification.notificationId },
+        authMode: 'userPool'
+      });
+    } catch (err) {
+      console.error('Error marking notification as read:', err);
+      fetchNotifications();
+    }
+  };
+
+  /**
+   * Marks every notification as read
+   */
+  const handleMarkAllRead = async () => {
+    setNotifications(prev => prev.map(n => ({ ...n, read: true })));
+    setUnreadCount(0);
+
+    try {
+      await client.graphql({
+        query: markAllNotificationsRead,
+        authMode: 'userPool'
+      });
+    } catch (err) {
+      console.error('Error marking notifications as read:', err);
+      fetchNotifications();
+    }
+  };
+
+  return (
+    <div className="relative" ref={containerRef}>
+      {/* Bell button with unread badge */}
+      <button
+        onClick={handleToggle}
+        className="relative p-2 rounded-full text-gray-600 hover:text-blue-600 hover:bg-gray-100 transition-colors"
+        aria-label={`Notifications${unreadCount > 0 ? ` (${unreadCount} unread)` : ''}`}
+      >
+        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+        </svg>
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] h-5 px-1 bg-red-500 text-white text-xs font-bold rounded-full flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {/* Dropdown with the latest notifications */}
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-lg shadow-xl border border-gray-200 z-50">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+            <h3 className="text-sm font-semibold text-gray-900">Notifications</h3>
+            {unreadCount > 0 && (
+              <button
+                onClick={handleMarkAllRead}
+                className="text-xs font-medium text-blue-600 hover:text-blue-800"
+              >
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          <div className="max-h-96 overflow-y-auto">
+            {loading && notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-gray-500 text-center">Loading...</p>
+            ) : notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-gray-500 text-center">You have no notifications</p>
+            ) : (
+              notifications.map(notification => {
+                const content = (
+                  <div className="flex items-start space-x-3">
+                    {/* Unread dot */}
+                    <span className={`mt-1.5 w-2 h-2 rounded-full flex-shrink-0 ${notification.read ? 'bg-transparent' : 'bg-blue-500'}`} />
+                    <div className="min-w-0">
+                      <p className={`text-sm truncate ${notification.read ? 'text-gray-700' : 'font-semibold text-gray-900'}`}>
+                        {notification.subject}
+                      </p>
+                      <p className="text-xs text-gray-500 line-clamp-2">{notification.message}</p>
+                      <p className="text-xs text-gray-400 mt-1">{formatTimeAgo(notification.createdAt)}</p>
+                    </div>
+                  </div>
+                );
+
+                const itemClass = `block w-full text-left px-4 py-3 border-b border-gray-100 last:border-b-0 hover:bg-gray-50 ${
+                  notification.read ? '' : 'bg-blue-50'
+                }`;
+
+                // Link to the team's tasks when the notification belongs to a team
+                return notification.teamId ? (
+                  <Link
+                    key={notification.notificationId}
+                    to={`/tasks/${notification.teamId}`}
+                    onClick={() => handleNotificationClick(notification)}
+                    className={itemClass}
+                  >
+                    {content}
+                  </Link>
+                ) : (
+                  <button
+                    key={notification.notificationId}
+                    onClick={() => handleNotificationClick(notification)}
+                    className={itemClass}
+                  >
+                    {content}
+                  </button>
+                );
+              })
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NotificationBell;
@@ -0,0 +1,418 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { generateClient } from 'aws-amplify/api';
+import { getNotificationPreferences, listTeams } from '../graphql/queries';
+import { updateNotificationPreferences } from '../graphql/mutations';
+import LoadingSpinner from './LoadingSpinner';
+import ErrorMessage from './ErrorMessage';
+
+// Initialize AWS Amplify GraphQL client for API operations
+const client = generateClient();
+
+// Labels for the notification actions returned by getNotificationPreferences
+// Unknown actions fall back to their raw name
+const actionLabels = {
+  team_created: { label: 'Team created', description: 'A team you created is ready' },
+  team_invitation: { label: 'Added to a team', description: 'Someone adds you to a team' },
+  team_member_removed: { label: 'Removed from a team', description: 'Someone removes you from a team' },
+  member_role_changed: { label: 'Role changed', description: 'Your role in a team changes' },
+  team_deleted: { label: 'Team deleted', description: 'A team you belong to is deleted' },
+  task_assigned: { label: 'Task assigned', description: 'A new task is assigned to you' },
+  task_reassigned: { label: 'Task reassigned', description: 'Existing tasks are reassigned to you' },
+  task_status_updated: { label: 'Status updated', description: 'The status of a task assigned to you changes' },
+  task_deleted: { label: 'Task deleted', description: 'A task assigned to you is deleted' },
+  task_deadline_reminder: { label: 'Deadline reminders', description: 'A task assigned to you is due soon or overdue' },
+  task_overdue_escalation: { label: 'Overdue escalations', description: 'A task in a team you administer is overdue' },
+  comment_mention: { label: 'Mentions', description: 'Someone @mentions you in a task comment' }
+};
+
+// Hours offered for the daily digest
+const digestHours = Array.from({ length: 24 }, (_, hour) => hour);
+
+/**
+ * Lists the IANA time zones the browser knows about
+ * Older browsers without Intl.supportedValuesOf only get the browser's own zone and UTC
+ *
+ * @param {string} current - Currently selected time zone, always included
+ * @returns {Array} - Sorted time zone names
+ */
+function getTimeZoneOptions(current) {
+  const browserZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const zones = typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : [browserZone];
+  return [...new Set(['UTC', browserZone, current, ...zones].filter(Boolean))].sort();
+}
+
+/**
+ * NotificationSettings Component - Lets the current user control their notifications
+ *
+ * Features:
+ * - Per-action toggles
+ * - Per-team muting
+ * - Instant or daily-digest email delivery
+ * - Quiet hours in the user's time zone
+ */
+function NotificationSettings() {
+  // Saved preferences and form state
+  const [actions, setActions] = useState([]); // [{ action, enabled }]
+  const [mutedTeamIds, setMutedTeamIds] = useState([]);
+  const [deliveryMode, setDeliveryMode] = useState('instant');
+  const [digestHour, setDigestHour] = useState(8);
+  const [quietHoursEnabled, setQuietHoursEnabled] = useState(false);
+  const [quietHoursStart, setQuietHoursStart] = useState('22:00');
+  const [quietHoursEnd, setQuietHoursEnd] = useState('07:00');
+  const [timeZone, setTimeZone] = useState(Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC');
+  const [teams, setTeams] = useState([]); // Teams the user belongs to, for the mute list
+
+  // UI state
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [successMessage, setSuccessMessage] = useState(null);
+
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  /**
+   * Copies a NotificationPreferences result into the form state
+   *
+   * @param {Object} preferences - NotificationPreferences from the API
+   */
+  function applyPreferences(preferences) {
+    setActions(preferences.actions || []);
+    setMutedTeamIds(preferences.mutedTeamIds || []);
+    setDeliveryMode(preferences.deliveryMode || 'instant');
+    setDigestHour(preferences.digestHour ?? 8);
+    setQuietHoursEnabled(Boolean(preferences.quietHoursEnabled));
+    if (preferences.quietHoursStart) setQuietHoursStart(preferences.quietHoursStart);
+    if (preferences.quietHoursEnd) setQuietHoursEnd(preferences.quietHoursEnd);
+    // Keep the browser's zone for users who never saved preferences
+    if (preferences.updatedAt && preferences.timeZone) setTimeZone(preferences.timeZone);
+  }
+
+  /**
+   * Loads the saved preferences and every team the user belongs to
+   */
+  async function fetchSettings() {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await client.graphql({
+        query: getNotificationPreferences,
+        authMode: 'userPool'
+      });
+      applyPreferences(response.data?.getNotificationPreferences || {});
+
+      const allTeams = [];
+      let teamsToken = null;
+      do {
+        const teamsResponse = await client.graphql({
+          query: listTeams,
+          variables: { limit: 100, nextToken: teamsToken },
+          authMode: 'userPool'
+        });
+        const page = teamsResponse.data?.listTeams;
+        allTeams.push(...(page?.items || []));
+        teamsToken = page?.nextToken || null;
+      } while (teamsToken);
+
+      setTeams(allTeams.sort((a, b) => a.name.localeCompare(b.name)));
+    } catch (err) {
+      console.error('NotificationSettings - Fetch error:', err);
+
+      let errorMessage = 'Failed to load notification settings. ';
+      if (err.errors && err.errors.length > 0) {
+        errorMessage += err.errors[0].message || 'Please try again.';
+      } else {
+        errorMessage += err.message || 'Please try again.';
+      }
+      setError(errorMessage);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  /**
+   * Flips a single action toggle
+   */
+  const toggleAction = (action) => {
+    setActions(prev => prev.map(item => (
+      item.action === action ? { ...item, enabled: !item.enabled } : item
+    )));
+  };
+
+  /**
+   * Mutes or unmutes a team
+   */
+  const toggleTeamMuted = (teamId) => {
+    setMutedTeamIds(prev => (
+      prev.includes(teamId) ? prev.filter(id => id !== teamId) : [...prev, teamId]
+    ));
+  };
+
+  /**
+   * Saves the whole form
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (quietHoursEnabled && quietHoursStart === quietHoursEnd) {
+      setError('Quiet hours start and end must be different.');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccessMessage(null);
+
+      const response = await client.graphql({
+        query: updateNotificationPreferences,
+        variables: {
+          disabledActions: actions.filter(item => !item.enabled).map(item => item.action),
+          mutedTeamIds,
+          deliveryMode,
+          digestHour: Number(digestHour),
+          quietHoursEnabled,
+          quietHoursStart,
+          quietHoursEnd,
+          timeZone
+        },
+        authMode: 'userPool'
+      });
+
+      applyPreferences(response.data?.updateNotificationPreferences || {});
+      setSuccessMessage('Notification settings saved successfully!');
+    } catch (err) {
+      console.error('NotificationSettings - Save error:', err);
+
+      let errorMessage = 'Failed to save notification settings. ';
+      if (err.errors && err.errors.length > 0) {
+        errorMessage += err.errors[0].message || 'Please try again.';
+      } else {
+        errorMessage += err.message || 'Please try again.';
+      }
+      setError(errorMessage);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner message="Loading notification settings..." />;
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      {/* ========================================================================
+          HEADER SECTION
+      ======================================================================== */}
+      <div className="mb-8">
+        {/* Breadcrumb Navigation */}
+        <div className="flex items-center space-x-2 mb-2">
+          <Link to="/" className="text-gray-500 hover:text-gray-700 text-sm font-medium">
+            Dashboard
+          </Link>
+          <span className="text-gray-400">/</span>
+          <span className="text-gray-900 text-sm font-medium">Notification Settings</span>
+        </div>
+
+        <h1 className="text-3xl font-bold text-gray-900">Notification Settings</h1>
+        <p className="text-gray-600 mt-1">Choose which notifications you get and when emails are sent</p>
+      </div>
+
+      {/* Feedback Messages */}
+      {error && (
+        <div className="mb-6">
+          <ErrorMessage message={error} onDismiss={() => setError(null)} />
+        </div>
+      )}
+      {successMessage && (
+        <div className="mb-6">
+          <ErrorMessage message={successMessage} type="success" onDismiss={() => setSuccessMessage(null)} />
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-6">
+        {/* ======================================================================
+            NOTIFICATION TYPES
+        ====================================================================== */}
+        <section className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Notification types</h2>
+          <p className="text-sm text-gray-600 mb-4">Switched-off notifications still show up in the inbox, but are not emailed.</p>
+          <div className="divide-y divide-gray-100">
+            {actions.map(item => (
+              <label key={item.action} className="flex items-center justify-between py-3 cursor-pointer">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">{actionLabels[item.action]?.label || item.action}</p>
+                  {actionLabels[item.action]?.description && (
+                    <p className="text-xs text-gray-500">{actionLabels[item.action].description}</p>
+                  )}
+                </div>
+                <input
+                  type="checkbox"
+                  checked={item.enabled}
+                  onChange={() => toggleAction(item.action)}
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                />
+              </label>
+            ))}
+          </div>
+        </section>
+
+        {/* ======================================================================
+            MUTED TEAMS
+        ====================================================================== */}
+        <section className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Muted teams</h2>
+          <p className="text-sm text-gray-600 mb-4">You get no notifications about teams you mute.</p>
+          {teams.length === 0 ? (
+            <p className="text-sm text-gray-500">You are not a member of any team yet.</p>
+          ) : (
+            <div className="divide-y divide-gray-100">
+              {teams.map(team => (
+                <label key={team.teamId} className="flex items-center justify-between py-3 cursor-pointer">
+                  <div className="flex items-center space-x-2">
+                    <span>{team.icon || '📁'}</span>
+                    <span className="text-sm font-medium text-gray-900">{team.name}</span>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <span className="text-xs text-gray-500">{mutedTeamIds.includes(team.teamId) ? 'Muted' : ''}</span>
+                    <input
+                      type="checkbox"
+                      checked={mutedTeamIds.includes(team.teamId)}
+                      onChange={() => toggleTeamMuted(team.teamId)}
+                      className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                    />
+                  </div>
+                </label>
+              ))}
+            </div>
+          )}
+        </section>
+
+        {/* ======================================================================
+            EMAIL DELIVERY
+        ====================================================================== */}
+        <section className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Email delivery</h2>
+          <div className="space-y-3">
+            <label className="flex items-start space-x-3 cursor-pointer">
+              <input
+                type="radio"
+                name="deliveryMode"
+                value="instant"
+                checked={deliveryMode === 'instant'}
+                onChange={() => setDeliveryMode('instant')}
+                className="mt-1 h-4 w-4 text-blue-600 border-gray-300 focus:ring-blue-500"
+              />
+              <div>
+                <p className="text-sm font-medium text-gray-900">Instant</p>
+                <p className="text-xs text-gray-500">Email each notification as it happens</p>
+              </div>
+            </label>
+            <label className="flex items-start space-x-3 cursor-pointer">
+              <input
+                type="radio"
+                name="deliveryMode"
+                value="digest"
+                checked={deliveryMode === 'digest'}
+                onChange={() => setDeliveryMode('digest')}
+                className="mt-1 h-4 w-4 text-blue-600 border-gray-300 focus:ring-blue-500"
+              />
+              <div>
+                <p className="text-sm font-medium text-gray-900">Daily digest</p>
+                <p className="text-xs text-gray-500">One email a day with everything since the last digest</p>
+              </div>
+            </label>
+            {deliveryMode === 'digest' && (
+              <div className="ml-7">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Send digest at</label>
+                <select
+                  value={digestHour}
+                  onChange={(e) => setDigestHour(Number(e.target.value))}
+                  className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  {digestHours.map(hour => (
+                    <option key={hour} value={hour}>{String(hour).padStart(2, '0')}:00</option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+        </section>
+
+        {/* ======================================================================
+            QUIET HOURS
+        ====================================================================== */}
+        <section className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+          <label className="flex items-center justify-between cursor-pointer">
+            <div>
+              <h2 className="text-lg font-semibold text-gray-900">Quiet hours</h2>
+              <p className="text-sm text-gray-600">Emails are held back and sent when quiet hours end.</p>
+            </div>
+            <input
+              type="checkbox"
+              checked={quietHoursEnabled}
+              onChange={() => setQuietHoursEnabled(!quietHoursEnabled)}
+              className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+            />
+          </label>
+          {quietHoursEnabled && (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+                <input
+                  type="time"
+                  value={quietHoursStart}
+                  onChange={(e) => setQuietHoursStart(e.target.value)}
+                  required
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Until</label>
+                <input
+                  type="time"
+                  value={quietHoursEnd}
+                  onChange={(e) => setQuietHoursEnd(e.target.value)}
+                  required
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+              </div>
+            </div>
+          )}
+          <div className="mt-4">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Time zone</label>
+            <select
+              value={timeZone}
+              onChange={(e) => setTimeZone(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {getTimeZoneOptions(timeZone).map(zone => (
+                <option key={zone} value={zone}>{zone}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">Used for quiet hours and the digest time</p>
+          </div>
+        </section>
+
+        {/* Form Actions */}
+        <div className="flex justify-end">
+          <button
+            type="submit"
+            disabled={saving}
+            className="bg-blue-600 hover:bg-blue-700 disabled:bg-blue-300 text-white px-6 py-2 rounded-lg text-sm font-medium transition-colors"
+          >
+            {saving ? 'Saving...' : 'Save Settings'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default NotificationSettings;
@@ -0,0 +1,226 @@
+import { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { generateClient } from 'aws-amplify/api';
+import { searchAllTeams } from '../graphql/queries';
+import LoadingSpinner from './LoadingSpinner';
+import ErrorMessage from './ErrorMessage';
+import HighlightedText from './HighlightedText';
+import { categoryColors, getStatusCategory } from '../utils/workflow';
+import { getHighlight } from '../utils/search';
+
+// Initialize AWS Amplify GraphQL client for API operations
+const client = generateClient();
+
+// Number of results requested; the server returns the best matches first
+const SEARCH_LIMIT = 50;
+
+// Color mappings for priority badges
+const priorityColors = {
+  'Low': 'bg-green-100 text-green-800',
+  'Medium': 'bg-yellow-100 text-yellow-800',
+  'High': 'bg-red-100 text-red-800'
+};
+
+// Qualifiers shown in the syntax help, with what they match
+const searchTips = [
+  { example: 'assignee:me', text: 'tasks assigned to you (or assignee:none, a name or an email)' },
+  { example: 'status:open', text: 'tasks not done yet (or a status name such as status:done)' },
+  { example: 'priority:high', text: 'tasks with a priority' },
+  { example: 'label:"needs review"', text: 'tasks with a label; quote values with spaces' },
+  { example: 'title:login', text: 'words that must appear in the title (or description:)' }
+];
+
+/**
+ * SearchPage Component - Full-text search over the tasks of every team the user belongs to
+ *
+ * Features:
+ * - Ranked results with matched words highlighted in the title and description
+ * - Typo-tolerant matching and qualifiers such as assignee:me or status:open
+ * - The query is kept in the URL (?q=) so searches can be shared and revisited
+ *
+ * @param {Object} user - Current authenticated user object from AWS Cognito
+ */
+function SearchPage({ user }) {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = searchParams.get('q') || ''; // Query the results are for
+  const [searchTerm, setSearchTerm] = useState(query); // Search input value
+  const [hits, setHits] = useState([]); // Search hits, best match first
+  const [loading, setLoading] = useState(false); // Loading state while searching
+  const [error, setError] = useState(null); // Error messages for user feedback
+
+  /**
+   * Runs the search whenever the query in the URL changes
+   */
+  useEffect(() => {
+    setSearchTerm(query);
+    if (!user?.userId || !query.trim()) {
+      setHits([]);
+      return;
+    }
+    runSearch(query.trim());
+  }, [user, query]);
+
+  /**
+   * Searches every team of the current user
+   *
+   * @param {string} searchQuery - Query text, including any qualifiers
+   */
+  async function runSearch(searchQuery) {
+    try {
+      setLoading(true);
+      setError(null);
+
+      console.log('SearchPage - Searching all teams with query:', searchQuery);
+
+      const response = await client.graphql({
+        query: searchAllTeams,
+        variables: { query: searchQuery, limit: SEARCH_LIMIT },
+        authMode: 'userPool'
+      });
+
+      setHits(response.data?.searchAllTeams || []);
+    } catch (err) {
+      console.error('SearchPage - Search error:', err);
+
+      let errorMessage = 'Search failed. ';
+      if (err.errors && err.errors.length > 0) {
+        errorMessage += err.errors[0].message || 'Please try again.';
+      } else {
+        errorMessage += err.message || 'Please try again.';
+      }
+      setError(errorMessage);
+      setHits([]);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    const trimmed = searchTerm.trim();
+    setSearchParams(trimmed ? { q: trimmed } : {});
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      {/* ========================================================================
+          HEADER SECTION
+      ======================================================================== */}
+      <div className="mb-8">
+        {/* Breadcrumb Navigation */}
+        <div className="flex items-center space-x-2 mb-2">
+          <Link to="/" className="text-gray-500 hover:text-gray-700 text-sm font-medium">
+            Dashboard
+          </Link>
+          <span className="text-gray-400">/</span>
+          <span className="text-gray-900 text-sm font-medium">Search</span>
+        </div>
+
+        <h1 className="text-3xl font-bold text-gray-900">Search</h1>
+        <p className="text-gray-600 mt-1">Find tasks in all of your teams</p>
+      </div>
+
+      {/* Search Form */}
+      <form onSubmit={handleSubmit} className="flex gap-2 mb-6">
+        <input
+          type="text"
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          placeholder="e.g. login bug assignee:me status:open"
+          className="flex-1 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          autoFocus
+        />
+        <button
+          type="submit"
+          disabled={loading || !searchTerm.trim()}
+          className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white px-6 py-3 rounded-lg text-sm font-medium transition-colors"
+        >
+          {loading ? 'Searching...' : 'Search'}
+        </button>
+      </form>
+
+      {/* Error Message */}
+      {error && (
+        <div className="mb-6">
+          <ErrorMessage message={error} onDismiss={() => setError(null)} />
+        </div>
+      )}
+
+      {/* ========================================================================
+          RESULTS
+          - Syntax help before the first search, a spinner while searching
+      ======================================================================== */}
+      {loading ? (
+        <LoadingSpinner message="Searching..." />
+      ) : !query ? (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-2">Search tips</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Words are matched in task titles and descriptions, allowing for small typos; the last word
+            also matches longer words it starts. Narrow the results with qualifiers:
+          </p>
+          <ul className="space-y-2 text-sm">
+            {searchTips.map(tip => (
+              <li key={tip.example}>
+                <code className="px-2 py-0.5 bg-gray-100 rounded text-gray-800">{tip.example}</code>
+                <span className="text-gray-600 ml-2">{tip.text}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      ) : hits.length === 0 && !error ? (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 text-center py-12">
+          <div className="text-4xl mb-3">🔍</div>
+          <h3 className="text-lg font-medium text-gray-900 mb-1">No matching tasks</h3>
+          <p className="text-gray-600">Try fewer words or remove a qualifier.</p>
+        </div>
+      ) : (
+        <ul className="bg-white rounded-lg shadow-sm border border-gray-200 divide-y divide-gray-200">
+          {hits.map(hit => {
+            const task = hit.task;
+            const description = getHighlight(hit.highlights, 'description');
+            return (
+              <li key={`${hit.teamId}-${task.taskId}`} className="p-5 hover:bg-gray-50 transition-colors">
+                <div className="flex items-start justify-between gap-4">
+                  <div className="min-w-0">
+                    <span className="inline-block px-2 py-0.5 mb-1 bg-gray-100 text-gray-600 text-xs rounded-full">
+                      {hit.teamName || 'Team'}
+                    </span>
+                    <Link
+                      to={`/tasks/${hit.teamId}`}
+                      className="block font-semibold text-gray-900 hover:text-blue-600"
+                    >
+                      <HighlightedText highlight={getHighlight(hit.highlights, 'title')} fallback={task.title} />
+                    </Link>
+                    {description && (
+                      <p className="text-sm text-gray-600 mt-1">
+                        <HighlightedText highlight={description} />
+                      </p>
+                    )}
+                    {task.assignee && (
+                      <p className="text-xs text-gray-500 mt-1">
+                        Assigned to {task.assignee.name || task.assignee.email}
+                      </p>
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-2 flex-shrink-0">
+                    {task.priority && (
+                      <span className={`px-2 py-1 rounded-full text-xs font-medium ${priorityColors[task.priority]}`}>
+                        {task.priority}
+                      </span>
+                    )}
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${categoryColors[getStatusCategory([], task)]}`}>
+                      {task.status}
+                    </span>
+                  </div>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default SearchPage;
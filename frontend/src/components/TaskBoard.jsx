@@ -0,0 +1,461 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { generateClient } from 'aws-amplify/api';
+import { listTasks, getTeam } from '../graphql/queries';
+import { updateTask } from '../graphql/mutations';
+import { onTaskChanged } from '../graphql/subscriptions';
+import LoadingSpinner from './LoadingSpinner';
+import ErrorMessage from './ErrorMessage';
+import TaskViewToggle from './TaskViewToggle';
+import { describeRecurrence } from '../utils/recurrence';
+import { DEFAULT_WORKFLOW, categoryColors, isTaskDone, getAllowedStatuses } from '../utils/workflow';
+import { compareTaskRank, getTaskRank, rankBetween } from '../utils/rank';
+import { getChecklistProgress } from '../utils/checklist';
+import { getOpenBlockers } from '../utils/dependencies';
+
+// Initialize AWS Amplify GraphQL client for API operations
+const client = generateClient();
+
+// Tasks requested per page while loading the whole board
+const BOARD_PAGE_SIZE = 100;
+
+// Color mappings for priority badges - same as the list view
+const priorityColors = {
+  'Low': 'bg-green-100 text-green-800',
+  'Medium': 'bg-yellow-100 text-yellow-800',
+  'High': 'bg-red-100 text-red-800'
+};
+
+/**
+ * TaskBoard Component - Kanban view of a team's tasks
+ *
+ * Features:
+ * - One column per status of the team's workflow, in workflow order
+ * - Drag and drop between columns to change status (through updateTask)
+ * - Manual ordering within a column, saved as the task's rank
+ * - Columns a task is not allowed to move to do not accept the drop
+ * - Real-time updates from teammates through onTaskChanged
+ *
+ * Members can move the tasks assigned to them; admins can move any task.
+ *
+ * @param {Object} user - Current authenticated user object from AWS Cognito
+ */
+function TaskBoard({ user }) {
+  const { teamId } = useParams();
+
+  const [team, setTeam] = useState(null); // Team with workflow and the current user's role
+  const [tasks, setTasks] = useState([]); // Every task of the team
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [draggedTaskId, setDraggedTaskId] = useState(null); // Task being dragged
+  const [dropTarget, setDropTarget] = useState(null); // { status, index } where the dragged task would land
+  const [saving, setSaving] = useState({}); // taskId -> true while its move is being saved
+
+  useEffect(() => {
+    if (!teamId || !user?.userId) return;
+    fetchBoard();
+  }, [teamId, user]);
+
+  /**
+   * Real-time updates - same handling as the list view
+   */
+  useEffect(() => {
+    if (!teamId || !user?.userId) return;
+
+    const subscription = client.graphql({
+      query: onTaskChanged,
+      variables: { teamId },
+      authMode: 'userPool'
+    }).subscribe({
+      next: ({ data }) => {
+        const changedTask = data?.onTaskChanged;
+        if (!changedTask) return;
+
+        setTasks(prev => {
+          if (changedTask.deleted) {
+            return prev.filter(task => task.taskId !== changedTask.taskId);
+          }
+          const exists = prev.some(task => task.taskId === changedTask.taskId);
+          return exists
+            ? prev.map(task => task.taskId === changedTask.taskId ? { ...task, ...changedTask } : task)
+            : [...prev, changedTask];
+        });
+      },
+      error: (err) => console.error('TaskBoard - Task subscription error:', err)
+    });
+
+    return () => subscription.unsubscribe();
+  }, [teamId, user]);
+
+  /**
+   * Loads the team and all of its tasks
+   * The board needs every task to place ranks correctly, so all pages are fetched
+   */
+  async function fetchBoard() {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const loadTasks = async () => {
+        const allTasks = [];
+        let pageToken = null;
+        do {
+          const response = await client.graphql({
+            query: listTasks,
+            variables: { teamId, limit: BOARD_PAGE_SIZE, nextToken: pageToken },
+            authMode: 'userPool'
+          });
+          allTasks.push(...(response.data?.listTasks?.items || []));
+          pageToken = response.data?.listTasks?.nextToken || null;
+        } while (pageToken);
+        return allTasks;
+      };
+
+      const [teamResponse, allTasks] = await Promise.all([
+        client.graphql({ query: getTeam, variables: { teamId }, authMode: 'userPool' }),
+        loadTasks()
+      ]);
+
+      console.log('TaskBoard - Loaded', allTasks.length, 'tasks for team:', teamId);
+      setTeam(teamResponse.data?.getTeam || null);
+      setTasks(allTasks);
+    } catch (err) {
+      console.error('TaskBoard - Fetch board error:', err);
+
+      let errorMessage = 'Failed to load the board. ';
+      if (err.errors && err.errors.length > 0) {
+        errorMessage += err.errors[0].message || 'Please try again.';
+      } else {
+        errorMessage += err.message || 'Please try again.';
+      }
+      setError(errorMessage);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const workflow = team?.workflow?.length > 0 ? team.workflow : DEFAULT_WORKFLOW;
+  const isAdmin = team?.isAdmin || team?.userRole === 'admin';
+
+  // All identifiers the current user may appear under in assignedTo (see TaskList)
+  const possibleUserIds = [
+    user?.userId,
+    user?.sub,
+    user?.username,
+    user?.email,
+    user?.signInDetails?.loginId,
+    user?.attributes?.email
+  ].filter(Boolean);
+
+  const isAssignedToUser = (task) => possibleUserIds.some(id => id === task.assignedTo);
+  const canMove = (task) => !team?.archived && (isAdmin || isAssignedToUser(task));
+
+  /**
+   * Tasks per workflow status, each column ordered by rank
+   */
+  const columns = useMemo(() => {
+    const byStatus = {};
+    for (const status of workflow) {
+      byStatus[status.name] = tasks.filter(task => task.status === status.name).sort(compareTaskRank);
+    }
+    return byStatus;
+  }, [tasks, workflow]);
+
+  const draggedTask = draggedTaskId ? tasks.find(task => task.taskId === draggedTaskId) : null;
+
+  /**
+   * Whether the dragged task may be dropped into a column
+   * Its own column always accepts it, so it can be reordered
+   */
+  function acceptsDrop(statusName) {
+    if (!draggedTask) return false;
+    return draggedTask.status === statusName
+      || getAllowedStatuses(workflow, draggedTask.status).some(status => status.name === statusName);
+  }
+
+  function handleDragStart(event, task) {
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', task.taskId);
+    setDraggedTaskId(task.taskId);
+  }
+
+  function handleDragEnd() {
+    setDraggedTaskId(null);
+    setDropTarget(null);
+  }
+
+  /**
+   * Tracks the drop position while hovering a card - above or below it depending on the pointer
+   */
+  function handleCardDragOver(event, statusName, index) {
+    if (!acceptsDrop(statusName)) return;
+    event.preventDefault();
+    event.stopPropagation();
+    const rect = event.currentTarget.getBoundingClientRect();
+    const below = event.clientY > rect.top + rect.height / 2;
+    const nextIndex = index + (below ? 1 : 0);
+    if (dropTarget?.status !== statusName || dropTarget?.index !== nextIndex) {
+      setDropTarget({ status: statusName, index: nextIndex });
+    }
+  }
+
+  /**
+   * Hovering the empty part of a column drops at the bottom
+   */
+  function handleColumnDragOver(event, statusName) {
+    if (!acceptsDrop(statusName)) return;
+    event.preventDefault();
+    const endIndex = columns[statusName].length;
+    if (dropTarget?.status !== statusName || dropTarget?.index !== endIndex) {
+      setDropTarget({ status: statusName, index: endIndex });
+    }
+  }
+
+  /**
+   * Moves the dragged task to the drop position and saves its status and rank
+   * The move shows immediately and is rolled back if the server refuses it
+   */
+  async function handleDrop(event, statusName) {
+    event.preventDefault();
+    const task = draggedTask;
+    const target = dropTarget;
+    handleDragEnd();
+    if (!task || !target || target.status !== statusName) return;
+
+    // Neighbours at the drop position, ignoring the dragged task itself
+    const columnTasks = columns[statusName];
+    const currentIndex = columnTasks.findIndex(t => t.taskId === task.taskId);
+    const insertAt = currentIndex !== -1 && currentIndex < target.index ? target.index - 1 : target.index;
+    if (currentIndex !== -1 && currentIndex === insertAt) {
+      return; // Dropped where it already was
+    }
+    const others = columnTasks.filter(t => t.taskId !== task.taskId);
+    const before = others[insertAt - 1];
+    const after = others[insertAt];
+    const rank = rankBetween(before ? getTaskRank(before) : null, after ? getTaskRank(after) : null);
+
+    setTasks(prev => prev.map(t => t.taskId === task.taskId ? { ...t, status: statusName, rank } : t));
+
+    try {
+      setSaving(prev => ({ ...prev, [task.taskId]: true }));
+      setError(null);
+
+      console.log('TaskBoard - Moving task:', { taskId: task.taskId, status: statusName, rank });
+
+      const response = await client.graphql({
+        query: updateTask,
+        variables: { teamId, taskId: task.taskId, status: statusName, rank },
+        authMode: 'userPool'
+      });
+
+      const updatedTask = response.data?.updateTask;
+      if (updatedTask) {
+        setTasks(prev => prev.map(t => t.taskId === task.taskId ? { ...t, ...updatedTask } : t));
+        // The server re-spaces a column whose ranks got long, which moves every task's rank
+        if (updatedTask.rank && updatedTask.rank !== rank) {
+          fetchBoard();
+        }
+      }
+    } catch (err) {
+      console.error('TaskBoard - Move task error:', err);
+
+      // Put the task back where it was
+      setTasks(prev => prev.map(t => t.taskId === task.taskId ? { ...t, status: task.status, rank: task.rank } : t));
+
+      let errorMessage = 'Failed to move task: ';
+      if (err.errors && err.errors.length > 0) {
+        errorMessage += err.errors[0].message || 'Unknown error';
+      } else {
+        errorMessage += err.message || 'Unknown error';
+      }
+      setError(errorMessage);
+    } finally {
+      setSaving(prev => ({ ...prev, [task.taskId]: false }));
+    }
+  }
+
+  if (loading && tasks.length === 0) {
+    return <LoadingSpinner message="Loading board..." />;
+  }
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      {/* Header */}
+      <div className="flex flex-wrap justify-between items-center gap-4 mb-8">
+        <div>
+          <div className="flex items-center space-x-2 mb-2">
+            <Link to="/" className="text-gray-500 hover:text-gray-700 text-sm font-medium">
+              Dashboard
+            </Link>
+            <span className="text-gray-400">/</span>
+            <span className="text-gray-900 text-sm font-medium">Board</span>
+          </div>
+          <h1 className="text-3xl font-bold text-gray-900">{team?.name ? `${team.name} Board` : 'Team Board'}</h1>
+          <p className="text-gray-600 mt-1">
+            {tasks.length} tasks
+            {team?.archived && (
+              <span className="ml-2 px-2 py-1 bg-gray-100 text-gray-700 text-xs rounded-full">Archived - read-only</span>
+            )}
+          </p>
+        </div>
+
+        <div className="flex items-center space-x-3">
+          <TaskViewToggle teamId={teamId} view="board" />
+          {isAdmin && !team?.archived && (
+            <Link
+              to={`/create-task/${teamId}`}
+              className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+            >
+              New Task
+            </Link>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-6">
+          <ErrorMessage message={error} onDismiss={() => setError(null)} />
+          {error.includes('Failed to load') && (
+            <div className="mt-3">
+              <button
+                onClick={fetchBoard}
+                className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+              >
+                Try Again
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Columns */}
+      <div className="flex gap-4 overflow-x-auto pb-4">
+        {workflow.map(status => {
+          const columnTasks = columns[status.name] || [];
+          const isDropColumn = dropTarget?.status === status.name;
+          const blocked = draggedTask && !acceptsDrop(status.name);
+
+          return (
+            <section
+              key={status.name}
+              onDragOver={(e) => handleColumnDragOver(e, status.name)}
+              onDrop={(e) => handleDrop(e, status.name)}
+              className={`flex-shrink-0 w-72 rounded-lg border p-3 transition-colors ${
+                isDropColumn ? 'bg-blue-50 border-blue-300' : 'bg-gray-50 border-gray-200'
+              } ${blocked ? 'opacity-50' : ''}`}
+            >
+              {/* Column Header */}
+              <div className="flex items-center justify-between mb-3">
+                <span className={`px-2 py-1 rounded-full text-xs font-medium ${categoryColors[status.category]}`}>
+                  {status.name}
+                </span>
+                <span className="text-xs text-gray-500">{columnTasks.length}</span>
+              </div>
+
+              <div className="space-y-2 min-h-[4rem]">
+                {columnTasks.map((task, index) => (
+                  <div key={task.taskId}>
+                    {isDropColumn && dropTarget.index === index && <DropIndicator />}
+                    <BoardCard
+                      task={task}
+                      workflow={workflow}
+                      blocked={getOpenBlockers(workflow, task, tasks).length > 0}
+                      isAssigned={isAssignedToUser(task)}
+                      draggable={canMove(task) && !saving[task.taskId]}
+                      dragging={task.taskId === draggedTaskId}
+                      saving={saving[task.taskId]}
+                      onDragStart={(e) => handleDragStart(e, task)}
+                      onDragEnd={handleDragEnd}
+                      onDragOver={(e) => handleCardDragOver(e, status.name, index)}
+                    />
+                  </div>
+                ))}
+                {isDropColumn && dropTarget.index === columnTasks.length && <DropIndicator />}
+                {columnTasks.length === 0 && !isDropColumn && (
+                  <p className="text-xs text-gray-400 text-center py-4">No tasks</p>
+                )}
+              </div>
+            </section>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * DropIndicator Component - Line showing where a dragged card will land
+ */
+function DropIndicator() {
+  return <div className="h-1 bg-blue-500 rounded-full my-1" />;
+}
+
+/**
+ * BoardCard Component - Compact task card for a board column
+ *
+ * @param {Object} task - Task object from GraphQL API
+ * @param {Array} workflow - Team workflow statuses, used for the overdue check
+ * @param {boolean} blocked - Whether a task this one waits for is not done yet
+ * @param {boolean} isAssigned - Whether the task is assigned to the current user
+ * @param {boolean} draggable - Whether the current user may move the task
+ * @param {boolean} dragging - Whether this card is being dragged
+ * @param {boolean} saving - Whether a move of this task is being saved
+ * @param {Function} onDragStart - Drag start handler
+ * @param {Function} onDragEnd - Drag end handler
+ * @param {Function} onDragOver - Handler tracking the drop position over this card
+ */
+function BoardCard({ task, workflow, blocked, isAssigned, draggable, dragging, saving, onDragStart, onDragEnd, onDragOver }) {
+  const isOverdue = task.deadline && new Date(task.deadline) < new Date() && !isTaskDone(workflow, task);
+  const assigneeName = task.assignee?.name || task.assignee?.email || task.assignedTo;
+  const checklistProgress = getChecklistProgress(task);
+
+  return (
+    <div
+      draggable={draggable}
+      onDragStart={onDragStart}
+      onDragEnd={onDragEnd}
+      onDragOver={onDragOver}
+      className={`bg-white rounded-lg border p-3 shadow-sm transition-opacity ${
+        isOverdue ? 'border-red-300' : 'border-gray-200'
+      } ${draggable ? 'cursor-move hover:shadow' : 'cursor-default'} ${dragging || saving ? 'opacity-50' : ''}`}
+    >
+      <p className="text-sm font-medium text-gray-900 mb-2 break-words">{task.title}</p>
+
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        {task.priority && (
+          <span className={`px-2 py-0.5 rounded-full font-medium ${priorityColors[task.priority]}`}>
+            {task.priority}
+          </span>
+        )}
+        {task.deadline && (
+          <span className={isOverdue ? 'text-red-600 font-medium' : 'text-gray-500'}>
+            {isOverdue ? '⚠️ ' : ''}Due {new Date(task.deadline).toLocaleDateString()}
+          </span>
+        )}
+        {blocked && (
+          <span className="px-2 py-0.5 rounded-full font-medium bg-orange-100 text-orange-800">
+            ⛔ Blocked
+          </span>
+        )}
+        {task.recurrence && (
+          <span className="text-indigo-600" title={describeRecurrence(task.recurrence)}>🔁</span>
+        )}
+        {checklistProgress.total > 0 && (
+          <span className={checklistProgress.done === checklistProgress.total ? 'text-green-600' : 'text-gray-500'}>
+            ☑ {checklistProgress.done}/{checklistProgress.total}
+          </span>
+        )}
+      </div>
+
+      <p className="text-xs text-gray-500 mt-2 truncate">
+        {task.assignedTo ? (
+          isAssigned ? <span className="font-medium text-blue-600">Assigned to you</span> : assigneeName
+        ) : (
+          'Unassigned'
+        )}
+      </p>
+    </div>
+  );
+}
+
+export default TaskBoard;
@@ -0,0 +1,221 @@
+import { useState } from 'react';
+import { generateClient } from 'aws-amplify/api';
+import { addChecklistItem, toggleChecklistItem, reorderChecklistItems, removeChecklistItem } from '../graphql/mutations';
+import ErrorMessage from './ErrorMessage';
+import { getChecklistProgress } from '../utils/checklist';
+
+// Initialize AWS Amplify GraphQL client for API operations
+const client = generateClient();
+
+// Same limits the server enforces
+const MAX_ITEMS = 50;
+const MAX_TITLE_LENGTH = 200;
+
+/**
+ * TaskChecklist Component - Ordered list of small steps inside a task
+ *
+ * Features:
+ * - Progress bar with done/total count
+ * - Tick items off, move them up or down and remove them
+ * - Add items, optionally assigned to a team member
+ * - Read-only for members who are neither the task's assignee nor an admin
+ *
+ * @param {Object} task - Task with its checklist
+ * @param {Array} members - Team memberships (with user profiles) for the assignee picker
+ * @param {boolean} canEdit - Whether the current user may change the checklist
+ * @param {Function} onTaskUpdated - Callback with the updated task after each change
+ */
+function TaskChecklist({ task, members = [], canEdit, onTaskUpdated }) {
+  const [newTitle, setNewTitle] = useState('');
+  const [newAssignee, setNewAssignee] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const items = task.checklist || [];
+  const progress = getChecklistProgress(task);
+  const percent = progress.total > 0 ? Math.round((progress.done / progress.total) * 100) : 0;
+
+  /**
+   * Runs one checklist mutation and hands the updated task to the parent
+   *
+   * @param {Object} mutation - GraphQL mutation document
+   * @param {string} resultField - Name of the mutation's result field
+   * @param {Object} variables - Variables besides teamId and taskId
+   * @param {string} failureMessage - Prefix for the error banner
+   * @returns {boolean} - Whether the change was saved
+   */
+  async function runMutation(mutation, resultField, variables, failureMessage) {
+    try {
+      setBusy(true);
+      setError(null);
+
+      const response = await client.graphql({
+        query: mutation,
+        variables: { teamId: task.teamId, taskId: task.taskId, ...variables },
+        authMode: 'userPool'
+      });
+
+      const updatedTask = response.data?.[resultField];
+      if (updatedTask) {
+        onTaskUpdated?.(updatedTask);
+      }
+      return true;
+    } catch (err) {
+      console.error(`TaskChecklist - ${resultField} error:`, err);
+
+      let errorMessage = failureMessage;
+      if (err.errors && err.errors.length > 0) {
+        errorMessage += err.errors[0].message || 'Please try again.';
+      } else {
+        errorMessage += err.message || 'Please try again.';
+      }
+      setError(errorMessage);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleAdd(e) {
+    e.preventDefault();
+    if (!newTitle.trim()) return;
+
+    const saved = await runMutation(addChecklistItem, 'addChecklistItem', {
+      title: newTitle.trim(),
+      assignedTo: newAssignee || null
+    }, 'Failed to add item. ');
+    if (saved) {
+      setNewTitle('');
+      setNewAssignee('');
+    }
+  }
+
+  function handleToggle(item) {
+    runMutation(toggleChecklistItem, 'toggleChecklistItem', { itemId: item.itemId, done: !item.done }, 'Failed to update item. ');
+  }
+
+  function handleMove(index, offset) {
+    const itemIds = items.map(item => item.itemId);
+    const [moved] = itemIds.splice(index, 1);
+    itemIds.splice(index + offset, 0, moved);
+    runMutation(reorderChecklistItems, 'reorderChecklistItems', { itemIds }, 'Failed to reorder checklist. ');
+  }
+
+  function handleRemove(item) {
+    runMutation(removeChecklistItem, 'removeChecklistItem', { itemId: item.itemId }, 'Failed to remove item. ');
+  }
+
+  // Hide the whole section from read-only users when there is nothing to show
+  if (items.length === 0 && !canEdit) {
+    return null;
+  }
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-semibold text-gray-900">Checklist</h3>
+        {progress.total > 0 && (
+          <span className="text-xs text-gray-500">{progress.done}/{progress.total} done</span>
+        )}
+      </div>
+
+      {progress.total > 0 && (
+        <div className="h-1.5 bg-gray-100 rounded-full mb-3 overflow-hidden">
+          <div className="h-full bg-green-500 transition-all" style={{ width: `${percent}%` }} />
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-3">
+          <ErrorMessage message={error} onDismiss={() => setError(null)} />
+        </div>
+      )}
+
+      {/* Items */}
+      <ul className="space-y-1">
+        {items.map((item, index) => (
+          <li key={item.itemId} className="group flex items-center gap-2 py-1">
+            <input
+              type="checkbox"
+              checked={item.done}
+              onChange={() => handleToggle(item)}
+              disabled={!canEdit || busy}
+              className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+            />
+            <span className={`flex-1 text-sm break-words ${item.done ? 'line-through text-gray-400' : 'text-gray-800'}`}>
+              {item.title}
+            </span>
+            {item.assignedTo && (
+              <span className="text-xs text-gray-500 whitespace-nowrap">
+                {item.assignee?.name || item.assignee?.email || item.assignedTo}
+              </span>
+            )}
+            {canEdit && (
+              <div className="flex items-center space-x-1 opacity-0 group-hover:opacity-100 focus-within:opacity-100">
+                <button
+                  onClick={() => handleMove(index, -1)}
+                  disabled={busy || index === 0}
+                  className="text-gray-400 hover:text-gray-700 disabled:opacity-30 text-xs px-1"
+                  title="Move up"
+                >
+                  ▲
+                </button>
+                <button
+                  onClick={() => handleMove(index, 1)}
+                  disabled={busy || index === items.length - 1}
+                  className="text-gray-400 hover:text-gray-700 disabled:opacity-30 text-xs px-1"
+                  title="Move down"
+                >
+                  ▼
+                </button>
+                <button
+                  onClick={() => handleRemove(item)}
+                  disabled={busy}
+                  className="text-gray-400 hover:text-red-600 disabled:opacity-30 text-sm px-1"
+                  title="Remove item"
+                >
+                  ×
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {/* Add Item Form */}
+      {canEdit && items.length < MAX_ITEMS && (
+        <form onSubmit={handleAdd} className="flex flex-wrap gap-2 mt-2">
+          <input
+            type="text"
+            value={newTitle}
+            maxLength={MAX_TITLE_LENGTH}
+            onChange={(e) => setNewTitle(e.target.value)}
+            placeholder="Add an item..."
+            className="flex-1 min-w-[10rem] px-3 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <select
+            value={newAssignee}
+            onChange={(e) => setNewAssignee(e.target.value)}
+            className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="">No assignee</option>
+            {members.map(member => (
+              <option key={member.userId} value={member.userId}>
+                {member.user?.name || member.user?.email || member.userId}
+              </option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={busy || !newTitle.trim()}
+            className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white px-3 py-1.5 rounded-lg text-sm font-medium transition-colors"
+          >
+            Add
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default TaskChecklist;
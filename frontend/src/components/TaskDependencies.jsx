@@ -0,0 +1,212 @@
+import { useState } from 'react';
+import { generateClient } from 'aws-amplify/api';
+import { linkTaskDependency, unlinkTaskDependency } from '../graphql/mutations';
+import ErrorMessage from './ErrorMessage';
+import { categoryColors, getStatusCategory, isTaskDone } from '../utils/workflow';
+import { getBlockers } from '../utils/dependencies';
+
+// Initialize AWS Amplify GraphQL client for API operations
+const client = generateClient();
+
+// Same limit the server enforces
+const MAX_BLOCKERS = 20;
+
+/**
+ * TaskDependencies Component - Tasks blocking a task and tasks waiting for it
+ *
+ * Features:
+ * - "Blocked by" list with each blocker's status, removable by the assignee or an admin
+ * - Add a blocker from the tasks loaded in the list (the server refuses cycles)
+ * - "Blocks" list of the loaded tasks waiting for this one
+ * - Clicking a task jumps to it
+ *
+ * @param {Object} task - Task with blockedBy, blocks and blockers
+ * @param {Array} tasks - Tasks loaded in the list, for names, live statuses and the blocker picker
+ * @param {Array} workflow - Team workflow statuses for the status badges
+ * @param {boolean} canEdit - Whether the current user may change the task's dependencies
+ * @param {Function} onTaskUpdated - Callback with each changed task (also called with a partial blocker)
+ * @param {Function} onJumpToTask - Callback with the ID of a task to open
+ */
+function TaskDependencies({ task, tasks, workflow, canEdit, onTaskUpdated, onJumpToTask }) {
+  const [newBlockerId, setNewBlockerId] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const blockedBy = task.blockedBy || [];
+  const blockers = getBlockers(task, tasks);
+  const loadedById = new Map(tasks.map(t => [t.taskId, t]));
+  const blockedTasks = (task.blocks || []).map(taskId => loadedById.get(taskId)).filter(Boolean);
+  const unloadedBlockedCount = (task.blocks || []).length - blockedTasks.length;
+  const candidates = tasks.filter(t => t.taskId !== task.taskId && !blockedBy.includes(t.taskId));
+
+  /**
+   * Runs a link or unlink mutation, then updates the blocked task and the blocker's blocks list
+   *
+   * @param {Object} mutation - GraphQL mutation document
+   * @param {string} resultField - Name of the mutation's result field
+   * @param {string} blockerId - ID of the blocking task
+   * @param {string} failureMessage - Prefix for the error banner
+   * @returns {boolean} - Whether the change was saved
+   */
+  async function runMutation(mutation, resultField, blockerId, failureMessage) {
+    try {
+      setBusy(true);
+      setError(null);
+
+      const response = await client.graphql({
+        query: mutation,
+        variables: { teamId: task.teamId, taskId: task.taskId, blockedByTaskId: blockerId },
+        authMode: 'userPool'
+      });
+
+      const updatedTask = response.data?.[resultField];
+      if (updatedTask) {
+        onTaskUpdated?.(updatedTask);
+      }
+
+      // The blocker is not sent to subscribers, so keep its loaded copy in step
+      const blocker = loadedById.get(blockerId);
+      if (blocker) {
+        const blocks = (blocker.blocks || []).filter(taskId => taskId !== task.taskId);
+        onTaskUpdated?.({
+          taskId: blockerId,
+          blocks: mutation === linkTaskDependency ? [...blocks, task.taskId] : blocks
+        });
+      }
+      return true;
+    } catch (err) {
+      console.error(`TaskDependencies - ${resultField} error:`, err);
+
+      let errorMessage = failureMessage;
+      if (err.errors && err.errors.length > 0) {
+        errorMessage += err.errors[0].message || 'Please try again.';
+      } else {
+        errorMessage += err.message || 'Please try again.';
+      }
+      setError(errorMessage);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleAdd(e) {
+    e.preventDefault();
+    if (!newBlockerId) return;
+
+    const saved = await runMutation(linkTaskDependency, 'linkTaskDependency', newBlockerId, 'Failed to add blocker. ');
+    if (saved) {
+      setNewBlockerId('');
+    }
+  }
+
+  function handleRemove(blockerId) {
+    runMutation(unlinkTaskDependency, 'unlinkTaskDependency', blockerId, 'Failed to remove blocker. ');
+  }
+
+  // Hide the whole section from read-only users when there is nothing to show
+  if (blockedBy.length === 0 && (task.blocks || []).length === 0 && !canEdit) {
+    return null;
+  }
+
+  return (
+    <div>
+      <h3 className="text-sm font-semibold text-gray-900 mb-2">Dependencies</h3>
+
+      {error && (
+        <div className="mb-3">
+          <ErrorMessage message={error} onDismiss={() => setError(null)} />
+        </div>
+      )}
+
+      {/* Blocked By */}
+      <p className="text-xs font-medium text-gray-500 uppercase mb-1">Blocked by</p>
+      {blockers.length > 0 ? (
+        <ul className="space-y-1 mb-2">
+          {blockers.map(blocker => (
+            <li key={blocker.taskId} className="group flex items-center gap-2 py-1">
+              <span className={isTaskDone(workflow, blocker) ? 'text-green-600' : 'text-red-600'}>
+                {isTaskDone(workflow, blocker) ? '✓' : '⛔'}
+              </span>
+              <button
+                onClick={() => onJumpToTask(blocker.taskId)}
+                className="flex-1 text-sm text-left text-blue-600 hover:text-blue-800 break-words"
+                title="Open this task"
+              >
+                {blocker.title}
+              </button>
+              <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${categoryColors[getStatusCategory(workflow, blocker)]}`}>
+                {blocker.status}
+              </span>
+              {canEdit && (
+                <button
+                  onClick={() => handleRemove(blocker.taskId)}
+                  disabled={busy}
+                  className="text-gray-400 hover:text-red-600 disabled:opacity-30 text-sm px-1 opacity-0 group-hover:opacity-100 focus:opacity-100"
+                  title="Remove blocker"
+                >
+                  ×
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-400 mb-2">Nothing blocks this task.</p>
+      )}
+
+      {/* Add Blocker Form */}
+      {canEdit && blockedBy.length < MAX_BLOCKERS && candidates.length > 0 && (
+        <form onSubmit={handleAdd} className="flex gap-2 mb-3">
+          <select
+            value={newBlockerId}
+            onChange={(e) => setNewBlockerId(e.target.value)}
+            className="flex-1 min-w-0 px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="">Choose a blocking task...</option>
+            {candidates.map(candidate => (
+              <option key={candidate.taskId} value={candidate.taskId}>{candidate.title}</option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={busy || !newBlockerId}
+            className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white px-3 py-1.5 rounded-lg text-sm font-medium transition-colors"
+          >
+            Add
+          </button>
+        </form>
+      )}
+
+      {/* Blocks */}
+      {(task.blocks || []).length > 0 && (
+        <>
+          <p className="text-xs font-medium text-gray-500 uppercase mb-1 mt-3">Blocks</p>
+          <ul className="space-y-1">
+            {blockedTasks.map(blockedTask => (
+              <li key={blockedTask.taskId} className="flex items-center gap-2 py-1">
+                <button
+                  onClick={() => onJumpToTask(blockedTask.taskId)}
+                  className="flex-1 text-sm text-left text-blue-600 hover:text-blue-800 break-words"
+                  title="Open this task"
+                >
+                  {blockedTask.title}
+                </button>
+                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${categoryColors[getStatusCategory(workflow, blockedTask)]}`}>
+                  {blockedTask.status}
+                </span>
+              </li>
+            ))}
+          </ul>
+          {unloadedBlockedCount > 0 && (
+            <p className="text-xs text-gray-400 mt-1">
+              and {unloadedBlockedCount} more not loaded in this list
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TaskDependencies;
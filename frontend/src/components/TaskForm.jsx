@@ -5,32 +5,90 @@ import { useParams, useNavigate, Link } from 'react-router-dom';
 // Import AWS Amplify function to create GraphQL API client
 import { generateClient } from 'aws-amplify/api';
 // Import GraphQL mutations and queries for task and member operations
-import { createTask } from '../graphql/mutations';
-import { listMembers } from '../graphql/queries';
+import { createTask, updateTaskDetails } from '../graphql/mutations';
+import { listMembers, getTask, getTeam } from '../graphql/queries';
 // Import reusable UI components
 import LoadingSpinner from './LoadingSpinner';
 import ErrorMessage from './ErrorMessage';
+import { WEEKDAYS, getIntervalUnit } from '../utils/recurrence';
+import { labelColors } from '../utils/labels';
 
 // Create a GraphQL client instance for making API calls
 const client = generateClient();
 
-// TaskForm component for creating new tasks within a team
+// Same limit the server enforces
+const MAX_TASK_LABELS = 10;
+
+// Empty form values used when creating a new task
+const emptyFormData = {
+  title: '',           // Task title (required)
+  description: '',     // Task description (required)
+  assignedTo: '',      // User ID of assigned team member (optional)
+  deadline: '',        // Deadline date in YYYY-MM-DD format (optional)
+  priority: 'Medium',  // Priority level: Low, Medium, or High (default: Medium)
+  labels: []           // IDs of team labels to tag the task with (optional)
+};
+
+// Empty repeat settings - recurrence can only be set when creating a task
+const emptyRepeatData = {
+  mode: 'none',        // none, daily, weekly, monthly or custom (RRULE)
+  interval: '1',       // Repeat every this many days/weeks/months
+  weekdays: [],        // Weekday codes for weekly rules (default: the deadline's weekday)
+  monthDay: '',        // Day of the month for monthly rules (default: the deadline's day)
+  rrule: '',           // RRULE text for custom rules
+  until: ''            // Last possible due date in YYYY-MM-DD format (optional)
+};
+
+// Converts the repeat settings into the createTask recurrence input (null when not repeating)
+function repeatDataToRecurrence(repeatData) {
+  if (repeatData.mode === 'none') return null;
+  if (repeatData.mode === 'custom') return { rrule: repeatData.rrule.trim() };
+
+  const recurrence = { frequency: repeatData.mode, interval: Number(repeatData.interval) };
+  if (repeatData.mode === 'weekly' && repeatData.weekdays.length > 0) {
+    recurrence.weekdays = repeatData.weekdays;
+  }
+  if (repeatData.mode === 'monthly' && repeatData.monthDay) {
+    recurrence.monthDay = Number(repeatData.monthDay);
+  }
+  if (repeatData.until) {
+    recurrence.until = repeatData.until;
+  }
+  return recurrence;
+}
+
+// Converts a task from the API into form values (null fields become empty strings)
+// Labels the team has since deleted are dropped, so saving never sends unknown label IDs
+function taskToFormData(task, teamLabels = []) {
+  return {
+    title: task.title || '',
+    description: task.description || '',
+    assignedTo: task.assignedTo || '',
+    deadline: task.deadline ? task.deadline.split('T')[0] : '', // Date input expects YYYY-MM-DD
+    priority: task.priority || 'Medium',
+    labels: (task.labels || []).filter(labelId => teamLabels.some(label => label.labelId === labelId))
+  };
+}
+
+// TaskForm component for creating new tasks within a team, or editing an existing one
 // Only accessible to team administrators
 function TaskForm({ user }) {
   // Extract teamId from URL parameters (e.g., /create-task/team123)
-  const { teamId } = useParams();
+  // taskId is only present on the edit route (e.g., /edit-task/team123/task456)
+  const { teamId, taskId } = useParams();
+  const isEditMode = Boolean(taskId);
   
-  // State to store all form input data for the new task
-  const [formData, setFormData] = useState({
-    title: '',           // Task title (required)
-    description: '',     // Task description (required)
-    assignedTo: '',      // User ID of assigned team member (optional)
-    deadline: '',        // Deadline date in YYYY-MM-DD format (optional)
-    priority: 'Medium'   // Priority level: Low, Medium, or High (default: Medium)
-  });
+  // State to store all form input data for the task
+  const [formData, setFormData] = useState(emptyFormData);
+  // State to store the task's saved values in edit mode, used to detect changed fields
+  const [originalData, setOriginalData] = useState(null);
+  // State to store the repeat settings of a new task
+  const [repeatData, setRepeatData] = useState(emptyRepeatData);
   
-  // State to track if task creation is in progress
+  // State to track if task creation or update is in progress
   const [creating, setCreating] = useState(false);
+  // State to store the team's labels offered in the label picker
+  const [teamLabels, setTeamLabels] = useState([]);
   // State to track if team members are being loaded
   const [loading, setLoading] = useState(true);
   // State to store list of team members for assignment dropdown
@@ -47,7 +105,7 @@ function TaskForm({ user }) {
   // React Router hook for programmatic navigation
   const navigate = useNavigate();
 
-  // Effect hook to fetch team members when component mounts or dependencies change
+  // Effect hook to fetch team members (and the task when editing) when component mounts or dependencies change
   useEffect(() => {
     // Only proceed if we have valid teamId and user information
     if (teamId && user?.userId) {
@@ -58,7 +116,7 @@ function TaskForm({ user }) {
       setError('Invalid team or user information. Please refresh the page.');
       setLoading(false);
     }
-  }, [teamId, user]); // Re-run when teamId or user changes
+  }, [teamId, taskId, user]); // Re-run when teamId, taskId or user changes
 
   // Async function to fetch team members and validate user permissions
   async function fetchTeamMembers() {
@@ -72,25 +130,31 @@ function TaskForm({ user }) {
       console.log('TaskForm - Fetching members for team:', teamId, 'user:', user?.userId);
       console.log('TaskForm - Full user object:', user);
 
-      // Make GraphQL query to get team members list
-      const response = await client.graphql({
-        query: listMembers,     // GraphQL query to list team members
-        variables: { teamId },  // Pass teamId as variable
-        authMode: 'userPool'    // Use Cognito User Pool for authentication
-      });
+      // Make GraphQL queries to get the team members list, one page at a time
+      const membersList = [];
+      let nextToken = null;
+      do {
+        const response = await client.graphql({
+          query: listMembers,     // GraphQL query to list team members
+          variables: { teamId, limit: 100, nextToken },  // Pass teamId and page cursor as variables
+          authMode: 'userPool'    // Use Cognito User Pool for authentication
+        });
 
-      // Log response for debugging
-      console.log('TaskForm - Members response:', response);
+        // Log response for debugging
+        console.log('TaskForm - Members response:', response);
 
-      // Check if response contains expected data structure
-      if (!response.data?.listMembers) {
-        setTeamExists(false);
-        setError('Team not found or you do not have access to this team.');
-        return;
-      }
+        // Check if response contains expected data structure
+        if (!response.data?.listMembers) {
+          setTeamExists(false);
+          setError('Team not found or you do not have access to this team.');
+          return;
+        }
+
+        // Collect this page of members and move on to the next one
+        membersList.push(...(response.data.listMembers.items || []));
+        nextToken = response.data.listMembers.nextToken;
+      } while (nextToken);
 
-      // Extract members list from response
-      const membersList = response.data.listMembers;
       setMembers(membersList);
 
       // Log members data for debugging
@@ -133,9 +197,9 @@ function TaskForm({ user }) {
         setUserRole(currentUserMembership.role);
         console.log('TaskForm - User role set to:', currentUserMembership.role);
         
-        // Check if user is admin (only admins can create tasks)
+        // Check if user is admin (only admins can create or edit tasks)
         if (currentUserMembership.role !== 'admin') {
-          setError('Only team administrators can create tasks.');
+          setError(`Only team administrators can ${isEditMode ? 'edit' : 'create'} tasks.`);
           setTeamExists(false);
           return;
         }
@@ -147,6 +211,46 @@ function TaskForm({ user }) {
         return;
       }
 
+      // Load the team's labels for the label picker - a failure only leaves the picker empty
+      let labelsList = [];
+      try {
+        const teamResponse = await client.graphql({
+          query: getTeam,
+          variables: { teamId },
+          authMode: 'userPool'
+        });
+        labelsList = teamResponse.data?.getTeam?.labels || [];
+      } catch (labelsError) {
+        console.error('TaskForm - Fetch labels error:', labelsError);
+      }
+      setTeamLabels(labelsList);
+
+      // Pre-fill the form with the task's current values in edit mode
+      if (isEditMode) {
+        const taskResponse = await client.graphql({
+          query: getTask,                 // GraphQL query to get a single task
+          variables: { teamId, taskId },  // Identify the task being edited
+          authMode: 'userPool'
+        });
+
+        console.log('TaskForm - Task response:', taskResponse);
+
+        const task = taskResponse.data?.getTask;
+        if (!task) {
+          setTeamExists(false);
+          setError('Task not found.');
+          return;
+        }
+
+        const taskFormData = taskToFormData(task, labelsList);
+        setFormData(taskFormData);
+        setOriginalData(taskFormData);
+      } else {
+        // Reset the form when switching from an edit screen to the create screen
+        setFormData(emptyFormData);
+        setOriginalData(null);
+      }
+
     } catch (err) {
       // Handle errors during API call
       console.error('TaskForm - Fetch members error:', err);
@@ -164,7 +268,8 @@ function TaskForm({ user }) {
           errorMessage = 'You do not have permission to access this team.';
           setTeamExists(false);
         } else if (firstError.errorType === 'NotFoundError') {
-          errorMessage = 'Team not found.';
+          // Could be the team or, in edit mode, the task
+          errorMessage = firstError.message === 'Task not found' ? 'Task not found.' : 'Team not found.';
           setTeamExists(false);
         } else {
           errorMessage += firstError.message || 'Please try again.';
@@ -205,6 +310,36 @@ function TaskForm({ user }) {
     }
   };
 
+  // Adds or removes a label from the task
+  const toggleLabel = (labelId) => {
+    setFormData(prev => ({
+      ...prev,
+      labels: prev.labels.includes(labelId)
+        ? prev.labels.filter(id => id !== labelId)
+        : [...prev.labels, labelId]
+    }));
+  };
+
+  // Handler for repeat setting changes
+  const handleRepeatChange = (e) => {
+    const { name, value } = e.target;
+    setRepeatData(prev => ({ ...prev, [name]: value }));
+
+    if (validationErrors.recurrence) {
+      setValidationErrors(prev => ({ ...prev, recurrence: null }));
+    }
+  };
+
+  // Toggles a weekday of a weekly rule
+  const toggleRepeatWeekday = (code) => {
+    setRepeatData(prev => ({
+      ...prev,
+      weekdays: prev.weekdays.includes(code)
+        ? prev.weekdays.filter(day => day !== code)
+        : [...prev.weekdays, code]
+    }));
+  };
+
   // Function to validate all form fields before submission
   const validateForm = () => {
     const errors = {};
@@ -223,8 +358,9 @@ function TaskForm({ user }) {
       errors.description = 'Task description cannot exceed 1000 characters';
     }
 
-    // Deadline validation (only if provided)
-    if (formData.deadline) {
+    // Deadline validation (only if provided, and when editing only if it was changed -
+    // an existing deadline that has since passed should not block other edits)
+    if (formData.deadline && formData.deadline !== originalData?.deadline) {
       const deadlineDate = new Date(formData.deadline);
       const today = new Date();
       today.setHours(0, 0, 0, 0); // Set to start of day for accurate comparison
@@ -244,6 +380,23 @@ function TaskForm({ user }) {
       }
     }
 
+    // Repeat validation (create mode only) - the server checks the rule in full
+    if (!isEditMode && repeatData.mode !== 'none') {
+      const interval = Number(repeatData.interval);
+      const monthDay = Number(repeatData.monthDay);
+      if (repeatData.mode === 'custom') {
+        if (!repeatData.rrule.trim()) {
+          errors.recurrence = 'Enter an RRULE, e.g. FREQ=WEEKLY;BYDAY=MO,TH';
+        }
+      } else if (!Number.isInteger(interval) || interval < 1 || interval > 365) {
+        errors.recurrence = 'Repeat interval must be a whole number between 1 and 365';
+      } else if (repeatData.mode === 'monthly' && repeatData.monthDay && (!Number.isInteger(monthDay) || monthDay < 1 || monthDay > 31)) {
+        errors.recurrence = 'Day of the month must be between 1 and 31';
+      } else if (repeatData.until && formData.deadline && repeatData.until < formData.deadline) {
+        errors.recurrence = 'The end date cannot be before the deadline';
+      }
+    }
+
     return errors; // Return object with any validation errors
   };
 
@@ -261,6 +414,12 @@ function TaskForm({ user }) {
       return;
     }
 
+    // Edit mode saves through updateTaskDetails instead of createTask
+    if (isEditMode) {
+      await handleUpdate();
+      return;
+    }
+
     try {
       // Set creating state to show loading UI
       setCreating(true);
@@ -289,6 +448,13 @@ function TaskForm({ user }) {
       if (formData.deadline) {
         variables.deadline = formData.deadline;
       }
+      if (formData.labels.length > 0) {
+        variables.labels = formData.labels;
+      }
+      const recurrence = repeatDataToRecurrence(repeatData);
+      if (recurrence) {
+        variables.recurrence = recurrence;
+      }
 
       console.log('TaskForm - Mutation variables:', variables);
 
@@ -346,6 +512,96 @@ function TaskForm({ user }) {
     }
   }
 
+  // Handler for saving changes to an existing task
+  // Only fields that differ from the saved task are sent to the API
+  async function handleUpdate() {
+    // Collect changed fields, trimming text the same way createTask does
+    const variables = { teamId, taskId };
+    const trimmedData = {
+      ...formData,
+      title: formData.title.trim(),
+      description: formData.description.trim()
+    };
+    // Labels are a list, so they count as changed only when the IDs differ
+    const isSame = (field) => Array.isArray(trimmedData[field])
+      ? trimmedData[field].join(',') === originalData[field].join(',')
+      : trimmedData[field] === originalData[field];
+    const changedFields = Object.keys(trimmedData).filter(field => !isSame(field));
+
+    if (changedFields.length === 0) {
+      // Nothing to save - just go back to the task list
+      navigate(`/tasks/${teamId}`);
+      return;
+    }
+
+    for (const field of changedFields) {
+      // Cleared assignee or deadline are sent as null so the server removes them
+      variables[field] = trimmedData[field] || null;
+    }
+
+    try {
+      // Set creating state to show loading UI
+      setCreating(true);
+      // Clear any previous errors
+      setError(null);
+      setValidationErrors({});
+
+      console.log('TaskForm - Updating task with changed fields:', changedFields, variables);
+
+      // Make GraphQL mutation to update the task
+      const response = await client.graphql({
+        query: updateTaskDetails, // GraphQL mutation for task detail updates
+        variables,                // Only the changed fields plus identifiers
+        authMode: 'userPool'      // Use Cognito User Pool for authentication
+      });
+
+      console.log('TaskForm - Update task response:', response);
+
+      // Check if task was successfully updated
+      if (response.data?.updateTaskDetails) {
+        console.log('TaskForm - Task updated successfully:', response.data.updateTaskDetails);
+        // Navigate back to the tasks list page for the team
+        navigate(`/tasks/${teamId}`);
+      } else {
+        // Handle unexpected response structure
+        throw new Error('Invalid response from server');
+      }
+
+    } catch (err) {
+      // Handle errors during task update
+      console.error('TaskForm - Update task error:', err);
+
+      // Start building user-friendly error message
+      let errorMessage = 'Failed to update task. ';
+
+      // Parse GraphQL-specific errors
+      if (err.errors && err.errors.length > 0) {
+        const firstError = err.errors[0];
+        console.error('TaskForm - GraphQL error details:', firstError);
+
+        // Handle different types of update errors
+        if (firstError.errorType === 'ValidationError' || firstError.errorType === 'NotFoundError') {
+          errorMessage = firstError.message; // Use exact server message
+        } else if (firstError.errorType === 'AuthorizationError') {
+          errorMessage = 'You do not have permission to edit tasks.';
+        } else {
+          errorMessage += firstError.message || 'Please try again.';
+        }
+      } else if (err.message) {
+        // Handle general errors
+        errorMessage += err.message;
+      } else {
+        // Fallback for unknown errors
+        errorMessage += 'Please try again later.';
+      }
+
+      setError(errorMessage);
+    } finally {
+      // Always stop saving spinner when done
+      setCreating(false);
+    }
+  }
+
   // Function to retry loading team members (used when there's an error)
   function handleRetry() {
     setError(null);    // Clear error message
@@ -372,7 +628,7 @@ function TaskForm({ user }) {
           <h3 className="text-lg font-medium text-gray-900 mb-2">Access Denied</h3>
           {/* Error message */}
           <p className="text-gray-600 mb-4">
-            {error || 'You do not have permission to create tasks in this team.'}
+            {error || `You do not have permission to ${isEditMode ? 'edit' : 'create'} tasks in this team.`}
           </p>
           {/* Debug info in development environment only */}
           {process.env.NODE_ENV === 'development' && (
@@ -426,13 +682,13 @@ function TaskForm({ user }) {
             Tasks
           </Link>
           <span className="text-gray-400">/</span> {/* Breadcrumb separator */}
-          <span className="text-gray-900 text-sm font-medium">New Task</span> {/* Current page */}
+          <span className="text-gray-900 text-sm font-medium">{isEditMode ? 'Edit Task' : 'New Task'}</span> {/* Current page */}
         </div>
         {/* Page title */}
-        <h1 className="text-3xl font-bold text-gray-900">Create New Task</h1>
+        <h1 className="text-3xl font-bold text-gray-900">{isEditMode ? 'Edit Task' : 'Create New Task'}</h1>
         {/* Page description with admin badge */}
         <p className="text-gray-600 mt-2">
-          Add a new task to your team's project
+          {isEditMode ? 'Update the details of this task' : "Add a new task to your team's project"}
           {/* Show admin badge if user is admin */}
           {userRole === 'admin' && (
             <span className="ml-2 px-2 py-1 bg-red-100 text-red-800 text-xs rounded-full">
@@ -584,7 +840,7 @@ function TaskForm({ user }) {
                 {/* Map through team members to create options */}
                 {members.map(member => (
                   <option key={member.userId} value={member.userId}> 
-                    {member.userId} {member.role === 'admin' ? '(Admin)' : '(Member)'} 
+                    {`${member.user?.name || member.userId}${member.user?.email ? ` <${member.user.email}>` : ''} ${member.role === 'admin' ? '(Admin)' : '(Member)'}`}
                   </option>
                 ))}
               </select>
@@ -617,7 +873,8 @@ function TaskForm({ user }) {
                 name="deadline"
                 value={formData.deadline}
                 onChange={handleInputChange}
-                min={new Date().toISOString().split('T')[0]} // Prevent selecting past dates
+                // Prevent selecting past dates, but keep an existing past deadline valid while editing
+                min={isEditMode && formData.deadline === originalData?.deadline ? undefined : new Date().toISOString().split('T')[0]}
                 className={`w-full pl-10 pr-4 py-3 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-colors ${
                   validationErrors.deadline ? 'border-red-300' : 'border-gray-300' // Red border if validation error
                 }`}
@@ -634,6 +891,160 @@ function TaskForm({ user }) {
             </p>
           </div>
 
+          {/* Labels Field - chips toggle the team's labels on and off */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Labels (Optional)
+            </label>
+            {teamLabels.length > 0 ? (
+              <div className="flex flex-wrap gap-2">
+                {teamLabels.map(label => {
+                  const selected = formData.labels.includes(label.labelId);
+                  return (
+                    <button
+                      key={label.labelId}
+                      type="button"
+                      onClick={() => toggleLabel(label.labelId)}
+                      className={`px-3 py-1 rounded-full text-sm font-medium border transition-colors ${
+                        selected
+                          ? `${labelColors[label.color] || labelColors.gray} border-transparent ring-2 ring-offset-1 ring-blue-400`
+                          : 'bg-white border-gray-300 text-gray-600 hover:bg-gray-50 disabled:opacity-50'
+                      }`}
+                      disabled={creating || (!selected && formData.labels.length >= MAX_TASK_LABELS)}
+                    >
+                      {selected ? '✓ ' : ''}{label.name}
+                    </button>
+                  );
+                })}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">
+                This team has no labels yet. Add them on the{' '}
+                <Link to={`/team/${teamId}`} className="text-blue-600 hover:text-blue-800">team page</Link>.
+              </p>
+            )}
+          </div>
+
+          {/* Repeat Field - recurrence is set when the task is created */}
+          {!isEditMode && (
+            <div>
+              <label htmlFor="repeatMode" className="block text-sm font-medium text-gray-700 mb-2">
+                Repeat
+              </label>
+              <select
+                id="repeatMode"
+                name="mode"
+                value={repeatData.mode}
+                onChange={handleRepeatChange}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-colors"
+                disabled={creating}
+              >
+                <option value="none">Does not repeat</option>
+                <option value="daily">Daily</option>
+                <option value="weekly">Weekly</option>
+                <option value="monthly">Monthly</option>
+                <option value="custom">Custom (RRULE)</option>
+              </select>
+
+              {/* Interval, weekdays, day of month and end date for the simple rules */}
+              {['daily', 'weekly', 'monthly'].includes(repeatData.mode) && (
+                <div className="mt-3 space-y-3 p-4 bg-gray-50 rounded-lg border border-gray-200">
+                  <div className="flex items-center gap-2 text-sm text-gray-700">
+                    <span>Every</span>
+                    <input
+                      type="number"
+                      name="interval"
+                      value={repeatData.interval}
+                      onChange={handleRepeatChange}
+                      min={1}
+                      max={365}
+                      className="w-20 px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      disabled={creating}
+                    />
+                    <span>{getIntervalUnit(repeatData.mode, repeatData.interval)}</span>
+                  </div>
+
+                  {repeatData.mode === 'weekly' && (
+                    <div className="flex flex-wrap gap-1">
+                      {WEEKDAYS.map(day => (
+                        <button
+                          key={day.code}
+                          type="button"
+                          onClick={() => toggleRepeatWeekday(day.code)}
+                          className={`px-3 py-1.5 rounded-lg text-sm font-medium border transition-colors ${
+                            repeatData.weekdays.includes(day.code)
+                              ? 'bg-blue-600 border-blue-600 text-white'
+                              : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100'
+                          }`}
+                          disabled={creating}
+                        >
+                          {day.label}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+
+                  {repeatData.mode === 'monthly' && (
+                    <div className="flex items-center gap-2 text-sm text-gray-700">
+                      <span>On day</span>
+                      <input
+                        type="number"
+                        name="monthDay"
+                        value={repeatData.monthDay}
+                        onChange={handleRepeatChange}
+                        min={1}
+                        max={31}
+                        placeholder={formData.deadline ? String(Number(formData.deadline.split('-')[2])) : ''}
+                        className="w-20 px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        disabled={creating}
+                      />
+                      <span className="text-xs text-gray-500">Short months use their last day</span>
+                    </div>
+                  )}
+
+                  <div className="flex items-center gap-2 text-sm text-gray-700">
+                    <span>Until</span>
+                    <input
+                      type="date"
+                      name="until"
+                      value={repeatData.until}
+                      onChange={handleRepeatChange}
+                      min={formData.deadline || new Date().toISOString().split('T')[0]}
+                      className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      disabled={creating}
+                    />
+                    <span className="text-xs text-gray-500">(optional)</span>
+                  </div>
+                </div>
+              )}
+
+              {repeatData.mode === 'custom' && (
+                <input
+                  type="text"
+                  name="rrule"
+                  value={repeatData.rrule}
+                  onChange={handleRepeatChange}
+                  placeholder="FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=10"
+                  className="mt-3 w-full px-4 py-3 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  disabled={creating}
+                />
+              )}
+
+              {/* Show validation error if present */}
+              {validationErrors.recurrence && (
+                <p className="text-red-600 text-xs mt-1">{validationErrors.recurrence}</p>
+              )}
+              {/* Help text */}
+              <p className="text-xs text-gray-500 mt-1">
+                {repeatData.mode === 'none'
+                  ? 'Repeating tasks get a new copy when completed or when their due date arrives'
+                  : repeatData.mode === 'custom'
+                    ? 'Supports FREQ (DAILY, WEEKLY, MONTHLY), INTERVAL, BYDAY, BYMONTHDAY, UNTIL and COUNT'
+                    : 'Without a deadline, the first task is due on the first matching day from today'}
+              </p>
+            </div>
+          )}
+
           {/* Form Actions Section */}
           <div className="flex flex-col sm:flex-row gap-3 pt-6 border-t border-gray-200"> {/* Top border for visual separation */}
             {/* Submit button */}
@@ -647,7 +1058,15 @@ function TaskForm({ user }) {
                 <>
                   {/* Loading spinner */}
                   <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
-                  <span>Creating Task...</span>
+                  <span>{isEditMode ? 'Saving Changes...' : 'Creating Task...'}</span>
+                </>
+              ) : isEditMode ? (
+                <>
+                  {/* Checkmark icon */}
+                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+                  </svg>
+                  <span>Save Changes</span>
                 </>
               ) : (
                 <>
@@ -712,12 +1131,12 @@ function TaskForm({ user }) {
                 {/* Member avatar with first letter */}
                 <div className="w-6 h-6 bg-blue-100 rounded-full flex items-center justify-center">
                   <span className="text-blue-600 font-medium text-xs">
-                    {member.userId.charAt(0).toUpperCase()} {/* First letter of user ID, uppercase */}
+                    {(member.user?.name || member.userId).charAt(0).toUpperCase()} {/* First letter of name, uppercase */}
                   </span>
                 </div>
                 {/* Member name and role */}
                 <span className="text-gray-700">
-                  {member.userId} {/* Display user ID */}
+                  {member.user?.name || member.user?.email || member.userId} {/* Display name, falling back to user ID */}
                   {/* Show admin indicator if member is admin */}
                   {member.role === 'admin' && (
                     <span className="text-red-600 text-xs ml-1">(Admin)</span>
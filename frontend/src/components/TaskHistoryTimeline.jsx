@@ -0,0 +1,211 @@
+import { useState, useEffect } from 'react';
+import { generateClient } from 'aws-amplify/api';
+import { taskHistory } from '../graphql/queries';
+import ErrorMessage from './ErrorMessage';
+
+// Initialize AWS Amplify GraphQL client for API operations
+const client = generateClient();
+
+// Number of history events requested per page
+const HISTORY_PAGE_SIZE = 50;
+
+// Wording and dot color for each history action
+// hideBefore marks actions whose changes only carry the new value
+const actionConfig = {
+  created: { label: 'created the task', dotColor: 'bg-green-500', hideBefore: true },
+  status_changed: { label: 'changed the status', dotColor: 'bg-blue-500' },
+  updated: { label: 'edited the task', dotColor: 'bg-indigo-500' },
+  reassigned: { label: 'reassigned the task', dotColor: 'bg-purple-500' },
+  deleted: { label: 'deleted the task', dotColor: 'bg-red-500' },
+  comment_added: { label: 'commented', dotColor: 'bg-gray-400' },
+  comment_edited: { label: 'edited a comment', dotColor: 'bg-gray-400' },
+  comment_deleted: { label: 'deleted a comment', dotColor: 'bg-gray-400' },
+  checklist_item_added: { label: 'added a checklist item', dotColor: 'bg-teal-500', hideBefore: true },
+  checklist_item_completed: { label: 'completed a checklist item', dotColor: 'bg-teal-500', hideBefore: true },
+  checklist_item_reopened: { label: 'reopened a checklist item', dotColor: 'bg-teal-500', hideBefore: true },
+  checklist_item_removed: { label: 'removed a checklist item', dotColor: 'bg-teal-500' },
+  dependency_added: { label: 'added a blocking task', dotColor: 'bg-orange-500', hideBefore: true },
+  dependency_removed: { label: 'removed a blocking task', dotColor: 'bg-orange-500' }
+};
+
+// Display names for tracked fields
+const fieldLabels = {
+  title: 'Title',
+  description: 'Description',
+  status: 'Status',
+  priority: 'Priority',
+  deadline: 'Deadline',
+  assignedTo: 'Assignee',
+  comment: 'Comment',
+  checklist: 'Checklist item',
+  blockedBy: 'Blocked by',
+  labels: 'Labels'
+};
+
+// Long text values are cut to keep the timeline compact
+const MAX_VALUE_LENGTH = 120;
+
+/**
+ * TaskHistoryTimeline Component - Chronological list of every change to a task
+ *
+ * Features:
+ * - Newest events first, with who made the change and when
+ * - Field-level before → after values
+ * - Assignee IDs shown as member names where known
+ * - "Load more" pagination for long histories
+ *
+ * @param {string} teamId - ID of the task's team
+ * @param {string} taskId - ID of the task
+ * @param {Array} members - Team memberships (with user profiles) for naming assignees
+ */
+function TaskHistoryTimeline({ teamId, taskId, members = [] }) {
+  const [events, setEvents] = useState([]);
+  const [nextToken, setNextToken] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [teamId, taskId]);
+
+  /**
+   * Fetches a page of history; without a cursor the timeline is reloaded from the newest event
+   *
+   * @param {string|null} pageToken - nextToken from the previous page, or null for the first page
+   */
+  async function fetchHistory(pageToken = null) {
+    try {
+      if (!pageToken) {
+        setLoading(true);
+      }
+      setError(null);
+
+      const response = await client.graphql({
+        query: taskHistory,
+        variables: { teamId, taskId, limit: HISTORY_PAGE_SIZE, nextToken: pageToken },
+        authMode: 'userPool'
+      });
+
+      const page = response.data?.taskHistory;
+      const eventsData = page?.items || [];
+      setEvents(prev => pageToken ? [...prev, ...eventsData] : eventsData);
+      setNextToken(page?.nextToken || null);
+    } catch (err) {
+      console.error('TaskHistoryTimeline - Fetch history error:', err);
+
+      let errorMessage = 'Failed to load task history. ';
+      if (err.errors && err.errors.length > 0) {
+        errorMessage += err.errors[0].message || 'Please try again.';
+      } else {
+        errorMessage += err.message || 'Please try again.';
+      }
+      setError(errorMessage);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleLoadMore() {
+    if (!nextToken || loadingMore) return;
+    try {
+      setLoadingMore(true);
+      await fetchHistory(nextToken);
+    } finally {
+      setLoadingMore(false);
+    }
+  }
+
+  /**
+   * Formats a recorded value for display
+   */
+  const formatValue = (field, value) => {
+    if (value === null || value === undefined) {
+      return <span className="italic text-gray-400">none</span>;
+    }
+    if (field === 'assignedTo') {
+      const member = members.find(m => m.userId === value);
+      return member?.user?.name || member?.user?.email || value;
+    }
+    if (field === 'deadline') {
+      return new Date(value).toLocaleDateString();
+    }
+    return value.length > MAX_VALUE_LENGTH ? `${value.slice(0, MAX_VALUE_LENGTH)}…` : value;
+  };
+
+  if (loading) {
+    return <p className="text-sm text-gray-500">Loading history...</p>;
+  }
+
+  return (
+    <div>
+      {error && (
+        <div className="mb-3">
+          <ErrorMessage message={error} onDismiss={() => setError(null)} />
+        </div>
+      )}
+
+      {events.length === 0 && !error ? (
+        <p className="text-sm text-gray-500">No history recorded for this task yet.</p>
+      ) : (
+        <ol className="relative border-l-2 border-gray-100 ml-2">
+          {events.map(event => {
+            const config = actionConfig[event.action] || { label: event.action, dotColor: 'bg-gray-400' };
+            const actorName = event.actor?.name || event.actor?.email || event.actorId || 'Someone';
+
+            return (
+              <li key={event.historyId} className="mb-5 ml-5">
+                {/* Timeline Dot */}
+                <span className={`absolute -left-[7px] mt-1.5 w-3 h-3 rounded-full ring-4 ring-white ${config.dotColor}`} />
+
+                <p className="text-sm text-gray-900">
+                  <span className="font-medium">{actorName}</span> {config.label}
+                  {event.reason === 'member_removed' && (
+                    <span className="text-gray-500"> (previous assignee left the team)</span>
+                  )}
+                  {event.reason === 'blockers_overridden' && (
+                    <span className="text-gray-500"> (overriding open blocking tasks)</span>
+                  )}
+                  {event.reason === 'recurring' && (
+                    <span className="text-gray-500"> (next in a recurring series)</span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500">{new Date(event.createdAt).toLocaleString()}</p>
+
+                {/* Field-level Changes */}
+                {event.changes?.length > 0 && (
+                  <ul className="mt-2 space-y-1">
+                    {event.changes.map(change => (
+                      <li key={change.field} className="text-xs text-gray-600">
+                        <span className="font-medium text-gray-700">{fieldLabels[change.field] || change.field}:</span>{' '}
+                        {!config.hideBefore && (
+                          <>
+                            <span className="line-through decoration-gray-400">{formatValue(change.field, change.before)}</span>
+                            {' → '}
+                          </>
+                        )}
+                        <span>{formatValue(change.field, change.after)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      {nextToken && (
+        <button
+          onClick={handleLoadMore}
+          disabled={loadingMore}
+          className="text-blue-600 hover:text-blue-800 text-sm font-medium disabled:opacity-50"
+        >
+          {loadingMore ? 'Loading...' : 'Load older history'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default TaskHistoryTimeline;
@@ -1,21 +1,68 @@
-import { useState, useEffect, useMemo } from 'react';
+import { useState, useEffect, useMemo, useRef } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { generateClient } from 'aws-amplify/api';
-import { listTasks, searchTasks, listMembers } from '../graphql/queries';
+import { listTasks, searchTaskHits, taskCounts, listMembers, getTeam, getTask } from '../graphql/queries';
 import { updateTask, deleteTask } from '../graphql/mutations';
+import { onTaskChanged } from '../graphql/subscriptions';
 import LoadingSpinner from './LoadingSpinner';
 import ErrorMessage from './ErrorMessage';
+import CommentThread from './CommentThread';
+import TaskHistoryTimeline from './TaskHistoryTimeline';
+import TaskViewToggle from './TaskViewToggle';
+import TaskChecklist from './TaskChecklist';
+import TaskDependencies from './TaskDependencies';
+import HighlightedText from './HighlightedText';
+import { DEFAULT_WORKFLOW, categoryColors, categoryIcons, getStatusCategory, isTaskDone, getAllowedStatuses } from '../utils/workflow';
+import { getChecklistProgress } from '../utils/checklist';
+import { getOpenBlockers } from '../utils/dependencies';
+import { describeRecurrence } from '../utils/recurrence';
+import { getTaskLabels, labelColors } from '../utils/labels';
+import { getHighlight } from '../utils/search';
 
 // Initialize AWS Amplify GraphQL client for API operations
 const client = generateClient();
 
-// Color mappings for task status badges - provides visual distinction for different states
-const statusColors = {
-  'Not Started': 'bg-gray-100 text-gray-800',
-  'In Progress': 'bg-blue-100 text-blue-800',
-  'Completed': 'bg-green-100 text-green-800'
+// Number of tasks requested per page; more are fetched with the "Load more" button
+const TASKS_PAGE_SIZE = 50;
+
+// listTasks sort fields for the "Sort by" options
+const SORT_FIELDS = {
+  created: 'createdAt',
+  updated: 'updatedAt',
+  title: 'title',
+  status: 'status',
+  priority: 'priority',
+  deadline: 'deadline'
 };
 
+// Sorts the server has no index for - it refuses them when more than MAX_SORTED_TASKS tasks
+// match, so they are only offered to teams that small
+const UNINDEXED_SORTS = ['title', 'status', 'priority'];
+const MAX_SORTED_TASKS = 1000;
+
+/**
+ * Whether a task matches the list's filters
+ * The server filters the pages it returns; this is for tasks that arrive another way, such as
+ * live updates and search results
+ *
+ * @param {Object} task - Task to check
+ * @param {Object} filters - { filter, labelFilter, priorityFilter } from the list's controls
+ * @param {string} userId - Current user's ID, for the 'my-tasks' filter
+ * @returns {boolean} - True when the task belongs in the list
+ */
+function matchesTaskFilters(task, { filter, labelFilter, priorityFilter }, userId) {
+  if (labelFilter && !(task.labels || []).includes(labelFilter)) {
+    return false;
+  }
+  if (priorityFilter && (task.priority || 'Medium') !== priorityFilter) {
+    return false;
+  }
+  if (filter === 'my-tasks') {
+    return task.assignedTo === userId;
+  }
+  return filter === 'all' || task.status === filter;
+}
+
 // Color mappings for priority badges - helps users quickly identify task importance
 const priorityColors = {
   'Low': 'bg-green-100 text-green-800',
@@ -31,8 +78,9 @@ const priorityColors = {
  * - Handles user permission validation (admin vs member roles)
  * - Provides real-time task status updates
  * - Supports task search functionality
- * - Shows task statistics and counts
+ * - Shows task statistics and counts per status of the team's workflow
  * - Manages task deletion (admin only)
+ * - Flags blocked tasks and links to the tasks blocking them
  * 
  * @param {Object} user - Current authenticated user object from AWS Cognito
  */
@@ -53,6 +101,13 @@ function TaskList({ user }) {
   const [loading, setLoading] = useState(true); // Global loading state for initial data fetch
   const [error, setError] = useState(null); // Error messages for user feedback
   const [teamExists, setTeamExists] = useState(true); // Flag to track if team is accessible
+  const [nextToken, setNextToken] = useState(null); // Cursor for the next page of tasks, null when all are loaded
+  const [counts, setCounts] = useState(null); // Team-wide task counts from taskCounts for the stats cards
+  const [loadingMore, setLoadingMore] = useState(false); // Loading state for the "Load more" button
+  const [members, setMembers] = useState([]); // Team memberships, used for @mention suggestions
+  const [workflow, setWorkflow] = useState(DEFAULT_WORKFLOW); // Team's ordered statuses for filters, counts and status controls
+  const [labels, setLabels] = useState([]); // Team's labels for task chips and the label filter
+  const [selectedTaskId, setSelectedTaskId] = useState(null); // Task shown in the detail panel
   
   // Task operation states - track individual task operations for UI feedback
   const [updating, setUpdating] = useState({}); // Object mapping taskId -> boolean for status updates
@@ -60,10 +115,20 @@ function TaskList({ user }) {
   
   // UI control state
   const [filter, setFilter] = useState('all'); // Current filter: 'all', 'my-tasks', or status values
+  const [labelFilter, setLabelFilter] = useState(''); // Label ID tasks are fetched by, '' for any label
+  const [priorityFilter, setPriorityFilter] = useState(''); // Priority tasks are fetched by, '' for any priority
   const [searchTerm, setSearchTerm] = useState(''); // Search input value
+  const [searchHighlights, setSearchHighlights] = useState(null); // Object mapping taskId -> search highlights, null when not showing search results
   const [sortBy, setSortBy] = useState('created'); // Sort field: 'created', 'title', 'status', etc.
   const [sortOrder, setSortOrder] = useState('desc'); // Sort direction: 'asc' or 'desc'
 
+  // Current filters for the live update handler, which is set up once per team
+  const filtersRef = useRef({ filter, labelFilter, priorityFilter });
+  filtersRef.current = { filter, labelFilter, priorityFilter };
+
+  // Title, status and priority sorts are only offered while the server can serve them
+  const canSortUnindexed = (counts?.total || 0) <= MAX_SORTED_TASKS;
+
   // ============================================================================
   // INITIALIZATION AND DATA FETCHING
   // ============================================================================
@@ -91,6 +156,61 @@ function TaskList({ user }) {
     fetchUserRoleAndTasks();
   }, [teamId, user]);
 
+  /**
+   * Real-time updates - applies task changes made by teammates without refetching
+   * The server refuses the subscription for non-members, which is only logged here
+   * because fetchUserRoleAndTasks already reports access problems
+   */
+  useEffect(() => {
+    if (!teamId || !user?.userId) return;
+
+    const subscription = client.graphql({
+      query: onTaskChanged,
+      variables: { teamId },
+      authMode: 'userPool'
+    }).subscribe({
+      next: ({ data }) => {
+        const changedTask = data?.onTaskChanged;
+        if (!changedTask) return;
+
+        console.log('TaskList - Task change received:', changedTask.taskId, changedTask.deleted ? '(deleted)' : '');
+        setTasks(prev => applyTaskChange(prev, changedTask));
+        fetchCounts(); // Counts cover the whole team, so ask the server again
+      },
+      error: (err) => console.error('TaskList - Task subscription error:', err)
+    });
+
+    // Close the subscription when leaving the page or switching teams
+    return () => subscription.unsubscribe();
+  }, [teamId, user]);
+
+  /**
+   * Falls back to sorting by creation date once the team grows past what the server sorts in memory
+   */
+  useEffect(() => {
+    if (!canSortUnindexed && UNINDEXED_SORTS.includes(sortBy)) {
+      setSortBy('created');
+    }
+  }, [canSortUnindexed, sortBy]);
+
+  /**
+   * Filters and sort order - the server applies them, so changing one refetches the first page
+   * A running search is repeated instead, since search results are filtered in place.
+   * Skips the first render, where fetchUserRoleAndTasks loads the first page
+   */
+  const queryInitialized = useRef(false);
+  useEffect(() => {
+    if (!queryInitialized.current) {
+      queryInitialized.current = true;
+      return;
+    }
+    if (searchTerm.trim()) {
+      handleSearch();
+    } else {
+      fetchTasks();
+    }
+  }, [filter, labelFilter, priorityFilter, sortBy, sortOrder]);
+
   /**
    * Fetches user's role in the team and then loads tasks
    * This is a two-step process:
@@ -108,24 +228,32 @@ function TaskList({ user }) {
 
       // STEP 1: Verify team membership and get user role
       // We fetch team members first to validate access and determine permissions
-      const membersResponse = await client.graphql({
-        query: listMembers,
-        variables: { teamId },
-        authMode: 'userPool' // Use Cognito User Pool authentication
-      });
-      
-      console.log('TaskList - Members response:', membersResponse);
+      // Members are paginated, so follow nextToken until the whole list is loaded
+      const members = [];
+      let membersToken = null;
+      do {
+        const membersResponse = await client.graphql({
+          query: listMembers,
+          variables: { teamId, limit: 100, nextToken: membersToken },
+          authMode: 'userPool' // Use Cognito User Pool authentication
+        });
+        
+        console.log('TaskList - Members response:', membersResponse);
 
-      // Check if team exists and is accessible
-      if (!membersResponse.data?.listMembers) {
-        setTeamExists(false);
-        setError('Team not found or you do not have access to this team.');
-        return;
-      }
+        // Check if team exists and is accessible
+        if (!membersResponse.data?.listMembers) {
+          setTeamExists(false);
+          setError('Team not found or you do not have access to this team.');
+          return;
+        }
+
+        members.push(...(membersResponse.data.listMembers.items || []));
+        membersToken = membersResponse.data.listMembers.nextToken;
+      } while (membersToken);
 
       // ENHANCED USER MATCHING: AWS Cognito can provide user identity in multiple formats
       // We need to check against all possible identifiers to ensure reliable matching
-      const currentUserMembership = membersResponse.data.listMembers.find(
+      const currentUserMembership = members.find(
         member => {
           const memberUserId = member.userId;
           
@@ -160,11 +288,12 @@ function TaskList({ user }) {
       // Handle successful membership verification
       if (currentUserMembership) {
         setUserRole(currentUserMembership.role);
+        setMembers(members);
         console.log('TaskList - User role set to:', currentUserMembership.role);
       } else {
         // User is not a member of this team - provide detailed debugging info
         console.log('TaskList - User not found in members list');
-        console.log('TaskList - Available members:', membersResponse.data.listMembers.map(m => m.userId));
+        console.log('TaskList - Available members:', members.map(m => m.userId));
         console.log('TaskList - Current user identifiers:', {
           userId: user?.userId,
           sub: user?.sub,
@@ -178,8 +307,8 @@ function TaskList({ user }) {
         return;
       }
 
-      // STEP 2: If user is authorized, fetch the team's tasks
-      await fetchTasks();
+      // STEP 2: If user is authorized, fetch the team's workflow and tasks
+      await Promise.all([fetchWorkflow(), fetchTasks(), fetchCounts()]);
       
     } catch (err) {
       console.error('TaskList - Fetch user role and tasks error:', err);
@@ -227,16 +356,79 @@ function TaskList({ user }) {
   }
 
   /**
-   * Fetches tasks for the current team
-   * Called after user authorization is confirmed
+   * Fetches the team's workflow statuses and labels
+   * Failures are only logged - the default workflow stays in place and tasks show no label chips
+   */
+  async function fetchWorkflow() {
+    try {
+      const response = await client.graphql({
+        query: getTeam,
+        variables: { teamId },
+        authMode: 'userPool'
+      });
+      const teamWorkflow = response.data?.getTeam?.workflow;
+      setWorkflow(teamWorkflow?.length > 0 ? teamWorkflow : DEFAULT_WORKFLOW);
+      setLabels(response.data?.getTeam?.labels || []);
+    } catch (err) {
+      console.error('TaskList - Fetch workflow error:', err);
+    }
+  }
+
+  /**
+   * Fetches the team-wide task counts shown on the stats cards
+   * Failures are only logged - the cards keep their last counts
+   */
+  async function fetchCounts() {
+    try {
+      const response = await client.graphql({
+        query: taskCounts,
+        variables: { teamId },
+        authMode: 'userPool'
+      });
+      setCounts(response.data?.taskCounts || null);
+    } catch (err) {
+      console.error('TaskList - Fetch task counts error:', err);
+    }
+  }
+
+  /**
+   * Builds the listTasks filter and sort arguments from the current controls
+   *
+   * @returns {Object} - { filter, sort } variables for listTasks
+   */
+  function buildTaskQuery() {
+    const taskFilter = {};
+    if (filter === 'my-tasks') {
+      taskFilter.assignedTo = user.userId;
+    } else if (filter !== 'all') {
+      taskFilter.status = [filter];
+    }
+    if (labelFilter) {
+      taskFilter.label = labelFilter;
+    }
+    if (priorityFilter) {
+      taskFilter.priority = [priorityFilter];
+    }
+    return {
+      filter: taskFilter,
+      sort: { field: SORT_FIELDS[sortBy] || 'createdAt', direction: sortOrder }
+    };
+  }
+
+  /**
+   * Fetches a page of tasks for the current team, filtered and sorted by the server
+   * Called after user authorization is confirmed. Without a cursor the list is
+   * reset to the first page; with one the next page is appended
+   * 
+   * @param {string|null} pageToken - nextToken from the previous page, or null for the first page
    */
-  async function fetchTasks() {
+  async function fetchTasks(pageToken = null) {
     try {
-      console.log('TaskList - Fetching tasks for team:', teamId);
+      console.log('TaskList - Fetching tasks for team:', teamId, pageToken ? '(next page)' : '(first page)');
       
       const response = await client.graphql({
         query: listTasks,
-        variables: { teamId },
+        variables: { teamId, ...buildTaskQuery(), limit: TASKS_PAGE_SIZE, nextToken: pageToken },
         authMode: 'userPool'
       });
       
@@ -244,12 +436,19 @@ function TaskList({ user }) {
       
       // Handle successful response
       if (response.data?.listTasks) {
-        const tasksData = response.data.listTasks;
+        const tasksData = response.data.listTasks.items || [];
         console.log('TaskList - Tasks data received:', tasksData.length, 'tasks');
-        setTasks(tasksData);
+        setTasks(prev => pageToken ? [...prev, ...tasksData] : tasksData);
+        setNextToken(response.data.listTasks.nextToken || null);
+        if (!pageToken) {
+          setSearchHighlights(null);
+        }
       } else {
         console.log('TaskList - No tasks data in response');
-        setTasks([]);
+        if (!pageToken) {
+          setTasks([]);
+        }
+        setNextToken(null);
       }
     } catch (err) {
       console.error('TaskList - Fetch tasks error:', err);
@@ -264,7 +463,29 @@ function TaskList({ user }) {
       }
       
       setError(errorMessage);
-      setTasks([]);
+      // Keep already loaded pages when only a follow-up page failed
+      if (!pageToken) {
+        setTasks([]);
+        setNextToken(null);
+      }
+    }
+  }
+
+  /**
+   * Appends the next page of tasks to the list
+   * Triggered by the "Load more" button below the task list
+   */
+  async function handleLoadMore() {
+    if (!nextToken || loadingMore) {
+      return;
+    }
+
+    try {
+      setLoadingMore(true);
+      setError(null);
+      await fetchTasks(nextToken);
+    } finally {
+      setLoadingMore(false);
     }
   }
 
@@ -274,7 +495,9 @@ function TaskList({ user }) {
   
   /**
    * Handles task search functionality
-   * Uses either the search GraphQL query or falls back to fetching all tasks
+   * Uses either the search GraphQL query or falls back to fetching all tasks.
+   * Results come back best match first and stay in that order; the matched
+   * words are kept per task so the cards can highlight them
    */
   async function handleSearch() {
     // If no search term, show all tasks
@@ -291,13 +514,18 @@ function TaskList({ user }) {
       
       // FIXED: Use 'query' parameter to match backend GraphQL schema
       const response = await client.graphql({
-        query: searchTasks,
-        variables: { teamId, query: searchTerm.trim() },
+        query: searchTaskHits,
+        variables: { teamId, query: searchTerm.trim(), label: labelFilter || null },
         authMode: 'userPool'
       });
       
       console.log('TaskList - Search response:', response);
-      setTasks(response.data.searchTasks || []);
+      // Search takes only the label filter, so the other filters are applied to the hits here
+      const hits = (response.data.searchTaskHits || [])
+        .filter(hit => matchesTaskFilters(hit.task, { filter, labelFilter, priorityFilter }, user.userId));
+      setTasks(hits.map(hit => hit.task));
+      setSearchHighlights(Object.fromEntries(hits.map(hit => [hit.task.taskId, hit.highlights || []])));
+      setNextToken(null); // Search returns the best matches at once, so there is nothing more to load
     } catch (err) {
       console.error('TaskList - Search tasks error:', err);
       setError(`Search failed: ${err.message || 'Unknown error'}`);
@@ -315,27 +543,44 @@ function TaskList({ user }) {
    * Available to task assignees and team admins
    * 
    * @param {string} taskId - Unique identifier for the task
-   * @param {string} status - New status ('Not Started', 'In Progress', 'Completed')
+   * @param {string} status - New status, one of the team's workflow statuses
    */
   async function updateTaskStatus(taskId, status) {
+    // Starting or finishing a blocked task needs an admin to override its open blockers;
+    // anyone else gets the server's explanation
+    const task = tasks.find(t => t.taskId === taskId);
+    const nextCategory = workflow.find(s => s.name === status)?.category;
+    const openBlockers = task ? getOpenBlockers(workflow, task, tasks) : [];
+    let overrideBlockers = false;
+    if (userRole === 'admin' && nextCategory !== 'todo' && openBlockers.length > 0) {
+      const blockerTitles = openBlockers.map(blocker => `"${blocker.title}"`).join(', ');
+      if (!window.confirm(`"${task.title}" is still blocked by ${blockerTitles}.\n\nMove it to "${status}" anyway?`)) {
+        return;
+      }
+      overrideBlockers = true;
+    }
+
     try {
       // Set loading state for this specific task
       setUpdating(prev => ({ ...prev, [taskId]: true }));
       setError(null);
       
-      console.log('TaskList - Updating task status:', { teamId, taskId, status });
+      console.log('TaskList - Updating task status:', { teamId, taskId, status, overrideBlockers });
       
       // Call GraphQL mutation
-      await client.graphql({
+      const response = await client.graphql({
         query: updateTask,
-        variables: { teamId, taskId, status },
+        variables: { teamId, taskId, status, overrideBlockers },
         authMode: 'userPool'
       });
       
       console.log('TaskList - Task status updated successfully');
       
-      // Refresh task list to show updated data
-      await fetchTasks();
+      // Merge the updated task into the list in place so pages loaded with "Load more" are kept
+      const updatedTask = response.data?.updateTask;
+      if (updatedTask) {
+        setTasks(prev => applyTaskChange(prev, updatedTask));
+      }
     } catch (err) {
       console.error('TaskList - Update task error:', err);
       
@@ -382,22 +627,18 @@ function TaskList({ user }) {
       
       console.log('TaskList - Delete task response:', response);
       
-      // FIXED: Handle SimpleResponse type from backend
-      // Backend returns { success: boolean, message: string }
-      if (response.data?.deleteTask?.success) {
+      // Backend returns the deleted task with deleted set to true
+      if (response.data?.deleteTask?.deleted) {
         console.log('TaskList - Task deleted successfully');
         
-        // Refresh task list to remove deleted task
-        await fetchTasks();
+        // Remove the deleted task locally so pages loaded with "Load more" are kept
+        setTasks(prev => prev.filter(task => task.taskId !== taskId));
         
-        // Show success message if provided by backend
-        if (response.data.deleteTask.message) {
-          setError(`Success: ${response.data.deleteTask.message}`);
-          // Auto-clear success message after 3 seconds
-          setTimeout(() => setError(null), 3000);
-        }
+        // Show success message, auto-cleared after 3 seconds
+        setError(`Success: Task "${taskTitle}" deleted successfully`);
+        setTimeout(() => setError(null), 3000);
       } else {
-        throw new Error(response.data?.deleteTask?.message || 'Delete operation failed');
+        throw new Error('Delete operation failed');
       }
       
     } catch (err) {
@@ -422,132 +663,92 @@ function TaskList({ user }) {
   // ============================================================================
   
   /**
-   * Processes tasks for filtering and sorting
-   * Uses useMemo for performance optimization - only recalculates when dependencies change
-   * 
-   * Filtering options:
-   * - 'all': Show all tasks
-   * - 'my-tasks': Show only tasks assigned to current user
-   * - Status values: Show tasks with specific status
-   * 
-   * Sorting options:
-   * - 'title': Alphabetical by task title
-   * - 'status': By task status
-   * - 'priority': By priority level (High > Medium > Low)
-   * - 'deadline': By due date (tasks without deadlines appear last)
-   * - 'created': By creation date (default)
+   * Applies a changed or deleted task to the loaded list, keeping the server's order
+   * A task that no longer matches the filters is dropped, and a new one that does is put on
+   * top until the next fetch places it
+   *
+   * @param {Array} prev - Loaded tasks
+   * @param {Object} changedTask - Task from a live update or a mutation, with deleted set when removed
+   * @returns {Array} - The new list of tasks
    */
-  const filteredAndSortedTasks = useMemo(() => {
-    // STEP 1: Apply filters
-    let filtered = tasks.filter(task => {
-      if (filter === 'my-tasks') {
-        // ENHANCED USER MATCHING: Check multiple possible user identifiers
-        // This ensures reliable task assignment detection across different auth scenarios
-        const possibleUserIds = [
-          user?.userId,
-          user?.sub,
-          user?.username,
-          user?.email,
-          user?.signInDetails?.loginId,
-          user?.attributes?.email
-        ].filter(Boolean);
-        
-        const isAssignedToUser = possibleUserIds.some(id => id === task.assignedTo);
-        
-        // Debug logging in development
-        if (process.env.NODE_ENV === 'development') {
-          console.log('TaskList - Checking if task', task.taskId, 'assigned to user. Task assignedTo:', task.assignedTo, 'User IDs:', possibleUserIds, 'Match:', isAssignedToUser);
-        }
-        
-        return isAssignedToUser;
-      }
-      if (filter !== 'all') {
-        // Filter by specific status
-        return task.status === filter;
-      }
-      return true; // Show all tasks
-    });
-
-    // STEP 2: Apply sorting
-    filtered.sort((a, b) => {
-      let comparison = 0;
-      
-      switch (sortBy) {
-        case 'title':
-          // Alphabetical comparison
-          comparison = a.title.localeCompare(b.title);
-          break;
-        case 'status':
-          // Status comparison
-          comparison = a.status.localeCompare(b.status);
-          break;
-        case 'priority':
-          // Priority comparison with numerical mapping
-          const priorityOrder = { 'High': 3, 'Medium': 2, 'Low': 1 };
-          comparison = (priorityOrder[a.priority] || 2) - (priorityOrder[b.priority] || 2);
-          break;
-        case 'deadline':
-          // Deadline comparison - tasks without deadlines appear last
-          const aDeadline = a.deadline ? new Date(a.deadline) : new Date('9999-12-31');
-          const bDeadline = b.deadline ? new Date(b.deadline) : new Date('9999-12-31');
-          comparison = aDeadline - bDeadline;
-          break;
-        case 'created':
-        default:
-          // Default: sort by creation date
-          comparison = new Date(a.createdAt) - new Date(b.createdAt);
-          break;
-      }
-      
-      // Apply sort order (ascending or descending)
-      return sortOrder === 'desc' ? -comparison : comparison;
-    });
-
-    return filtered;
-  }, [tasks, filter, sortBy, sortOrder, user]);
+  function applyTaskChange(prev, changedTask) {
+    const current = prev.find(task => task.taskId === changedTask.taskId);
+    const merged = current ? { ...current, ...changedTask } : changedTask;
+    if (changedTask.deleted || !matchesTaskFilters(merged, filtersRef.current, user.userId)) {
+      return prev.filter(task => task.taskId !== changedTask.taskId);
+    }
+    return current
+      ? prev.map(task => task.taskId === changedTask.taskId ? merged : task)
+      : [merged, ...prev]; // New task created by a teammate
+  }
 
   /**
-   * Calculates task statistics for dashboard display
-   * Uses useMemo for performance - only recalculates when tasks or user changes
+   * Task statistics for the stats cards, from the team-wide counts of taskCounts
+   * Counts cover every task in the team, not just the loaded pages
    * 
    * Returns counts for:
    * - Total tasks
    * - Tasks by status
    * - Tasks assigned to current user
    * - Overdue tasks
+   * - Checklist items done and in total, across all tasks
    */
-  const taskCounts = useMemo(() => {
-    // Get all possible user identifiers for assignment checking
-    const possibleUserIds = [
-      user?.userId,
-      user?.sub,
-      user?.username,
-      user?.email,
-      user?.signInDetails?.loginId,
-      user?.attributes?.email
-    ].filter(Boolean);
-    
-    // Filter tasks assigned to current user
-    const userTasks = tasks.filter(t => 
-      possibleUserIds.some(id => id === t.assignedTo)
-    );
-    
-    // Calculate overdue tasks (have deadline in past and not completed)
-    const overdueTasks = tasks.filter(t => 
-      t.deadline && 
-      new Date(t.deadline) < new Date() && 
-      t.status !== 'Completed'
-    );
+  const stats = useMemo(() => {
+    const byStatus = {};
+    for (const entry of counts?.byStatus || []) {
+      byStatus[entry.status] = entry.count;
+    }
     
     return {
-      total: tasks.length,
-      notStarted: tasks.filter(t => t.status === 'Not Started').length,
-      inProgress: tasks.filter(t => t.status === 'In Progress').length,
-      completed: tasks.filter(t => t.status === 'Completed').length,
-      myTasks: userTasks.length,
-      overdue: overdueTasks.length
+      total: counts?.total || 0,
+      byStatus,
+      myTasks: counts?.assignedToMe || 0,
+      overdue: counts?.overdue || 0,
+      checklist: { done: counts?.checklistDone || 0, total: counts?.checklistTotal || 0 }
     };
-  }, [tasks, user]);
+  }, [counts]);
+
+  /**
+   * Merges a task returned by a mutation made inside the detail panel (e.g. a checklist change)
+   * Also takes partial updates, such as the blocks list of a task that was just linked as a blocker
+   */
+  function handleTaskUpdated(updatedTask) {
+    setTasks(prev => prev.map(task =>
+      task.taskId === updatedTask.taskId ? { ...task, ...updatedTask } : task
+    ));
+  }
+
+  /**
+   * Opens another task in the detail panel, e.g. a blocker
+   * Tasks that are not loaded (later pages or outside the search results) are fetched first
+   *
+   * @param {string} taskId - ID of the task to open
+   */
+  async function handleJumpToTask(taskId) {
+    if (!tasks.some(task => task.taskId === taskId)) {
+      try {
+        const response = await client.graphql({
+          query: getTask,
+          variables: { teamId, taskId },
+          authMode: 'userPool'
+        });
+        const task = response.data?.getTask;
+        if (!task) {
+          setError('That task no longer exists.');
+          return;
+        }
+        setTasks(prev => prev.some(t => t.taskId === taskId) ? prev : [...prev, task]);
+      } catch (err) {
+        console.error('TaskList - Get task error:', err);
+        setError(`Failed to open task: ${err.errors?.[0]?.message || err.message || 'Unknown error'}`);
+        return;
+      }
+    }
+    setSelectedTaskId(taskId);
+  }
+
+  // Task open in the detail panel; becomes undefined (closing the panel) if the task is deleted
+  const selectedTask = selectedTaskId ? tasks.find(task => task.taskId === selectedTaskId) : null;
 
   // ============================================================================
   // UTILITY FUNCTIONS
@@ -626,7 +827,7 @@ function TaskList({ user }) {
           HEADER SECTION
           - Breadcrumb navigation
           - Page title and task count
-          - Admin badge and create task button
+          - Admin badge, list/board switch and create task button
           - Development debug information
       ======================================================================== */}
       <div className="flex justify-between items-center mb-8"> 
@@ -646,7 +847,7 @@ function TaskList({ user }) {
           {/* Page Title and Info */}
           <h1 className="text-3xl font-bold text-gray-900">Team Tasks</h1> 
           <p className="text-gray-600 mt-1">
-            {filteredAndSortedTasks.length} of {tasks.length} tasks shown
+            {tasks.length}{nextToken ? '+' : ''} of {stats.total} tasks shown
             {/* Show admin badge for administrators */}
             {userRole === 'admin' && (
               <span className="ml-2 px-2 py-1 bg-red-100 text-red-800 text-xs rounded-full"> 
@@ -659,23 +860,28 @@ function TaskList({ user }) {
           {process.env.NODE_ENV === 'development' && (
             <div className="text-xs text-gray-400 mt-1 p-2 bg-gray-100 rounded">
               <p><strong>Debug:</strong> Team ID = {teamId}, User ID = {user?.userId}, Role = {userRole}</p>
-              <p>Total Tasks: {tasks.length}, My Tasks: {taskCounts.myTasks}</p>
+              <p>Total Tasks: {tasks.length}, My Tasks: {stats.myTasks}</p>
             </div>
           )}
         </div>
         
-        {/* Create Task Button - Only visible to admins */}
-        {userRole === 'admin' && (
-          <Link
-            to={`/create-task/${teamId}`}
-            className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center space-x-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
-          >
-            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
-            </svg>
-            <span>New Task</span> 
-          </Link>
-        )}
+        <div className="flex items-center space-x-3">
+          {/* List/Board Switch - the choice is remembered */}
+          <TaskViewToggle teamId={teamId} view="list" />
+
+          {/* Create Task Button - Only visible to admins */}
+          {userRole === 'admin' && (
+            <Link
+              to={`/create-task/${teamId}`}
+              className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center space-x-2 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4v16m8-8H4" />
+              </svg>
+              <span>New Task</span> 
+            </Link>
+          )}
+        </div>
       </div>
 
       {/* ========================================================================
@@ -712,50 +918,50 @@ function TaskList({ user }) {
           - Visual indicators for overdue tasks
           - Responsive grid layout
       ======================================================================== */}
-      <div className="grid grid-cols-2 md:grid-cols-6 gap-4 mb-8"> 
+      <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4 mb-8"> 
         <StatsCard
           title="Total"
-          value={taskCounts.total}
+          value={stats.total}
           icon="📋"
           isActive={filter === 'all'}
           onClick={() => setFilter('all')}
         />
         <StatsCard
           title="My Tasks"
-          value={taskCounts.myTasks}
+          value={stats.myTasks}
           icon="👤"
           isActive={filter === 'my-tasks'}
           onClick={() => setFilter('my-tasks')}
         />
-        <StatsCard
-          title="Not Started"
-          value={taskCounts.notStarted}
-          icon="⚪"
-          isActive={filter === 'Not Started'}
-          onClick={() => setFilter('Not Started')}
-        />
-        <StatsCard
-          title="In Progress"
-          value={taskCounts.inProgress}
-          icon="🔵"
-          isActive={filter === 'In Progress'}
-          onClick={() => setFilter('In Progress')}
-        />
-        <StatsCard
-          title="Completed"
-          value={taskCounts.completed}
-          icon="✅"
-          isActive={filter === 'Completed'}
-          onClick={() => setFilter('Completed')}
-        />
+        {/* One card per status of the team's workflow */}
+        {workflow.map(status => (
+          <StatsCard
+            key={status.name}
+            title={status.name}
+            value={stats.byStatus[status.name] || 0}
+            icon={categoryIcons[status.category]}
+            isActive={filter === status.name}
+            onClick={() => setFilter(status.name)}
+          />
+        ))}
         <StatsCard
           title="Overdue"
-          value={taskCounts.overdue}
+          value={stats.overdue}
           icon="⚠️"
           isActive={false}
           onClick={() => {}}
-          danger={taskCounts.overdue > 0}
+          danger={stats.overdue > 0}
         />
+        {/* Checklist completion across all tasks - only when some task has a checklist */}
+        {stats.checklist.total > 0 && (
+          <StatsCard
+            title="Checklist"
+            value={`${stats.checklist.done}/${stats.checklist.total}`}
+            icon="☑️"
+            isActive={false}
+            onClick={() => {}}
+          />
+        )}
       </div>
 
       {/* ========================================================================
@@ -778,7 +984,8 @@ function TaskList({ user }) {
                 {/* Search Input */}
                 <input
                   type="text"
-                  placeholder="Search tasks by title, description, assignee, status, or priority..."
+                  placeholder="Search titles and descriptions, e.g. login bug assignee:me status:open"
+                  title="Narrow results with assignee:me, assignee:none, status:done, status:open, priority:high or label:name. Put quotes around values with spaces."
                   value={searchTerm}
                   onChange={(e) => setSearchTerm(e.target.value)}
                   onKeyPress={(e) => e.key === 'Enter' && handleSearch()} // Enter key support
@@ -808,8 +1015,40 @@ function TaskList({ user }) {
             </div>
           </div>
 
-          {/* Sorting Controls Row */}
+          {/* Filter and Sorting Controls Row */}
           <div className="flex flex-wrap items-center gap-4"> 
+            {/* Label Filter - Only shown when the team has labels */}
+            {labels.length > 0 && (
+              <div className="flex items-center space-x-2">
+                <label className="text-sm font-medium text-gray-700">Label:</label>
+                <select
+                  value={labelFilter}
+                  onChange={(e) => setLabelFilter(e.target.value)}
+                  className="border border-gray-300 rounded px-3 py-1 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  <option value="">All labels</option>
+                  {labels.map(label => (
+                    <option key={label.labelId} value={label.labelId}>{label.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            
+            {/* Priority Filter */}
+            <div className="flex items-center space-x-2">
+              <label className="text-sm font-medium text-gray-700">Priority:</label>
+              <select
+                value={priorityFilter}
+                onChange={(e) => setPriorityFilter(e.target.value)}
+                className="border border-gray-300 rounded px-3 py-1 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="">Any priority</option>
+                <option value="High">High</option>
+                <option value="Medium">Medium</option>
+                <option value="Low">Low</option>
+              </select>
+            </div>
+            
             {/* Sort Field Selector */}
             <div className="flex items-center space-x-2"> 
               <label className="text-sm font-medium text-gray-700">Sort by:</label> 
@@ -819,9 +1058,14 @@ function TaskList({ user }) {
                 className="border border-gray-300 rounded px-3 py-1 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               >
                 <option value="created">Date Created</option> 
-                <option value="title">Title</option> 
-                <option value="status">Status</option> 
-                <option value="priority">Priority</option> 
+                <option value="updated">Last Updated</option> 
+                {canSortUnindexed && (
+                  <>
+                    <option value="title">Title</option> 
+                    <option value="status">Status</option> 
+                    <option value="priority">Priority</option> 
+                  </>
+                )}
                 <option value="deadline">Deadline</option> 
               </select>
             </div>
@@ -848,19 +1092,27 @@ function TaskList({ user }) {
           - EmptyTasksState component for when no tasks match criteria
       ======================================================================== */}
       <div className="bg-white rounded-lg shadow-sm border border-gray-200"> 
-        {filteredAndSortedTasks.length > 0 ? (
+        {tasks.length > 0 ? (
           /* Task Cards List - Displays when tasks are available */
           <div className="divide-y divide-gray-200"> 
-            {filteredAndSortedTasks.map((task) => (
+            {tasks.map((task) => (
               <TaskCard
                 key={task.taskId} // Unique key for React rendering optimization
                 task={task}
+                workflow={workflow}
                 user={user}
                 userRole={userRole}
+                openBlockers={getOpenBlockers(workflow, task, tasks)} // Unfinished tasks blocking this one
+                taskLabels={getTaskLabels(task, labels)} // Labels the task carries, for its chips
+                activeLabelId={labelFilter}
+                onFilterLabel={setLabelFilter} // Clicking a chip filters the list by that label
                 updating={updating[task.taskId]} // Pass individual task loading state
                 deleting={deleting[task.taskId]} // Pass individual task deleting state
                 onUpdateStatus={updateTaskStatus} // Status update callback
                 onDelete={handleDeleteTask} // Delete callback
+                onOpenDetails={setSelectedTaskId} // Opens the detail panel with comments
+                onJumpToTask={handleJumpToTask} // Opens a blocking task, loading it if needed
+                highlights={searchHighlights?.[task.taskId]} // Matched words when showing search results
               />
             ))}
           </div>
@@ -880,7 +1132,35 @@ function TaskList({ user }) {
             onRetry={handleRetry}
           />
         )}
+
+        {/* Load More Button - Fetches the next page while the server reports more tasks */}
+        {nextToken && (
+          <div className="border-t border-gray-200 p-4 text-center">
+            <button
+              onClick={handleLoadMore}
+              disabled={loadingMore}
+              className="text-blue-600 hover:text-blue-800 text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {loadingMore ? 'Loading...' : 'Load more tasks'}
+            </button>
+          </div>
+        )}
       </div>
+
+      {/* Task Detail Panel - Looked up from the list so live updates show here too */}
+      {selectedTask && (
+        <TaskDetailPanel
+          task={selectedTask}
+          workflow={workflow}
+          user={user}
+          userRole={userRole}
+          members={members}
+          tasks={tasks}
+          onTaskUpdated={handleTaskUpdated}
+          onJumpToTask={handleJumpToTask}
+          onClose={() => setSelectedTaskId(null)}
+        />
+      )}
     </div>
   );
 }
@@ -941,20 +1221,28 @@ function StatsCard({ title, value, icon, isActive, onClick, danger = false }) {
  * Features:
  * - Shows all task details (title, description, metadata)
  * - Status update dropdown (for assigned users and admins)
- * - Delete button (admin only)
- * - Visual indicators for assignment, overdue status, priority
+ * - Edit and delete buttons (admin only)
+ * - Visual indicators for assignment, overdue status, priority, open blockers
  * - Loading states for individual operations
  * - Responsive design for mobile devices
  * 
  * @param {Object} task - Task object from GraphQL API
+ * @param {Array} workflow - Team workflow statuses for the badge and status dropdown
  * @param {Object} user - Current user object
  * @param {string} userRole - Current user's role in the team
+ * @param {Array} openBlockers - Unfinished tasks blocking this one
+ * @param {Array} taskLabels - Team labels the task carries
+ * @param {string} activeLabelId - Label the list is filtered by ('' for none)
+ * @param {Function} onFilterLabel - Callback with the label ID to filter by ('' to clear)
  * @param {boolean} updating - Whether this task is currently being updated
  * @param {boolean} deleting - Whether this task is currently being deleted
  * @param {Function} onUpdateStatus - Callback for status updates
  * @param {Function} onDelete - Callback for task deletion
+ * @param {Function} onOpenDetails - Callback to open the task detail panel
+ * @param {Function} onJumpToTask - Callback to open a blocking task
+ * @param {Array} highlights - Search highlights for the title and description, when shown as a search result
  */
-function TaskCard({ task, user, userRole, updating, deleting, onUpdateStatus, onDelete }) {
+function TaskCard({ task, workflow, user, userRole, openBlockers, taskLabels, activeLabelId, onFilterLabel, updating, deleting, onUpdateStatus, onDelete, onOpenDetails, onJumpToTask, highlights }) {
   // ENHANCED USER ASSIGNMENT CHECK: Determine if current user is assigned to this task
   // Uses multiple possible user identifiers to handle different Cognito auth scenarios
   const possibleUserIds = [
@@ -969,9 +1257,11 @@ function TaskCard({ task, user, userRole, updating, deleting, onUpdateStatus, on
   const isAssigned = possibleUserIds.some(id => id === task.assignedTo);
   
   // BUSINESS LOGIC: Calculate task status and permissions
-  const isOverdue = task.deadline && new Date(task.deadline) < new Date() && task.status !== 'Completed';
+  const isOverdue = task.deadline && new Date(task.deadline) < new Date() && !isTaskDone(workflow, task);
   const canUpdateStatus = isAssigned || userRole === 'admin'; // Users can update their own tasks, admins can update any
   const canDelete = userRole === 'admin'; // Only admins can delete tasks
+  const canEdit = userRole === 'admin'; // Only admins can edit task details
+  const checklistProgress = getChecklistProgress(task);
   
   return (
     <div className={`p-6 hover:bg-gray-50 transition-colors ${isOverdue ? 'border-l-4 border-red-400' : ''}`}> 
@@ -985,10 +1275,16 @@ function TaskCard({ task, user, userRole, updating, deleting, onUpdateStatus, on
         <div className="flex-1"> 
           {/* Task Header with Badges */}
           <div className="flex items-center space-x-3 mb-2"> 
-            <h3 className="text-lg font-semibold text-gray-900">{task.title}</h3> 
+            <button
+              onClick={() => onOpenDetails(task.taskId)}
+              className="text-lg font-semibold text-gray-900 hover:text-blue-600 text-left"
+              title="Open details and comments"
+            >
+              <HighlightedText highlight={getHighlight(highlights, 'title')} fallback={task.title} />
+            </button>
             
             {/* Status Badge */}
-            <span className={`px-2 py-1 rounded-full text-xs font-medium ${statusColors[task.status]}`}> 
+            <span className={`px-2 py-1 rounded-full text-xs font-medium ${categoryColors[getStatusCategory(workflow, task)]}`}> 
               {task.status}
             </span>
             
@@ -1005,10 +1301,65 @@ function TaskCard({ task, user, userRole, updating, deleting, onUpdateStatus, on
                 ⚠️ Overdue
               </span>
             )}
+            
+            {/* Blocked Badge - Some task this one waits for is not done yet */}
+            {openBlockers.length > 0 && (
+              <span className="px-2 py-1 rounded-full text-xs font-medium bg-orange-100 text-orange-800">
+                ⛔ Blocked
+              </span>
+            )}
+            
+            {/* Recurring Badge - A new copy is created when this one is completed or falls due */}
+            {task.recurrence && (
+              <span
+                className="px-2 py-1 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800"
+                title={task.occurrence ? `Occurrence ${task.occurrence} of this series` : undefined}
+              >
+                🔁 {describeRecurrence(task.recurrence)}
+              </span>
+            )}
           </div>
           
           {/* Task Description */}
-          <p className="text-gray-600 mb-3 line-clamp-2">{task.description}</p> 
+          {/* Search results show the part of the description around the matched words */}
+          <p className="text-gray-600 mb-3 line-clamp-2">
+            <HighlightedText highlight={getHighlight(highlights, 'description')} fallback={task.description} />
+          </p>
+          
+          {/* Label Chips - Clicking one filters the list by it, clicking the active one clears the filter */}
+          {taskLabels.length > 0 && (
+            <div className="flex flex-wrap gap-1 mb-3">
+              {taskLabels.map(label => (
+                <button
+                  key={label.labelId}
+                  onClick={() => onFilterLabel(label.labelId === activeLabelId ? '' : label.labelId)}
+                  className={`px-2 py-0.5 rounded-full text-xs font-medium ${labelColors[label.color] || labelColors.gray} ${
+                    label.labelId === activeLabelId ? 'ring-2 ring-offset-1 ring-blue-400' : 'hover:opacity-80'
+                  }`}
+                  title={label.labelId === activeLabelId ? 'Show all labels' : `Show only tasks labeled "${label.name}"`}
+                >
+                  {label.name}
+                </button>
+              ))}
+            </div>
+          )}
+          
+          {/* Blocking Tasks - Each one opens in the detail panel */}
+          {openBlockers.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+              <span className="text-orange-700">Blocked by:</span>
+              {openBlockers.map(blocker => (
+                <button
+                  key={blocker.taskId}
+                  onClick={() => onJumpToTask(blocker.taskId)}
+                  className="text-blue-600 hover:text-blue-800 hover:underline"
+                  title={`Open "${blocker.title}" (${blocker.status})`}
+                >
+                  {blocker.title}
+                </button>
+              ))}
+            </div>
+          )}
           
           {/* Task Metadata */}
           <div className="flex flex-wrap items-center gap-4 text-sm text-gray-500"> 
@@ -1022,7 +1373,7 @@ function TaskCard({ task, user, userRole, updating, deleting, onUpdateStatus, on
                   isAssigned ? (
                     <span className="font-medium text-blue-600">Assigned to you</span>
                   ) : (
-                    `Assigned to: ${task.assignedTo}`
+                    `Assigned to: ${task.assignee?.name || task.assignee?.email || task.assignedTo}`
                   )
                 ) : (
                   'Unassigned'
@@ -1043,6 +1394,19 @@ function TaskCard({ task, user, userRole, updating, deleting, onUpdateStatus, on
               </div>
             )}
             
+            {/* Checklist Progress */}
+            {checklistProgress.total > 0 && (
+              <div
+                className={`flex items-center space-x-1 ${checklistProgress.done === checklistProgress.total ? 'text-green-600' : ''}`}
+                title="Checklist items done"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
+                </svg>
+                <span>{checklistProgress.done}/{checklistProgress.total}</span>
+              </div>
+            )}
+            
             {/* Creation Date */}
             <div className="flex items-center space-x-1"> 
               <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"> 
@@ -1057,7 +1421,7 @@ function TaskCard({ task, user, userRole, updating, deleting, onUpdateStatus, on
                 <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"> 
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
                 </svg>
-                <span>By: {task.createdBy}</span> 
+                <span>By: {task.creator?.name || task.creator?.email || task.createdBy}</span> 
               </div>
             )}
           </div>
@@ -1066,7 +1430,7 @@ function TaskCard({ task, user, userRole, updating, deleting, onUpdateStatus, on
         {/* ====================================================================
             TASK ACTIONS SECTION
             - Status update dropdown (conditional based on permissions)
-            - Delete button (admin only)
+            - Edit and delete buttons (admin only)
             - Loading indicators for ongoing operations
         ==================================================================== */}
         <div className="ml-4 flex flex-col space-y-2"> 
@@ -1079,9 +1443,10 @@ function TaskCard({ task, user, userRole, updating, deleting, onUpdateStatus, on
                 disabled={updating || deleting} // Disable during operations
                 className="px-3 py-2 border border-gray-300 rounded-lg text-sm font-medium focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100"
               >
-                <option value="Not Started">Not Started</option>
-                <option value="In Progress">In Progress</option>
-                <option value="Completed">Completed</option>
+                {/* Only statuses the workflow allows from the current one */}
+                {getAllowedStatuses(workflow, task.status).map(status => (
+                  <option key={status.name} value={status.name}>{status.name}</option>
+                ))}
               </select>
               {/* Loading Spinner for Status Updates */}
               {updating && (
@@ -1090,25 +1455,51 @@ function TaskCard({ task, user, userRole, updating, deleting, onUpdateStatus, on
             </div>
           )}
           
-          {/* Delete Button - Only shown for admins */}
-          {canDelete && (
+          {/* Details Button - Opens the detail panel with the comment thread */}
+          <button
+            onClick={() => onOpenDetails(task.taskId)}
+            className="flex items-center justify-center space-x-1 px-3 py-2 text-sm font-medium text-gray-600 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+            title="Details and comments"
+          >
+            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 12h.01M12 12h.01M16 12h.01M21 12c0 4.418-4.03 8-9 8a9.863 9.863 0 01-4.255-.949L3 20l1.395-3.72C3.512 15.042 3 13.574 3 12c0-4.418 4.03-8 9-8s9 3.582 9 8z" />
+            </svg>
+            <span>Comments</span>
+          </button>
+          
+          {/* Edit and Delete Buttons - Only shown for admins */}
+          {(canEdit || canDelete) && (
             <div className="flex space-x-2"> 
-              <button
-                onClick={() => onDelete(task.taskId, task.title)}
-                disabled={deleting}
-                className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50"
-                title="Delete Task"
-              >
-                {deleting ? (
-                  /* Loading Spinner for Delete Operation */
-                  <div className="w-4 h-4 border-2 border-red-500 border-t-transparent rounded-full animate-spin"></div>
-                ) : (
-                  /* Delete Icon */
-                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"> 
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+              {/* Edit Button - Opens the task edit form */}
+              {canEdit && (
+                <Link
+                  to={`/edit-task/${task.teamId}/${task.taskId}`}
+                  className={`p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors ${deleting ? 'pointer-events-none opacity-50' : ''}`}
+                  title="Edit Task"
+                >
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
                   </svg>
-                )}
-              </button>
+                </Link>
+              )}
+              {canDelete && (
+                <button
+                  onClick={() => onDelete(task.taskId, task.title)}
+                  disabled={deleting}
+                  className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50"
+                  title="Delete Task"
+                >
+                  {deleting ? (
+                    /* Loading Spinner for Delete Operation */
+                    <div className="w-4 h-4 border-2 border-red-500 border-t-transparent rounded-full animate-spin"></div>
+                  ) : (
+                    /* Delete Icon */
+                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24"> 
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                    </svg>
+                  )}
+                </button>
+              )}
             </div>
           )}
         </div>
@@ -1117,6 +1508,178 @@ function TaskCard({ task, user, userRole, updating, deleting, onUpdateStatus, on
   );
 }
 
+/**
+ * TaskDetailPanel Component - Slide-over with the full task, its comment thread and its history
+ * 
+ * Features:
+ * - Full (unclamped) description and task metadata
+ * - Checklist, editable by the task's assignee and admins
+ * - Dependencies, editable by the task's assignee and admins
+ * - Comments tab with replies and @mentions
+ * - History tab with a timeline of every change to the task
+ * - Closes on the close button, backdrop click or Escape
+ * 
+ * @param {Object} task - Task object from GraphQL API
+ * @param {Array} workflow - Team workflow statuses for the status badge
+ * @param {Object} user - Current user object
+ * @param {string} userRole - Current user's role in the team
+ * @param {Array} members - Team memberships for @mention suggestions and assignee names
+ * @param {Array} tasks - Tasks loaded in the list, for the dependencies section
+ * @param {Function} onTaskUpdated - Callback with the task returned by a checklist or dependency change
+ * @param {Function} onJumpToTask - Callback with the ID of a linked task to open
+ * @param {Function} onClose - Callback to close the panel
+ */
+function TaskDetailPanel({ task, workflow, user, userRole, members, tasks, onTaskUpdated, onJumpToTask, onClose }) {
+  const [activeTab, setActiveTab] = useState('comments');
+
+  // Same rule as status updates: the assignee or an admin may change the checklist and dependencies
+  const possibleUserIds = [
+    user?.userId,
+    user?.sub,
+    user?.username,
+    user?.email,
+    user?.signInDetails?.loginId,
+    user?.attributes?.email
+  ].filter(Boolean);
+  const canEditTask = userRole === 'admin' || possibleUserIds.some(id => id === task.assignedTo);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const isOverdue = task.deadline && new Date(task.deadline) < new Date() && !isTaskDone(workflow, task);
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end">
+      {/* Backdrop */}
+      <div className="absolute inset-0 bg-black bg-opacity-30" onClick={onClose} />
+
+      {/* Panel */}
+      <div className="relative w-full max-w-xl h-full bg-white shadow-xl overflow-y-auto">
+        <div className="flex items-start justify-between px-6 py-4 border-b border-gray-200">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-900">{task.title}</h2>
+            <div className="flex flex-wrap items-center gap-2 mt-2">
+              <span className={`px-2 py-1 rounded-full text-xs font-medium ${categoryColors[getStatusCategory(workflow, task)]}`}>
+                {task.status}
+              </span>
+              {task.priority && (
+                <span className={`px-2 py-1 rounded-full text-xs font-medium ${priorityColors[task.priority]}`}>
+                  {task.priority}
+                </span>
+              )}
+              {isOverdue && (
+                <span className="px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                  ⚠️ Overdue
+                </span>
+              )}
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-lg"
+            title="Close"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="px-6 py-4 space-y-6">
+          {/* Full Description */}
+          <p className="text-gray-700 whitespace-pre-wrap">{task.description || 'No description.'}</p>
+
+          {/* Task Metadata */}
+          <dl className="grid grid-cols-2 gap-3 text-sm">
+            <div>
+              <dt className="text-gray-500">Assigned to</dt>
+              <dd className="text-gray-900">{task.assignedTo ? (task.assignee?.name || task.assignee?.email || task.assignedTo) : 'Unassigned'}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-500">Deadline</dt>
+              <dd className={isOverdue ? 'text-red-600 font-medium' : 'text-gray-900'}>
+                {task.deadline ? new Date(task.deadline).toLocaleDateString() : 'None'}
+              </dd>
+            </div>
+            <div>
+              <dt className="text-gray-500">Created</dt>
+              <dd className="text-gray-900">{new Date(task.createdAt).toLocaleDateString()}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-500">Created by</dt>
+              <dd className="text-gray-900">{task.creator?.name || task.creator?.email || task.createdBy || 'Unknown'}</dd>
+            </div>
+          </dl>
+
+          {/* Checklist */}
+          <TaskChecklist
+            task={task}
+            members={members}
+            canEdit={canEditTask}
+            onTaskUpdated={onTaskUpdated}
+          />
+
+          {/* Dependencies */}
+          <TaskDependencies
+            task={task}
+            tasks={tasks}
+            workflow={workflow}
+            canEdit={canEditTask}
+            onTaskUpdated={onTaskUpdated}
+            onJumpToTask={onJumpToTask}
+          />
+
+          {/* Comments / History Tabs */}
+          <div className="border-t border-gray-200 pt-4">
+            <div className="flex space-x-4 border-b border-gray-200 mb-4">
+              {[
+                { key: 'comments', label: 'Comments' },
+                { key: 'history', label: 'History' }
+              ].map(tab => (
+                <button
+                  key={tab.key}
+                  onClick={() => setActiveTab(tab.key)}
+                  className={`pb-2 text-sm font-medium border-b-2 -mb-px ${
+                    activeTab === tab.key
+                      ? 'border-blue-600 text-blue-600'
+                      : 'border-transparent text-gray-500 hover:text-gray-700'
+                  }`}
+                >
+                  {tab.label}
+                </button>
+              ))}
+            </div>
+
+            {activeTab === 'comments' ? (
+              <CommentThread
+                teamId={task.teamId}
+                taskId={task.taskId}
+                user={user}
+                userRole={userRole}
+                members={members}
+              />
+            ) : (
+              // Keyed on updatedAt so the timeline reloads when the task changes while open
+              <TaskHistoryTimeline
+                key={task.updatedAt}
+                teamId={task.teamId}
+                taskId={task.taskId}
+                members={members}
+              />
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 /**
  * EmptyTasksState Component - Displays appropriate message when no tasks are shown
  * 
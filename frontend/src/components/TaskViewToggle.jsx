@@ -0,0 +1,43 @@
+import { useNavigate } from 'react-router-dom';
+import { TASK_VIEW_PATHS, setPreferredTaskView } from '../utils/taskView';
+
+const viewLabels = {
+  list: 'List',
+  board: 'Board'
+};
+
+/**
+ * TaskViewToggle Component - Switches a team's tasks between the list and board views
+ * The choice is saved so the tasks link opens the same view next time
+ *
+ * @param {string} teamId - ID of the team whose tasks are shown
+ * @param {string} view - The view currently shown ('list' or 'board')
+ */
+function TaskViewToggle({ teamId, view }) {
+  const navigate = useNavigate();
+
+  function handleSelect(nextView) {
+    if (nextView === view) return;
+    setPreferredTaskView(nextView);
+    navigate(`${TASK_VIEW_PATHS[nextView]}/${teamId}`);
+  }
+
+  return (
+    <div className="inline-flex rounded-lg border border-gray-300 bg-white p-0.5" role="group" aria-label="Task view">
+      {Object.entries(viewLabels).map(([value, label]) => (
+        <button
+          key={value}
+          onClick={() => handleSelect(value)}
+          aria-pressed={view === value}
+          className={`px-3 py-1.5 rounded-md text-sm font-medium transition-colors ${
+            view === value ? 'bg-blue-600 text-white' : 'text-gray-600 hover:text-gray-900'
+          }`}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default TaskViewToggle;
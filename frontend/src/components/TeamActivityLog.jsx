@@ -0,0 +1,364 @@
+import { useState, useEffect } from 'react';
+import { generateClient } from 'aws-amplify/api';
+import { auditLog } from '../graphql/queries';
+import ErrorMessage from './ErrorMessage';
+
+// Initialize AWS Amplify GraphQL client for API operations
+const client = generateClient();
+
+// Number of audit entries requested per page
+const AUDIT_PAGE_SIZE = 50;
+
+// Safety cap on pages fetched for a CSV export (100 pages x 100 entries)
+const EXPORT_MAX_PAGES = 100;
+
+// Wording for each audit action, in the order they appear in the action filter
+const actionLabels = {
+  team_created: 'Created team',
+  team_updated: 'Updated team settings',
+  team_archived: 'Archived team',
+  team_unarchived: 'Unarchived team',
+  team_deleted: 'Deleted team',
+  team_workflow_updated: 'Changed team workflow',
+  team_label_created: 'Added label',
+  team_label_updated: 'Changed label',
+  team_label_deleted: 'Deleted label',
+  member_added: 'Added member',
+  member_removed: 'Removed member',
+  member_role_changed: 'Changed member role',
+  task_created: 'Created task',
+  task_status_updated: 'Updated task status',
+  task_updated: 'Edited task',
+  task_deleted: 'Deleted task',
+  task_checklist_item_added: 'Added checklist item',
+  task_checklist_item_completed: 'Completed checklist item',
+  task_checklist_item_reopened: 'Reopened checklist item',
+  task_checklist_reordered: 'Reordered checklist',
+  task_checklist_item_removed: 'Removed checklist item',
+  task_dependency_added: 'Linked blocking task',
+  task_dependency_removed: 'Unlinked blocking task',
+  comment_added: 'Commented on task',
+  comment_edited: 'Edited comment',
+  comment_deleted: 'Deleted comment'
+};
+
+/**
+ * Builds a display name from a resolved User profile, falling back to the raw ID
+ */
+const displayName = (user, fallbackId) => user?.name || user?.email || fallbackId || '';
+
+/**
+ * Describes what an entry acted on (member name, task title or team name)
+ */
+const describeTarget = (entry) => {
+  if (entry.targetType === 'member') {
+    return displayName(entry.targetUser, entry.targetUserId);
+  }
+  return entry.targetName || entry.targetId || '';
+};
+
+/**
+ * Renders field changes as "field: before → after" text
+ */
+const describeChanges = (changes) => (changes || [])
+  .map(change => `${change.field}: ${change.before ?? '—'} → ${change.after ?? '—'}`)
+  .join('; ');
+
+/**
+ * Quotes a value for CSV when it contains a delimiter, quote or line break
+ * Values starting with a formula character get a leading ' so spreadsheets show them as text
+ * instead of running them, since titles, label names and comments are written by any member
+ */
+const toCsvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * TeamActivityLog Component - Admin view of a team's audit log
+ *
+ * Features:
+ * - Newest entries first with actor, action, target and field changes
+ * - Filters for date range, actor and action, applied on the server
+ * - "Load more" pagination
+ * - CSV export of every entry matching the current filters
+ *
+ * @param {string} teamId - ID of the team whose log to show
+ * @param {Array} members - Team memberships (with user profiles) for the actor filter
+ */
+function TeamActivityLog({ teamId, members = [] }) {
+  const [entries, setEntries] = useState([]);
+  const [nextToken, setNextToken] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Filter form state - dates are YYYY-MM-DD from the date inputs
+  const [filters, setFilters] = useState({ from: '', to: '', actorId: '', action: '' });
+
+  useEffect(() => {
+    fetchEntries();
+  }, [teamId, filters]);
+
+  /**
+   * Converts the filter form into auditLog variables
+   * Dates cover whole local days, so "to" runs until the end of that day
+   */
+  function buildVariables(pageToken, limit = AUDIT_PAGE_SIZE) {
+    return {
+      teamId,
+      from: filters.from ? new Date(`${filters.from}T00:00:00`).toISOString() : null,
+      to: filters.to ? new Date(`${filters.to}T23:59:59.999`).toISOString() : null,
+      actorId: filters.actorId || null,
+      action: filters.action || null,
+      limit,
+      nextToken: pageToken
+    };
+  }
+
+  /**
+   * Turns a GraphQL error into a message for the error banner
+   */
+  function formatError(prefix, err) {
+    if (err.errors && err.errors.length > 0) {
+      return prefix + (err.errors[0].message || 'Please try again.');
+    }
+    return prefix + (err.message || 'Please try again.');
+  }
+
+  /**
+   * Fetches a page of entries; without a cursor the list is reloaded from the newest entry
+   *
+   * @param {string|null} pageToken - nextToken from the previous page, or null for the first page
+   */
+  async function fetchEntries(pageToken = null) {
+    try {
+      if (!pageToken) {
+        setLoading(true);
+      }
+      setError(null);
+
+      const response = await client.graphql({
+        query: auditLog,
+        variables: buildVariables(pageToken),
+        authMode: 'userPool'
+      });
+
+      const page = response.data?.auditLog;
+      const entriesData = page?.items || [];
+      setEntries(prev => pageToken ? [...prev, ...entriesData] : entriesData);
+      setNextToken(page?.nextToken || null);
+    } catch (err) {
+      console.error('TeamActivityLog - Fetch audit log error:', err);
+      setError(formatError('Failed to load activity. ', err));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function handleLoadMore() {
+    if (!nextToken || loadingMore) return;
+    try {
+      setLoadingMore(true);
+      await fetchEntries(nextToken);
+    } finally {
+      setLoadingMore(false);
+    }
+  }
+
+  function handleFilterChange(field, value) {
+    setFilters(prev => ({ ...prev, [field]: value }));
+  }
+
+  /**
+   * Downloads every entry matching the current filters as a CSV file
+   * Pages are fetched at the maximum page size until the log runs out
+   */
+  async function handleExport() {
+    try {
+      setExporting(true);
+      setError(null);
+
+      const allEntries = [];
+      let pageToken = null;
+      let pages = 0;
+      do {
+        const response = await client.graphql({
+          query: auditLog,
+          variables: buildVariables(pageToken, 100),
+          authMode: 'userPool'
+        });
+        const page = response.data?.auditLog;
+        allEntries.push(...(page?.items || []));
+        pageToken = page?.nextToken || null;
+        pages += 1;
+      } while (pageToken && pages < EXPORT_MAX_PAGES);
+
+      const header = ['Timestamp', 'Actor', 'Actor ID', 'Action', 'Target type', 'Target', 'Target ID', 'Changes', 'Details'];
+      const rows = allEntries.map(entry => [
+        entry.createdAt,
+        displayName(entry.actor, entry.actorId),
+        entry.actorId,
+        entry.action,
+        entry.targetType,
+        describeTarget(entry),
+        entry.targetId,
+        describeChanges(entry.changes),
+        entry.details
+      ]);
+      const csv = [header, ...rows].map(row => row.map(toCsvCell).join(',')).join('\r\n');
+
+      const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv;charset=utf-8' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `team-activity-${teamId}-${new Date().toISOString().slice(0, 10)}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('TeamActivityLog - Export error:', err);
+      setError(formatError('Failed to export activity. ', err));
+    } finally {
+      setExporting(false);
+    }
+  }
+
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  return (
+    <div>
+      {/* Filters and Export */}
+      <div className="grid grid-cols-1 md:grid-cols-5 gap-3 mb-4 items-end">
+        <div>
+          <label htmlFor="activityFrom" className="block text-xs font-medium text-gray-600 mb-1">From</label>
+          <input
+            type="date"
+            id="activityFrom"
+            value={filters.from}
+            max={filters.to || undefined}
+            onChange={(e) => handleFilterChange('from', e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+        <div>
+          <label htmlFor="activityTo" className="block text-xs font-medium text-gray-600 mb-1">To</label>
+          <input
+            type="date"
+            id="activityTo"
+            value={filters.to}
+            min={filters.from || undefined}
+            onChange={(e) => handleFilterChange('to', e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+        <div>
+          <label htmlFor="activityActor" className="block text-xs font-medium text-gray-600 mb-1">Actor</label>
+          <select
+            id="activityActor"
+            value={filters.actorId}
+            onChange={(e) => handleFilterChange('actorId', e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="">Anyone</option>
+            {members.map(member => (
+              <option key={member.userId} value={member.userId}>
+                {displayName(member.user, member.userId)}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="activityAction" className="block text-xs font-medium text-gray-600 mb-1">Action</label>
+          <select
+            id="activityAction"
+            value={filters.action}
+            onChange={(e) => handleFilterChange('action', e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          >
+            <option value="">All actions</option>
+            {Object.entries(actionLabels).map(([action, label]) => (
+              <option key={action} value={action}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="flex space-x-2">
+          <button
+            onClick={handleExport}
+            disabled={exporting}
+            className="flex-1 bg-gray-100 hover:bg-gray-200 disabled:opacity-50 text-gray-700 px-3 py-2 rounded-lg text-sm font-medium transition-colors"
+          >
+            {exporting ? 'Exporting...' : 'Export CSV'}
+          </button>
+          {hasFilters && (
+            <button
+              onClick={() => setFilters({ from: '', to: '', actorId: '', action: '' })}
+              className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+            >
+              Clear
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4">
+          <ErrorMessage message={error} onDismiss={() => setError(null)} />
+        </div>
+      )}
+
+      {/* Entries */}
+      {loading ? (
+        <p className="text-sm text-gray-500 py-6 text-center">Loading activity...</p>
+      ) : entries.length === 0 ? (
+        <p className="text-sm text-gray-500 py-6 text-center">
+          {hasFilters ? 'No activity matches these filters.' : 'No activity recorded for this team yet.'}
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {entries.map(entry => {
+            const target = describeTarget(entry);
+            return (
+              <li key={entry.auditId} className="py-3">
+                <div className="flex items-start justify-between gap-4">
+                  <p className="text-sm text-gray-900">
+                    <span className="font-medium">{displayName(entry.actor, entry.actorId) || 'Someone'}</span>{' '}
+                    <span className="text-gray-700">{(actionLabels[entry.action] || entry.action).toLowerCase()}</span>
+                    {target && <span className="font-medium"> {target}</span>}
+                  </p>
+                  <span className="text-xs text-gray-500 whitespace-nowrap">
+                    {new Date(entry.createdAt).toLocaleString()}
+                  </span>
+                </div>
+                {entry.changes?.length > 0 && (
+                  <p className="text-xs text-gray-600 mt-1 break-words">{describeChanges(entry.changes)}</p>
+                )}
+                {entry.details && (
+                  <p className="text-xs text-gray-500 mt-1">{entry.details}</p>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {nextToken && !loading && (
+        <div className="mt-4 text-center">
+          <button
+            onClick={handleLoadMore}
+            disabled={loadingMore}
+            className="text-blue-600 hover:text-blue-800 text-sm font-medium disabled:opacity-50"
+          >
+            {loadingMore ? 'Loading...' : 'Load more activity'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TeamActivityLog;
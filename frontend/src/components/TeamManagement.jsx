@@ -1,10 +1,14 @@
 import { useState, useEffect } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import { generateClient } from 'aws-amplify/api';
-import { listMembers } from '../graphql/queries';
-import { addMember } from '../graphql/mutations';
+import { listMembers, getTeam } from '../graphql/queries';
+import { addMember, removeMember, updateMemberRole, updateTeam } from '../graphql/mutations';
+import { onMembershipChanged } from '../graphql/subscriptions';
 import LoadingSpinner from './LoadingSpinner';
 import ErrorMessage from './ErrorMessage';
+import TeamActivityLog from './TeamActivityLog';
+import WorkflowEditor from './WorkflowEditor';
+import LabelManager from './LabelManager';
 
 // Initialize AWS Amplify GraphQL client for API operations
 const client = generateClient();
@@ -15,13 +19,18 @@ const client = generateClient();
  * Features:
  * - Displays team member list with roles and status
  * - Allows admins to add new members via email invitation
+ * - Allows admins to remove members and hand their open tasks to someone else
+ * - Allows admins to promote members to admin and demote admins to member
+ * - Team settings panel for renaming the team and editing its description, color and icon
  * - Shows team statistics (total members, admins, regular members)
+ * - Workflow tab (admins only) for the team's ordered task statuses
+ * - Activity tab (admins only) with the team's filterable audit log and CSV export
  * - Provides role-based access control for different operations
  * - Includes quick navigation to team tasks and task creation
  * - Handles user permission validation and team access verification
  * 
  * Permissions:
- * - Admin: Can view all members, add new members, manage roles
+ * - Admin: Can view all members, add and remove members, promote and demote members, edit team settings, workflow and labels, view activity
  * - Member: Can view team members (read-only access)
  * 
  * @param {Object} user - Current authenticated user object from AWS Cognito
@@ -35,6 +44,7 @@ function TeamManagement({ user }) {
   // ============================================================================
   
   // Core data state
+  const [team, setTeam] = useState(null); // Team details (name, description, color, icon) from GraphQL API
   const [members, setMembers] = useState([]); // Array of team member objects from GraphQL API
   const [userRole, setUserRole] = useState('member'); // Current user's role in the team
   const [teamExists, setTeamExists] = useState(true); // Flag to track if team is accessible
@@ -48,6 +58,19 @@ function TeamManagement({ user }) {
   const [memberEmail, setMemberEmail] = useState(''); // Email input for new member invitation
   const [adding, setAdding] = useState(false); // Loading state for add member operation
 
+  // Member removal state
+  const [removing, setRemoving] = useState({}); // Object mapping userId -> boolean for remove operations
+
+  // Role change state
+  const [updatingRole, setUpdatingRole] = useState({}); // Object mapping userId -> boolean for role updates
+
+  // Team settings state
+  const [showSettings, setShowSettings] = useState(false); // Toggle for team settings panel visibility
+  const [savingSettings, setSavingSettings] = useState(false); // Loading state for team update operation
+
+  // Section tab state - 'members', 'workflow', 'labels' or 'activity' (all but members admins only)
+  const [activeTab, setActiveTab] = useState('members');
+
   // ============================================================================
   // INITIALIZATION AND DATA FETCHING
   // ============================================================================
@@ -73,8 +96,82 @@ function TeamManagement({ user }) {
     
     // Start the initialization process
     fetchMembers();
+    fetchTeam();
+  }, [teamId, user]);
+
+  /**
+   * Real-time updates - applies membership changes made by other admins without refetching
+   * Removal of the current user closes the page the same way a failed access check does
+   */
+  useEffect(() => {
+    if (!teamId || !user?.userId) return;
+
+    const currentUserIds = [
+      user?.userId,
+      user?.sub,
+      user?.username,
+      user?.email,
+      user?.signInDetails?.loginId,
+      user?.attributes?.email
+    ].filter(Boolean);
+
+    const subscription = client.graphql({
+      query: onMembershipChanged,
+      variables: { teamId },
+      authMode: 'userPool'
+    }).subscribe({
+      next: ({ data }) => {
+        const changedMember = data?.onMembershipChanged;
+        if (!changedMember) return;
+
+        console.log('TeamManagement - Membership change received:', changedMember.userId, changedMember.removed ? '(removed)' : changedMember.role);
+        const isCurrentUser = currentUserIds.includes(changedMember.userId);
+
+        if (changedMember.removed) {
+          setMembers(prev => prev.filter(member => member.userId !== changedMember.userId));
+          if (isCurrentUser) {
+            setTeamExists(false);
+            setError('You are not a member of this team or access has been revoked.');
+          }
+          return;
+        }
+
+        setMembers(prev => {
+          const exists = prev.some(member => member.userId === changedMember.userId);
+          return exists
+            ? prev.map(member => member.userId === changedMember.userId ? { ...member, ...changedMember } : member)
+            : [...prev, changedMember]; // Member added by another admin
+        });
+        if (isCurrentUser) {
+          setUserRole(changedMember.role);
+        }
+      },
+      error: (err) => console.error('TeamManagement - Membership subscription error:', err)
+    });
+
+    // Close the subscription when leaving the page or switching teams
+    return () => subscription.unsubscribe();
   }, [teamId, user]);
 
+  /**
+   * Fetches team details for the header and settings panel
+   * Access is validated by fetchMembers, so failures here are only logged
+   */
+  async function fetchTeam() {
+    try {
+      const response = await client.graphql({
+        query: getTeam,
+        variables: { teamId },
+        authMode: 'userPool'
+      });
+
+      console.log('TeamManagement - Team response:', response);
+      setTeam(response.data?.getTeam || null);
+    } catch (err) {
+      console.error('TeamManagement - Fetch team error:', err);
+    }
+  }
+
   /**
    * Fetches team members and validates user access
    * This function:
@@ -92,23 +189,29 @@ function TeamManagement({ user }) {
       console.log('TeamManagement - Fetching members for team:', teamId, 'user:', user?.userId);
       console.log('TeamManagement - Full user object:', user);
 
-      // STEP 1: Fetch team members list
-      const response = await client.graphql({
-        query: listMembers,
-        variables: { teamId },
-        authMode: 'userPool' // Use Cognito User Pool authentication
-      });
+      // STEP 1: Fetch team members list, following nextToken until every page is loaded
+      const membersList = [];
+      let nextToken = null;
+      do {
+        const response = await client.graphql({
+          query: listMembers,
+          variables: { teamId, limit: 100, nextToken },
+          authMode: 'userPool' // Use Cognito User Pool authentication
+        });
 
-      console.log('TeamManagement - Members response:', response);
+        console.log('TeamManagement - Members response:', response);
 
-      // Check if team exists and is accessible
-      if (!response.data?.listMembers) {
-        setTeamExists(false);
-        setError('Team not found or you do not have access to this team.');
-        return;
-      }
+        // Check if team exists and is accessible
+        if (!response.data?.listMembers) {
+          setTeamExists(false);
+          setError('Team not found or you do not have access to this team.');
+          return;
+        }
+
+        membersList.push(...(response.data.listMembers.items || []));
+        nextToken = response.data.listMembers.nextToken;
+      } while (nextToken);
 
-      const membersList = response.data.listMembers;
       setMembers(membersList);
 
       console.log('TeamManagement - Members list:', membersList);
@@ -300,6 +403,216 @@ function TeamManagement({ user }) {
     }
   }
 
+  /**
+   * Handles removing a member from the team
+   * This function:
+   * 1. Sends the removal via GraphQL mutation, optionally naming who takes over open tasks
+   * 2. Drops the member from local state on success
+   * 3. Provides user feedback for success/failure
+   *
+   * Only available to admin users
+   *
+   * @param {string} memberUserId - User ID of the member to remove
+   * @param {string} reassignTo - Optional user ID that receives the member's open tasks
+   */
+  async function handleRemoveMember(memberUserId, reassignTo) {
+    try {
+      setRemoving(prev => ({ ...prev, [memberUserId]: true }));
+      setError(null);
+
+      console.log('TeamManagement - Removing member:', memberUserId, 'from team:', teamId, 'reassignTo:', reassignTo);
+
+      const variables = { teamId, userId: memberUserId };
+      // Only send reassignTo when a member was picked - omitting it leaves the tasks unassigned
+      if (reassignTo) {
+        variables.reassignTo = reassignTo;
+      }
+
+      const response = await client.graphql({
+        query: removeMember,
+        variables,
+        authMode: 'userPool'
+      });
+
+      console.log('TeamManagement - Remove member response:', response);
+
+      if (response.data?.removeMember) {
+        // Drop the removed member from the list without refetching
+        setMembers(prev => prev.filter(member => member.userId !== memberUserId));
+
+        setError('Member removed successfully. Their open tasks have been ' + (reassignTo ? 'reassigned.' : 'unassigned.'));
+        setTimeout(() => {
+          setError(null);
+        }, 3000);
+      } else {
+        throw new Error('Invalid response from server');
+      }
+
+    } catch (err) {
+      console.error('TeamManagement - Remove member error:', err);
+
+      let errorMessage = 'Failed to remove member. ';
+
+      if (err.errors && err.errors.length > 0) {
+        const firstError = err.errors[0];
+        if (firstError.errorType === 'ValidationError' || firstError.errorType === 'NotFoundError') {
+          // Server-side rule violations (e.g., removing the last admin)
+          errorMessage = firstError.message;
+        } else if (firstError.errorType === 'AuthorizationError') {
+          errorMessage = 'Only team admins can remove members.';
+        } else {
+          errorMessage += firstError.message || 'Please try again.';
+        }
+      } else if (err.message) {
+        errorMessage += err.message;
+      } else {
+        errorMessage += 'Please try again.';
+      }
+
+      setError(errorMessage);
+    } finally {
+      setRemoving(prev => ({ ...prev, [memberUserId]: false }));
+    }
+  }
+
+  /**
+   * Handles changing a member's role between admin and member
+   * This function:
+   * 1. Sends the new role via GraphQL mutation
+   * 2. Updates the member in local state on success
+   * 3. Provides user feedback for success/failure
+   *
+   * Only available to admin users. The server refuses to demote the last admin
+   *
+   * @param {string} memberUserId - User ID of the member whose role changes
+   * @param {string} newRole - The new role ('admin' or 'member')
+   */
+  async function handleUpdateRole(memberUserId, newRole) {
+    try {
+      setUpdatingRole(prev => ({ ...prev, [memberUserId]: true }));
+      setError(null);
+
+      console.log('TeamManagement - Updating role for:', memberUserId, 'to:', newRole);
+
+      const response = await client.graphql({
+        query: updateMemberRole,
+        variables: { teamId, userId: memberUserId, role: newRole },
+        authMode: 'userPool'
+      });
+
+      console.log('TeamManagement - Update role response:', response);
+
+      const updatedMember = response.data?.updateMemberRole;
+      if (updatedMember) {
+        // Update the member in place so stats and badges refresh immediately
+        setMembers(prev => prev.map(member =>
+          member.userId === memberUserId ? { ...member, role: updatedMember.role } : member
+        ));
+
+        setError(`Role updated successfully to ${updatedMember.role}.`);
+        setTimeout(() => {
+          setError(null);
+        }, 3000);
+      } else {
+        throw new Error('Invalid response from server');
+      }
+
+    } catch (err) {
+      console.error('TeamManagement - Update role error:', err);
+
+      let errorMessage = 'Failed to update role. ';
+
+      if (err.errors && err.errors.length > 0) {
+        const firstError = err.errors[0];
+        if (firstError.errorType === 'ValidationError' || firstError.errorType === 'NotFoundError') {
+          // Server-side rule violations (e.g., demoting the last admin)
+          errorMessage = firstError.message;
+        } else if (firstError.errorType === 'AuthorizationError') {
+          errorMessage = 'Only team admins can change member roles.';
+        } else {
+          errorMessage += firstError.message || 'Please try again.';
+        }
+      } else if (err.message) {
+        errorMessage += err.message;
+      } else {
+        errorMessage += 'Please try again.';
+      }
+
+      setError(errorMessage);
+    } finally {
+      setUpdatingRole(prev => ({ ...prev, [memberUserId]: false }));
+    }
+  }
+
+  /**
+   * Handles saving team settings
+   * This function:
+   * 1. Sends only the changed fields via GraphQL mutation
+   * 2. Updates the local team state on success
+   * 3. Provides user feedback for success/failure
+   *
+   * Only available to admin users
+   *
+   * @param {Object} changes - Changed fields (name, description, color, icon)
+   */
+  async function handleUpdateTeam(changes) {
+    if (Object.keys(changes).length === 0) {
+      setShowSettings(false);
+      return;
+    }
+
+    try {
+      setSavingSettings(true);
+      setError(null);
+
+      console.log('TeamManagement - Updating team:', teamId, changes);
+
+      const response = await client.graphql({
+        query: updateTeam,
+        variables: { teamId, ...changes },
+        authMode: 'userPool'
+      });
+
+      console.log('TeamManagement - Update team response:', response);
+
+      if (response.data?.updateTeam) {
+        setTeam(prev => ({ ...prev, ...response.data.updateTeam }));
+        setShowSettings(false);
+
+        setError('Team settings saved successfully.');
+        setTimeout(() => {
+          setError(null);
+        }, 3000);
+      } else {
+        throw new Error('Invalid response from server');
+      }
+
+    } catch (err) {
+      console.error('TeamManagement - Update team error:', err);
+
+      let errorMessage = 'Failed to save team settings. ';
+
+      if (err.errors && err.errors.length > 0) {
+        const firstError = err.errors[0];
+        if (firstError.errorType === 'ValidationError') {
+          errorMessage = firstError.message;
+        } else if (firstError.errorType === 'AuthorizationError') {
+          errorMessage = 'Only team admins can change team settings.';
+        } else {
+          errorMessage += firstError.message || 'Please try again.';
+        }
+      } else if (err.message) {
+        errorMessage += err.message;
+      } else {
+        errorMessage += 'Please try again.';
+      }
+
+      setError(errorMessage);
+    } finally {
+      setSavingSettings(false);
+    }
+  }
+
   // ============================================================================
   // UTILITY FUNCTIONS
   // ============================================================================
@@ -397,7 +710,29 @@ function TeamManagement({ user }) {
         </div>
         
         {/* Page Title and Info */}
-        <h1 className="text-3xl font-bold text-gray-900">Team Management</h1>
+        <div className="flex items-center justify-between">
+          <h1 className="text-3xl font-bold text-gray-900">
+            {team?.icon && <span className="mr-2">{team.icon}</span>}
+            {team?.name || 'Team Management'}
+          </h1>
+          {/* Team Settings Toggle - Only visible to admins */}
+          {userRole === 'admin' && team && (
+            <button
+              onClick={() => setShowSettings(prev => !prev)}
+              className="bg-gray-100 hover:bg-gray-200 text-gray-700 px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center space-x-2"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z" />
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+              </svg>
+              <span>Settings</span>
+            </button>
+          )}
+        </div>
+        {/* Team Description */}
+        {team?.description && (
+          <p className="text-gray-700 mt-2">{team.description}</p>
+        )}
         <p className="text-gray-600 mt-2">
           Manage your team members and their roles
           {/* Show admin badge for administrators */}
@@ -443,6 +778,20 @@ function TeamManagement({ user }) {
         </div>
       )}
 
+      {/* ========================================================================
+          TEAM SETTINGS SECTION
+          - Only visible to admins after clicking the settings button
+          - Edits team name, description, color and icon
+      ======================================================================== */}
+      {showSettings && userRole === 'admin' && team && (
+        <TeamSettingsPanel
+          team={team}
+          saving={savingSettings}
+          onSave={handleUpdateTeam}
+          onCancel={() => setShowSettings(false)}
+        />
+      )}
+
       {/* ========================================================================
           TEAM STATISTICS SECTION
           - Shows total members, admin count, and regular member count
@@ -503,16 +852,38 @@ function TeamManagement({ user }) {
       {/* ========================================================================
           TEAM MEMBERS SECTION
           - Main content area for team member management
-          - Header with add member button (admin only)
+          - Header with members/activity tabs and add member button (admin only)
           - Add member form (conditional rendering)
-          - Members list or empty state
+          - Members list or empty state, or the activity log
       ======================================================================== */}
       <div className="bg-white rounded-xl shadow-sm border border-gray-200">
         {/* Section Header */}
         <div className="px-6 py-4 border-b border-gray-200 flex justify-between items-center">
-          <h2 className="text-xl font-semibold text-gray-900">Team Members</h2>
+          {userRole === 'admin' ? (
+            /* Members / Activity Tabs - Only visible to admins */
+            <div className="flex space-x-6">
+              {[
+                { key: 'members', label: 'Team Members' },
+                { key: 'workflow', label: 'Workflow' },
+                { key: 'labels', label: 'Labels' },
+                { key: 'activity', label: 'Activity' }
+              ].map(tab => (
+                <button
+                  key={tab.key}
+                  onClick={() => setActiveTab(tab.key)}
+                  className={`text-xl font-semibold transition-colors ${
+                    activeTab === tab.key ? 'text-gray-900' : 'text-gray-400 hover:text-gray-600'
+                  }`}
+                >
+                  {tab.label}
+                </button>
+              ))}
+            </div>
+          ) : (
+            <h2 className="text-xl font-semibold text-gray-900">Team Members</h2>
+          )}
           {/* Add Member Button - Only visible to admins */}
-          {userRole === 'admin' && (
+          {userRole === 'admin' && activeTab === 'members' && (
             <button
               onClick={() => setShowAddForm(true)}
               className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center space-x-2"
@@ -532,7 +903,7 @@ function TeamManagement({ user }) {
             - Email validation and submission handling
             - Loading states and form controls
         ==================================================================== */}
-        {showAddForm && userRole === 'admin' && (
+        {showAddForm && userRole === 'admin' && activeTab === 'members' && (
           <div className="px-6 py-4 bg-gray-50 border-b border-gray-200">
             <form onSubmit={handleAddMember} className="space-y-4">
               <div>
@@ -606,15 +977,35 @@ function TeamManagement({ user }) {
             - Role-based empty state messaging
         ==================================================================== */}
         <div className="p-6">
-          {members.length > 0 ? (
+          {userRole === 'admin' && activeTab === 'workflow' && team ? (
+            /* Workflow Editor - Admin-only status configuration */
+            <WorkflowEditor
+              team={team}
+              onSaved={(workflow) => setTeam(prev => ({ ...prev, workflow }))}
+            />
+          ) : userRole === 'admin' && activeTab === 'labels' && team ? (
+            /* Label Manager - Admin-only task labels */
+            <LabelManager
+              team={team}
+              onSaved={(labels) => setTeam(prev => ({ ...prev, labels }))}
+            />
+          ) : userRole === 'admin' && activeTab === 'activity' ? (
+            /* Activity Log - Admin-only audit trail */
+            <TeamActivityLog teamId={teamId} members={members} />
+          ) : members.length > 0 ? (
             /* Members List - Displays when members are available */
             <div className="space-y-4">
               {members.map((member) => (
                 <MemberCard
                   key={`${member.teamId}-${member.userId}`} // Unique key for React rendering
                   member={member}
+                  members={members}
                   currentUser={user}
                   userRole={userRole}
+                  removing={removing[member.userId]}
+                  updatingRole={updatingRole[member.userId]}
+                  onRemove={handleRemoveMember}
+                  onRoleChange={handleUpdateRole}
                 />
               ))}
             </div>
@@ -701,6 +1092,168 @@ function TeamManagement({ user }) {
 // CHILD COMPONENTS
 // ============================================================================
 
+// Accent colors offered in team settings, matching the colors accepted by updateTeam
+// Class names are kept static so Tailwind can see them
+const teamColorSwatches = {
+  blue: 'bg-blue-500',
+  green: 'bg-green-500',
+  purple: 'bg-purple-500',
+  red: 'bg-red-500',
+  orange: 'bg-orange-500',
+  yellow: 'bg-yellow-400',
+  pink: 'bg-pink-500',
+  gray: 'bg-gray-500'
+};
+
+/**
+ * TeamSettingsPanel Component - Form for editing team name and metadata
+ * 
+ * Features:
+ * - Name and description fields with the same limits the server enforces
+ * - Color swatches and emoji icon input
+ * - Sends only the fields that changed
+ * 
+ * @param {Object} team - Current team details
+ * @param {boolean} saving - Whether a save is in progress
+ * @param {Function} onSave - Callback with the changed fields
+ * @param {Function} onCancel - Callback to close the panel
+ */
+function TeamSettingsPanel({ team, saving, onSave, onCancel }) {
+  const [formData, setFormData] = useState({
+    name: team.name || '',
+    description: team.description || '',
+    color: team.color || '',
+    icon: team.icon || ''
+  });
+
+  /**
+   * Submits only the fields that differ from the saved team
+   * Cleared description, color or icon are sent as empty strings so the server removes them
+   */
+  function handleSubmit(e) {
+    e.preventDefault();
+
+    const changes = {};
+    for (const field of Object.keys(formData)) {
+      const value = formData[field].trim();
+      if (value !== (team[field] || '')) {
+        changes[field] = value;
+      }
+    }
+    onSave(changes);
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 mb-8">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <h2 className="text-xl font-semibold text-gray-900">Team Settings</h2>
+      </div>
+      <form onSubmit={handleSubmit} className="px-6 py-4 space-y-4">
+        {/* Team Name */}
+        <div>
+          <label htmlFor="teamName" className="block text-sm font-medium text-gray-700 mb-2">
+            Team Name
+          </label>
+          <input
+            type="text"
+            id="teamName"
+            value={formData.name}
+            onChange={(e) => setFormData(prev => ({ ...prev, name: e.target.value }))}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            disabled={saving}
+            maxLength={100}
+            required
+          />
+        </div>
+
+        {/* Team Description */}
+        <div>
+          <label htmlFor="teamDescription" className="block text-sm font-medium text-gray-700 mb-2">
+            Description
+          </label>
+          <textarea
+            id="teamDescription"
+            value={formData.description}
+            onChange={(e) => setFormData(prev => ({ ...prev, description: e.target.value }))}
+            placeholder="What is this team working on?"
+            rows={3}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            disabled={saving}
+            maxLength={500}
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            {formData.description.length}/500 characters
+          </p>
+        </div>
+
+        <div className="flex flex-col sm:flex-row gap-4">
+          {/* Color Swatches */}
+          <div className="flex-1">
+            <span className="block text-sm font-medium text-gray-700 mb-2">Color</span>
+            <div className="flex flex-wrap gap-2">
+              {Object.entries(teamColorSwatches).map(([color, swatchClass]) => (
+                <button
+                  key={color}
+                  type="button"
+                  title={color}
+                  onClick={() => setFormData(prev => ({ ...prev, color: prev.color === color ? '' : color }))}
+                  disabled={saving}
+                  className={`w-8 h-8 rounded-full ${swatchClass} transition-transform ${
+                    formData.color === color ? 'ring-2 ring-offset-2 ring-gray-900 scale-110' : 'hover:scale-110'
+                  }`}
+                />
+              ))}
+            </div>
+          </div>
+
+          {/* Emoji Icon */}
+          <div>
+            <label htmlFor="teamIcon" className="block text-sm font-medium text-gray-700 mb-2">
+              Icon
+            </label>
+            <input
+              type="text"
+              id="teamIcon"
+              value={formData.icon}
+              onChange={(e) => setFormData(prev => ({ ...prev, icon: e.target.value }))}
+              placeholder="🚀"
+              className="w-24 px-3 py-2 border border-gray-300 rounded-lg text-center focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              disabled={saving}
+              maxLength={8}
+            />
+          </div>
+        </div>
+
+        {/* Form Actions */}
+        <div className="flex space-x-3">
+          <button
+            type="submit"
+            disabled={saving || !formData.name.trim()}
+            className="bg-green-600 hover:bg-green-700 disabled:bg-gray-400 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors flex items-center space-x-2"
+          >
+            {saving ? (
+              <>
+                <div className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+                <span>Saving...</span>
+              </>
+            ) : (
+              <span>Save Changes</span>
+            )}
+          </button>
+          <button
+            type="button"
+            onClick={onCancel}
+            disabled={saving}
+            className="bg-gray-500 hover:bg-gray-600 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+          >
+            Cancel
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
 /**
  * MemberCard Component - Displays individual team member information and controls
  * 
@@ -710,17 +1263,27 @@ function TeamManagement({ user }) {
  * - Action buttons for member management (admin only)
  * - Enhanced user identification across multiple Cognito ID formats
  * - Responsive design for different screen sizes
+ * - Role dropdown for promoting and demoting members (admin only)
+ * - Inline removal confirmation with optional task reassignment (admin only)
  * 
  * Future enhancements could include:
- * - Role change functionality
- * - Member removal capability
  * - Member profile editing
  * 
  * @param {Object} member - Member object from GraphQL API
+ * @param {Array} members - All team members, used to pick who takes over open tasks
  * @param {Object} currentUser - Current authenticated user object
  * @param {string} userRole - Current user's role in the team
+ * @param {boolean} removing - Whether this member is currently being removed
+ * @param {boolean} updatingRole - Whether this member's role is currently being updated
+ * @param {Function} onRemove - Callback for member removal (userId, reassignTo)
+ * @param {Function} onRoleChange - Callback for role changes (userId, role)
  */
-function MemberCard({ member, currentUser, userRole }) {
+function MemberCard({ member, members, currentUser, userRole, removing, updatingRole, onRemove, onRoleChange }) {
+  // Removal confirmation state - shown inline instead of a browser dialog
+  // so the admin can pick who takes over the member's open tasks
+  const [confirmingRemove, setConfirmingRemove] = useState(false);
+  const [reassignTo, setReassignTo] = useState('');
+
   // ENHANCED CURRENT USER DETECTION
   // Check if this member card represents the currently authenticated user
   // Uses multiple possible user identifiers to handle different Cognito auth scenarios
@@ -733,95 +1296,169 @@ function MemberCard({ member, currentUser, userRole }) {
     currentUser?.attributes?.email // Attributes email
   ].filter(Boolean).some(id => id === member.userId);
 
+  // Show the member's name where the Users table has one, otherwise fall back to their ID
+  const displayName = member.user?.name || member.user?.email || member.userId;
+
+  // Admins manage everyone except themselves - self-demotion would lock them out of this page
+  const canManage = userRole === 'admin' && !isCurrentUser;
+
   return (
-    <div className="flex items-center justify-between p-4 border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors">
-      {/* ====================================================================
-          MEMBER INFORMATION SECTION
-          - Avatar with member initial
-          - Member ID/name display
-          - Current user indicator
-          - Join date information
-      ==================================================================== */}
-      <div className="flex items-center space-x-4">
-        {/* Member Avatar */}
-        <div className="w-12 h-12 bg-gradient-to-r from-blue-500 to-purple-600 rounded-full flex items-center justify-center">
-          <span className="text-white font-bold text-lg">
-            {member.userId.charAt(0).toUpperCase()}
-          </span>
-        </div>
+    <div className="p-4 border border-gray-200 rounded-lg hover:bg-gray-50 transition-colors">
+      <div className="flex items-center justify-between">
+        {/* ====================================================================
+            MEMBER INFORMATION SECTION
+            - Avatar with member initial
+            - Member ID/name display
+            - Current user indicator
+            - Join date information
+        ==================================================================== */}
+        <div className="flex items-center space-x-4">
+          {/* Member Avatar */}
+          <div className="w-12 h-12 bg-gradient-to-r from-blue-500 to-purple-600 rounded-full flex items-center justify-center">
+            <span className="text-white font-bold text-lg">
+              {displayName.charAt(0).toUpperCase()}
+            </span>
+          </div>
         
-        {/* Member Details */}
-        <div>
-          <div className="flex items-center space-x-2">
-            {/* Member Name/ID */}
-            <h3 className="font-semibold text-gray-900">{member.userId}</h3>
+          {/* Member Details */}
+          <div>
+            <div className="flex items-center space-x-2">
+              {/* Member Name/ID */}
+              <h3 className="font-semibold text-gray-900">{displayName}</h3>
             
-            {/* Current User Badge */}
-            {isCurrentUser && (
-              <span className="px-2 py-1 bg-blue-100 text-blue-800 text-xs rounded-full">
-                You
-              </span>
+              {/* Current User Badge */}
+              {isCurrentUser && (
+                <span className="px-2 py-1 bg-blue-100 text-blue-800 text-xs rounded-full">
+                  You
+                </span>
+              )}
+            </div>
+          
+            {/* Member Email */}
+            {member.user?.email && (
+              <p className="text-sm text-gray-600">{member.user.email}</p>
             )}
+
+            {/* Join Date */}
+            <p className="text-sm text-gray-500">
+              Joined {member.joinedAt ? new Date(member.joinedAt).toLocaleDateString() : 'Recently'}
+            </p>
           </div>
-          
-          {/* Join Date */}
-          <p className="text-sm text-gray-500">
-            Joined {member.joinedAt ? new Date(member.joinedAt).toLocaleDateString() : 'Recently'}
-          </p>
         </div>
-      </div>
       
+        {/* ====================================================================
+            MEMBER ACTIONS SECTION
+            - Role badge with visual distinction, or role dropdown for admins
+            - Action buttons for member management (admin only)
+            - Permission-based visibility controls
+        ==================================================================== */}
+        <div className="flex items-center space-x-3">
+          {canManage ? (
+            /* Role Dropdown - Admins can promote or demote other members */
+            <select
+              value={member.role}
+              onChange={(e) => onRoleChange(member.userId, e.target.value)}
+              disabled={updatingRole || removing}
+              title="Change Role"
+              className={`px-3 py-1 rounded-full text-xs font-medium border-0 cursor-pointer focus:ring-2 focus:ring-blue-500 disabled:opacity-50 ${
+                member.role === 'admin' 
+                  ? 'bg-red-100 text-red-800'
+                  : 'bg-blue-100 text-blue-800'
+              }`}
+            >
+              <option value="admin">👑 Admin</option>
+              <option value="member">👤 Member</option>
+            </select>
+          ) : (
+            /* Role Badge */
+            <span className={`px-3 py-1 rounded-full text-xs font-medium ${
+              member.role === 'admin' 
+                ? 'bg-red-100 text-red-800'  // Admin styling with crown icon
+                : 'bg-blue-100 text-blue-800' // Member styling with user icon
+            }`}>
+              {member.role === 'admin' ? '👑 Admin' : '👤 Member'}
+            </span>
+          )}
+        
+          {/* Member Management Actions - Only visible to admins, never on their own card */}
+          {canManage && (
+            <div className="flex space-x-2">
+              {/* Remove Member Button - Opens the inline confirmation below */}
+              <button 
+                className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors disabled:opacity-50"
+                title="Remove Member"
+                disabled={removing}
+                onClick={() => setConfirmingRemove(true)}
+              >
+                {removing ? (
+                  /* Loading Spinner for Remove Operation */
+                  <div className="w-4 h-4 border-2 border-red-500 border-t-transparent rounded-full animate-spin"></div>
+                ) : (
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                  </svg>
+                )}
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
       {/* ====================================================================
-          MEMBER ACTIONS SECTION
-          - Role badge with visual distinction
-          - Action buttons for member management (admin only)
-          - Permission-based visibility controls
+          REMOVE CONFIRMATION SECTION
+          - Shown after clicking the remove button
+          - Optional reassignment of the member's open tasks
       ==================================================================== */}
-      <div className="flex items-center space-x-3">
-        {/* Role Badge */}
-        <span className={`px-3 py-1 rounded-full text-xs font-medium ${
-          member.role === 'admin' 
-            ? 'bg-red-100 text-red-800'  // Admin styling with crown icon
-            : 'bg-blue-100 text-blue-800' // Member styling with user icon
-        }`}>
-          {member.role === 'admin' ? '👑 Admin' : '👤 Member'}
-        </span>
-        
-        {/* Member Management Actions - Only visible to admins for non-admin members */}
-        {userRole === 'admin' && member.role !== 'admin' && !isCurrentUser && (
-          <div className="flex space-x-2">
-            {/* Edit Member Button */}
-            <button 
-              className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
-              title="Edit Member"
-              onClick={() => {
-                // TODO: Implement member editing functionality
-                // This could open a modal for changing roles or updating member details
-                console.log('Edit member:', member.userId);
+      {confirmingRemove && (
+        <div className="mt-4 p-4 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-800 mb-3">
+            Remove <strong>{displayName}</strong> from this team? They will lose access to all team tasks.
+          </p>
+          <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+            {/* Reassignment Selector */}
+            <select
+              value={reassignTo}
+              onChange={(e) => setReassignTo(e.target.value)}
+              disabled={removing}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="">Leave their open tasks unassigned</option>
+              {members
+                .filter(other => other.userId !== member.userId)
+                .map(other => (
+                  <option key={other.userId} value={other.userId}>
+                    Reassign to {other.user?.name || other.user?.email || other.userId}
+                  </option>
+                ))}
+            </select>
+
+            {/* Confirm Button */}
+            <button
+              onClick={async () => {
+                await onRemove(member.userId, reassignTo);
+                setConfirmingRemove(false);
+                setReassignTo('');
               }}
+              disabled={removing}
+              className="bg-red-600 hover:bg-red-700 disabled:bg-gray-400 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors"
             >
-              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
-              </svg>
+              {removing ? 'Removing...' : 'Remove'}
             </button>
-            
-            {/* Remove Member Button */}
-            <button 
-              className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
-              title="Remove Member"
+
+            {/* Cancel Button */}
+            <button
               onClick={() => {
-                // TODO: Implement member removal functionality
-                // This should show a confirmation dialog before removing the member
-                console.log('Remove member:', member.userId);
+                setConfirmingRemove(false);
+                setReassignTo('');
               }}
+              disabled={removing}
+              className="bg-gray-500 hover:bg-gray-600 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors"
             >
-              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-              </svg>
+              Cancel
             </button>
           </div>
-        )}
-      </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,254 @@
+import { useState } from 'react';
+import { generateClient } from 'aws-amplify/api';
+import { updateTeamWorkflow } from '../graphql/mutations';
+import ErrorMessage from './ErrorMessage';
+import { DEFAULT_WORKFLOW, WORKFLOW_CATEGORIES, categoryColors } from '../utils/workflow';
+
+// Initialize AWS Amplify GraphQL client for API operations
+const client = generateClient();
+
+// Same limits the server enforces in normalizeWorkflow
+const MAX_STATUSES = 12;
+const MAX_NAME_LENGTH = 30;
+
+let nextRowId = 0;
+
+/**
+ * Converts workflow statuses into editable rows
+ * Rows get stable IDs so transitions survive renames while editing
+ */
+function toRows(workflow) {
+  const rows = workflow.map(status => ({
+    id: nextRowId++,
+    name: status.name,
+    category: status.category,
+    restricted: Array.isArray(status.transitions),
+    transitionIds: []
+  }));
+  workflow.forEach((status, index) => {
+    rows[index].transitionIds = (status.transitions || [])
+      .map(name => rows.find(row => row.name === name)?.id)
+      .filter(id => id !== undefined);
+  });
+  return rows;
+}
+
+/**
+ * WorkflowEditor Component - Lets admins define the team's ordered task statuses
+ *
+ * Features:
+ * - Add, rename, reorder and remove statuses
+ * - Category per status (to do, in progress, done)
+ * - Optional allowed transitions per status
+ * - Server-side checks (e.g., statuses that still hold tasks) are shown as errors
+ *
+ * @param {Object} team - Team with its current workflow
+ * @param {Function} onSaved - Callback with the saved workflow
+ */
+function WorkflowEditor({ team, onSaved }) {
+  const [rows, setRows] = useState(() => toRows(team?.workflow?.length > 0 ? team.workflow : DEFAULT_WORKFLOW));
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  function updateRow(id, changes) {
+    setRows(prev => prev.map(row => row.id === id ? { ...row, ...changes } : row));
+  }
+
+  function moveRow(index, offset) {
+    setRows(prev => {
+      const next = [...prev];
+      const [row] = next.splice(index, 1);
+      next.splice(index + offset, 0, row);
+      return next;
+    });
+  }
+
+  function removeRow(id) {
+    setRows(prev => prev
+      .filter(row => row.id !== id)
+      .map(row => ({ ...row, transitionIds: row.transitionIds.filter(t => t !== id) })));
+  }
+
+  function addRow() {
+    setRows(prev => [...prev, {
+      id: nextRowId++,
+      name: '',
+      category: 'in_progress',
+      restricted: false,
+      transitionIds: []
+    }]);
+  }
+
+  function toggleTransition(row, targetId) {
+    const transitionIds = row.transitionIds.includes(targetId)
+      ? row.transitionIds.filter(id => id !== targetId)
+      : [...row.transitionIds, targetId];
+    updateRow(row.id, { transitionIds });
+  }
+
+  async function handleSave() {
+    const names = rows.map(row => row.name.trim());
+    if (names.some(name => !name)) {
+      setMessage({ type: 'error', text: 'Every status needs a name.' });
+      return;
+    }
+
+    const statuses = rows.map(row => ({
+      name: row.name.trim(),
+      category: row.category,
+      transitions: row.restricted
+        ? row.transitionIds.map(id => rows.find(r => r.id === id)?.name.trim()).filter(Boolean)
+        : null
+    }));
+
+    try {
+      setSaving(true);
+      setMessage(null);
+
+      const response = await client.graphql({
+        query: updateTeamWorkflow,
+        variables: { teamId: team.teamId, statuses },
+        authMode: 'userPool'
+      });
+
+      const savedWorkflow = response.data?.updateTeamWorkflow?.workflow || statuses;
+      setRows(toRows(savedWorkflow));
+      setMessage({ type: 'success', text: 'Workflow saved successfully.' });
+      onSaved?.(savedWorkflow);
+    } catch (err) {
+      console.error('WorkflowEditor - Save workflow error:', err);
+
+      let errorMessage = 'Failed to save workflow. ';
+      if (err.errors && err.errors.length > 0) {
+        errorMessage += err.errors[0].message || 'Please try again.';
+      } else {
+        errorMessage += err.message || 'Please try again.';
+      }
+      setMessage({ type: 'error', text: errorMessage });
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-4">
+        Statuses appear in this order on task lists. New tasks start in the first status, and tasks in a
+        <span className="font-medium"> done</span> status no longer count as open or overdue.
+      </p>
+
+      {message && (
+        <div className="mb-4">
+          <ErrorMessage message={message.text} type={message.type} onDismiss={() => setMessage(null)} />
+        </div>
+      )}
+
+      <div className="space-y-3">
+        {rows.map((row, index) => (
+          <div key={row.id} className="border border-gray-200 rounded-lg p-4">
+            <div className="flex flex-wrap items-center gap-3">
+              {/* Order Controls */}
+              <div className="flex flex-col">
+                <button
+                  onClick={() => moveRow(index, -1)}
+                  disabled={index === 0}
+                  className="text-gray-400 hover:text-gray-700 disabled:opacity-30 text-xs"
+                  title="Move up"
+                >
+                  ▲
+                </button>
+                <button
+                  onClick={() => moveRow(index, 1)}
+                  disabled={index === rows.length - 1}
+                  className="text-gray-400 hover:text-gray-700 disabled:opacity-30 text-xs"
+                  title="Move down"
+                >
+                  ▼
+                </button>
+              </div>
+
+              <input
+                type="text"
+                value={row.name}
+                maxLength={MAX_NAME_LENGTH}
+                onChange={(e) => updateRow(row.id, { name: e.target.value })}
+                placeholder="Status name"
+                className="flex-1 min-w-[10rem] px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+
+              <select
+                value={row.category}
+                onChange={(e) => updateRow(row.id, { category: e.target.value })}
+                className={`px-3 py-2 rounded-lg text-sm font-medium border border-gray-300 ${categoryColors[row.category]}`}
+              >
+                {Object.entries(WORKFLOW_CATEGORIES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={row.restricted}
+                  onChange={(e) => updateRow(row.id, { restricted: e.target.checked })}
+                  className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                <span>Limit next statuses</span>
+              </label>
+
+              <button
+                onClick={() => removeRow(row.id)}
+                disabled={rows.length === 1}
+                className="text-sm text-red-600 hover:text-red-800 disabled:opacity-30"
+              >
+                Remove
+              </button>
+            </div>
+
+            {/* Allowed Transitions */}
+            {row.restricted && (
+              <div className="mt-3 pl-6">
+                <p className="text-xs text-gray-500 mb-2">
+                  Tasks in this status can move to:
+                  {row.transitionIds.length === 0 && <span className="italic"> nowhere (final status)</span>}
+                </p>
+                <div className="flex flex-wrap gap-3">
+                  {rows.filter(other => other.id !== row.id).map(other => (
+                    <label key={other.id} className="flex items-center space-x-1 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={row.transitionIds.includes(other.id)}
+                        onChange={() => toggleTransition(row, other.id)}
+                        className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                      />
+                      <span>{other.name.trim() || 'Untitled'}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-between mt-4">
+        <button
+          onClick={addRow}
+          disabled={rows.length >= MAX_STATUSES}
+          className="text-sm font-medium text-blue-600 hover:text-blue-800 disabled:opacity-50"
+        >
+          + Add status
+        </button>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+        >
+          {saving ? 'Saving...' : 'Save Workflow'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default WorkflowEditor;
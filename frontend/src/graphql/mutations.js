@@ -21,6 +21,128 @@ export const createTeam = gql`
   }
 `;
 
+// Defines a GraphQL mutation to rename a team and edit its metadata
+// Only teamId is required - omitted fields stay unchanged, empty strings clear description/color/icon
+export const updateTeam = gql`
+  mutation UpdateTeam(
+    $teamId: ID!           # Required: ID of the team to update
+    $name: String          # Optional: New team name
+    $description: String   # Optional: New team description
+    $color: String         # Optional: New accent color name
+    $icon: String          # Optional: New emoji icon
+  ) {
+    # Call the updateTeam resolver on the server
+    updateTeam(
+      teamId: $teamId
+      name: $name
+      description: $description
+      color: $color
+      icon: $icon
+    ) {
+      # Request these fields to be returned after the update
+      teamId        # ID of the team that was updated
+      name          # Updated team name
+      description   # Updated team description
+      color         # Updated accent color
+      icon          # Updated emoji icon
+      adminId       # User ID of the team administrator
+      createdAt     # Timestamp when the team was created
+      updatedAt     # Timestamp of this update
+      userRole      # Role of the current user in this team context
+      isAdmin       # Boolean indicating if current user is admin of this team
+      archived      # Whether the team is archived
+    }
+  }
+`;
+
+// Defines a GraphQL mutation to replace a team's workflow statuses (admin only)
+// Statuses are saved in the order given; the first is where new tasks start
+export const updateTeamWorkflow = gql`
+  mutation UpdateTeamWorkflow($teamId: ID!, $statuses: [WorkflowStatusInput!]!) {
+    # Call the updateTeamWorkflow resolver on the server
+    # Each status is { name, category, transitions } - leave transitions null to allow any move
+    updateTeamWorkflow(teamId: $teamId, statuses: $statuses) {
+      # Request these fields to be returned after the update
+      teamId        # ID of the team that was updated
+      name          # Name of the team
+      updatedAt     # Timestamp of this update
+      workflow {
+        name        # Display name of the status
+        category    # todo, in_progress or done
+        transitions # Statuses a task may move to next (null = any)
+      }
+    }
+  }
+`;
+
+// Defines GraphQL mutations to manage a team's labels (admin only)
+// Each returns the team with its whole label list, in display order
+export const createLabel = gql`
+  mutation CreateLabel($teamId: ID!, $name: String!, $color: String) {
+    # Call the createLabel resolver on the server - color defaults to gray
+    createLabel(teamId: $teamId, name: $name, color: $color) {
+      teamId        # ID of the team that was updated
+      updatedAt     # Timestamp of this update
+      labels { labelId name color }  # All labels of the team, the new one last
+    }
+  }
+`;
+
+export const updateLabel = gql`
+  mutation UpdateLabel($teamId: ID!, $labelId: ID!, $name: String!, $color: String) {
+    # Call the updateLabel resolver on the server - tasks keep the label and show its new name
+    updateLabel(teamId: $teamId, labelId: $labelId, name: $name, color: $color) {
+      teamId        # ID of the team that was updated
+      updatedAt     # Timestamp of this update
+      labels { labelId name color }  # All labels of the team
+    }
+  }
+`;
+
+export const deleteLabel = gql`
+  mutation DeleteLabel($teamId: ID!, $labelId: ID!) {
+    # Call the deleteLabel resolver on the server - the label is also taken off the team's tasks
+    deleteLabel(teamId: $teamId, labelId: $labelId) {
+      teamId        # ID of the team that was updated
+      updatedAt     # Timestamp of this update
+      labels { labelId name color }  # Remaining labels of the team
+    }
+  }
+`;
+
+// Defines a GraphQL mutation to archive or unarchive a team
+// Archived teams are read-only and hidden from listTeams unless includeArchived is set
+export const archiveTeam = gql`
+  mutation ArchiveTeam($teamId: ID!, $archived: Boolean) {
+    # Call the archiveTeam resolver on the server
+    # archived defaults to true on the server - pass false to unarchive
+    archiveTeam(teamId: $teamId, archived: $archived) {
+      # Request these fields to be returned after the archive state changes
+      teamId        # ID of the team that was archived or unarchived
+      name          # Name of the team
+      adminId       # User ID of the team administrator
+      createdAt     # Timestamp when the team was created
+      userRole      # Role of the current user in this team context
+      isAdmin       # Boolean indicating if current user is admin of this team
+      archived      # New archive state of the team
+      archivedAt    # Timestamp when the team was archived (null after unarchiving)
+    }
+  }
+`;
+
+// Defines a GraphQL mutation to permanently delete a team
+// Removes the team together with all of its tasks and memberships
+export const deleteTeam = gql`
+  mutation DeleteTeam($teamId: ID!) {
+    # Call the deleteTeam resolver on the server
+    # Safe to call again if a previous attempt failed part-way
+    deleteTeam(teamId: $teamId) {
+      success       # Boolean indicating if the deletion was successful
+      message       # Human-readable summary of what was deleted
+    }
+  }
+`;
+
 // Defines a GraphQL mutation to add a member to a team
 // Requires both teamId (ID type) and email (String type) as parameters
 export const addMember = gql`
@@ -34,6 +156,41 @@ export const addMember = gql`
       role          # Role assigned to the new member (e.g., 'member', 'admin')
       joinedAt      # Timestamp when the member was added to the team
       addedBy       # User ID of who added this member (usually the admin)
+      user { userId name email }  # Profile of the new member, passed on to onMembershipChanged subscribers
+    }
+  }
+`;
+
+// Defines a GraphQL mutation to remove a member from a team
+// Requires teamId and the member's userId; reassignTo is optional and receives the member's open tasks
+export const removeMember = gql`
+  mutation RemoveMember($teamId: ID!, $userId: ID!, $reassignTo: ID) {
+    # Call the removeMember resolver on the server
+    # Open tasks are reassigned to reassignTo, or left unassigned when it is omitted
+    removeMember(teamId: $teamId, userId: $userId, reassignTo: $reassignTo) {
+      # Request these fields from the membership record that was removed
+      teamId        # ID of the team the member was removed from
+      userId        # User ID of the removed member
+      role          # Role the member held before removal
+      removed       # Always true - tells onMembershipChanged subscribers to drop the member
+    }
+  }
+`;
+
+// Defines a GraphQL mutation to change a team member's role
+// Requires teamId, the member's userId and the new role ('admin' or 'member')
+export const updateMemberRole = gql`
+  mutation UpdateMemberRole($teamId: ID!, $userId: ID!, $role: String!) {
+    # Call the updateMemberRole resolver on the server
+    # The server refuses to demote the last remaining admin of a team
+    updateMemberRole(teamId: $teamId, userId: $userId, role: $role) {
+      # Request these fields to be returned after the role change
+      teamId        # ID of the team the membership belongs to
+      userId        # User ID of the member whose role changed
+      role          # The member's new role
+      joinedAt      # Timestamp when the member joined the team
+      addedBy       # User ID of who added this member
+      user { userId name email }  # Profile of the member, passed on to onMembershipChanged subscribers
     }
   }
 `;
@@ -48,6 +205,8 @@ export const createTask = gql`
     $assignedTo: ID        # Optional: User ID of person assigned to this task
     $deadline: String      # Optional: Deadline for task completion (ISO date string)
     $priority: String      # Optional: Priority level (e.g., 'low', 'medium', 'high')
+    $labels: [ID!]         # Optional: IDs of team labels to tag the task with
+    $recurrence: RecurrenceInput # Optional: Repeat rule that makes this a recurring task
   ) {
     # Call the createTask resolver on the server
     # Pass all the provided variables as arguments
@@ -58,6 +217,8 @@ export const createTask = gql`
       assignedTo: $assignedTo
       deadline: $deadline
       priority: $priority
+      labels: $labels
+      recurrence: $recurrence
     ) {
       # Request these fields to be returned after successful task creation
       teamId        # ID of the team this task belongs to
@@ -66,23 +227,36 @@ export const createTask = gql`
       description   # Detailed description of the task
       assignedTo    # User ID of person assigned to this task (may be null)
       status        # Current status of the task (e.g., 'todo', 'in-progress', 'done')
+      statusCategory # Workflow category of the status (todo, in_progress, done)
+      rank          # Position of the task within its board column
+      checklist { itemId title done assignedTo completedAt assignee { userId name email } }  # Ordered checklist steps
+      blockedBy     # IDs of the tasks this one waits for
+      blocks        # IDs of the tasks waiting for this one
+      blockers { taskId title status statusCategory }  # Blocking tasks, to tell whether they are still open
+      recurrence { frequency interval weekdays monthDay until count rrule }  # Repeat rule, null for one-off tasks
+      occurrence    # Position within its recurring series
+      labels        # IDs of the team labels the task carries
       priority      # Priority level of the task
       deadline      # Deadline for task completion
       createdBy     # User ID of who created this task
       createdAt     # Timestamp when the task was created
       updatedAt     # Timestamp when the task was last updated
       updatedBy     # User ID of who last updated this task
+      assignee { userId name email }  # Profile of the assignee, passed on to onTaskChanged subscribers
+      creator { userId name email }   # Profile of the creator, passed on to onTaskChanged subscribers
     }
   }
 `;
 
 // Defines a GraphQL mutation to update the status of a task
-// This is a focused mutation that only changes the task status
+// This is a focused mutation that only changes the task status and its board position
 export const updateTask = gql`
-  mutation UpdateTask($teamId: ID!, $taskId: ID!, $status: String!) {
+  mutation UpdateTask($teamId: ID!, $taskId: ID!, $status: String!, $rank: String, $overrideBlockers: Boolean) {
     # Call the updateTask resolver on the server
     # Requires teamId and taskId to identify the specific task, and new status
-    updateTask(teamId: $teamId, taskId: $taskId, status: $status) {
+    # rank is optional and repositions the task within its board column
+    # overrideBlockers lets an admin start or finish a task whose blockers are still open
+    updateTask(teamId: $teamId, taskId: $taskId, status: $status, rank: $rank, overrideBlockers: $overrideBlockers) {
       # Request these fields to be returned after successful status update
       teamId        # ID of the team this task belongs to
       taskId        # ID of the task that was updated
@@ -90,10 +264,23 @@ export const updateTask = gql`
       description   # Current description of the task
       assignedTo    # Current assignee of the task
       status        # Updated status of the task
+      statusCategory # Workflow category of the status (todo, in_progress, done)
+      rank          # Position of the task within its board column
+      checklist { itemId title done assignedTo completedAt assignee { userId name email } }  # Ordered checklist steps
+      blockedBy     # IDs of the tasks this one waits for
+      blocks        # IDs of the tasks waiting for this one
+      blockers { taskId title status statusCategory }  # Blocking tasks, to tell whether they are still open
+      recurrence { frequency interval weekdays monthDay until count rrule }  # Repeat rule, null for one-off tasks
+      occurrence    # Position within its recurring series
+      labels        # IDs of the team labels the task carries
       priority      # Current priority of the task
       deadline      # Current deadline of the task
+      createdBy     # User ID of who created this task
+      createdAt     # Timestamp when the task was created
       updatedAt     # Timestamp when this update occurred
       updatedBy     # User ID of who performed this update
+      assignee { userId name email }  # Profile of the assignee, passed on to onTaskChanged subscribers
+      creator { userId name email }   # Profile of the creator, passed on to onTaskChanged subscribers
     }
   }
 `;
@@ -109,6 +296,7 @@ export const updateTaskDetails = gql`
     $assignedTo: ID        # Optional: New assignee's user ID
     $deadline: String      # Optional: New deadline (ISO date string)
     $priority: String      # Optional: New priority level
+    $labels: [ID!]         # Optional: Replaces the task's labels (empty list clears them)
   ) {
     # Call the updateTaskDetails resolver on the server
     # Pass teamId and taskId to identify the task, plus any fields to update
@@ -120,6 +308,7 @@ export const updateTaskDetails = gql`
       assignedTo: $assignedTo
       deadline: $deadline
       priority: $priority
+      labels: $labels
     ) {
       # Request these fields to be returned after successful task update
       teamId        # ID of the team this task belongs to
@@ -128,25 +317,337 @@ export const updateTaskDetails = gql`
       description   # Updated description of the task
       assignedTo    # Updated assignee of the task
       status        # Current status of the task (unchanged by this mutation)
+      statusCategory # Workflow category of the status (todo, in_progress, done)
+      rank          # Position of the task within its board column
+      checklist { itemId title done assignedTo completedAt assignee { userId name email } }  # Ordered checklist steps
+      blockedBy     # IDs of the tasks this one waits for
+      blocks        # IDs of the tasks waiting for this one
+      blockers { taskId title status statusCategory }  # Blocking tasks, to tell whether they are still open
+      recurrence { frequency interval weekdays monthDay until count rrule }  # Repeat rule, null for one-off tasks
+      occurrence    # Position within its recurring series
+      labels        # IDs of the team labels the task carries
       priority      # Updated priority of the task
       deadline      # Updated deadline of the task
+      createdBy     # User ID of who created this task
+      createdAt     # Timestamp when the task was created
       updatedAt     # Timestamp when this update occurred
       updatedBy     # User ID of who performed this update
+      assignee { userId name email }  # Profile of the assignee, passed on to onTaskChanged subscribers
+      creator { userId name email }   # Profile of the creator, passed on to onTaskChanged subscribers
     }
   }
 `;
 
-// FIXED: Defines a GraphQL mutation to delete a task - now returns SimpleResponse
-// This mutation permanently removes a task from the system
+// Defines GraphQL mutations for a task's checklist
+// Allowed for the task's assignee and team admins; each returns the whole updated task
+// (with the same fields as updateTask) so onTaskChanged subscribers receive the new checklist
+
+// Adds a step to the end of the checklist, optionally assigned to a team member
+export const addChecklistItem = gql`
+  mutation AddChecklistItem($teamId: ID!, $taskId: ID!, $title: String!, $assignedTo: ID) {
+    addChecklistItem(teamId: $teamId, taskId: $taskId, title: $title, assignedTo: $assignedTo) {
+      teamId        # ID of the team this task belongs to
+      taskId        # ID of the task whose checklist changed
+      title         # Current title of the task
+      description   # Current description of the task
+      assignedTo    # Current assignee of the task
+      status        # Current status of the task
+      statusCategory # Workflow category of the status (todo, in_progress, done)
+      rank          # Position of the task within its board column
+      checklist { itemId title done assignedTo completedAt assignee { userId name email } }  # Updated checklist steps
+      blockedBy     # IDs of the tasks this one waits for
+      blocks        # IDs of the tasks waiting for this one
+      blockers { taskId title status statusCategory }  # Blocking tasks, to tell whether they are still open
+      recurrence { frequency interval weekdays monthDay until count rrule }  # Repeat rule, null for one-off tasks
+      occurrence    # Position within its recurring series
+      labels        # IDs of the team labels the task carries
+      priority      # Current priority of the task
+      deadline      # Current deadline of the task
+      createdBy     # User ID of who created this task
+      createdAt     # Timestamp when the task was created
+      updatedAt     # Timestamp when this update occurred
+      updatedBy     # User ID of who performed this update
+      assignee { userId name email }  # Profile of the assignee, passed on to onTaskChanged subscribers
+      creator { userId name email }   # Profile of the creator, passed on to onTaskChanged subscribers
+    }
+  }
+`;
+
+// Marks a checklist step as done (done: true) or not done (done: false)
+export const toggleChecklistItem = gql`
+  mutation ToggleChecklistItem($teamId: ID!, $taskId: ID!, $itemId: ID!, $done: Boolean!) {
+    toggleChecklistItem(teamId: $teamId, taskId: $taskId, itemId: $itemId, done: $done) {
+      teamId        # ID of the team this task belongs to
+      taskId        # ID of the task whose checklist changed
+      title         # Current title of the task
+      description   # Current description of the task
+      assignedTo    # Current assignee of the task
+      status        # Current status of the task
+      statusCategory # Workflow category of the status (todo, in_progress, done)
+      rank          # Position of the task within its board column
+      checklist { itemId title done assignedTo completedAt assignee { userId name email } }  # Updated checklist steps
+      blockedBy     # IDs of the tasks this one waits for
+      blocks        # IDs of the tasks waiting for this one
+      blockers { taskId title status statusCategory }  # Blocking tasks, to tell whether they are still open
+      recurrence { frequency interval weekdays monthDay until count rrule }  # Repeat rule, null for one-off tasks
+      occurrence    # Position within its recurring series
+      labels        # IDs of the team labels the task carries
+      priority      # Current priority of the task
+      deadline      # Current deadline of the task
+      createdBy     # User ID of who created this task
+      createdAt     # Timestamp when the task was created
+      updatedAt     # Timestamp when this update occurred
+      updatedBy     # User ID of who performed this update
+      assignee { userId name email }  # Profile of the assignee, passed on to onTaskChanged subscribers
+      creator { userId name email }   # Profile of the creator, passed on to onTaskChanged subscribers
+    }
+  }
+`;
+
+// Puts the checklist in a new order - itemIds must list every item exactly once
+export const reorderChecklistItems = gql`
+  mutation ReorderChecklistItems($teamId: ID!, $taskId: ID!, $itemIds: [ID!]!) {
+    reorderChecklistItems(teamId: $teamId, taskId: $taskId, itemIds: $itemIds) {
+      teamId        # ID of the team this task belongs to
+      taskId        # ID of the task whose checklist changed
+      title         # Current title of the task
+      description   # Current description of the task
+      assignedTo    # Current assignee of the task
+      status        # Current status of the task
+      statusCategory # Workflow category of the status (todo, in_progress, done)
+      rank          # Position of the task within its board column
+      checklist { itemId title done assignedTo completedAt assignee { userId name email } }  # Updated checklist steps
+      blockedBy     # IDs of the tasks this one waits for
+      blocks        # IDs of the tasks waiting for this one
+      blockers { taskId title status statusCategory }  # Blocking tasks, to tell whether they are still open
+      recurrence { frequency interval weekdays monthDay until count rrule }  # Repeat rule, null for one-off tasks
+      occurrence    # Position within its recurring series
+      labels        # IDs of the team labels the task carries
+      priority      # Current priority of the task
+      deadline      # Current deadline of the task
+      createdBy     # User ID of who created this task
+      createdAt     # Timestamp when the task was created
+      updatedAt     # Timestamp when this update occurred
+      updatedBy     # User ID of who performed this update
+      assignee { userId name email }  # Profile of the assignee, passed on to onTaskChanged subscribers
+      creator { userId name email }   # Profile of the creator, passed on to onTaskChanged subscribers
+    }
+  }
+`;
+
+// Removes a step from the checklist
+export const removeChecklistItem = gql`
+  mutation RemoveChecklistItem($teamId: ID!, $taskId: ID!, $itemId: ID!) {
+    removeChecklistItem(teamId: $teamId, taskId: $taskId, itemId: $itemId) {
+      teamId        # ID of the team this task belongs to
+      taskId        # ID of the task whose checklist changed
+      title         # Current title of the task
+      description   # Current description of the task
+      assignedTo    # Current assignee of the task
+      status        # Current status of the task
+      statusCategory # Workflow category of the status (todo, in_progress, done)
+      rank          # Position of the task within its board column
+      checklist { itemId title done assignedTo completedAt assignee { userId name email } }  # Updated checklist steps
+      blockedBy     # IDs of the tasks this one waits for
+      blocks        # IDs of the tasks waiting for this one
+      blockers { taskId title status statusCategory }  # Blocking tasks, to tell whether they are still open
+      recurrence { frequency interval weekdays monthDay until count rrule }  # Repeat rule, null for one-off tasks
+      occurrence    # Position within its recurring series
+      labels        # IDs of the team labels the task carries
+      priority      # Current priority of the task
+      deadline      # Current deadline of the task
+      createdBy     # User ID of who created this task
+      createdAt     # Timestamp when the task was created
+      updatedAt     # Timestamp when this update occurred
+      updatedBy     # User ID of who performed this update
+      assignee { userId name email }  # Profile of the assignee, passed on to onTaskChanged subscribers
+      creator { userId name email }   # Profile of the creator, passed on to onTaskChanged subscribers
+    }
+  }
+`;
+
+// Defines a GraphQL mutation to mark a task as blocked by another task of the same team
+// The server refuses links that would make a task wait for itself
+export const linkTaskDependency = gql`
+  mutation LinkTaskDependency($teamId: ID!, $taskId: ID!, $blockedByTaskId: ID!) {
+    linkTaskDependency(teamId: $teamId, taskId: $taskId, blockedByTaskId: $blockedByTaskId) {
+      teamId        # ID of the team this task belongs to
+      taskId        # ID of the blocked task
+      title         # Current title of the task
+      description   # Current description of the task
+      assignedTo    # Current assignee of the task
+      status        # Current status of the task
+      statusCategory # Workflow category of the status (todo, in_progress, done)
+      rank          # Position of the task within its board column
+      checklist { itemId title done assignedTo completedAt assignee { userId name email } }  # Ordered checklist steps
+      blockedBy     # IDs of the tasks this one waits for
+      blocks        # IDs of the tasks waiting for this one
+      blockers { taskId title status statusCategory }  # Blocking tasks, to tell whether they are still open
+      recurrence { frequency interval weekdays monthDay until count rrule }  # Repeat rule, null for one-off tasks
+      occurrence    # Position within its recurring series
+      labels        # IDs of the team labels the task carries
+      priority      # Current priority of the task
+      deadline      # Current deadline of the task
+      createdBy     # User ID of who created this task
+      createdAt     # Timestamp when the task was created
+      updatedAt     # Timestamp when this update occurred
+      updatedBy     # User ID of who performed this update
+      assignee { userId name email }  # Profile of the assignee, passed on to onTaskChanged subscribers
+      creator { userId name email }   # Profile of the creator, passed on to onTaskChanged subscribers
+    }
+  }
+`;
+
+// Defines a GraphQL mutation to remove a blocking link between two tasks
+export const unlinkTaskDependency = gql`
+  mutation UnlinkTaskDependency($teamId: ID!, $taskId: ID!, $blockedByTaskId: ID!) {
+    unlinkTaskDependency(teamId: $teamId, taskId: $taskId, blockedByTaskId: $blockedByTaskId) {
+      teamId        # ID of the team this task belongs to
+      taskId        # ID of the blocked task
+      title         # Current title of the task
+      description   # Current description of the task
+      assignedTo    # Current assignee of the task
+      status        # Current status of the task
+      statusCategory # Workflow category of the status (todo, in_progress, done)
+      rank          # Position of the task within its board column
+      checklist { itemId title done assignedTo completedAt assignee { userId name email } }  # Ordered checklist steps
+      blockedBy     # IDs of the tasks this one waits for
+      blocks        # IDs of the tasks waiting for this one
+      blockers { taskId title status statusCategory }  # Blocking tasks, to tell whether they are still open
+      recurrence { frequency interval weekdays monthDay until count rrule }  # Repeat rule, null for one-off tasks
+      occurrence    # Position within its recurring series
+      labels        # IDs of the team labels the task carries
+      priority      # Current priority of the task
+      deadline      # Current deadline of the task
+      createdBy     # User ID of who created this task
+      createdAt     # Timestamp when the task was created
+      updatedAt     # Timestamp when this update occurred
+      updatedBy     # User ID of who performed this update
+      assignee { userId name email }  # Profile of the assignee, passed on to onTaskChanged subscribers
+      creator { userId name email }   # Profile of the creator, passed on to onTaskChanged subscribers
+    }
+  }
+`;
+
+// Defines a GraphQL mutation to delete a task
+// This mutation permanently removes a task from the system and returns the deleted task
 export const deleteTask = gql`
   mutation DeleteTask($teamId: ID!, $taskId: ID!) {
     # Call the deleteTask resolver on the server
     # Requires both teamId and taskId to identify the specific task to delete
     deleteTask(teamId: $teamId, taskId: $taskId) {
-      # Request these fields from the SimpleResponse type
-      # This is different from other mutations that return full task objects
-      success       # Boolean indicating if the deletion was successful
-      message       # Human-readable message about the deletion result
+      # Returns a Task like the other task mutations so it can feed onTaskChanged
+      teamId        # ID of the team the task belonged to
+      taskId        # ID of the task that was deleted
+      title         # Title of the deleted task
+      deleted       # Always true - tells subscribers to drop the task
+    }
+  }
+`;
+// Defines a GraphQL mutation to mark one of the current user's notifications as read
+export const markNotificationRead = gql`
+  mutation MarkNotificationRead($notificationId: ID!) {
+    # Call the markNotificationRead resolver on the server
+    markNotificationRead(notificationId: $notificationId) {
+      notificationId  # ID of the notification that was updated
+      readAt          # Timestamp when the notification was first read
+      read            # Always true after this mutation
+    }
+  }
+`;
+
+// Defines a GraphQL mutation to mark all of the current user's notifications as read
+export const markAllNotificationsRead = gql`
+  mutation MarkAllNotificationsRead {
+    # Call the markAllNotificationsRead resolver on the server
+    markAllNotificationsRead {
+      success   # Boolean indicating if the operation was successful
+      message   # Message with the number of notifications updated
+    }
+  }
+`;
+
+// Defines a GraphQL mutation to save the current user's notification settings
+// Omitted variables keep their saved values; list variables replace the saved lists
+export const updateNotificationPreferences = gql`
+  mutation UpdateNotificationPreferences(
+    $disabledActions: [String]   # Optional: Actions whose emails are switched off (they still reach the inbox)
+    $mutedTeamIds: [ID]          # Optional: Teams whose notifications are muted
+    $deliveryMode: String        # Optional: 'instant' or 'digest'
+    $digestHour: Int             # Optional: Local hour (0-23) for the daily digest
+    $quietHoursEnabled: Boolean  # Optional: Whether quiet hours are on
+    $quietHoursStart: String     # Optional: Start of quiet hours (HH:MM)
+    $quietHoursEnd: String       # Optional: End of quiet hours (HH:MM)
+    $timeZone: String            # Optional: IANA time zone name
+  ) {
+    updateNotificationPreferences(
+      disabledActions: $disabledActions
+      mutedTeamIds: $mutedTeamIds
+      deliveryMode: $deliveryMode
+      digestHour: $digestHour
+      quietHoursEnabled: $quietHoursEnabled
+      quietHoursStart: $quietHoursStart
+      quietHoursEnd: $quietHoursEnd
+      timeZone: $timeZone
+    ) {
+      actions {
+        action          # Notification action (e.g., task_assigned)
+        enabled         # Whether notifications for this action are delivered
+      }
+      mutedTeamIds      # Teams whose notifications are muted
+      deliveryMode      # Saved delivery mode
+      digestHour        # Saved digest hour
+      quietHoursEnabled # Saved quiet hours switch
+      quietHoursStart   # Saved quiet hours start
+      quietHoursEnd     # Saved quiet hours end
+      timeZone          # Saved time zone
+      updatedAt         # Timestamp of this update
+    }
+  }
+`;
+
+// Defines a GraphQL mutation to post a comment, or a reply when parentCommentId is set
+// Members mentioned with @email, @name or @email-prefix are notified
+export const addComment = gql`
+  mutation AddComment($teamId: ID!, $taskId: ID!, $body: String!, $parentCommentId: ID) {
+    addComment(teamId: $teamId, taskId: $taskId, body: $body, parentCommentId: $parentCommentId) {
+      commentId        # Unique identifier of the new comment
+      taskId           # ID of the commented task
+      teamId           # ID of the task's team
+      parentCommentId  # Top-level comment this replies to
+      authorId         # User ID of the author (current user)
+      author { userId name email }  # Profile of the author
+      body             # Saved comment text
+      mentions         # User IDs that were mentioned and notified
+      createdAt        # Timestamp when the comment was posted
+      updatedAt        # Same as createdAt for new comments
+      edited           # Always false for new comments
+      deleted          # Always false for new comments
+    }
+  }
+`;
+
+// Defines a GraphQL mutation to change the text of a comment (author only)
+export const editComment = gql`
+  mutation EditComment($teamId: ID!, $taskId: ID!, $commentId: ID!, $body: String!) {
+    editComment(teamId: $teamId, taskId: $taskId, commentId: $commentId, body: $body) {
+      commentId        # ID of the edited comment
+      body             # Updated comment text
+      mentions         # Updated list of mentioned user IDs
+      updatedAt        # Timestamp of this edit
+      edited           # Always true after an edit
     }
   }
-`;
\ No newline at end of file
+`;
+
+// Defines a GraphQL mutation to delete a comment (author or team admin)
+// Comments with replies are blanked and kept so the thread stays readable
+export const deleteComment = gql`
+  mutation DeleteComment($teamId: ID!, $taskId: ID!, $commentId: ID!) {
+    deleteComment(teamId: $teamId, taskId: $taskId, commentId: $commentId) {
+      commentId        # ID of the deleted comment
+      body             # Empty when the comment was kept for its replies
+      deleted          # Always true
+    }
+  }
+`;
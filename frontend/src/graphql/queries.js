@@ -2,17 +2,26 @@
 // This function parses GraphQL query strings into a format that can be used by GraphQL clients like Apollo
 import { gql } from 'graphql-tag'; // Imports the gql function from graphql-tag to parse GraphQL queries into a format compatible with Apollo Client
 
-// GraphQL query to retrieve a list of all teams that the current user has access to
-// This query doesn't require any input parameters and returns team metadata including user permissions
+// GraphQL query to retrieve one page of the teams that the current user has access to
+// Archived teams are only included when includeArchived is true; returns team metadata including user permissions
 export const listTeams = gql`
-  query ListTeams {
-    listTeams {
-      teamId      # Unique identifier for the team
-      name        # Display name of the team
-      adminId     # User ID of the team administrator
-      createdAt   # Timestamp when the team was created
-      userRole    # Current user's role within this team (e.g., 'admin', 'member')
-      isAdmin     # Boolean flag indicating if current user is an admin of this team
+  query ListTeams($includeArchived: Boolean, $limit: Int, $nextToken: String) {  # Optional includeArchived flag and pagination arguments
+    listTeams(includeArchived: $includeArchived, limit: $limit, nextToken: $nextToken) {
+      items {
+        teamId      # Unique identifier for the team
+        name        # Display name of the team
+        description # Short description of the team's purpose
+        color       # Accent color name used on the team card
+        icon        # Emoji shown as the team's avatar
+        adminId     # User ID of the team administrator
+        createdAt   # Timestamp when the team was created
+        userRole    # Current user's role within this team (e.g., 'admin', 'member')
+        isAdmin     # Boolean flag indicating if current user is an admin of this team
+        archived    # Boolean flag indicating the team is archived and read-only
+        archivedAt  # Timestamp when the team was archived
+        workflow { name category }  # Ordered task statuses and their categories
+      }
+      nextToken     # Pass back as $nextToken to fetch the next page (null on the last page)
     }
   }
 `;
@@ -21,42 +30,160 @@ export const listTeams = gql`
 // Requires a teamId parameter to specify which team's tasks to fetch
 // Returns detailed task information including metadata and assignment details
 export const listTasks = gql`
-  query ListTasks($teamId: ID!) {                    # Query definition with required teamId parameter of type ID
-    listTasks(teamId: $teamId) {                     # Function call passing the teamId variable
+  query ListTasks($teamId: ID!, $filter: TaskFilterInput, $sort: TaskSortInput, $limit: Int, $nextToken: String) {  # Required teamId plus optional filter, sort and pagination arguments
+    listTasks(teamId: $teamId, filter: $filter, sort: $sort, limit: $limit, nextToken: $nextToken) {  # Function call passing the teamId, filter, sort and page variables
+      items {
+        teamId        # ID of the team this task belongs to
+        taskId        # Unique identifier for the task
+        title         # Main title/name of the task
+        description   # Detailed description of what the task involves
+        assignedTo    # User ID of the person assigned to complete this task
+        status        # Current status of the task (e.g., 'pending', 'in-progress', 'completed')
+        statusCategory # Workflow category of the status (todo, in_progress, done)
+        rank          # Position of the task within its board column (see utils/rank.js)
+        checklist { itemId title done assignedTo completedAt assignee { userId name email } }  # Ordered checklist steps
+        blockedBy     # IDs of the tasks this one waits for
+        blocks        # IDs of the tasks waiting for this one
+        blockers { taskId title status statusCategory }  # Blocking tasks, to tell whether they are still open
+        recurrence { frequency interval weekdays monthDay until count rrule }  # Repeat rule, null for one-off tasks
+        occurrence    # Position within its recurring series
+        labels        # IDs of the team labels the task carries
+        priority      # Priority level of the task (e.g., 'low', 'medium', 'high', 'urgent')
+        deadline      # Date/time when the task should be completed
+        createdBy     # User ID of the person who created this task
+        createdAt     # Timestamp when the task was originally created
+        updatedAt     # Timestamp when the task was last modified
+        updatedBy     # User ID of the person who last updated this task
+        assignee { userId name email }  # Profile of the assigned user
+        creator { userId name email }   # Profile of the user who created this task
+      }
+      nextToken       # Pass back as $nextToken to fetch the next page (null on the last page)
+    }
+  }
+`;
+
+// GraphQL query to retrieve summary counts of every task in a team
+// Counts ignore the filters of listTasks, so the task list's stats cards always describe the whole team
+export const taskCounts = gql`
+  query TaskCounts($teamId: ID!) {  # Query definition with the required teamId
+    taskCounts(teamId: $teamId) {
+      total           # Number of tasks in the team
+      byStatus { status count }  # Task count per status, in workflow order
+      assignedToMe    # Number of tasks assigned to the current user
+      overdue         # Number of open tasks past their deadline
+      checklistDone   # Checklist items done across every task
+      checklistTotal  # Checklist items across every task
+    }
+  }
+`;
+
+// GraphQL query to retrieve the current user's assigned tasks across all of their teams
+// Optional status and dueBefore filters are applied on the server; results are paginated
+export const listMyTasks = gql`
+  query ListMyTasks($status: String, $dueBefore: String, $limit: Int, $nextToken: String) {  # All arguments optional
+    listMyTasks(status: $status, dueBefore: $dueBefore, limit: $limit, nextToken: $nextToken) {
+      items {
+        teamId        # ID of the team this task belongs to (used to group tasks by team)
+        taskId        # Unique identifier for the task
+        title         # Main title/name of the task
+        description   # Detailed description of what the task involves
+        assignedTo    # User ID of the assignee (always the current user)
+        status        # Current status of the task
+        statusCategory # Workflow category of the status (todo, in_progress, done)
+        priority      # Priority level of the task
+        deadline      # Date/time when the task should be completed
+        createdAt     # Timestamp when the task was originally created
+        updatedAt     # Timestamp when the task was last modified
+      }
+      nextToken       # Pass back as $nextToken to fetch the next page (null on the last page)
+    }
+  }
+`;
+
+// GraphQL query to retrieve a single task from a specific team
+// Requires both teamId and taskId; used to pre-fill the task edit form
+export const getTask = gql`
+  query GetTask($teamId: ID!, $taskId: ID!) {       # Query definition with required teamId and taskId parameters
+    getTask(teamId: $teamId, taskId: $taskId) {       # Function call to get a single task
       teamId        # ID of the team this task belongs to
       taskId        # Unique identifier for the task
       title         # Main title/name of the task
       description   # Detailed description of what the task involves
       assignedTo    # User ID of the person assigned to complete this task
-      status        # Current status of the task (e.g., 'pending', 'in-progress', 'completed')
-      priority      # Priority level of the task (e.g., 'low', 'medium', 'high', 'urgent')
+      status        # Current status of the task
+      statusCategory # Workflow category of the status (todo, in_progress, done)
+      rank          # Position of the task within its board column
+      checklist { itemId title done assignedTo completedAt assignee { userId name email } }  # Ordered checklist steps
+      blockedBy     # IDs of the tasks this one waits for
+      blocks        # IDs of the tasks waiting for this one
+      blockers { taskId title status statusCategory }  # Blocking tasks, to tell whether they are still open
+      recurrence { frequency interval weekdays monthDay until count rrule }  # Repeat rule, null for one-off tasks
+      occurrence    # Position within its recurring series
+      labels        # IDs of the team labels the task carries
+      priority      # Priority level of the task
       deadline      # Date/time when the task should be completed
       createdBy     # User ID of the person who created this task
       createdAt     # Timestamp when the task was originally created
       updatedAt     # Timestamp when the task was last modified
       updatedBy     # User ID of the person who last updated this task
+      assignee { userId name email }  # Profile of the assignee, for tasks opened from a link
+      creator { userId name email }   # Profile of the creator, for tasks opened from a link
     }
   }
 `;
 
 // GraphQL query to search for tasks within a specific team based on a search query
-// This query performs a text search across task titles and descriptions
-// Fixed: Parameter name changed from searchTerm to query to match backend expectation
-export const searchTasks = gql`
-  query SearchTasks($teamId: ID!, $query: String!) { # Query definition with required teamId and query parameters
-    searchTasks(teamId: $teamId, query: $query) {     # Function call with both required parameters
-      teamId        # ID of the team this task belongs to
-      taskId        # Unique identifier for the task
-      title         # Main title/name of the task (searchable field)
-      description   # Detailed description of the task (searchable field)
-      assignedTo    # User ID of the person assigned to complete this task
-      status        # Current status of the task
-      priority      # Priority level of the task
-      deadline      # Date/time when the task should be completed
-      createdBy     # User ID of the person who created this task
-      createdAt     # Timestamp when the task was originally created
-      updatedAt     # Timestamp when the task was last modified
-      updatedBy     # User ID of the person who last updated this task
+// Full-text search over titles and descriptions, best matches first, with typo tolerance and
+// qualifiers such as assignee:me or status:done (see backend/lambda/search_index.js for the syntax)
+// Each hit carries highlighted snippets: match ranges are character offsets into the snippet
+// (searchTasks runs the same search but returns only the tasks)
+export const searchTaskHits = gql`
+  query SearchTaskHits($teamId: ID!, $query: String!, $label: ID, $limit: Int) { # Query definition with required teamId and query parameters and optional label filter and limit
+    searchTaskHits(teamId: $teamId, query: $query, label: $label, limit: $limit) {     # Function call with both required parameters, the label and the limit
+      teamId          # ID of the team the task belongs to
+      score           # Relevance of the match, higher is better
+      highlights { field snippet matches { start end } }  # Title and description snippets with the matched words
+      task {
+        teamId        # ID of the team this task belongs to
+        taskId        # Unique identifier for the task
+        title         # Main title/name of the task (searchable field)
+        description   # Detailed description of the task (searchable field)
+        assignedTo    # User ID of the person assigned to complete this task
+        status        # Current status of the task
+        statusCategory # Workflow category of the status (todo, in_progress, done)
+        priority      # Priority level of the task
+        labels        # IDs of the team labels the task carries
+        deadline      # Date/time when the task should be completed
+        createdBy     # User ID of the person who created this task
+        createdAt     # Timestamp when the task was originally created
+        updatedAt     # Timestamp when the task was last modified
+        updatedBy     # User ID of the person who last updated this task
+        assignee { userId name email }  # Profile of the assigned user
+        creator { userId name email }   # Profile of the user who created this task
+      }
+    }
+  }
+`;
+
+// GraphQL query to search the tasks of every team the current user belongs to
+// Same query syntax and hit shape as searchTaskHits, plus the name of each task's team
+export const searchAllTeams = gql`
+  query SearchAllTeams($query: String!, $limit: Int) { # Query definition with the required query and an optional limit
+    searchAllTeams(query: $query, limit: $limit) {
+      teamId          # ID of the team the task belongs to
+      teamName        # Name of the team, for the result's team badge
+      score           # Relevance of the match, higher is better
+      highlights { field snippet matches { start end } }  # Title and description snippets with the matched words
+      task {
+        teamId        # ID of the team this task belongs to
+        taskId        # Unique identifier for the task
+        title         # Main title/name of the task
+        status        # Current status of the task
+        statusCategory # Workflow category of the status (todo, in_progress, done)
+        priority      # Priority level of the task
+        deadline      # Date/time when the task should be completed
+        assignee { userId name email }  # Profile of the assigned user
+      }
     }
   }
 `;
@@ -65,13 +192,21 @@ export const searchTasks = gql`
 // Returns membership information including roles and join dates
 // Used for team management and displaying team roster
 export const listMembers = gql`
-  query ListMembers($teamId: ID!) {                  # Query definition with required teamId parameter
-    listMembers(teamId: $teamId) {                   # Function call to get team members
-      teamId      # ID of the team these members belong to
-      userId      # Unique identifier of the team member
-      role        # Role of the member within the team (e.g., 'admin', 'member', 'viewer')
-      joinedAt    # Timestamp when this user joined the team
-      addedBy     # User ID of the person who added this member to the team
+  query ListMembers($teamId: ID!, $limit: Int, $nextToken: String) {  # Required teamId plus optional pagination arguments
+    listMembers(teamId: $teamId, limit: $limit, nextToken: $nextToken) {  # Function call to get a page of team members
+      items {
+        teamId      # ID of the team these members belong to
+        userId      # Unique identifier of the team member
+        role        # Role of the member within the team (e.g., 'admin', 'member', 'viewer')
+        joinedAt    # Timestamp when this user joined the team
+        addedBy     # User ID of the person who added this member to the team
+        user {      # Profile of the member, used to show names instead of user IDs
+          userId
+          name
+          email
+        }
+      }
+      nextToken     # Pass back as $nextToken to fetch the next page (null on the last page)
     }
   }
 `;
@@ -99,10 +234,20 @@ export const getTeam = gql`
     getTeam(teamId: $teamId) {                       # Function call to get team details and validate access
       teamId      # Unique identifier for the team
       name        # Display name of the team
+      description # Short description of the team's purpose
+      color       # Accent color name used on the team card
+      icon        # Emoji shown as the team's avatar
       adminId     # User ID of the team administrator/owner
       createdAt   # Timestamp when the team was created
       userRole    # Current user's role within this team (used for permission checks)
       isAdmin     # Boolean flag indicating if current user has admin privileges for this team
+      archived    # Boolean flag indicating the team is archived and read-only
+      workflow {  # Ordered task statuses for this team
+        name        # Display name of the status
+        category    # todo, in_progress or done
+        transitions # Statuses a task may move to next (null = any)
+      }
+      labels { labelId name color }  # Labels tasks in this team can carry
     }
   }
 `;
@@ -115,10 +260,130 @@ export const getUserTeams = gql`
     getUserTeams {                                   # Function call to get all teams for current user
       teamId      # Unique identifier for each team the user belongs to
       name        # Display name of each team
+      description # Short description of each team's purpose
+      color       # Accent color name of each team
+      icon        # Emoji avatar of each team
       adminId     # User ID of each team's administrator
       createdAt   # Timestamp when each team was created
       userRole    # Current user's role within each team
       isAdmin     # Boolean flag indicating if current user is admin of each team
     }
   }
-`;
\ No newline at end of file
+`;
+// GraphQL query to retrieve one page of the current user's in-app notifications, newest first
+// Also returns the total unread count used for the navbar bell badge
+export const listNotifications = gql`
+  query ListNotifications($limit: Int, $nextToken: String) {  # Optional pagination arguments
+    listNotifications(limit: $limit, nextToken: $nextToken) {
+      items {
+        notificationId  # Time-ordered identifier of the notification
+        subject         # Short notification title
+        message         # Notification text
+        action          # Event that produced the notification (e.g., task_assigned)
+        teamId          # Team the notification relates to, used for linking
+        taskId          # Task the notification relates to
+        createdAt       # Timestamp when the notification was created
+        read            # Boolean flag indicating the notification has been read
+      }
+      nextToken         # Token for the next page, null on the last page
+      unreadCount       # Total number of unread notifications
+    }
+  }
+`;
+
+// GraphQL query to retrieve the current user's notification settings
+// Returns defaults (everything on, instant delivery) when the user never saved any
+export const getNotificationPreferences = gql`
+  query GetNotificationPreferences {
+    getNotificationPreferences {
+      actions {
+        action          # Notification action (e.g., task_assigned)
+        enabled         # Whether notifications for this action are delivered
+      }
+      mutedTeamIds      # Teams whose notifications are not delivered
+      deliveryMode      # 'instant' or 'digest'
+      digestHour        # Local hour (0-23) at which the daily digest is sent
+      quietHoursEnabled # Whether emails are held back during quiet hours
+      quietHoursStart   # Start of quiet hours (HH:MM, local time)
+      quietHoursEnd     # End of quiet hours (HH:MM, local time)
+      timeZone          # IANA time zone for quiet hours and the digest hour
+      updatedAt         # Timestamp when the preferences were last saved
+    }
+  }
+`;
+
+// GraphQL query to retrieve one page of a task's comments, oldest first
+// Replies are included in the same list and grouped client-side by parentCommentId
+export const listComments = gql`
+  query ListComments($teamId: ID!, $taskId: ID!, $limit: Int, $nextToken: String) {  # Required team and task IDs, optional pagination
+    listComments(teamId: $teamId, taskId: $taskId, limit: $limit, nextToken: $nextToken) {
+      items {
+        commentId        # Unique identifier of the comment
+        taskId           # ID of the commented task
+        teamId           # ID of the task's team
+        parentCommentId  # Top-level comment this replies to, null for top-level comments
+        authorId         # User ID of the author
+        author { userId name email }  # Profile of the author
+        body             # Comment text (empty once deleted)
+        mentions         # User IDs mentioned in the comment
+        createdAt        # Timestamp when the comment was posted
+        updatedAt        # Timestamp of the last edit
+        edited           # Boolean flag indicating the comment was edited
+        deleted          # Boolean flag indicating the comment was deleted
+      }
+      nextToken          # Token for the next page, null on the last page
+    }
+  }
+`;
+
+// GraphQL query to retrieve one page of a task's change history, newest first
+// Each event lists field-level before/after values
+export const taskHistory = gql`
+  query TaskHistory($teamId: ID!, $taskId: ID!, $limit: Int, $nextToken: String) {  # Required team and task IDs, optional pagination
+    taskHistory(teamId: $teamId, taskId: $taskId, limit: $limit, nextToken: $nextToken) {
+      items {
+        historyId    # Time-ordered identifier of the event
+        action       # What happened (created, status_changed, updated, reassigned, deleted, comment_*)
+        actorId      # User ID of who made the change
+        actor { userId name email }  # Profile of who made the change
+        changes {
+          field      # Name of the changed field
+          before     # Value before the change
+          after      # Value after the change
+        }
+        commentId    # Comment the event refers to, for comment events
+        reason       # Why the change happened when it was a side effect or an exception
+        createdAt    # Timestamp of the event
+      }
+      nextToken      # Token for the next page, null on the last page
+    }
+  }
+`;
+
+// GraphQL query to retrieve one page of a team's audit log, newest first (admins only)
+// Date range bounds are inclusive ISO timestamps; actor and action narrow the entries further
+export const auditLog = gql`
+  query AuditLog($teamId: ID!, $from: String, $to: String, $actorId: ID, $action: String, $limit: Int, $nextToken: String) {  # Required team ID, optional filters and pagination
+    auditLog(teamId: $teamId, from: $from, to: $to, actorId: $actorId, action: $action, limit: $limit, nextToken: $nextToken) {
+      items {
+        auditId        # Time-ordered identifier of the entry
+        action         # What happened (member_added, task_deleted, ...)
+        actorId        # User ID of who performed the action
+        actor { userId name email }       # Profile of who performed the action
+        targetType     # Kind of record acted on (team, member, task, comment)
+        targetId       # ID of the record acted on
+        targetName     # Team name or task title at the time
+        targetUserId   # Member acted on (or the comment's author)
+        targetUser { userId name email }  # Profile of the member acted on
+        changes {
+          field        # Name of the changed field
+          before       # Value before the change
+          after        # Value after the change
+        }
+        details        # Extra context, such as reassigned task counts
+        createdAt      # Timestamp of the action
+      }
+      nextToken        # Token for the next page, null on the last page
+    }
+  }
+`;
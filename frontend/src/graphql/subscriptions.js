@@ -0,0 +1,55 @@
+// Import the gql template literal tag from graphql-tag library
+// Subscriptions are parsed the same way as queries and mutations
+import { gql } from 'graphql-tag';
+
+// Subscribes to task changes within a team
+// Fires for createTask, updateTask, updateTaskDetails, the checklist and dependency mutations and deleteTask; the server only
+// accepts the subscription when the current user is a member of the team.
+// Fields are only filled in when the triggering mutation selected them, so the task
+// mutations in mutations.js request this same set
+export const onTaskChanged = gql`
+  subscription OnTaskChanged($teamId: ID!) {
+    onTaskChanged(teamId: $teamId) {
+      teamId        # ID of the team the task belongs to (used to filter events)
+      taskId        # ID of the task that changed
+      title         # Title of the task
+      description   # Description of the task
+      assignedTo    # User ID of the assignee
+      status        # Current status of the task
+      statusCategory # Workflow category of the status (todo, in_progress, done)
+      rank          # Position of the task within its board column
+      checklist { itemId title done assignedTo completedAt assignee { userId name email } }  # Ordered checklist steps
+      blockedBy     # IDs of the tasks this one waits for
+      blocks        # IDs of the tasks waiting for this one
+      blockers { taskId title status statusCategory }  # Blocking tasks, to tell whether they are still open
+      recurrence { frequency interval weekdays monthDay until count rrule }  # Repeat rule, null for one-off tasks
+      occurrence    # Position within its recurring series
+      labels        # IDs of the team labels the task carries
+      priority      # Current priority of the task
+      deadline      # Current deadline of the task
+      createdBy     # User ID of who created the task
+      createdAt     # Timestamp when the task was created
+      updatedAt     # Timestamp of the latest change
+      updatedBy     # User ID of who made the latest change
+      assignee { userId name email }  # Profile of the assignee
+      creator { userId name email }   # Profile of the creator
+      deleted       # True when the task was deleted
+    }
+  }
+`;
+
+// Subscribes to membership changes within a team
+// Fires for addMember, removeMember and updateMemberRole; members only
+export const onMembershipChanged = gql`
+  subscription OnMembershipChanged($teamId: ID!) {
+    onMembershipChanged(teamId: $teamId) {
+      teamId        # ID of the team the membership belongs to (used to filter events)
+      userId        # User ID of the member that changed
+      role          # Current role of the member
+      joinedAt      # Timestamp when the member joined the team
+      addedBy       # User ID of who added the member
+      user { userId name email }  # Profile of the member
+      removed       # True when the member was removed
+    }
+  }
+`;
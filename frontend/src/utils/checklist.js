@@ -0,0 +1,16 @@
+// Helpers for task checklists
+// A checklist is the ordered task.checklist list of { itemId, title, done, assignedTo, ... }
+
+/**
+ * Counts the done and total items of a task's checklist
+ *
+ * @param {Object} task - Task with optional checklist
+ * @returns {Object} - { done, total }
+ */
+export function getChecklistProgress(task) {
+  const items = task.checklist || [];
+  return {
+    done: items.filter(item => item.done).length,
+    total: items.length
+  };
+}
@@ -0,0 +1,37 @@
+// Helpers for task dependencies
+// task.blockedBy holds the IDs of the tasks that must be done first, task.blockers their
+// title and status as of when the task was fetched
+import { isTaskDone } from './workflow';
+
+/**
+ * Lists the tasks blocking a task, in blockedBy order
+ * Prefers the loaded copy of each blocker, since task.blockers is not refreshed when only
+ * the blocker changes. Blockers that are neither loaded nor fetched (e.g. deleted) are left out
+ *
+ * @param {Object} task - Task with optional blockedBy and blockers
+ * @param {Array} tasks - Tasks currently loaded in the view
+ * @returns {Array} - Blocking tasks ({ taskId, title, status, statusCategory, ... })
+ */
+export function getBlockers(task, tasks = []) {
+  const blockerIds = task.blockedBy || [];
+  if (blockerIds.length === 0) return [];
+
+  const loaded = new Map(tasks.map(t => [t.taskId, t]));
+  const fetched = new Map((task.blockers || []).map(t => [t.taskId, t]));
+  return blockerIds
+    .map(taskId => loaded.get(taskId) || fetched.get(taskId))
+    .filter(Boolean);
+}
+
+/**
+ * Lists the blockers of a task that are not done yet
+ * The server refuses to start or finish a task while this list is not empty (admins may override)
+ *
+ * @param {Array} workflow - Team workflow statuses
+ * @param {Object} task - Task with optional blockedBy and blockers
+ * @param {Array} tasks - Tasks currently loaded in the view
+ * @returns {Array} - Open blocking tasks
+ */
+export function getOpenBlockers(workflow, task, tasks = []) {
+  return getBlockers(task, tasks).filter(blocker => !isTaskDone(workflow, blocker));
+}
@@ -0,0 +1,30 @@
+// Helpers for task labels
+// Labels are defined per team as { labelId, name, color }; tasks keep the IDs in task.labels
+
+// Chip classes per label color, matching the colors accepted by createLabel
+// Class names are kept static so Tailwind can see them
+export const labelColors = {
+  blue: 'bg-blue-100 text-blue-800',
+  green: 'bg-green-100 text-green-800',
+  purple: 'bg-purple-100 text-purple-800',
+  red: 'bg-red-100 text-red-800',
+  orange: 'bg-orange-100 text-orange-800',
+  yellow: 'bg-yellow-100 text-yellow-800',
+  pink: 'bg-pink-100 text-pink-800',
+  gray: 'bg-gray-100 text-gray-700'
+};
+
+export const LABEL_COLORS = Object.keys(labelColors);
+
+/**
+ * Looks up the labels a task carries, in the order they were set
+ * IDs of labels the team no longer has are left out
+ *
+ * @param {Object} task - Task with optional labels
+ * @param {Array} labels - The team's labels
+ * @returns {Array} - Labels ({ labelId, name, color })
+ */
+export function getTaskLabels(task, labels = []) {
+  const byId = new Map(labels.map(label => [label.labelId, label]));
+  return (task.labels || []).map(labelId => byId.get(labelId)).filter(Boolean);
+}
@@ -0,0 +1,67 @@
+// Helpers for ordering tasks within a board column
+// A rank is a base-36 fractional key compared as a plain string, so a task can be moved
+// between two others by writing only its own rank. Keys never end in '0', which keeps
+// room for another key between any two neighbours (the server checks the same format)
+// Keys grow when tasks keep being dropped into the same gap; once a saved key gets long the
+// server re-spaces the whole column, and the board reloads to pick up the new keys
+
+const RANK_DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Returns a task's rank, deriving one from createdAt for tasks saved before ranks existed
+ * Uses the same formula as initialTaskRank on the server, so those tasks keep creation order
+ *
+ * @param {Object} task - Task with optional rank and createdAt
+ * @returns {string} - Rank key
+ */
+export function getTaskRank(task) {
+  return task.rank || `${new Date(task.createdAt).getTime().toString(36)}i`;
+}
+
+/**
+ * Sort comparator that orders tasks by rank (lowest first)
+ */
+export function compareTaskRank(a, b) {
+  const rankA = getTaskRank(a);
+  const rankB = getTaskRank(b);
+  return rankA < rankB ? -1 : rankA > rankB ? 1 : 0;
+}
+
+/**
+ * Finds a key strictly between two keys
+ * An empty lower bound means "before everything" and a null upper bound "after everything"
+ */
+function midpoint(lower, upper) {
+  if (upper !== null) {
+    // Copy the shared prefix and look for room after it
+    let prefixLength = 0;
+    while ((lower[prefixLength] || '0') === upper[prefixLength]) {
+      prefixLength++;
+    }
+    if (prefixLength > 0) {
+      return upper.slice(0, prefixLength) + midpoint(lower.slice(prefixLength), upper.slice(prefixLength));
+    }
+  }
+
+  const lowerDigit = lower ? RANK_DIGITS.indexOf(lower[0]) : 0;
+  const upperDigit = upper !== null ? RANK_DIGITS.indexOf(upper[0]) : RANK_DIGITS.length;
+  if (upperDigit - lowerDigit > 1) {
+    return RANK_DIGITS[Math.round((lowerDigit + upperDigit) / 2)];
+  }
+  // Adjacent digits - shorten the upper key if possible, otherwise go one digit deeper
+  if (upper && upper.length > 1) {
+    return upper.slice(0, 1);
+  }
+  return RANK_DIGITS[lowerDigit] + midpoint(lower.slice(1), null);
+}
+
+/**
+ * Returns a rank that sorts between two neighbouring ranks
+ *
+ * @param {string|null} before - Rank of the task above, or null at the top of the column
+ * @param {string|null} after - Rank of the task below, or null at the bottom of the column
+ * @returns {string} - New rank key
+ */
+export function rankBetween(before, after) {
+  return midpoint(before || '', after || null);
+}
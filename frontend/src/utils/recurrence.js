@@ -0,0 +1,65 @@
+// Helpers for recurring tasks
+// task.recurrence is the stored rule { frequency, interval, weekdays, monthDay, until, count, rrule },
+// with the fields filled in even when the rule was given as an RRULE
+
+// Weekdays in week order, with the codes the API uses
+export const WEEKDAYS = [
+  { code: 'MO', label: 'Mon' },
+  { code: 'TU', label: 'Tue' },
+  { code: 'WE', label: 'Wed' },
+  { code: 'TH', label: 'Thu' },
+  { code: 'FR', label: 'Fri' },
+  { code: 'SA', label: 'Sat' },
+  { code: 'SU', label: 'Sun' }
+];
+
+// Unit names per frequency, singular and plural
+const UNITS = {
+  daily: ['day', 'days'],
+  weekly: ['week', 'weeks'],
+  monthly: ['month', 'months']
+};
+
+/**
+ * Gets the unit name shown next to a rule's interval
+ *
+ * @param {string} frequency - daily, weekly or monthly
+ * @param {number} interval - Repeat every this many units
+ * @returns {string} - e.g. "day" or "weeks"
+ */
+export function getIntervalUnit(frequency, interval) {
+  const [singular, plural] = UNITS[frequency] || UNITS.daily;
+  return Number(interval) === 1 ? singular : plural;
+}
+
+/**
+ * Describes a recurrence rule in a few words, e.g. "Weekly on Mon, Thu" or "Every 2 days"
+ *
+ * @param {Object} rule - Stored recurrence rule
+ * @returns {string} - Description, or an empty string for tasks that do not repeat
+ */
+export function describeRecurrence(rule) {
+  if (!rule?.frequency) return '';
+
+  const interval = rule.interval || 1;
+  let text = interval === 1
+    ? { daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly' }[rule.frequency]
+    : `Every ${interval} ${getIntervalUnit(rule.frequency, interval)}`;
+
+  if (rule.frequency === 'weekly' && rule.weekdays?.length > 0) {
+    const labels = WEEKDAYS.filter(day => rule.weekdays.includes(day.code)).map(day => day.label);
+    text += ` on ${labels.join(', ')}`;
+  }
+  if (rule.frequency === 'monthly' && rule.monthDay) {
+    text += ` on day ${rule.monthDay}`;
+  }
+
+  if (rule.until) {
+    // Stored as a whole UTC day, so format it in UTC to avoid showing the day before
+    const until = new Date(`${rule.until}T00:00:00Z`).toLocaleDateString(undefined, { timeZone: 'UTC' });
+    text += `, until ${until}`;
+  } else if (rule.count) {
+    text += `, ${rule.count} times`;
+  }
+  return text;
+}
@@ -0,0 +1,38 @@
+// Helpers for full-text search results
+// A search hit has highlights: [{ field, snippet, matches: [{ start, end }] }], with match
+// ranges as character offsets into the snippet
+
+/**
+ * Finds a hit's highlight for one field
+ *
+ * @param {Array} highlights - highlights of a search hit
+ * @param {string} field - 'title' or 'description'
+ * @returns {Object|null} - { field, snippet, matches }, or null when the field had no match
+ */
+export function getHighlight(highlights, field) {
+  return (highlights || []).find(highlight => highlight.field === field) || null;
+}
+
+/**
+ * Splits a snippet into plain and matched parts, for rendering without HTML
+ *
+ * @param {string} snippet - Snippet text
+ * @param {Array} matches - Match ranges, in order
+ * @returns {Array} - [{ text, match }] covering the whole snippet
+ */
+export function splitHighlight(snippet, matches = []) {
+  const parts = [];
+  let position = 0;
+  for (const { start, end } of matches) {
+    if (start < position) continue; // Skip overlapping ranges
+    if (start > position) {
+      parts.push({ text: snippet.slice(position, start), match: false });
+    }
+    parts.push({ text: snippet.slice(start, end), match: true });
+    position = end;
+  }
+  if (position < snippet.length) {
+    parts.push({ text: snippet.slice(position), match: false });
+  }
+  return parts;
+}
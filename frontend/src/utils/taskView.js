@@ -0,0 +1,35 @@
+// Remembers whether the user last looked at team tasks as a list or as a board
+// The choice is kept per browser, and applies to every team
+
+const TASK_VIEW_STORAGE_KEY = 'taskView';
+
+// Route of each view; both take the team ID as their only parameter
+export const TASK_VIEW_PATHS = {
+  list: '/tasks',
+  board: '/board'
+};
+
+/**
+ * Returns the saved view, 'list' when nothing valid was saved or storage is unavailable
+ */
+export function getPreferredTaskView() {
+  try {
+    const view = window.localStorage.getItem(TASK_VIEW_STORAGE_KEY);
+    return TASK_VIEW_PATHS[view] ? view : 'list';
+  } catch {
+    return 'list';
+  }
+}
+
+/**
+ * Saves the view the user switched to
+ *
+ * @param {string} view - 'list' or 'board'
+ */
+export function setPreferredTaskView(view) {
+  try {
+    window.localStorage.setItem(TASK_VIEW_STORAGE_KEY, view);
+  } catch (err) {
+    console.error('taskView - Could not save task view preference:', err);
+  }
+}
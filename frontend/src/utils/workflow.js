@@ -0,0 +1,66 @@
+// Helpers for per-team task workflows
+// A workflow is an ordered list of { name, category, transitions } returned on the Team type
+
+// Same statuses the server uses for teams that have not customized their workflow
+export const DEFAULT_WORKFLOW = [
+  { name: 'Not Started', category: 'todo', transitions: null },
+  { name: 'In Progress', category: 'in_progress', transitions: null },
+  { name: 'Completed', category: 'done', transitions: null }
+];
+
+// Display names for workflow categories, in workflow order
+export const WORKFLOW_CATEGORIES = {
+  todo: 'To do',
+  in_progress: 'In progress',
+  done: 'Done'
+};
+
+// Badge colors per category - class names are kept static so Tailwind can see them
+export const categoryColors = {
+  todo: 'bg-gray-100 text-gray-800',
+  in_progress: 'bg-blue-100 text-blue-800',
+  done: 'bg-green-100 text-green-800'
+};
+
+// Icons shown on status filter cards per category
+export const categoryIcons = {
+  todo: '⚪',
+  in_progress: '🔵',
+  done: '✅'
+};
+
+/**
+ * Returns the category of a task's status in the given workflow
+ * Falls back to the task's stored statusCategory, then to 'todo' for unknown statuses
+ *
+ * @param {Array} workflow - Team workflow statuses
+ * @param {Object} task - Task with status and optional statusCategory
+ * @returns {string} - todo, in_progress or done
+ */
+export function getStatusCategory(workflow, task) {
+  const status = workflow.find(s => s.name === task.status);
+  return status?.category || task.statusCategory || 'todo';
+}
+
+/**
+ * Whether a task sits in a done-category status (used for overdue checks)
+ */
+export function isTaskDone(workflow, task) {
+  return getStatusCategory(workflow, task) === 'done';
+}
+
+/**
+ * Lists the statuses a task may be moved to, keeping its current status first
+ * Statuses without a transitions list allow any move
+ *
+ * @param {Array} workflow - Team workflow statuses
+ * @param {string} currentStatus - The task's current status
+ * @returns {Array} - Workflow statuses in workflow order
+ */
+export function getAllowedStatuses(workflow, currentStatus) {
+  const current = workflow.find(s => s.name === currentStatus);
+  if (!current?.transitions) {
+    return workflow;
+  }
+  return workflow.filter(s => s.name === currentStatus || current.transitions.includes(s.name));
+}